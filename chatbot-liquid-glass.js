@@ -16,10 +16,11 @@
  * <script src="chatbot-liquid-glass.js"></script>
  * <script>
  *   ChatbotLiquidGlass.init({
- *     webhookUrl: 'YOUR_WEBHOOK_URL',
+ *     apiBaseUrl: 'https://your-backend.com/api',   // or legacy webhookUrl: 'YOUR_WEBHOOK_URL'
+ *     contactPageUrl: 'https://your-website.com/contact',
+ *     brand: { name: 'The Digital PO Box', primaryColor: '#003D46', logoUrl: '/assets/logo.svg' },
  *     position: 'bottom-right',
- *     title: 'AI Support',
- *     subtitle: 'The Digital PO Box'
+ *     title: 'AI Support'
  *   });
  * </script>
  */
@@ -79,1706 +80,4655 @@
         accentColor: '#00B7B0',          // Accent color (light teal)
         highlightColor: '#FF6A3D',       // Highlight color (orange) for buttons and badges
         backgroundColor: '#F4F4F6',      // Background color for messages area
+        colorScheme: 'light',             // Color scheme: 'light', 'dark' or 'auto' (follows prefers-color-scheme)
+        logoUrl: '/wp-content/uploads/chatbot/chatbot_assets/chatbot-logo.png', // Header avatar image
+        contactPageUrl: 'https://www.thedigitalpobox.com/en/contact/',        // Opened by the human support button
+        locale: '',                       // Explicit locale (BCP 47 tag), read by the 'config' locale source
+        localeSources: null,              // Ordered locale sources, see DEFAULT_LOCALE_SOURCES; functions return a tag
+        supportedLocales: null,           // Locales the backend serves (['en', 'pt-BR']): detected tags are negotiated against them
+        languageSwitcher: false,          // Header language picker: true lists supportedLocales or the backend's available_locales, or a list of locales
+        initialTopic: null,               // Concern category id to preselect when categories are offered
+        messageSoundUrl: null,            // Optional audio file played instead of the synthesized message sound
+        isolation: 'none',                // 'shadow' renders the widget inside a shadow root, isolated from host page CSS
+        analytics: [],                    // Analytics adapters ({ track(name, data) }), see ChatbotLiquidGlass.analytics
+        streaming: false,                 // Advertise SSE / NDJSON support in the Accept header (streamed replies are always rendered)
+        timeouts: {                       // Request timeouts in ms per step; `default` covers steps not listed
+            default: 25000,               // Below the typical 30s WordPress/PHP proxy limit
+            send_query_answer: 60000      // AI answers can take a while
+        },
+        retry: {                          // Backoff for 429/502/503/504 and network errors
+            retries: 3,                   // Extra attempts after the first one
+            baseDelay: 500,               // First backoff in ms, doubled per attempt
+            maxDelay: 8000                // Backoff cap in ms (Retry-After is honoured as sent)
+        },
+        headers: null,                    // Extra request headers: object, or (ctx) => object / Promise<object>
+        beforeRequest: null,              // (body, ctx) => body: rewrite the JSON body before it is sent
+        afterResponse: unwrapArrayResponse, // (json, ctx) => json: normalize the parsed response
+        transport: null,                  // { send(payload, opts) }: HTTP POST when null, see ChatbotLiquidGlass.transports
+        flow: null,                       // Step definitions merged over the built-in conversation flow
+        knowledgeBase: null,              // Offline FAQ document (or URL of its JSON): standalone without a backend, fallback with one
+        deepLinks: true,                  // Open from ?chatbot=open&chatbot_topic=..., #chatbot and data-chatbot-* links
+        triggers: null,                   // Proactive teaser / auto-open rules, or { rules, frequency: { max, days } }
+        context: null,                    // Extra `meta` fields: object, or (ctx) => object / Promise<object>; false sends no meta
+        history: {                        // Conversation history sent with steps flagged `history` in the flow; false sends none
+            maxTurns: 12,                 // Most recent messages kept (each user or bot message is one turn)
+            maxChars: 4000,               // Character budget of the kept messages, oldest dropped first
+            summarize: null               // (droppedMessages, ctx) => string / Promise<string>: summary of what was dropped
+        },
+        direction: 'auto',                // 'ltr', 'rtl', or 'auto': right to left for ar, he, fa and ur locales
+        messages: null,                   // UI string overrides by locale ({ de: { startChat: '...' } }), see UI_MESSAGES
+        liveAgent: null,                  // In-panel human handoff: { endpoint, mode, pollInterval, hours, ... }, see LIVE_AGENT_DEFAULTS
+        humanSupport: null,               // Human support button channels and hours, see HUMAN_SUPPORT_DEFAULTS; false hides the button
         showBadge: true,                  // Whether to show notification badge on new messages
         soundsEnabled: true               // Enable/disable sound effects for interactions
     };
 
     /**
-     * Main ChatbotLiquidGlass Class
-     * 
-     * Manages the entire chatbot widget lifecycle including:
-     * - UI rendering and interactions
-     * - Session and message state management
-     * - Communication with backend API
-     * - Message caching and restoration
-     * - Markdown rendering
+     * Top-level config keys accepted by the constructor in addition to the keys of `defaults`
+     * Anything else is reported with a console warning and ignored
      */
-    class ChatbotLiquidGlass {
-        /**
-         * Constructor - Initializes the chatbot widget
-         * 
-         * @param {Object} config - Configuration object
-         * @param {string} config.webhookUrl - Required: Backend webhook URL for API communication
-         * @param {string} [config.position='bottom-right'] - Widget position on screen
-         * @param {string} [config.title='AI Support'] - Header title
-         * @param {string} [config.subtitle='The Digital PO Box'] - Header subtitle
-         * @param {boolean} [config.soundsEnabled=true] - Enable/disable sound effects
-         * @param {boolean} [config.showBadge=true] - Show notification badge
-         * @throws {Error} If webhookUrl is missing or empty
-         */
-        constructor(config) {
-            // Auto-detect WordPress and use proxy if webhookUrl not provided
-            if (!config || !config.webhookUrl || config.webhookUrl.trim() === '') {
-                if (isWordPress()) {
-                    // WordPress detected - use the proxy endpoint
-                    const proxyUrl = getWordPressProxyUrl();
-                    console.log('🌐 WordPress detected - using proxy endpoint:', proxyUrl);
-                    config = config || {};
-                    config.webhookUrl = proxyUrl;
-                } else {
-                    // Not WordPress and no webhookUrl provided
-                    throw new Error('ChatbotLiquidGlass: webhookUrl is required. On WordPress, the proxy endpoint will be used automatically.');
-                }
-            }
-
-            // Merge user config with defaults
-            this.config = { ...defaults, ...config };
-            
-            // Initialize conversation state
-            // Tracks current step in the conversation flow and user selections
-            this.state = {
-                currentStep: '',          // Current conversation step (send_user_types, send_concern_categories, etc.)
-                session_id: '',          // Backend-generated session identifier
-                user_type: '',           // Selected user type (customer, partner, etc.)
-                concern_category: '',     // Selected concern category
-                question: '',             // User's question or selected question
-                askAnotherConfirmation: false,  // Flag to track if we're showing "Ask another question" Yes/No confirmation
-                locale: ''  // Locale will be extracted ONCE when chat icon is clicked, then used for all steps
-            };
-            
-            // UI state flags
-            this.isOpen = false;         // Whether the widget is currently open
-            this.isExpanded = false;     // Whether the widget is in fullscreen mode
-            this.soundsEnabled = config.soundsEnabled !== false; // Sound effects enabled by default
-            this.audioContext = null;    // Web Audio API context for sound effects
-            
-            // Initialize the widget
-            this.init();
-        }
+    const configKeys = ['webhookUrl', 'feedbackUrl', 'apiBaseUrl', 'brand', 'sounds', 'defaults'];
 
-        /**
-         * Initialize the chatbot widget
-         * 
-         * Sets up all components in the correct order:
-         * 1. Inject CSS styles into the page
-         * 2. Create and append widget DOM elements
-         * 3. Attach event listeners
-         * 4. Initialize audio system
-         * 5. Restore any existing session from storage
-         */
-        init() {
-            this.injectStyles();      // Add CSS styles to page
-            this.createWidget();      // Create widget DOM structure
-            this.attachEvents();      // Attach click handlers and event listeners
-            this.initAudio();         // Initialize Web Audio API for sounds
-            this.restoreSession();    // Restore session_id from sessionStorage if exists
-        }
+    /**
+     * Maps the documented config shape onto the flat internal config
+     * 
+     * Accepts both the README contract (`apiBaseUrl`, `contactPageUrl`, `brand`, `sounds`,
+     * `defaults`) and the legacy flat form (`webhookUrl`, `title`, `soundsEnabled`, ...).
+     * Explicit flat keys win over their nested equivalents.
+     * 
+     * @param {Object} config - Config object passed to ChatbotLiquidGlass.init()
+     * @returns {Object} Flat config with webhookUrl/feedbackUrl derived from apiBaseUrl when needed
+     */
+    function normalizeConfig(config) {
+        const input = config || {};
+        const normalized = {};
         
-        // ====================================================================
-        // SESSION MANAGEMENT METHODS
-        // ====================================================================
-        // These methods handle session_id storage and retrieval using sessionStorage
-        // Session ID persists across page refreshes within the same browser session
+        Object.keys(input).forEach(key => {
+            if (!(key in defaults) && !configKeys.includes(key)) {
+                console.warn(`ChatbotLiquidGlass: Unknown config option "${key}" will be ignored`);
+                return;
+            }
+            normalized[key] = input[key];
+        });
         
-        /**
-         * Retrieves the current session_id from sessionStorage
-         * 
-         * @returns {string} The session_id if found, empty string otherwise
-         */
-        getSessionId() {
-            return sessionStorage.getItem('chatbot_session_id') || '';
+        // apiBaseUrl derives the chat and feedback endpoints (POST /chat and POST /chat/feedback)
+        if (typeof input.apiBaseUrl === 'string' && input.apiBaseUrl.trim() !== '') {
+            const baseUrl = input.apiBaseUrl.trim().replace(/\/+$/, '');
+            if (!normalized.webhookUrl) normalized.webhookUrl = baseUrl + '/chat';
+            if (!normalized.feedbackUrl) normalized.feedbackUrl = baseUrl + '/chat/feedback';
         }
         
-        /**
-         * Saves the session_id to sessionStorage and updates internal state
-         * 
-         * @param {string} sessionId - The session_id to save
-         */
-        saveSessionId(sessionId) {
-            if (sessionId) {
-                sessionStorage.setItem('chatbot_session_id', sessionId);
-                this.state.session_id = sessionId;
+        // brand.* maps onto subtitle, colors and header avatar
+        const brand = input.brand || {};
+        const brandKeys = { name: 'subtitle', primaryColor: 'primaryColor', accentColor: 'accentColor',
+                            highlightColor: 'highlightColor', backgroundColor: 'backgroundColor', logoUrl: 'logoUrl' };
+        Object.keys(brand).forEach(key => {
+            if (!brandKeys[key]) {
+                console.warn(`ChatbotLiquidGlass: Unknown config option "brand.${key}" will be ignored`);
+            } else if (input[brandKeys[key]] === undefined && brand[key]) {
+                normalized[brandKeys[key]] = brand[key];
             }
-        }
+        });
         
-        /**
-         * Clears the session_id from both sessionStorage and internal state
-         * Used when starting a new conversation
-         */
-        clearSession() {
-            sessionStorage.removeItem('chatbot_session_id');
-            this.state.session_id = '';
+        // sounds.enabled / sounds.message map onto soundsEnabled / messageSoundUrl
+        const sounds = input.sounds || {};
+        Object.keys(sounds).forEach(key => {
+            if (key !== 'enabled' && key !== 'message') {
+                console.warn(`ChatbotLiquidGlass: Unknown config option "sounds.${key}" will be ignored`);
+            }
+        });
+        if (input.soundsEnabled === undefined && sounds.enabled !== undefined) {
+            normalized.soundsEnabled = sounds.enabled !== false;
         }
-        
-        // ====================================================================
-        // MESSAGE CACHING METHODS
-        // ====================================================================
-        // These methods handle local storage of messages for offline viewing
-        // and conversation restoration after page refresh
-        
-        /**
-         * Generates a cache key based on the current session_id
-         * Each session has its own cache key: 'chatbot_messages_{session_id}'
-         * 
-         * @returns {string|null} Cache key string or null if no session_id exists
-         */
-        getCacheKey() {
-            const sessionId = this.getSessionId();
-            return sessionId ? `chatbot_messages_${sessionId}` : null;
+        if (input.messageSoundUrl === undefined && sounds.message) {
+            normalized.messageSoundUrl = sounds.message;
         }
         
-        /**
-         * Saves a message to localStorage cache
-         * 
-         * Messages are stored per session and limited to the last 100 messages
-         * to prevent excessive storage usage.
-         * 
-         * @param {string} text - The message text content
-         * @param {boolean} isBot - Whether this is a bot message (true) or user message (false)
-         * @param {string|null} step - Optional: The conversation step when message was sent
-         * @param {Array|null} options - Optional: Options array to store with the message
-         */
-        saveMessageToCache(text, isBot, step = null, options = null) {
-            const cacheKey = this.getCacheKey();
-            if (!cacheKey) return; // No session_id means no caching
-            
-            try {
-                // Retrieve existing cached messages for this session
-                const cached = JSON.parse(localStorage.getItem(cacheKey) || '[]');
-                
-                // Add new message to cache with metadata
-                // Include state information for better restoration
-                cached.push({
-                    text: text,
-                    isBot: isBot,
-                    step: step || this.state.currentStep,
-                    timestamp: Date.now(),
-                    session_id: this.state.session_id,
-                    // Store state information for restoration
-                    user_type: this.state.user_type,
-                    concern_category: this.state.concern_category,
-                    question: this.state.question,
-                    // Store options if provided (for bot messages that have options)
-                    options: options || null
-                    // Step name is already stored above, which determines if rating UI should be shown
-                });
-                
-                // Keep only the last 100 messages to prevent storage bloat
-                const trimmed = cached.slice(-100);
-                localStorage.setItem(cacheKey, JSON.stringify(trimmed));
-            } catch (error) {
-                // Gracefully handle storage errors (quota exceeded, etc.)
-                console.warn('Failed to cache message:', error);
+        // defaults.locale / defaults.initialTopic map onto locale / initialTopic
+        const conversationDefaults = input.defaults || {};
+        Object.keys(conversationDefaults).forEach(key => {
+            if (key !== 'locale' && key !== 'initialTopic') {
+                console.warn(`ChatbotLiquidGlass: Unknown config option "defaults.${key}" will be ignored`);
             }
+        });
+        if (input.locale === undefined && conversationDefaults.locale) {
+            normalized.locale = conversationDefaults.locale;
         }
-        
-        /**
-         * Updates the last cached message to include feedback options for rating UI
-         * 
-         * @param {boolean} ratingEnabled - Whether rating UI should be shown (kept for compatibility, but step name is used)
-         * @param {Array} feedbackOptions - Array of feedback options for rating UI
-         * @param {string} ratingMessage - Optional rating message/label
-         */
-        updateLastCachedMessageRatingFlag(ratingEnabled, feedbackOptions = [], ratingMessage = null) {
-            const cacheKey = this.getCacheKey();
-            if (!cacheKey) return;
-            
-            try {
-                const cached = JSON.parse(localStorage.getItem(cacheKey) || '[]');
-                if (cached.length === 0) return;
-                
-                // Update the last message with feedback options
-                // Step name is already stored in msg.step, which determines if rating UI should be shown
-                const lastMsg = cached[cached.length - 1];
-                // Store feedback options separately (they're different from regular options)
-                if (ratingEnabled && feedbackOptions.length > 0) {
-                    lastMsg.feedback_options = feedbackOptions;
-                }
-                // Store rating message for cache restoration
-                if (ratingMessage !== null) {
-                    lastMsg.rating_message = ratingMessage;
-                }
-                
-                localStorage.setItem(cacheKey, JSON.stringify(cached));
-            } catch (error) {
-                console.warn('Failed to update cached message rating flag:', error);
-            }
+        if (input.initialTopic === undefined && conversationDefaults.initialTopic) {
+            normalized.initialTopic = conversationDefaults.initialTopic;
         }
         
-        /**
-         * Extracts locale from the browser URL
-         * 
-         * Supports multiple WordPress locale patterns:
-         * - Path-based: /en/page, /fr/page, /de/page
-         * - Query parameter: ?lang=en, ?locale=fr
-         * - Subdomain: en.example.com, fr.example.com
-         * 
-         * @returns {string} Locale code (e.g., 'en', 'fr', 'de') or 'en' as default
-         */
-        getLocaleFromURL() {
-            try {
-                const pathname = window.location.pathname;
-                const searchParams = new URLSearchParams(window.location.search);
-                
-                // 1. Check path-based locale (e.g., /en/page, /fr/page)
-                // Extract any 2-letter code immediately after the domain: /XX/
-                const pathMatch = pathname.match(/^\/([a-z]{2})(?:\/|$)/i);
-                if (pathMatch) {
-                    const locale = pathMatch[1].toLowerCase();
-                    // Return any 2-letter code found - no hardcoded validation
-                    return locale;
-                }
-                
-                // 2. Check query parameters (e.g., ?lang=en, ?locale=fr)
-                const langParam = searchParams.get('lang') || searchParams.get('locale') || searchParams.get('language');
-                if (langParam) {
-                    // Extract 2-letter code if full locale (e.g., 'en-US' -> 'en')
-                    const locale = langParam.toLowerCase().split('-')[0];
-                    if (locale.length === 2) {
-                        return locale;
-                    }
-                }
-                
-                // 3. Check subdomain (e.g., en.example.com, fr.example.com)
-                const hostname = window.location.hostname;
-                const subdomainMatch = hostname.match(/^([a-z]{2})\./i);
-                if (subdomainMatch) {
-                    const locale = subdomainMatch[1].toLowerCase();
-                    // Return any 2-letter code found - no hardcoded validation
-                    return locale;
-                }
-                
-                // 4. Check HTML lang attribute
-                const htmlLang = document.documentElement.lang;
-                if (htmlLang) {
-                    const locale = htmlLang.toLowerCase().split('-')[0];
-                    if (locale.length === 2) {
-                        return locale;
-                    }
-                }
-                
-                // STRICT: Return empty string if no locale found - NO FALLBACK
-                return '';
-            } catch (error) {
-                console.warn('Error extracting locale from URL:', error);
-                return ''; // STRICT: Return empty string on error - NO FALLBACK
-            }
-        }
+        // Nested objects have been flattened above
+        delete normalized.apiBaseUrl;
+        delete normalized.brand;
+        delete normalized.sounds;
+        delete normalized.defaults;
         
-        /**
-         * Retrieves cached messages for the current session
-         * 
-         * @returns {Array} Array of cached message objects, empty array if none found
-         */
-        getCachedMessages() {
-            const cacheKey = this.getCacheKey();
-            if (!cacheKey) return [];
-            
-            try {
-                const cached = localStorage.getItem(cacheKey);
-                if (cached) {
-                    return JSON.parse(cached);
+        return normalized;
+    }
+
+    // ====================================================================
+    // CONVERSATION FLOW
+    // ====================================================================
+    // Declares how each backend step is handled; the widget interprets it
+    // generically. Per step:
+    //   selects      - State field the chosen option writes (option id, or option_value
+    //                  when selectValue is 'value')
+    //   clears       - State fields emptied when an option is chosen
+    //   next         - Step requested after an option is chosen (an option's next_step wins)
+    //   fields       - State fields sent with a request for this step, besides step,
+    //                  session_id and locale
+    //   textInput    - Whether the input is enabled when the backend omits
+    //                  text_input_enabled: boolean, (state) => boolean, or 'always'
+    //                  to ignore the backend
+    //   input        - Where typed text goes: { field, next } (defaults to question → send_query_answer)
+    //   lock         - State field that, once set, disables this step's options in the history
+    //                  (defaults to `selects`)
+    //   label        - User message shown when an option's value is this step's name
+    //   history      - Whether requests for this step carry the conversation history
+    //                  (see config.history)
+    //   resend       - Whether the step is requested again when the user switches the
+    //                  language while it is the current one (default true)
+    //   defaultOptions - Options shown when a streamed reply is stopped before the backend
+    //                  sent its own: [{ id, label (UI string key), next_step }]
+    //   routes       - Overrides for specific option ids, merged over the step definition
+
+    /** State fields sent with steps that declare no `fields` */
+    const DEFAULT_REQUEST_FIELDS = ['user_type', 'concern_category', 'question'];
+
+    /** Where typed text goes at steps that declare no `input` */
+    const DEFAULT_TEXT_INPUT = { field: 'question', next: 'send_query_answer' };
+
+    const DEFAULT_FLOW = {
+        send_user_types: {
+            label: 'Start Chat',
+            selects: 'user_type',
+            next: 'send_concern_categories',
+            fields: [],
+            textInput: false
+        },
+        send_concern_categories: {
+            label: 'Select Concern',
+            selects: 'concern_category',
+            clears: ['question'],
+            next: 'send_top_questions',
+            fields: ['user_type'],    // A new question starts without the previous category
+            textInput: false
+        },
+        send_top_questions: {
+            label: 'Select Question',
+            selects: 'question',
+            selectValue: 'value',
+            next: 'send_query_answer',
+            fields: ['user_type', 'concern_category'],
+            textInput: (state) => state.concern_category === 'something_else',
+            routes: {
+                // Free text mode - the backend answers with the something_else prompt
+                something_else: {
+                    selects: 'concern_category',
+                    selectValue: 'id',
+                    clears: ['question'],
+                    next: 'send_top_questions'
                 }
-            } catch (error) {
-                console.warn('Failed to load cached messages:', error);
             }
-            
-            return [];
+        },
+        send_query_answer: {
+            label: 'Ask Question',
+            next: 'send_query_answer',
+            lock: 'question',
+            history: true,            // Follow-ups need the earlier questions and answers
+            textInput: 'always',      // Follow-up questions about the same topic
+            resend: false,            // Asking the AI again costs a model call and may change the answer
+            defaultOptions: [
+                { id: 'ask_another', label: 'askAnother', next_step: 'send_concern_categories' },
+                { id: 'talk_to_human', label: 'humanSupport', next_step: 'redirect_to_human_support' },
+                { id: 'end_chat', label: 'endChat', next_step: 'send_rating' }
+            ]
+        },
+        redirect_to_human_support: {
+            label: 'Talk to Human',
+            next: 'redirect_to_human_support',
+            resend: false             // Each request records a handoff
+        },
+        live_agent: {
+            textInput: 'always',      // In-panel conversation with a human agent (config.liveAgent)
+            resend: false
+        },
+        send_rating: {},
+        send_ai_disclaimer: {
+            label: 'Send AI Disclaimer',
+            resend: false             // Sent with the rating, which is not part of the step's fields
         }
-        
-        /**
-         * Restores cached messages to the UI
-         * 
-         * Called when starting a chat if cached messages exist for the current session.
-         * Restores both the message display and the conversation state.
-         * 
-         * @returns {boolean} True if messages were restored, false if cache was empty
-         */
-        restoreMessagesFromCache() {
-            const cachedMessages = this.getCachedMessages();
-            if (cachedMessages.length === 0) return false;
-            
-            // First, restore all state information from cached messages (look backwards to find latest values)
-            // This must be done BEFORE restoring messages so that options have correct state context
-            for (let i = cachedMessages.length - 1; i >= 0; i--) {
-                const msg = cachedMessages[i];
-                if (msg.session_id && !this.state.session_id) {
-                    this.state.session_id = msg.session_id;
-                    this.saveSessionId(msg.session_id);
-                }
-                if (msg.user_type && !this.state.user_type) {
-                    this.state.user_type = msg.user_type;
-                }
-                if (msg.concern_category && !this.state.concern_category) {
-                    this.state.concern_category = msg.concern_category;
-                }
-                if (msg.question && !this.state.question) {
-                    this.state.question = msg.question;
-                }
-                if (msg.step && !this.state.currentStep) {
-                    this.state.currentStep = msg.step;
-                }
-            }
-            
-            // Restore session_id from the first cached message if not already set
-            if (cachedMessages.length > 0 && cachedMessages[0].session_id && !this.state.session_id) {
-                this.state.session_id = cachedMessages[0].session_id;
-                this.saveSessionId(cachedMessages[0].session_id);
-            }
-            
-            // Restore each cached message to the UI
-            // Pass false to saveToCache to avoid re-caching already cached messages
-            cachedMessages.forEach((msg, index) => {
-                const container = this.addMessage(msg.text, msg.isBot, false);
-                
-                // Check if this message should have rating UI (not regular options)
-                // Check by step name (send_rating step shows rating UI)
-                if (msg.step === 'send_rating' && msg.feedback_options && Array.isArray(msg.feedback_options) && msg.feedback_options.length > 0) {
-                    // Restore rating UI instead of regular options
-                    // This is for the "send_rating" step
-                    this.addRatingUI(msg.feedback_options, msg.rating_message || null);
-                } else if (msg.options && Array.isArray(msg.options) && msg.options.length > 0) {
-                    // Restore regular options (not rating UI)
-                    // Options are restored AFTER state is set, so they have correct context
-                    // Temporarily set currentStep to the message's step so addOptions knows which step these options belong to
-                    const originalStep = this.state.currentStep;
-                    if (msg.step) {
-                        this.state.currentStep = msg.step;
-                    }
-                    // Temporarily disable the history check to avoid checking before all messages are restored
-                    this.addOptions(msg.options, false);
-                    // Restore the original step after adding options
-                    this.state.currentStep = originalStep;
-                }
-            });
-            
-            // After ALL messages are restored, disable any previously selected options in the entire chat history
-            // This ensures that options from earlier steps are properly disabled based on the full state
-            this.disableSelectedOptionsInHistory();
-            
-            // Always set current step from the last message (most recent step)
-            // This ensures we have the correct step even if earlier messages had different steps
-            if (cachedMessages.length > 0) {
-                const lastMsg = cachedMessages[cachedMessages.length - 1];
-                if (lastMsg.step) {
-                    this.state.currentStep = lastMsg.step;
-                }
-                
-                // Special case: If any message has send_ai_disclaimer step, prioritize it
-                // This ensures "Start Over" button is shown even if there are messages after disclaimer
-                // (though disclaimer should typically be the last message)
-                for (let i = cachedMessages.length - 1; i >= 0; i--) {
-                    if (cachedMessages[i].step === 'send_ai_disclaimer') {
-                        this.state.currentStep = 'send_ai_disclaimer';
-                        break; // Use the most recent disclaimer step
-                    }
-                }
+    };
+
+    /**
+     * Merges config.flow over the default flow
+     * 
+     * Each step of config.flow is merged over the default definition of that step;
+     * `null` removes a step. Unknown steps are added as they are.
+     * 
+     * @param {Object|null} custom - Step → definition overrides from config.flow
+     * @returns {Object} Step → definition table used by the widget
+     */
+    function resolveFlow(custom) {
+        const flow = { ...DEFAULT_FLOW };
+        Object.keys(custom || {}).forEach(step => {
+            if (custom[step] === null) {
+                delete flow[step];
+            } else {
+                flow[step] = { ...flow[step], ...custom[step] };
             }
-            
+        });
+        return flow;
+    }
+
+    // ====================================================================
+    // DEEP LINKS
+    // ====================================================================
+    // Links that open the widget and skip the steps they already answer:
+    // ?chatbot=open&chatbot_user_type=customer&chatbot_topic=pricing&chatbot_q=...,
+    // #chatbot (optionally #chatbot?chatbot_topic=pricing) and data-chatbot-* attributes
+
+    /** URL parameter of each deep link field */
+    const DEEP_LINK_PARAMS = {
+        open: 'chatbot',
+        userType: 'chatbot_user_type',
+        topic: 'chatbot_topic',
+        question: 'chatbot_q'
+    };
+
+    /** Elements whose click opens the widget (see readDeepLinkElement) */
+    const DEEP_LINK_SELECTOR = '[data-chatbot], [data-chatbot-user-type], [data-chatbot-topic], [data-chatbot-q], a[href^="#chatbot"]';
+
+    /**
+     * Builds a deep link from raw field values
+     *
+     * @param {Object} fields - open, userType, topic and question as found in the link
+     * @returns {{open: string, userType: string, topic: string, question: string}|null}
+     *          Null if the link neither opens the widget nor answers a step
+     */
+    function createDeepLink(fields) {
+        const link = {
+            open: String(fields.open || '').trim().toLowerCase(),
+            userType: String(fields.userType || '').trim(),
+            topic: String(fields.topic || '').trim(),
+            question: String(fields.question || '').trim()
+        };
+        const answersStep = link.userType || link.topic || link.question;
+        if (!answersStep && link.open !== 'open' && link.open !== 'expand') return null;
+        // Any step answered by the link implies opening
+        if (link.open !== 'expand') link.open = 'open';
+        return link;
+    }
+
+    /**
+     * Reads a deep link from URL parameters
+     *
+     * @param {URLSearchParams} params - Query string (or the part of the hash after #chatbot)
+     * @returns {Object|null} Deep link (see createDeepLink)
+     */
+    function readDeepLinkParams(params) {
+        const fields = {};
+        Object.keys(DEEP_LINK_PARAMS).forEach(field => {
+            fields[field] = params.get(DEEP_LINK_PARAMS[field]);
+        });
+        return createDeepLink(fields);
+    }
+
+    /**
+     * Reads a deep link from a #chatbot hash
+     *
+     * @param {string} hash - location.hash or a link's href, e.g. '#chatbot?chatbot_topic=pricing'
+     * @returns {Object|null} Deep link (see createDeepLink)
+     */
+    function readDeepLinkHash(hash) {
+        const match = String(hash || '').match(/^#chatbot(?:[?&](.*))?$/);
+        if (!match) return null;
+        const params = new URLSearchParams(match[1] || '');
+        if (!params.has(DEEP_LINK_PARAMS.open)) params.set(DEEP_LINK_PARAMS.open, 'open');
+        return readDeepLinkParams(params);
+    }
+
+    /**
+     * Reads a deep link from the data-chatbot-* attributes of a page element
+     *
+     * data-chatbot="open|expand", data-chatbot-user-type, data-chatbot-topic and data-chatbot-q;
+     * an <a href="#chatbot..."> without attributes is read as a hash link.
+     *
+     * @param {Element} element - Element matching DEEP_LINK_SELECTOR
+     * @returns {Object|null} Deep link (see createDeepLink)
+     */
+    function readDeepLinkElement(element) {
+        const data = element.dataset;
+        const hasAttributes = ['chatbot', 'chatbotUserType', 'chatbotTopic', 'chatbotQ'].some(key => key in data);
+        if (!hasAttributes) return readDeepLinkHash(element.getAttribute('href'));
+        return createDeepLink({
+            open: data.chatbot || 'open',
+            userType: data.chatbotUserType,
+            topic: data.chatbotTopic,
+            question: data.chatbotQ
+        });
+    }
+
+    // ====================================================================
+    // ENGAGEMENT TRIGGERS
+    // ====================================================================
+    // Rules of the `triggers` option that show a teaser next to the launcher or
+    // open the panel on their own. A rule fires once all of its conditions hold:
+    // { url, pageViews, seconds, scroll, exitIntent, action, teaser }
+
+    /** localStorage key of the frequency cap: { shown: [timestamps], dismissed: boolean } */
+    const TRIGGER_STORAGE_KEY = 'chatbot_triggers';
+
+    /** sessionStorage key counting the pages viewed with the widget this session */
+    const PAGE_VIEWS_STORAGE_KEY = 'chatbot_page_views';
+
+    /**
+     * Normalizes config.triggers
+     *
+     * @param {Array|Object|null} triggers - Array of rules, or { rules, frequency }
+     * @returns {{rules: Array<Object>, frequency: {max: number, days: number}}|null}
+     *          Null when no rule is configured
+     */
+    function resolveTriggers(triggers) {
+        const options = Array.isArray(triggers) ? { rules: triggers } : (triggers || {});
+        const rules = (options.rules || []).filter(rule => rule && typeof rule === 'object');
+        if (rules.length === 0) return null;
+        return {
+            rules: rules,
+            frequency: { max: 1, days: 1, ...options.frequency }
+        };
+    }
+
+    /**
+     * Tests a rule's `url` condition against the current page
+     *
+     * @param {string|RegExp|Function|Array} pattern - Substring of the path, RegExp tested
+     *        against the full URL, (location) => boolean, or an array matching if any entry does
+     * @returns {boolean}
+     */
+    function matchesUrlPattern(pattern) {
+        if (Array.isArray(pattern)) return pattern.some(matchesUrlPattern);
+        if (pattern instanceof RegExp) return pattern.test(window.location.href);
+        if (typeof pattern === 'function') return !!pattern(window.location);
+        return window.location.pathname.indexOf(String(pattern)) !== -1;
+    }
+
+    /**
+     * How far the page has been scrolled
+     *
+     * @returns {number} Percentage of the page height above the bottom of the viewport (0-100)
+     */
+    function getScrollPercent() {
+        const scrollHeight = document.documentElement.scrollHeight;
+        if (!scrollHeight) return 100;
+        const seen = (window.scrollY || window.pageYOffset || 0) + window.innerHeight;
+        return Math.min(100, (seen / scrollHeight) * 100);
+    }
+
+    // ====================================================================
+    // LIVE AGENT
+    // ====================================================================
+    // Handoff to a human agent inside the panel (the `liveAgent` option). The widget
+    // posts { action, session_id, conversation_id, ... } to liveAgent.endpoint:
+    //   start   → { conversation_id, online, events, cursor }
+    //   poll    → { events, cursor }                (mode 'poll')
+    //   stream  → SSE / NDJSON of events             (mode 'stream')
+    //   message → sends the user's text, end → the user left
+    // Events: { type: 'queue', position, wait } | { type: 'agent', name, avatar } |
+    //         { type: 'message', text } | { type: 'closed' }
+
+    /** Defaults merged under config.liveAgent */
+    const LIVE_AGENT_DEFAULTS = {
+        endpoint: '',                     // URL receiving the live agent actions
+        mode: 'poll',                     // 'poll' every pollInterval ms, or 'stream' events
+        pollInterval: 3000,               // Poll period, and the reconnect delay of streams
+        hours: null,                      // { timezone, days: { mon: '09:00-17:00', ... } }; no rule means always open
+        offlineMessage: null,             // Shown when nobody is online (the agentOffline UI string by default)
+        contactFormUrl: null              // Linked when nobody is online (contactPageUrl by default)
+    };
+
+    /** Weekday keys of business hours, in Date#getDay() order */
+    const BUSINESS_DAYS = ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'];
+
+    /**
+     * Whether a moment falls inside business hours
+     *
+     * @param {Object|null} hours - { timezone, days }: days maps 'mon'...'sun' to a range
+     *        like '09:00-17:00' or an array of ranges; missing days are closed. A range ending
+     *        before it starts ('22:00-06:00') runs past midnight into the next day
+     * @param {Date} [now=new Date()]
+     * @returns {boolean} True when open, or when no hours are configured
+     */
+    function isWithinBusinessHours(hours, now = new Date()) {
+        if (!hours || !hours.days) return true;
+
+        let weekday;
+        let minutes;
+        try {
+            const parts = new Intl.DateTimeFormat('en-US', {
+                timeZone: hours.timezone || undefined,
+                weekday: 'short',
+                hour: '2-digit',
+                minute: '2-digit',
+                hourCycle: 'h23'
+            }).formatToParts(now);
+            const part = (type) => (parts.find(candidate => candidate.type === type) || {}).value;
+            weekday = BUSINESS_DAYS.find(day => part('weekday').toLowerCase().indexOf(day) === 0);
+            minutes = (parseInt(part('hour'), 10) % 24) * 60 + parseInt(part('minute'), 10);
+        } catch (error) {
+            console.warn('ChatbotLiquidGlass: Invalid business hours timezone:', hours.timezone);
             return true;
         }
+
+        const parseRanges = (day) => [].concat(hours.days[day] || []).map(range => {
+            const match = String(range).match(/^(\d{1,2}):(\d{2})\s*-\s*(\d{1,2}):(\d{2})$/);
+            if (!match) return null;
+            return {
+                from: parseInt(match[1], 10) * 60 + parseInt(match[2], 10),
+                to: parseInt(match[3], 10) * 60 + parseInt(match[4], 10)
+            };
+        }).filter(Boolean);
         
-        /**
-         * Clears all cached messages for the current session
-         * Used when starting a new conversation or resetting the chat
-         */
-        clearMessageCache() {
-            const cacheKey = this.getCacheKey();
-            if (cacheKey) {
-                localStorage.removeItem(cacheKey);
-            }
+        // Overnight ranges of the previous day are still open until their end this morning
+        const yesterday = BUSINESS_DAYS[(BUSINESS_DAYS.indexOf(weekday) + 6) % 7];
+        return parseRanges(weekday).some(({ from, to }) => from < to
+            ? minutes >= from && minutes < to
+            : from > to && minutes >= from
+        ) || parseRanges(yesterday).some(({ from, to }) => from > to && minutes < to);
+    }
+
+
+    // ====================================================================
+    // HUMAN SUPPORT
+    // ====================================================================
+    // Channels behind the header's human support button (the `humanSupport` option).
+    // Each channel has a type, an optional label and optional opening hours:
+    //   { type: 'url', url }                  contact page, opened in a new tab
+    //   { type: 'email', address, subject }   mailto: link
+    //   { type: 'phone', number }             tel: link
+    //   { type: 'whatsapp', number, text }    wa.me chat, opened in a new tab
+    //   { type: 'form' }                      contact form inside the chat
+    //   { type: 'agent' }                     live agent handoff (requires liveAgent)
+
+    /** Defaults merged under config.humanSupport; texts left null come from the UI strings */
+    const HUMAN_SUPPORT_DEFAULTS = {
+        channels: [],                     // Channel list, see above
+        label: null,                      // Button title while a channel is available
+        whenClosed: 'relabel',            // No channel available: 'relabel' the button, or 'hide' it
+        closedLabel: null,                // Button title when relabelled
+        closedMessage: null,              // Shown when the relabelled button is clicked
+        formMessage: null,                // Bot message above the contact form
+        formSentMessage: null             // Bot message once the form was sent
+    };
+
+    /** UI string of the menu label of channels without a `label`, by channel type */
+    const SUPPORT_CHANNEL_LABELS = {
+        url: 'channelUrl',
+        email: 'channelEmail',
+        phone: 'channelPhone',
+        whatsapp: 'channelWhatsapp',
+        form: 'channelForm',
+        agent: 'channelAgent'
+    };
+
+    /**
+     * Normalizes config.humanSupport
+     *
+     * Without the option the button keeps its former behavior: the live agent when
+     * one is configured, the contact page otherwise.
+     *
+     * @param {Object|Array|boolean|null} humanSupport - Options, a channel list, or false for no button
+     * @param {Object} config - Widget config, for contactPageUrl and liveAgent
+     * @returns {Object} HUMAN_SUPPORT_DEFAULTS with normalized channels ({ id, type, hours, ... })
+     */
+    function resolveHumanSupport(humanSupport, config) {
+        if (humanSupport === false) {
+            return { ...HUMAN_SUPPORT_DEFAULTS };
         }
-        
-        /**
-         * Restores session_id from sessionStorage on initialization
-         * 
-         * Called during init() to restore any existing session from a previous
-         * page load within the same browser session.
-         */
-        restoreSession() {
-            const savedSessionId = this.getSessionId();
-            if (savedSessionId) {
-                this.state.session_id = savedSessionId;
+        const options = Array.isArray(humanSupport) ? { channels: humanSupport } : (humanSupport || {});
+        const resolved = { ...HUMAN_SUPPORT_DEFAULTS, ...options };
+        let channels = options.channels;
+        if (!channels || !channels.length) {
+            channels = config.liveAgent
+                ? [{ type: 'agent' }]
+                : (config.contactPageUrl ? [{ type: 'url', url: config.contactPageUrl }] : []);
+        }
+
+        resolved.channels = channels.filter(channel => {
+            if (!channel || !SUPPORT_CHANNEL_LABELS[channel.type]) {
+                console.warn('ChatbotLiquidGlass: Unknown human support channel ignored:', channel);
+                return false;
+            }
+            if (channel.type === 'agent' && !config.liveAgent) {
+                console.warn('ChatbotLiquidGlass: The "agent" human support channel requires the liveAgent option');
+                return false;
             }
+            // The knowledge base would answer the form and drop the contact data
+            if (channel.type === 'form' && !config.webhookUrl && !config.transport) {
+                console.warn('ChatbotLiquidGlass: The "form" human support channel requires a backend (apiBaseUrl, webhookUrl or transport)');
+                return false;
+            }
+            return true;
+        }).map(channel => ({
+            ...channel,
+            id: channel.id || channel.type,
+            hours: channel.hours || (channel.type === 'agent' ? config.liveAgent.hours : null)
+        }));
+        return resolved;
+    }
+
+    /**
+     * Link a human support channel opens
+     *
+     * @param {Object} channel - Normalized channel
+     * @returns {string} URL, mailto: or tel: link; empty for the form and agent channels
+     */
+    function getSupportChannelHref(channel) {
+        switch (channel.type) {
+            case 'url':
+                return channel.url || '';
+            case 'email':
+                return `mailto:${channel.address || ''}` + (channel.subject ? `?subject=${encodeURIComponent(channel.subject)}` : '');
+            case 'phone':
+                return `tel:${String(channel.number || '').replace(/[^\d+]/g, '')}`;
+            case 'whatsapp':
+                return `https://wa.me/${String(channel.number || '').replace(/\D/g, '')}` + (channel.text ? `?text=${encodeURIComponent(channel.text)}` : '');
+            default:
+                return '';
         }
+    }
 
-        // ====================================================================
-        // AUDIO SYSTEM METHODS
-        // ====================================================================
-        // Handles sound effects using Web Audio API
-        
-        /**
-         * Initializes the Web Audio API context for sound effects
-         * 
-         * Creates an AudioContext that will be used to generate sound effects
-         * for user interactions. Falls back gracefully if Web Audio API is not supported.
-         */
-        initAudio() {
+    // ====================================================================
+    // UI STRINGS
+    // ====================================================================
+    // The widget's own copy (buttons, placeholders, titles, status and error texts),
+    // by language; conversation content is localized by the backend. Messages may
+    // contain {placeholders}, and may be plural forms: { one, other, ... } chosen with
+    // Intl.PluralRules for the `count` parameter, or an exact match such as '=0'.
+    // The `messages` option adds languages or overrides single keys.
+
+    const UI_MESSAGES = {
+        en: {
+            // Header and launcher
+            back: 'Back',
+            humanSupport: 'Get Human Support',
+            language: 'Change language',
+            expand: 'Expand to fullscreen',
+            openChat: 'Open chat',
+            collapse: 'Collapse',
+            close: 'Close',
+            dismiss: 'Dismiss',
+            teaser: 'Hi! Can I help you with anything?',
+            // Footer
+            startChat: 'Start Chat',
+            startOver: 'Start Over',
+            retry: 'Retry',
+            loading: 'Loading...',
+            selectOption: 'Please select an option above',
+            inputPlaceholder: 'Type your question...',
+            inputLabel: 'Your question',
+            send: 'Send',
+            stop: 'Stop',
+            stopTitle: 'Stop generating',
+            // Conversation
+            edit: 'Edit',
+            editTitle: 'Change this answer',
+            askAnother: 'Ask another question',
+            askAnotherConfirm: 'Ask another question?',
+            yes: 'Yes',
+            no: 'No',
+            endChat: 'End chat',
+            conversation: 'Conversation',
+            typing: 'Assistant is typing',
+            // Errors
+            errorTimeout: 'The server is taking too long to respond. Please try again.',
+            errorNetwork: 'Connection error. Please check your network and try again.',
+            errorParse: 'Invalid response from server. Please try again.',
+            errorRateLimit: 'Too many requests. Please wait a moment and try again.',
+            errorUnavailable: 'Service temporarily unavailable. Please try again in a few moments.',
+            errorMaintenance: 'Service is temporarily down for maintenance. Please try again later.',
+            errorServer: 'Server error. Please try again later.',
+            errorGeneric: 'Failed to load. Please try again.',
+            errorConnect: 'Unable to connect. Please refresh and try again.',
+            errorNotInitialized: 'Error: Widget not initialized',
+            errorNoEndpoint: 'Error: Webhook URL not configured',
+            errorNoDisclaimer: 'Error: Disclaimer not loaded. Please refresh.',
+            errorNoMessage: 'Error: No message received. Please try again.',
+            // Rating
+            ratingSubmit: 'Submit Rating',
+            ratingLabel: 'Rate this conversation',
+            ratingStar: { one: '{count} star out of 5', other: '{count} stars out of 5' },
+            ratingPerfect: 'Perfect',
+            ratingIncomplete: 'Incomplete answer',
+            ratingOther: 'Other',
+            feedbackPlaceholder: 'Please provide your feedback (required)',
+            feedbackRequired: 'Please provide feedback (required)',
+            noFeedbackOptions: 'No feedback options available',
+            submitting: 'Submitting...',
+            submitted: '✓ Submitted',
+            submitError: 'Error - Try Again',
+            // Live agent
+            agentConnecting: 'Connecting you to an agent...',
+            agentWaiting: 'Waiting for an agent...',
+            agentQueue: 'You are number {position} in the queue',
+            agentWaitShort: 'less than a minute',
+            agentWaitMinutes: { one: 'about {count} minute', other: 'about {count} minutes' },
+            agentChatting: 'You are chatting with {name}',
+            agentJoined: '{name} joined the conversation',
+            agentLeft: '{name} has left the conversation',
+            agentName: 'Support agent',
+            agentGenericName: 'The agent',
+            agentUserLeft: 'You left the live chat',
+            agentLabel: 'Live agent',
+            agentOffline: 'Our team is not available right now. Leave us a message and we will get back to you.',
+            agentContactForm: 'Open the contact form',
+            agentResumed: 'You are chatting with the bot again. Ask me anything else, or end the chat.',
+            // Human support
+            supportClosed: 'Human support is closed right now',
+            supportClosedMessage: 'Our team is not available right now. Please come back during our opening hours.',
+            supportFormMessage: 'Leave your details and we will get back to you.',
+            supportFormSent: 'Thank you! We will get back to you soon.',
+            supportName: 'Your name',
+            supportEmail: 'Your email (required)',
+            supportMessage: 'How can we help? (required)',
+            supportSent: '✓ Sent',
+            channelUrl: 'Contact page',
+            channelEmail: 'Email us',
+            channelPhone: 'Call us',
+            channelWhatsapp: 'WhatsApp',
+            channelForm: 'Leave a message',
+            channelAgent: 'Chat with an agent'
+        },
+        de: {
+            back: 'Zurück',
+            humanSupport: 'Persönlichen Support kontaktieren',
+            language: 'Sprache ändern',
+            expand: 'Vollbild',
+            openChat: 'Chat öffnen',
+            collapse: 'Verkleinern',
+            close: 'Schließen',
+            dismiss: 'Ausblenden',
+            teaser: 'Hallo! Kann ich Ihnen weiterhelfen?',
+            startChat: 'Chat starten',
+            startOver: 'Neu beginnen',
+            retry: 'Erneut versuchen',
+            loading: 'Wird geladen...',
+            selectOption: 'Bitte wählen Sie oben eine Option',
+            inputPlaceholder: 'Ihre Frage...',
+            inputLabel: 'Ihre Frage',
+            send: 'Senden',
+            stop: 'Stopp',
+            stopTitle: 'Antwort abbrechen',
+            edit: 'Ändern',
+            editTitle: 'Diese Antwort ändern',
+            askAnother: 'Weitere Frage stellen',
+            askAnotherConfirm: 'Möchten Sie eine weitere Frage stellen?',
+            yes: 'Ja',
+            no: 'Nein',
+            endChat: 'Chat beenden',
+            conversation: 'Unterhaltung',
+            typing: 'Der Assistent schreibt',
+            errorTimeout: 'Der Server antwortet nicht rechtzeitig. Bitte versuchen Sie es erneut.',
+            errorNetwork: 'Verbindungsfehler. Bitte prüfen Sie Ihre Internetverbindung und versuchen Sie es erneut.',
+            errorParse: 'Ungültige Antwort vom Server. Bitte versuchen Sie es erneut.',
+            errorRateLimit: 'Zu viele Anfragen. Bitte warten Sie einen Moment und versuchen Sie es erneut.',
+            errorUnavailable: 'Der Dienst ist vorübergehend nicht verfügbar. Bitte versuchen Sie es gleich noch einmal.',
+            errorMaintenance: 'Der Dienst wird gerade gewartet. Bitte versuchen Sie es später erneut.',
+            errorServer: 'Serverfehler. Bitte versuchen Sie es später erneut.',
+            errorGeneric: 'Laden fehlgeschlagen. Bitte versuchen Sie es erneut.',
+            errorConnect: 'Keine Verbindung möglich. Bitte laden Sie die Seite neu und versuchen Sie es erneut.',
+            errorNotInitialized: 'Fehler: Widget nicht initialisiert',
+            errorNoEndpoint: 'Fehler: Webhook-URL nicht konfiguriert',
+            errorNoDisclaimer: 'Fehler: Hinweis nicht geladen. Bitte laden Sie die Seite neu.',
+            errorNoMessage: 'Fehler: Keine Nachricht erhalten. Bitte versuchen Sie es erneut.',
+            ratingSubmit: 'Bewertung senden',
+            ratingLabel: 'Bewerten Sie dieses Gespräch',
+            ratingStar: { one: '{count} von 5 Sternen', other: '{count} von 5 Sternen' },
+            ratingPerfect: 'Perfekt',
+            ratingIncomplete: 'Unvollständige Antwort',
+            ratingOther: 'Sonstiges',
+            feedbackPlaceholder: 'Bitte geben Sie Ihr Feedback ein (erforderlich)',
+            feedbackRequired: 'Bitte geben Sie Feedback ein (erforderlich)',
+            noFeedbackOptions: 'Keine Feedback-Optionen verfügbar',
+            submitting: 'Wird gesendet...',
+            submitted: '✓ Gesendet',
+            submitError: 'Fehler - erneut versuchen',
+            agentConnecting: 'Sie werden mit einem Mitarbeiter verbunden...',
+            agentWaiting: 'Warten auf einen Mitarbeiter...',
+            agentQueue: 'Sie sind Nummer {position} in der Warteschlange',
+            agentWaitShort: 'weniger als eine Minute',
+            agentWaitMinutes: { one: 'etwa {count} Minute', other: 'etwa {count} Minuten' },
+            agentChatting: 'Sie chatten mit {name}',
+            agentJoined: '{name} ist dem Gespräch beigetreten',
+            agentLeft: '{name} hat das Gespräch verlassen',
+            agentName: 'Support-Mitarbeiter',
+            agentGenericName: 'Der Mitarbeiter',
+            agentUserLeft: 'Sie haben den Live-Chat verlassen',
+            agentLabel: 'Live-Support',
+            agentOffline: 'Unser Team ist gerade nicht erreichbar. Hinterlassen Sie uns eine Nachricht, wir melden uns bei Ihnen.',
+            agentContactForm: 'Zum Kontaktformular',
+            agentResumed: 'Sie chatten wieder mit dem Bot. Fragen Sie mich etwas anderes oder beenden Sie den Chat.',
+            supportClosed: 'Der persönliche Support ist gerade geschlossen',
+            supportClosedMessage: 'Unser Team ist gerade nicht erreichbar. Bitte kommen Sie während unserer Öffnungszeiten wieder.',
+            supportFormMessage: 'Hinterlassen Sie Ihre Kontaktdaten, wir melden uns bei Ihnen.',
+            supportFormSent: 'Vielen Dank! Wir melden uns in Kürze bei Ihnen.',
+            supportName: 'Ihr Name',
+            supportEmail: 'Ihre E-Mail-Adresse (erforderlich)',
+            supportMessage: 'Wie können wir helfen? (erforderlich)',
+            supportSent: '✓ Gesendet',
+            channelUrl: 'Kontaktseite',
+            channelEmail: 'E-Mail schreiben',
+            channelPhone: 'Anrufen',
+            channelWhatsapp: 'Per WhatsApp schreiben',
+            channelForm: 'Nachricht hinterlassen',
+            channelAgent: 'Mit einem Mitarbeiter chatten'
+        },
+        fr: {
+            back: 'Retour',
+            humanSupport: 'Contacter le support',
+            language: 'Changer de langue',
+            expand: 'Plein écran',
+            openChat: 'Ouvrir le chat',
+            collapse: 'Réduire',
+            close: 'Fermer',
+            dismiss: 'Masquer',
+            teaser: 'Bonjour ! Puis-je vous aider ?',
+            startChat: 'Démarrer le chat',
+            startOver: 'Recommencer',
+            retry: 'Réessayer',
+            loading: 'Chargement...',
+            selectOption: 'Veuillez choisir une option ci-dessus',
+            inputPlaceholder: 'Posez votre question...',
+            inputLabel: 'Votre question',
+            send: 'Envoyer',
+            stop: 'Arrêter',
+            stopTitle: 'Arrêter la réponse',
+            edit: 'Modifier',
+            editTitle: 'Modifier cette réponse',
+            askAnother: 'Poser une autre question',
+            askAnotherConfirm: 'Voulez-vous poser une autre question ?',
+            yes: 'Oui',
+            no: 'Non',
+            endChat: 'Terminer le chat',
+            conversation: 'Conversation',
+            typing: 'L\'assistant écrit',
+            errorTimeout: 'Le serveur met trop de temps à répondre. Veuillez réessayer.',
+            errorNetwork: 'Erreur de connexion. Vérifiez votre réseau et réessayez.',
+            errorParse: 'Réponse du serveur invalide. Veuillez réessayer.',
+            errorRateLimit: 'Trop de demandes. Patientez un instant et réessayez.',
+            errorUnavailable: 'Service momentanément indisponible. Veuillez réessayer dans quelques instants.',
+            errorMaintenance: 'Le service est en maintenance. Veuillez réessayer plus tard.',
+            errorServer: 'Erreur du serveur. Veuillez réessayer plus tard.',
+            errorGeneric: 'Échec du chargement. Veuillez réessayer.',
+            errorConnect: 'Connexion impossible. Actualisez la page et réessayez.',
+            errorNotInitialized: 'Erreur : widget non initialisé',
+            errorNoEndpoint: 'Erreur : URL du webhook non configurée',
+            errorNoDisclaimer: 'Erreur : avertissement non chargé. Veuillez actualiser la page.',
+            errorNoMessage: 'Erreur : aucun message reçu. Veuillez réessayer.',
+            ratingSubmit: 'Envoyer la note',
+            ratingLabel: 'Évaluez cette conversation',
+            ratingStar: { one: '{count} étoile sur 5', other: '{count} étoiles sur 5' },
+            ratingPerfect: 'Parfait',
+            ratingIncomplete: 'Réponse incomplète',
+            ratingOther: 'Autre',
+            feedbackPlaceholder: 'Merci de préciser votre avis (obligatoire)',
+            feedbackRequired: 'Merci de préciser votre avis (obligatoire)',
+            noFeedbackOptions: 'Aucune option disponible',
+            submitting: 'Envoi...',
+            submitted: '✓ Envoyé',
+            submitError: 'Erreur - réessayer',
+            agentConnecting: 'Mise en relation avec un conseiller...',
+            agentWaiting: 'En attente d\'un conseiller...',
+            agentQueue: 'Vous êtes en position {position} dans la file d\'attente',
+            agentWaitShort: 'moins d\'une minute',
+            agentWaitMinutes: { one: 'environ {count} minute', other: 'environ {count} minutes' },
+            agentChatting: 'Vous discutez avec {name}',
+            agentJoined: '{name} a rejoint la conversation',
+            agentLeft: '{name} a quitté la conversation',
+            agentName: 'Conseiller',
+            agentGenericName: 'Le conseiller',
+            agentUserLeft: 'Vous avez quitté le chat en direct',
+            agentLabel: 'Conseiller en direct',
+            agentOffline: 'Notre équipe n\'est pas disponible pour le moment. Laissez-nous un message, nous reviendrons vers vous.',
+            agentContactForm: 'Ouvrir le formulaire de contact',
+            agentResumed: 'Vous discutez à nouveau avec le bot. Posez-moi une autre question ou terminez le chat.',
+            supportClosed: 'Le support est fermé pour le moment',
+            supportClosedMessage: 'Notre équipe n\'est pas disponible pour le moment. Revenez pendant nos heures d\'ouverture.',
+            supportFormMessage: 'Laissez vos coordonnées, nous reviendrons vers vous.',
+            supportFormSent: 'Merci ! Nous reviendrons vers vous rapidement.',
+            supportName: 'Votre nom',
+            supportEmail: 'Votre e-mail (obligatoire)',
+            supportMessage: 'Comment pouvons-nous vous aider ? (obligatoire)',
+            supportSent: '✓ Envoyé',
+            channelUrl: 'Page de contact',
+            channelEmail: 'Nous écrire',
+            channelPhone: 'Nous appeler',
+            channelWhatsapp: 'Nous écrire sur WhatsApp',
+            channelForm: 'Laisser un message',
+            channelAgent: 'Discuter avec un conseiller'
+        },
+        es: {
+            back: 'Atrás',
+            humanSupport: 'Hablar con una persona',
+            language: 'Cambiar idioma',
+            expand: 'Pantalla completa',
+            openChat: 'Abrir el chat',
+            collapse: 'Reducir',
+            close: 'Cerrar',
+            dismiss: 'Descartar',
+            teaser: '¡Hola! ¿Puedo ayudarte en algo?',
+            startChat: 'Iniciar chat',
+            startOver: 'Empezar de nuevo',
+            retry: 'Reintentar',
+            loading: 'Cargando...',
+            selectOption: 'Selecciona una de las opciones de arriba',
+            inputPlaceholder: 'Escribe tu pregunta...',
+            inputLabel: 'Tu pregunta',
+            send: 'Enviar',
+            stop: 'Detener',
+            stopTitle: 'Detener la respuesta',
+            edit: 'Editar',
+            editTitle: 'Cambiar esta respuesta',
+            askAnother: 'Hacer otra pregunta',
+            askAnotherConfirm: '¿Quieres hacer otra pregunta?',
+            yes: 'Sí',
+            no: 'No',
+            endChat: 'Terminar chat',
+            conversation: 'Conversación',
+            typing: 'El asistente está escribiendo',
+            errorTimeout: 'El servidor tarda demasiado en responder. Inténtalo de nuevo.',
+            errorNetwork: 'Error de conexión. Comprueba tu red e inténtalo de nuevo.',
+            errorParse: 'Respuesta del servidor no válida. Inténtalo de nuevo.',
+            errorRateLimit: 'Demasiadas solicitudes. Espera un momento e inténtalo de nuevo.',
+            errorUnavailable: 'Servicio no disponible temporalmente. Inténtalo de nuevo en unos momentos.',
+            errorMaintenance: 'El servicio está en mantenimiento. Inténtalo de nuevo más tarde.',
+            errorServer: 'Error del servidor. Inténtalo de nuevo más tarde.',
+            errorGeneric: 'No se pudo cargar. Inténtalo de nuevo.',
+            errorConnect: 'No se puede conectar. Actualiza la página e inténtalo de nuevo.',
+            errorNotInitialized: 'Error: widget no inicializado',
+            errorNoEndpoint: 'Error: URL del webhook no configurada',
+            errorNoDisclaimer: 'Error: aviso no cargado. Actualiza la página.',
+            errorNoMessage: 'Error: no se recibió ningún mensaje. Inténtalo de nuevo.',
+            ratingSubmit: 'Enviar valoración',
+            ratingLabel: 'Valora esta conversación',
+            ratingStar: { one: '{count} estrella de 5', other: '{count} estrellas de 5' },
+            ratingPerfect: 'Perfecta',
+            ratingIncomplete: 'Respuesta incompleta',
+            ratingOther: 'Otro',
+            feedbackPlaceholder: 'Cuéntanos tu opinión (obligatorio)',
+            feedbackRequired: 'Cuéntanos tu opinión (obligatorio)',
+            noFeedbackOptions: 'No hay opciones disponibles',
+            submitting: 'Enviando...',
+            submitted: '✓ Enviado',
+            submitError: 'Error - reintentar',
+            agentConnecting: 'Conectándote con un agente...',
+            agentWaiting: 'Esperando a un agente...',
+            agentQueue: 'Eres el número {position} en la cola',
+            agentWaitShort: 'menos de un minuto',
+            agentWaitMinutes: { one: 'unos {count} minuto', other: 'unos {count} minutos' },
+            agentChatting: 'Estás hablando con {name}',
+            agentJoined: '{name} se ha unido a la conversación',
+            agentLeft: '{name} ha salido de la conversación',
+            agentName: 'Agente de soporte',
+            agentGenericName: 'El agente',
+            agentUserLeft: 'Has salido del chat en directo',
+            agentLabel: 'Agente en directo',
+            agentOffline: 'Nuestro equipo no está disponible ahora mismo. Déjanos un mensaje y te responderemos.',
+            agentContactForm: 'Abrir el formulario de contacto',
+            agentResumed: 'Vuelves a hablar con el bot. Pregúntame otra cosa o termina el chat.',
+            supportClosed: 'La atención personal está cerrada ahora mismo',
+            supportClosedMessage: 'Nuestro equipo no está disponible ahora mismo. Vuelve durante nuestro horario de atención.',
+            supportFormMessage: 'Déjanos tus datos y te responderemos.',
+            supportFormSent: '¡Gracias! Te responderemos pronto.',
+            supportName: 'Tu nombre',
+            supportEmail: 'Tu correo electrónico (obligatorio)',
+            supportMessage: '¿Cómo podemos ayudarte? (obligatorio)',
+            supportSent: '✓ Enviado',
+            channelUrl: 'Página de contacto',
+            channelEmail: 'Escríbenos',
+            channelPhone: 'Llámanos',
+            channelWhatsapp: 'Escríbenos por WhatsApp',
+            channelForm: 'Dejar un mensaje',
+            channelAgent: 'Hablar con un agente'
+        }
+    };
+
+    /**
+     * Merges the `messages` option over the bundled catalogs
+     *
+     * @param {Object|null} overrides - Locale tag → { key: message }
+     * @returns {Object} Catalogs by lower-case locale tag
+     */
+    function mergeUiMessages(overrides) {
+        const catalogs = {};
+        Object.keys(UI_MESSAGES).forEach(tag => {
+            catalogs[tag] = { ...UI_MESSAGES[tag] };
+        });
+        Object.keys(overrides || {}).forEach(tag => {
+            const key = tag.toLowerCase().replace(/_/g, '-');
+            catalogs[key] = { ...catalogs[key], ...overrides[tag] };
+        });
+        return catalogs;
+    }
+
+    /**
+     * Fills in a catalog message
+     *
+     * @param {string|Object} message - Template, or plural forms keyed by '=N' or Intl.PluralRules category
+     * @param {Object} params - Placeholder values; `count` selects the plural form
+     * @param {string} locale - Locale of the catalog the message came from
+     * @returns {string} Formatted text; unknown placeholders are left as they are
+     */
+    function formatUiMessage(message, params, locale) {
+        let template = message;
+        if (message && typeof message === 'object') {
+            let category = 'other';
             try {
-                // Create AudioContext (with webkit prefix for older browsers)
-                this.audioContext = new (window.AudioContext || window.webkitAudioContext)();
-            } catch (e) {
-                console.warn('Web Audio API not supported, sounds disabled');
-                this.soundsEnabled = false;
+                category = new Intl.PluralRules(locale).select(Number(params.count));
+            } catch (error) {
+                // Unknown locale tag: fall back to the 'other' form
             }
+            template = [`=${params.count}`, category, 'other']
+                .map(form => message[form])
+                .find(form => form !== undefined);
         }
+        return String(template === undefined ? '' : template)
+            .replace(/\{(\w+)\}/g, (match, name) => (params[name] !== undefined ? String(params[name]) : match));
+    }
 
-        /**
-         * Plays a sound effect based on the interaction type
-         * 
-         * Generates different audio tones for different user actions:
-         * - 'message': Soft pop sound when receiving a bot message
-         * - 'option': Light click sound when selecting an option
-         * - 'send': Upward tone when sending a message
-         * - 'typing': Subtle sound for typing indicator
-         * - 'open': Pleasant sound when opening the widget
-         * 
-         * @param {string} type - Sound type: 'message', 'option', 'send', 'typing', 'open'
-         */
-        playSound(type = 'message') {
-            // Exit early if sounds are disabled or audio context unavailable
-            if (!this.soundsEnabled || !this.audioContext) return;
+    /** Languages written right to left */
+    const RTL_LANGUAGES = ['ar', 'he', 'fa', 'ur'];
 
-            try {
-                // Create audio nodes: oscillator generates the tone, gain controls volume
-                const oscillator = this.audioContext.createOscillator();
-                const gainNode = this.audioContext.createGain();
-                
-                // Connect audio nodes: oscillator -> gain -> destination (speakers)
-                oscillator.connect(gainNode);
-                gainNode.connect(this.audioContext.destination);
+    /**
+     * Resolves the layout direction of the widget
+     *
+     * @param {string} direction - config.direction: 'ltr', 'rtl' or 'auto'
+     * @param {string} locale - Active locale, used when direction is 'auto'
+     * @returns {string} 'ltr' or 'rtl'
+     */
+    function resolveDirection(direction, locale) {
+        if (direction === 'ltr' || direction === 'rtl') return direction;
+        const language = String(locale || '').toLowerCase().split(/[-_]/)[0];
+        return RTL_LANGUAGES.indexOf(language) !== -1 ? 'rtl' : 'ltr';
+    }
 
-                // Configure different sound characteristics for each interaction type
-                switch(type) {
-                    case 'message':
-                        // Soft pop for messages
-                        oscillator.frequency.setValueAtTime(400, this.audioContext.currentTime);
-                        oscillator.frequency.exponentialRampToValueAtTime(300, this.audioContext.currentTime + 0.1);
-                        gainNode.gain.setValueAtTime(0.15, this.audioContext.currentTime);
-                        gainNode.gain.exponentialRampToValueAtTime(0.01, this.audioContext.currentTime + 0.15);
-                        oscillator.type = 'sine';
-                        break;
-                    case 'option':
-                        // Bright ding sound for option selection (higher pitch, quick)
-                        oscillator.frequency.setValueAtTime(800, this.audioContext.currentTime);
-                        oscillator.frequency.exponentialRampToValueAtTime(600, this.audioContext.currentTime + 0.08);
-                        gainNode.gain.setValueAtTime(0.2, this.audioContext.currentTime);
-                        gainNode.gain.exponentialRampToValueAtTime(0.01, this.audioContext.currentTime + 0.08);
-                        oscillator.type = 'sine';
-                        break;
-                    case 'send':
-                        // Upward tone for sending
-                        oscillator.frequency.setValueAtTime(500, this.audioContext.currentTime);
-                        oscillator.frequency.exponentialRampToValueAtTime(700, this.audioContext.currentTime + 0.1);
-                        gainNode.gain.setValueAtTime(0.15, this.audioContext.currentTime);
-                        gainNode.gain.exponentialRampToValueAtTime(0.01, this.audioContext.currentTime + 0.12);
-                        oscillator.type = 'sine';
-                        break;
-                    case 'typing':
-                        // Subtle typing sound
-                        oscillator.frequency.setValueAtTime(200, this.audioContext.currentTime);
-                        gainNode.gain.setValueAtTime(0.08, this.audioContext.currentTime);
-                        gainNode.gain.exponentialRampToValueAtTime(0.01, this.audioContext.currentTime + 0.05);
-                        oscillator.type = 'sine';
-                        break;
-                    case 'open':
-                        // Pleasant open sound
-                        oscillator.frequency.setValueAtTime(300, this.audioContext.currentTime);
-                        oscillator.frequency.exponentialRampToValueAtTime(500, this.audioContext.currentTime + 0.15);
-                        gainNode.gain.setValueAtTime(0.1, this.audioContext.currentTime);
-                        gainNode.gain.exponentialRampToValueAtTime(0.01, this.audioContext.currentTime + 0.2);
-                        oscillator.type = 'sine';
-                        break;
-                    default:
-                        oscillator.frequency.value = 400;
-                        gainNode.gain.setValueAtTime(0.1, this.audioContext.currentTime);
-                        gainNode.gain.exponentialRampToValueAtTime(0.01, this.audioContext.currentTime + 0.1);
-                }
+    // ====================================================================
+    // LOCALES
+    // ====================================================================
+    // The first source in config.localeSources that yields a usable BCP 47 tag
+    // (pt-BR, zh-Hant-TW) sets state.locale; meta.locale_source reports which one
 
-                // Start and stop the sound
-                oscillator.start(this.audioContext.currentTime);
-                oscillator.stop(this.audioContext.currentTime + 0.2);
-            } catch (e) {
-                // Handle suspended audio context (requires user interaction to resume)
-                if (this.audioContext && this.audioContext.state === 'suspended') {
-                    this.audioContext.resume().catch(() => {});
+    /** Sources checked when config.localeSources is not set, in order */
+    const DEFAULT_LOCALE_SOURCES = ['config', 'path', 'query', 'subdomain', 'html', 'cookie', 'navigator'];
+
+    /** Query parameters carrying a locale (?lang= is the WPML convention) */
+    const LOCALE_QUERY_PARAMS = ['lang', 'locale', 'language'];
+
+    /** Cookies carrying a locale: WPML, Polylang, then generic names */
+    const LOCALE_COOKIES = ['wp-wpml_current_language', '_icl_current_language', 'pll_language', 'lang', 'locale'];
+
+    /**
+     * Path segments and subdomains accepted as a locale: a two-letter language with optional
+     * script and region (en, pt-br, zh_Hant_TW), so /faq/ or www. are never taken for one
+     */
+    const URL_LOCALE_PATTERN = /^[a-z]{2}(?:[-_][a-z]{4})?(?:[-_](?:[a-z]{2}|\d{3}))?$/i;
+
+    /**
+     * Canonicalizes a locale tag (pt_br -> pt-BR, zh-hant-tw -> zh-Hant-TW)
+     *
+     * @param {string} tag - Locale tag as found on the page
+     * @returns {string} BCP 47 tag, empty if the tag is not well-formed
+     */
+    function normalizeLocaleTag(tag) {
+        if (typeof tag !== 'string' || !tag.trim()) return '';
+        try {
+            return Intl.getCanonicalLocales(tag.trim().replace(/_/g, '-'))[0] || '';
+        } catch (error) {
+            return '';   // Not a BCP 47 tag (e.g. 'en.UTF-8')
+        }
+    }
+
+    /**
+     * Lists the tags to try for a locale, most specific first
+     * zh-Hant-TW -> zh-Hant-TW, zh-TW, zh-Hant, zh
+     *
+     * @param {string} tag - Canonical BCP 47 tag
+     * @returns {string[]} Fallback chain ending with the bare language
+     */
+    function getLocaleFallbackChain(tag) {
+        const subtags = String(tag || '').split('-').filter(Boolean);
+        const chain = [];
+        for (let length = subtags.length; length > 0; length--) {
+            chain.push(subtags.slice(0, length).join('-'));
+            // Script and region: also try the region alone (zh-Hant-TW -> zh-TW)
+            if (length === 3 && subtags[1].length === 4) {
+                chain.push(`${subtags[0]}-${subtags[2]}`);
+            }
+        }
+        return chain;
+    }
+
+    /**
+     * Picks the supported locale closest to a requested one
+     *
+     * Walks the fallback chain of the tag (pt-BR -> pt), then settles for any
+     * supported locale of the same language (pt -> pt-PT).
+     *
+     * @param {string} tag - Canonical BCP 47 tag
+     * @param {string[]|null} supported - config.supportedLocales; any tag is accepted when empty
+     * @returns {string} Matching supported locale, empty if none
+     */
+    function negotiateLocale(tag, supported) {
+        if (!tag) return '';
+        if (!supported || !supported.length) return tag;
+        const lowered = supported.map(locale => locale.toLowerCase());
+        const chain = getLocaleFallbackChain(tag);
+        for (const candidate of chain) {
+            const index = lowered.indexOf(candidate.toLowerCase());
+            if (index !== -1) return supported[index];
+        }
+        const language = chain[chain.length - 1].toLowerCase();
+        const index = lowered.findIndex(locale => locale.split('-')[0] === language);
+        return index !== -1 ? supported[index] : '';
+    }
+
+    /**
+     * Reads the locale candidates offered by one source
+     *
+     * @param {string} source - Name from DEFAULT_LOCALE_SOURCES
+     * @param {string} configLocale - config.locale
+     * @returns {string[]} Raw tags, best first (navigator.languages can offer several)
+     */
+    function readLocaleCandidates(source, configLocale) {
+        switch (source) {
+            case 'config':
+                return [configLocale];
+            case 'path': {
+                // First path segment: /en/page, /pt-br/page
+                const segment = window.location.pathname.split('/')[1] || '';
+                return URL_LOCALE_PATTERN.test(segment) ? [segment] : [];
+            }
+            case 'query': {
+                const params = new URLSearchParams(window.location.search);
+                return LOCALE_QUERY_PARAMS.map(name => params.get(name));
+            }
+            case 'subdomain': {
+                // Leftmost label of a multi-label host: fr.example.com
+                const labels = window.location.hostname.split('.');
+                return labels.length > 2 && URL_LOCALE_PATTERN.test(labels[0]) ? [labels[0]] : [];
+            }
+            case 'html':
+                return [document.documentElement.lang];
+            case 'cookie': {
+                const cookies = {};
+                document.cookie.split(';').forEach(pair => {
+                    const separator = pair.indexOf('=');
+                    if (separator === -1) return;
+                    try {
+                        cookies[pair.slice(0, separator).trim()] = decodeURIComponent(pair.slice(separator + 1).trim());
+                    } catch (error) {
+                        // Malformed escape sequence: not a locale anyway
+                    }
+                });
+                return LOCALE_COOKIES.map(name => cookies[name]);
+            }
+            case 'navigator':
+                return navigator.languages && navigator.languages.length
+                    ? Array.from(navigator.languages)
+                    : [navigator.language];
+            default:
+                return [];
+        }
+    }
+
+    /**
+     * Resolves the locale of the page from an ordered list of sources
+     *
+     * @param {Object} options
+     * @param {Array<string|Function>} [options.sources] - config.localeSources; a function returns a tag (source 'custom')
+     * @param {string[]|null} [options.supported] - config.supportedLocales, canonical tags
+     * @param {string} [options.configLocale] - config.locale, read by the 'config' source
+     * @returns {{locale: string, source: string}} Locale and the source that won; with supported
+     *          locales and no match the first of them with source 'default', otherwise both empty
+     */
+    function resolveLocale({ sources, supported, configLocale }) {
+        for (const source of sources || DEFAULT_LOCALE_SOURCES) {
+            const custom = typeof source === 'function';
+            let candidates = [];
+            try {
+                candidates = custom ? [].concat(source()) : readLocaleCandidates(source, configLocale);
+            } catch (error) {
+                console.warn('ChatbotLiquidGlass: Locale source failed:', source, error);
+            }
+            for (const candidate of candidates) {
+                const locale = negotiateLocale(normalizeLocaleTag(candidate), supported);
+                if (locale) {
+                    return { locale: locale, source: custom ? 'custom' : source };
                 }
             }
         }
+        if (supported && supported.length) {
+            return { locale: supported[0], source: 'default' };
+        }
+        return { locale: '', source: '' };
+    }
 
-        // ====================================================================
-        // STYLING METHODS
-        // ====================================================================
-        // Handles CSS injection and styling
+    /**
+     * Names a locale in its own language for the language switcher (de -> Deutsch)
+     *
+     * @param {string} tag - Canonical BCP 47 tag
+     * @returns {string} Display name, or the tag itself where Intl.DisplayNames is missing
+     */
+    function getLocaleLabel(tag) {
+        try {
+            const label = new Intl.DisplayNames([tag], { type: 'language' }).of(tag);
+            if (label && label !== tag) {
+                return label.charAt(0).toLocaleUpperCase(tag) + label.slice(1);
+            }
+        } catch (error) {
+            // Older browsers: fall back to the tag
+        }
+        return tag;
+    }
+
+    // ====================================================================
+    // ACCESSIBILITY
+    // ====================================================================
+    // Keyboard focus inside the panel (see ACCESSIBILITY METHODS)
+
+    /** Elements reachable with Tab */
+    const FOCUSABLE_SELECTOR = 'a[href], button:not([disabled]), input:not([disabled]), textarea:not([disabled]), select:not([disabled]), [tabindex]:not([tabindex="-1"])';
+
+    /**
+     * Whether an element is rendered, i.e. neither it nor an ancestor up to `boundary` is hidden
+     *
+     * @param {HTMLElement} element - Element to check
+     * @param {HTMLElement} boundary - Ancestor where the check stops
+     * @returns {boolean}
+     */
+    function isRendered(element, boundary) {
+        for (let node = element; node && node !== boundary; node = node.parentElement) {
+            const style = window.getComputedStyle(node);
+            if (node.hidden || style.display === 'none' || style.visibility === 'hidden') return false;
+        }
+        return true;
+    }
+
+    // ====================================================================
+    // THEME HELPERS
+    // ====================================================================
+    // Turn config colors into the --chatbot-lg-* custom properties read by the stylesheet
+
+    /**
+     * Parses a hex (#rgb / #rrggbb) or rgb()/rgba() color string
+     * 
+     * @param {string} color - Color string from config
+     * @returns {{r: number, g: number, b: number}|null} Color channels or null if unparseable
+     */
+    function parseColor(color) {
+        if (typeof color !== 'string') return null;
+        const value = color.trim();
         
-        /**
-         * Injects CSS styles into the page head
-         * 
-         * Creates and appends a <style> tag containing all chatbot styles.
-         * Also loads the Montserrat font from Google Fonts.
-         * Prevents duplicate style injection by checking for existing style tag.
-         */
-        injectStyles() {
-            // Return early if styles are already injected
-            if (document.getElementById('chatbot-liquid-glass-styles')) return;
+        let match = value.match(/^#([0-9a-f]{3}|[0-9a-f]{6})$/i);
+        if (match) {
+            const hex = match[1].length === 3
+                ? match[1].split('').map(c => c + c).join('')
+                : match[1];
+            return {
+                r: parseInt(hex.slice(0, 2), 16),
+                g: parseInt(hex.slice(2, 4), 16),
+                b: parseInt(hex.slice(4, 6), 16)
+            };
+        }
+        
+        match = value.match(/^rgba?\(\s*(\d{1,3})\s*,\s*(\d{1,3})\s*,\s*(\d{1,3})/i);
+        if (match) {
+            return { r: Number(match[1]), g: Number(match[2]), b: Number(match[3]) };
+        }
+        
+        return null;
+    }
+    
+    /**
+     * Mixes two colors
+     * 
+     * @param {Object} base - Base color channels
+     * @param {Object} other - Color channels mixed into the base
+     * @param {number} weight - Share of `other` in the result (0-1)
+     * @returns {{r: number, g: number, b: number}} Mixed color channels
+     */
+    function mixColors(base, other, weight) {
+        return {
+            r: Math.round(base.r + (other.r - base.r) * weight),
+            g: Math.round(base.g + (other.g - base.g) * weight),
+            b: Math.round(base.b + (other.b - base.b) * weight)
+        };
+    }
+    
+    /**
+     * Formats color channels as an "r, g, b" triplet for use inside rgba(var(--x-rgb), alpha)
+     */
+    function toRgbTriplet(color) {
+        return `${color.r}, ${color.g}, ${color.b}`;
+    }
+    
+    /**
+     * Formats color channels as a #rrggbb hex string
+     */
+    function toHex(color) {
+        return '#' + [color.r, color.g, color.b].map(c => c.toString(16).padStart(2, '0')).join('').toUpperCase();
+    }
+    
+    /**
+     * Picks white or a near-black text color, whichever reads better on the given background
+     * 
+     * @param {Object} color - Background color channels
+     * @returns {{r: number, g: number, b: number}} Foreground color channels
+     */
+    function getContrastColor(color) {
+        // Relative luminance per WCAG 2.x
+        const channel = c => {
+            const v = c / 255;
+            return v <= 0.03928 ? v / 12.92 : Math.pow((v + 0.055) / 1.055, 2.4);
+        };
+        const luminance = 0.2126 * channel(color.r) + 0.7152 * channel(color.g) + 0.0722 * channel(color.b);
+        return luminance > 0.45 ? { r: 28, g: 28, b: 30 } : { r: 255, g: 255, b: 255 };
+    }
+    
+    /**
+     * Computes the --chatbot-lg-* custom properties for the widget from config colors
+     * 
+     * Brand colors are exposed both as plain colors and as "r, g, b" triplets so the
+     * stylesheet can derive any translucent tint with rgba(var(--chatbot-lg-primary-rgb), alpha).
+     * The most used glass tints are precomputed as --chatbot-lg-glass-* tokens.
+     * 
+     * The dark scheme keeps the brand colors but swaps the glass surfaces, text, links
+     * and blur strength so the panel stays readable on dark pages.
+     * 
+     * @param {Object} config - Widget config (primaryColor, accentColor, highlightColor, backgroundColor)
+     * @param {string} [scheme='light'] - Resolved color scheme: 'light' or 'dark'
+     * @returns {Object} Map of custom property name to value
+     */
+    function buildThemeTokens(config, scheme = 'light') {
+        const white = { r: 255, g: 255, b: 255 };
+        const black = { r: 0, g: 0, b: 0 };
+        const color = (value, fallback) => {
+            const parsed = parseColor(value);
+            if (!parsed && value) {
+                console.warn('ChatbotLiquidGlass: Unsupported color value, using default:', value);
+            }
+            return parsed || parseColor(fallback);
+        };
+        
+        const primary = color(config.primaryColor, defaults.primaryColor);
+        const accent = color(config.accentColor, defaults.accentColor);
+        const highlight = color(config.highlightColor, defaults.highlightColor);
+        const highlightSoft = mixColors(highlight, white, 0.2);
+        const onPrimary = getContrastColor(primary);
+        const isDark = scheme === 'dark';
+        
+        // Scheme dependent palette: light glass over the brand background, or
+        // near-black glass tinted with the primary color
+        const background = isDark
+            ? mixColors(primary, black, 0.8)
+            : color(config.backgroundColor, defaults.backgroundColor);
+        const surface = isDark ? mixColors({ r: 28, g: 28, b: 30 }, primary, 0.12) : white;
+        const text = isDark ? mixColors(white, primary, 0.08) : primary;
+        const link = isDark ? mixColors(accent, white, 0.35) : accent;
+        const sheen = isDark ? mixColors(surface, white, 0.3) : white;
+        
+        return {
+            // Brand colors
+            '--chatbot-lg-primary': toHex(primary),
+            '--chatbot-lg-primary-rgb': toRgbTriplet(primary),
+            '--chatbot-lg-accent': toHex(accent),
+            '--chatbot-lg-accent-rgb': toRgbTriplet(accent),
+            '--chatbot-lg-highlight': toHex(highlight),
+            '--chatbot-lg-highlight-rgb': toRgbTriplet(highlight),
+            '--chatbot-lg-highlight-soft': toHex(highlightSoft),
+            '--chatbot-lg-highlight-soft-rgb': toRgbTriplet(highlightSoft),
+            '--chatbot-lg-background': toHex(background),
+            '--chatbot-lg-background-rgb': toRgbTriplet(background),
+            
+            // Foreground colors
+            '--chatbot-lg-text': toHex(text),
+            '--chatbot-lg-text-rgb': toRgbTriplet(text),
+            '--chatbot-lg-link': toHex(link),
+            '--chatbot-lg-label': isDark ? '#D1D5DB' : '#333333',
+            '--chatbot-lg-error': isDark ? '#FF6B6B' : '#FF3D3D',
+            '--chatbot-lg-on-primary': toHex(onPrimary),
+            '--chatbot-lg-on-primary-rgb': toRgbTriplet(onPrimary),
+            '--chatbot-lg-on-accent': toHex(getContrastColor(accent)),
+            '--chatbot-lg-on-highlight': toHex(getContrastColor(highlight)),
+            
+            // Glass surfaces
+            '--chatbot-lg-surface-rgb': toRgbTriplet(surface),
+            '--chatbot-lg-sheen-rgb': toRgbTriplet(sheen),
+            '--chatbot-lg-notice-rgb': isDark ? '74, 60, 22' : '255, 248, 220',
+            '--chatbot-lg-notice-border-rgb': '255, 193, 7',
+            '--chatbot-lg-glass-primary': `rgba(${toRgbTriplet(primary)}, 0.85)`,
+            '--chatbot-lg-glass-header': `rgba(${toRgbTriplet(primary)}, ${isDark ? 0.85 : 0.75})`,
+            '--chatbot-lg-glass-accent': `rgba(${toRgbTriplet(accent)}, 0.85)`,
+            '--chatbot-lg-glass-surface': `rgba(${toRgbTriplet(surface)}, ${isDark ? 0.72 : 0.7})`,
+            '--chatbot-lg-glass-canvas': `rgba(${toRgbTriplet(background)}, ${isDark ? 0.55 : 0.4})`,
+            '--chatbot-lg-blur-lg': isDark ? '50px' : '40px',
+            '--chatbot-lg-blur-md': isDark ? '28px' : '20px',
+            '--chatbot-lg-blur-sm': isDark ? '14px' : '10px',
+            '--chatbot-lg-saturate': isDark ? '150%' : '180%',
+            
+            // Rating stars (unselected stars need more presence on dark glass)
+            '--chatbot-lg-star-idle-opacity': isDark ? '0.45' : '0.3',
+            '--chatbot-lg-star-hover-opacity': isDark ? '0.8' : '0.7'
+        };
+    }
 
-            const fontLink = document.createElement('link');
-            fontLink.href = 'https://fonts.googleapis.com/css2?family=Montserrat:wght@400;500;600;700&display=swap';
-            fontLink.rel = 'stylesheet';
-            document.head.appendChild(fontLink);
+    // ====================================================================
+    // ANALYTICS ADAPTERS
+    // ====================================================================
+    // Built-in adapters for the `analytics` option. An adapter is any object with
+    // track(name, data); flush() and destroy() are optional.
+    // Every event carries session_id and locale, plus `label` and/or `value` where
+    // a tool only has room for one string and one number (Matomo).
 
-            const style = document.createElement('style');
-            style.id = 'chatbot-liquid-glass-styles';
-            style.textContent = `
-                #chatbot-lg-container {
-                    font-family: 'Montserrat', -apple-system, BlinkMacSystemFont, 'Segoe UI', sans-serif;
-                    position: fixed;
-                    z-index: 999999;
-                }
-                
-                
-                /* Toggle Button - Glass Effect */
-                #chatbot-lg-toggle {
-                    width: 60px;
-                    height: 60px;
-                    border-radius: 50%;
-                    background: rgba(0, 61, 70, 0.85);
-                    backdrop-filter: blur(20px) saturate(180%);
-                    -webkit-backdrop-filter: blur(20px) saturate(180%);
-                    box-shadow: 0 8px 32px rgba(0, 61, 70, 0.3),
-                                0 2px 8px rgba(0, 0, 0, 0.1),
-                                inset 0 1px 0 rgba(255, 255, 255, 0.2);
-                    cursor: pointer;
-                    display: flex;
-                    align-items: center;
-                    justify-content: center;
-                    color: white;
-                    font-size: 24px;
-                    transition: all 0.4s cubic-bezier(0.4, 0, 0.2, 1);
-                    border: 1px solid rgba(255, 255, 255, 0.18);
-                    /* Safe area insets for notched devices */
-                    bottom: env(safe-area-inset-bottom, 20px);
-                    right: env(safe-area-inset-right, 20px);
+    /**
+     * Pushes events to the Google Tag Manager / GA4 dataLayer
+     * 
+     * @param {Object} [options]
+     * @param {string} [options.prefix='chatbot_'] - Prefix for the dataLayer `event` name
+     * @returns {Object} Analytics adapter
+     */
+    function createDataLayerAdapter(options = {}) {
+        const prefix = options.prefix !== undefined ? options.prefix : 'chatbot_';
+        return {
+            track(name, data) {
+                window.dataLayer = window.dataLayer || [];
+                window.dataLayer.push({ event: prefix + name, ...data });
+            }
+        };
+    }
+
+    /**
+     * Sends events to Matomo as trackEvent(category, action, name, value)
+     * 
+     * @param {Object} [options]
+     * @param {string} [options.category='Chatbot'] - Matomo event category
+     * @returns {Object} Analytics adapter
+     */
+    function createMatomoAdapter(options = {}) {
+        const category = options.category || 'Chatbot';
+        return {
+            track(name, data) {
+                window._paq = window._paq || [];
+                const entry = ['trackEvent', category, name];
+                if (data.label !== undefined || data.value !== undefined) {
+                    entry.push(data.label !== undefined ? String(data.label) : '');
+                }
+                if (data.value !== undefined) {
+                    entry.push(data.value);
+                }
+                window._paq.push(entry);
+            }
+        };
+    }
+
+    /**
+     * Batches events and posts them with navigator.sendBeacon
+     * 
+     * The queue is flushed when it reaches batchSize, every flushInterval ms and
+     * when the page is hidden, so events survive navigation away from the page.
+     * 
+     * @param {string} url - Collector endpoint receiving {"events": [...]}
+     * @param {Object} [options]
+     * @param {number} [options.batchSize=10] - Events per request
+     * @param {number} [options.flushInterval=5000] - Max ms an event waits in the queue
+     * @returns {Object} Analytics adapter
+     */
+    function createBeaconAdapter(url, options = {}) {
+        const batchSize = options.batchSize || 10;
+        const flushInterval = options.flushInterval || 5000;
+        let queue = [];
+        let timer = null;
+        
+        const flush = () => {
+            clearTimeout(timer);
+            timer = null;
+            if (queue.length === 0) return;
+            const body = JSON.stringify({ events: queue });
+            queue = [];
+            
+            if (navigator.sendBeacon && navigator.sendBeacon(url, body)) return;
+            // Beacon unsupported or rejected (payload too large) - fall back to a keepalive fetch
+            if (typeof window.fetch === 'function') {
+                window.fetch(url, { method: 'POST', body: body, keepalive: true }).catch(() => {});
+            }
+        };
+        const onVisibilityChange = () => {
+            if (document.visibilityState === 'hidden') flush();
+        };
+        
+        document.addEventListener('visibilitychange', onVisibilityChange);
+        window.addEventListener('pagehide', flush);
+        
+        return {
+            track(name, data) {
+                queue.push({ event: name, ...data });
+                if (queue.length >= batchSize) {
+                    flush();
+                } else if (!timer) {
+                    timer = setTimeout(flush, flushInterval);
+                }
+            },
+            flush: flush,
+            destroy() {
+                flush();
+                document.removeEventListener('visibilitychange', onVisibilityChange);
+                window.removeEventListener('pagehide', flush);
+            }
+        };
+    }
+
+    // ====================================================================
+    // REQUEST HELPERS
+    // ====================================================================
+    // Shared by the request pipeline (ChatbotLiquidGlass#request)
+
+    /** HTTP statuses that are retried with backoff */
+    const RETRYABLE_STATUSES = [429, 502, 503, 504];
+
+    /**
+     * Error thrown by the request pipeline
+     * 
+     * @property {string} type - 'timeout', 'network', 'http', 'parse', 'hook' or 'aborted'
+     * @property {string} step - Step of the failed request
+     * @property {number|null} status - HTTP status for 'http' errors
+     * @property {boolean} retryable - Whether the pipeline retries this error automatically
+     * @property {number|null} retryAfter - Delay in ms requested by a Retry-After header
+     */
+    class ChatbotRequestError extends Error {
+        constructor(message, { type, step = '', status = null, retryable = false, retryAfter = null, cause = null } = {}) {
+            super(message);
+            this.name = 'ChatbotRequestError';
+            this.type = type;
+            this.step = step;
+            this.status = status;
+            this.retryable = retryable;
+            this.retryAfter = retryAfter;
+            this.cause = cause;
+        }
+    }
+
+    /**
+     * Default afterResponse hook: n8n sometimes returns [response] instead of response
+     * 
+     * @param {*} json - Parsed backend response
+     * @returns {*} The first element of a non-empty array, anything else unchanged
+     */
+    function unwrapArrayResponse(json) {
+        return Array.isArray(json) && json.length > 0 ? json[0] : json;
+    }
+
+    /**
+     * Creates an id for one logical request (shared by its retries)
+     * 
+     * @returns {string} UUID where available, otherwise a random string
+     */
+    function createRequestId() {
+        if (window.crypto && typeof window.crypto.randomUUID === 'function') {
+            return window.crypto.randomUUID();
+        }
+        return Date.now().toString(36) + '-' + Math.random().toString(36).slice(2, 10);
+    }
+
+    /**
+     * Classifies the viewport width at the stylesheet's breakpoints
+     * 
+     * @returns {string} 'mobile' (up to 428px), 'tablet' (up to 768px) or 'desktop'
+     */
+    function getViewportClass() {
+        const width = window.innerWidth || document.documentElement.clientWidth || 0;
+        if (width <= 428) return 'mobile';
+        if (width <= 768) return 'tablet';
+        return 'desktop';
+    }
+
+    /**
+     * Parses a Retry-After header (delta seconds or HTTP date)
+     * 
+     * @param {string|null} value - Header value
+     * @returns {number|null} Delay in ms, or null when absent or invalid
+     */
+    function parseRetryAfter(value) {
+        if (!value) return null;
+        const seconds = Number(value);
+        if (!isNaN(seconds)) return Math.max(0, seconds * 1000);
+        const date = Date.parse(value);
+        return isNaN(date) ? null : Math.max(0, date - Date.now());
+    }
+
+    /**
+     * Exponential backoff with jitter: half the exponential delay plus a random half
+     * 
+     * @param {number} attempt - Zero-based retry number
+     * @param {Object} retry - config.retry ({ baseDelay, maxDelay })
+     * @returns {number} Delay in ms
+     */
+    function getBackoffDelay(attempt, retry) {
+        const exponential = Math.min(retry.maxDelay, retry.baseDelay * Math.pow(2, attempt));
+        return Math.round(exponential / 2 + Math.random() * exponential / 2);
+    }
+
+    /**
+     * Waits between retries, rejecting early when the request is cancelled
+     * 
+     * @param {number} ms - Delay
+     * @param {AbortSignal} signal - Channel signal
+     * @param {string} step - Step, for the error
+     * @returns {Promise<void>}
+     */
+    function waitFor(ms, signal, step) {
+        return new Promise((resolve, reject) => {
+            const onAbort = () => {
+                clearTimeout(timer);
+                reject(new ChatbotRequestError(`${step} request cancelled`, { type: 'aborted', step: step }));
+            };
+            const timer = setTimeout(() => {
+                signal.removeEventListener('abort', onAbort);
+                resolve();
+            }, ms);
+            if (signal.aborted) onAbort();
+            else signal.addEventListener('abort', onAbort, { once: true });
+        });
+    }
+
+    // ====================================================================
+    // TRANSPORTS
+    // ====================================================================
+    // A transport carries one request body to the backend and returns its reply:
+    // send(payload, { signal, endpoint, headers, context }) → a fetch Response,
+    // an async iterable of streamed payloads (strings or objects with `token`),
+    // or the parsed response object itself. Select one with config.transport.
+
+    /**
+     * Whether a value can be consumed with `for await`
+     * 
+     * @param {*} value - Anything
+     * @returns {boolean}
+     */
+    function isAsyncIterable(value) {
+        return !!value && typeof value[Symbol.asyncIterator] === 'function';
+    }
+
+    /**
+     * Splits a streaming fetch body into its SSE `data:` payloads or NDJSON lines
+     * 
+     * SSE events are separated by a blank line and may span several data: lines.
+     * 
+     * @param {Response} response - Response with a text/event-stream or application/x-ndjson body
+     * @param {AbortSignal} [signal] - Cancels the reader when aborted
+     * @yields {string} One payload per event or line
+     */
+    async function* readEventStream(response, signal) {
+        const isSse = (response.headers.get('content-type') || '').toLowerCase().includes('text/event-stream');
+        const separator = isSse ? '\n\n' : '\n';
+        const reader = response.body.getReader();
+        const decoder = new TextDecoder();
+        let buffer = '';
+        let finished = false;
+        
+        const toPayload = (chunk) => {
+            if (!isSse) return chunk.trim();
+            return chunk.split('\n')
+                .filter(line => line.startsWith('data:'))
+                .map(line => line.slice(5).replace(/^ /, ''))
+                .join('\n');
+        };
+        
+        // Cancelling the reader ends a pending read() even where abort does not reach the body
+        const cancelReader = () => reader.cancel().catch(() => {});
+        if (signal) signal.addEventListener('abort', cancelReader);
+        
+        try {
+            while (true) {
+                const { done, value } = await reader.read();
+                if (done) break;
+                buffer += decoder.decode(value, { stream: true }).replace(/\r\n?/g, '\n');
+                
+                let index;
+                while ((index = buffer.indexOf(separator)) !== -1) {
+                    const chunk = buffer.slice(0, index);
+                    buffer = buffer.slice(index + separator.length);
+                    yield toPayload(chunk);
                 }
-                
-                #chatbot-lg-toggle:hover {
-                    transform: scale(1.1);
-                    background: rgba(0, 61, 70, 0.95);
-                    box-shadow: 0 12px 40px rgba(0, 61, 70, 0.4),
-                                0 4px 12px rgba(0, 0, 0, 0.15),
-                                inset 0 1px 0 rgba(255, 255, 255, 0.3);
-                }
-                
-                #chatbot-lg-badge {
-                    position: absolute;
-                    top: -4px;
-                    right: -4px;
-                    width: 22px;
-                    height: 22px;
-                    border-radius: 50%;
-                    background: linear-gradient(135deg, #FF6A3D, #FF8C5A);
-                    backdrop-filter: blur(10px);
-                    -webkit-backdrop-filter: blur(10px);
-                    color: white;
-                    font-size: 11px;
-                    font-weight: 700;
-                    display: flex;
-                    align-items: center;
-                    justify-content: center;
-                    box-shadow: 0 4px 12px rgba(255, 106, 61, 0.4),
-                                inset 0 1px 0 rgba(255, 255, 255, 0.3);
-                    border: 1.5px solid rgba(255, 255, 255, 0.3);
-                }
-                
-                /* Widget Container - Liquid Glass */
-                #chatbot-lg-widget {
-                    width: 400px;
-                    height: 600px;
-                    border-radius: 24px;
-                    background: rgba(255, 255, 255, 0.7);
-                    backdrop-filter: blur(40px) saturate(180%);
-                    -webkit-backdrop-filter: blur(40px) saturate(180%);
-                    box-shadow: 0 20px 60px rgba(0, 0, 0, 0.15),
-                                0 8px 24px rgba(0, 0, 0, 0.1),
-                                inset 0 1px 0 rgba(255, 255, 255, 0.6);
-                    border: 1px solid rgba(255, 255, 255, 0.3);
-                    display: none;
-                    flex-direction: column;
-                    overflow: hidden;
-                    animation: glassSlideIn 0.4s cubic-bezier(0.4, 0, 0.2, 1);
-                    box-sizing: border-box;
-                    max-width: calc(100vw - 40px);
-                    max-height: calc(100vh - 40px);
-                }
-                
-                @keyframes glassSlideIn {
-                    from {
-                        opacity: 0;
-                        transform: translateY(20px) scale(0.95);
+            }
+            buffer += decoder.decode();
+            if (buffer.trim()) yield toPayload(buffer);
+            finished = true;
+        } finally {
+            if (signal) signal.removeEventListener('abort', cancelReader);
+            if (!finished) cancelReader(); // Consumer stopped early
+        }
+    }
+
+    /**
+     * Minimal push-based async iterable used to stream WebSocket frames
+     * 
+     * @returns {Object} Queue with push(item), end(), fail(error) and [Symbol.asyncIterator]
+     */
+    function createAsyncQueue() {
+        const items = [];
+        const waiting = [];
+        let ended = false;
+        let failure = null;
+        
+        const settle = () => {
+            while (waiting.length > 0 && (items.length > 0 || ended || failure)) {
+                const { resolve, reject } = waiting.shift();
+                if (items.length > 0) resolve({ value: items.shift(), done: false });
+                else if (failure) reject(failure);
+                else resolve({ value: undefined, done: true });
+            }
+        };
+        
+        return {
+            push(item) {
+                if (ended || failure) return;
+                items.push(item);
+                settle();
+            },
+            end() {
+                ended = true;
+                settle();
+            },
+            fail(error) {
+                if (ended) return;
+                failure = error;
+                settle();
+            },
+            [Symbol.asyncIterator]() {
+                return {
+                    next: () => new Promise((resolve, reject) => {
+                        waiting.push({ resolve, reject });
+                        settle();
+                    }),
+                    return: () => {
+                        ended = true;
+                        items.length = 0;
+                        settle();
+                        return Promise.resolve({ value: undefined, done: true });
                     }
-                    to {
-                        opacity: 1;
-                        transform: translateY(0) scale(1);
+                };
+            }
+        };
+    }
+
+    /**
+     * HTTP POST transport (the default): one fetch per request
+     * 
+     * @returns {Object} Transport returning the fetch Response
+     */
+    function createHttpTransport() {
+        return {
+            name: 'http',
+            send(payload, { signal, endpoint, headers } = {}) {
+                return fetch(endpoint, {
+                    method: 'POST',
+                    headers: headers,
+                    body: JSON.stringify(payload),
+                    signal: signal
+                });
+            }
+        };
+    }
+
+    /**
+     * WebSocket transport: keeps one connection per session and matches replies to requests
+     * 
+     * Every request is sent as its JSON body plus a request id (`request_id` by default);
+     * the backend echoes that id on each frame it sends back. A frame without `token`
+     * is the whole reply. Frames with a `token` string stream the answer; the stream ends
+     * with a frame carrying `done: true` or the first frame without `token`, whose other
+     * fields (options, step, ...) complete the reply.
+     * 
+     * The connection opens on the first request and is replaced when the session_id
+     * changes or a new session starts (e.g. after Start Over).
+     * 
+     * @param {string|Function} url - wss:// URL, or a function of the session id returning it
+     * @param {Object} [options]
+     * @param {string|string[]} [options.protocols] - WebSocket subprotocols
+     * @param {string} [options.idField='request_id'] - Field carrying the request id both ways
+     * @param {number} [options.connectTimeout=10000] - Give up opening the socket after this many ms
+     * @returns {Object} Transport with send() and close()
+     */
+    function createWebSocketTransport(url, options = {}) {
+        const idField = options.idField || 'request_id';
+        const connectTimeout = options.connectTimeout || 10000;
+        const pending = new Map(); // Request id → entry waiting for its reply
+        let socket = null;
+        let socketSession = null;
+        let opening = null;
+        let connecting = null; // { socket, waiters }: requests waiting for the socket to open
+        
+        const handleMessage = (event) => {
+            let frame;
+            try {
+                frame = JSON.parse(event.data);
+            } catch (e) {
+                console.warn('⚠️ Ignoring non-JSON WebSocket frame');
+                return;
+            }
+            if (Array.isArray(frame)) frame = frame[0];
+            if (!frame || typeof frame !== 'object') return;
+            
+            const { [idField]: id, done, ...reply } = frame;
+            const entry = pending.get(id);
+            if (!entry) return; // Cancelled request, or a frame for someone else
+            
+            if (typeof reply.token === 'string') {
+                if (!entry.stream) {
+                    entry.stream = createAsyncQueue();
+                    entry.resolve(entry.stream);
+                }
+                entry.stream.push(reply);
+                if (done) entry.finish();
+            } else if (entry.stream) {
+                if (Object.keys(reply).length > 0) entry.stream.push(reply);
+                entry.finish();
+            } else {
+                entry.resolve(reply);
+                entry.finish();
+            }
+        };
+        
+        const connect = (sessionId) => {
+            sessionId = sessionId || null;
+            const live = socket && (socket.readyState === WebSocket.CONNECTING || socket.readyState === WebSocket.OPEN);
+            // A socket opened before the backend assigned a session id adopts the first one it sees
+            if (live && (socketSession === null || socketSession === sessionId)) {
+                socketSession = sessionId;
+                return opening;
+            }
+            if (live) socket.close(1000, 'Session changed');
+            
+            const ws = new WebSocket(typeof url === 'function' ? url(sessionId || '') : url, options.protocols);
+            socket = ws;
+            socketSession = sessionId;
+            connecting = { socket: ws, waiters: 0 };
+            opening = new Promise((resolve, reject) => {
+                const timer = setTimeout(() => {
+                    reject(new Error('WebSocket connection timed out'));
+                    ws.close();
+                }, connectTimeout);
+                ws.addEventListener('open', () => {
+                    clearTimeout(timer);
+                    resolve(ws);
+                });
+                ws.addEventListener('close', () => {
+                    clearTimeout(timer);
+                    reject(new Error('WebSocket closed before it opened'));
+                });
+            });
+            opening.catch(() => {}); // Surfaced through send()
+            
+            ws.addEventListener('message', handleMessage);
+            ws.addEventListener('close', (event) => {
+                if (socket === ws) socket = null;
+                pending.forEach(entry => {
+                    if (entry.socket === ws) entry.fail(new Error(`WebSocket closed (${event.code})`));
+                });
+            });
+            return opening;
+        };
+        
+        // connect() for one request: a timeout or a newer request stops waiting at once,
+        // and a socket that no request waits for any more stops opening
+        const connectFor = (sessionId, signal) => {
+            const ready = connect(sessionId);
+            if (!signal) return ready;
+            const waiting = connecting;
+            
+            return new Promise((resolve, reject) => {
+                let settled = false;
+                const settle = () => {
+                    if (settled) return false;
+                    settled = true;
+                    waiting.waiters--;
+                    signal.removeEventListener('abort', onAbort);
+                    return true;
+                };
+                const onAbort = () => {
+                    if (!settle()) return;
+                    if (waiting.waiters === 0 && waiting.socket.readyState === WebSocket.CONNECTING) {
+                        waiting.socket.close(1000, 'Request aborted');
                     }
-                }
+                    reject(new Error('Request aborted'));
+                };
                 
-                /* Header - Glass Effect */
-                .chatbot-lg-header {
-                    padding: 20px 24px;
-                    background: rgba(0, 61, 70, 0.75);
-                    backdrop-filter: blur(20px) saturate(180%);
-                    -webkit-backdrop-filter: blur(20px) saturate(180%);
-                    border-bottom: 1px solid rgba(255, 255, 255, 0.1);
-                    display: flex;
-                    align-items: center;
-                    justify-content: space-between;
-                    box-shadow: 0 2px 8px rgba(0, 0, 0, 0.05),
-                                inset 0 1px 0 rgba(255, 255, 255, 0.1);
-                    box-sizing: border-box;
-                    width: 100%;
-                    min-width: 0;
-                    flex-shrink: 0;
+                waiting.waiters++;
+                if (signal.aborted) {
+                    onAbort();
+                    return;
                 }
+                signal.addEventListener('abort', onAbort);
+                ready.then(
+                    ws => settle() && resolve(ws),
+                    error => settle() && reject(error)
+                );
+            });
+        };
+        
+        return {
+            name: 'websocket',
+            async send(payload, { signal, context } = {}) {
+                const ws = await connectFor(payload.session_id, signal);
+                const id = (context && context.requestId) || createRequestId();
+                
+                return new Promise((resolve, reject) => {
+                    const entry = {
+                        socket: ws,
+                        stream: null,
+                        resolve: resolve,
+                        finish() {
+                            pending.delete(id);
+                            if (signal) signal.removeEventListener('abort', onAbort);
+                            if (entry.stream) entry.stream.end();
+                        },
+                        fail(error) {
+                            pending.delete(id);
+                            if (signal) signal.removeEventListener('abort', onAbort);
+                            if (entry.stream) entry.stream.fail(error);
+                            else reject(error);
+                        }
+                    };
+                    const onAbort = () => entry.fail(new Error('Request aborted'));
+                    if (signal) {
+                        if (signal.aborted) return onAbort();
+                        signal.addEventListener('abort', onAbort);
+                    }
+                    
+                    pending.set(id, entry);
+                    try {
+                        ws.send(JSON.stringify({ ...payload, [idField]: id }));
+                    } catch (error) {
+                        entry.fail(error);
+                    }
+                });
+            },
+            close() {
+                if (socket) socket.close(1000, 'Widget destroyed');
+                socket = null;
+            }
+        };
+    }
+
+    /**
+     * Demo conversation used by the mock transport when no script is given
+     * Covers every step from the starting disclaimer to the closing AI disclaimer.
+     */
+    const MOCK_SCRIPT = {
+        send_ai_starting_disclaimer: {
+            message: 'Hi! I am a demo assistant. Answers are generated by AI and may be inaccurate.'
+        },
+        send_user_types: {
+            message: 'Who are you?',
+            options: [
+                { id: 'customer', option_value: 'Customer' },
+                { id: 'prospect', option_value: 'Interested in the service' }
+            ]
+        },
+        send_concern_categories: {
+            message: 'What is your question about?',
+            options: [
+                { id: 'pricing', option_value: 'Pricing' },
+                { id: 'account', option_value: 'My account' },
+                { id: 'something_else', option_value: 'Something else' }
+            ]
+        },
+        send_top_questions: (payload) => payload.concern_category === 'something_else'
+            ? { message: 'Please type your question below.', text_input_enabled: true }
+            : {
+                message: 'Here are the most common questions:',
+                options: [
+                    { id: 'q1', option_value: 'How much does it cost?' },
+                    { id: 'q2', option_value: 'How do I cancel?' }
+                ],
+                text_input_enabled: true
+            },
+        send_query_answer: (payload) => ({
+            answer: `This is a **demo answer** to "${payload.question}". Connect a real backend to get actual answers.`,
+            stream: true,
+            options: [
+                { id: 'ask_another', option_value: 'Ask another question', next_step: 'send_concern_categories' },
+                { id: 'human', option_value: 'Talk to Human', next_step: 'redirect_to_human_support' },
+                { id: 'end', option_value: 'End chat', next_step: 'send_rating' }
+            ]
+        }),
+        redirect_to_human_support: {
+            message: 'Our support team is happy to help you personally.',
+            options: [
+                { id: 'end', option_value: 'End chat', next_step: 'send_rating' }
+            ]
+        },
+        send_rating: {
+            message: 'How helpful was this conversation?',
+            options: [
+                { id: 'perfect', value: 'Perfect' },
+                { id: 'incomplete', value: 'Incomplete answer' },
+                { id: 'other', value: 'Other' }
+            ]
+        },
+        send_ai_disclaimer: {
+            message: 'Thank you for your feedback!',
+            disclaimer: 'Answers in this chat were generated by AI.'
+        }
+    };
+
+    /**
+     * In-memory transport replying from a scripted table of step → response
+     * 
+     * A script entry is a response object, a (possibly async) function of the request
+     * body (and `{ signal }`) returning one, or an async iterable streamed as is. `step` and a generated
+     * session_id are filled in when missing. An entry with `stream: true` streams its
+     * `answer` word by word, like an SSE backend. Steps missing from the script fail
+     * with a 404 'http' error.
+     * 
+     * @param {Object} [script] - Step → response table (defaults to a demo conversation)
+     * @param {Object} [options]
+     * @param {number} [options.delay=300] - Simulated latency in ms before each reply
+     * @param {number} [options.tokenDelay=40] - Delay between streamed words in ms
+     * @param {string} [options.sessionPrefix='mock-'] - Prefix of generated session ids
+     * @returns {Object} Transport resolving replies without any network access
+     */
+    function createMockTransport(script = MOCK_SCRIPT, options = {}) {
+        const delay = options.delay !== undefined ? options.delay : 300;
+        const tokenDelay = options.tokenDelay !== undefined ? options.tokenDelay : 40;
+        const sessionPrefix = options.sessionPrefix || 'mock-';
+        
+        return {
+            name: 'mock',
+            async send(payload, { signal } = {}) {
+                const step = payload.step;
+                signal = signal || new AbortController().signal;
+                await waitFor(delay, signal, step);
+                
+                let entry = script[step];
+                if (typeof entry === 'function') entry = await entry(payload, { signal: signal });
+                if (entry === undefined || entry === null) {
+                    throw new ChatbotRequestError(`Mock transport has no response for ${step}`, { type: 'http', step: step, status: 404 });
+                }
+                if (isAsyncIterable(entry)) return entry;
+                
+                const { stream, ...response } = entry;
+                const reply = {
+                    step: step,
+                    session_id: payload.session_id || sessionPrefix + createRequestId(),
+                    ...response
+                };
+                if (!stream || typeof reply.answer !== 'string') return reply;
                 
-                .chatbot-lg-header-content {
-                    display: flex;
-                    align-items: center;
-                    gap: 12px;
+                const { answer, ...rest } = reply;
+                return (async function* () {
+                    for (const token of answer.match(/\S+\s*/g) || []) {
+                        await waitFor(tokenDelay, signal, step);
+                        yield { token: token };
+                    }
+                    yield rest;
+                })();
+            }
+        };
+    }
+
+    // ====================================================================
+    // KNOWLEDGE BASE
+    // ====================================================================
+    // Offline FAQ mode: answers the option-driven flow from a local JSON document
+    // of user types → categories → questions → answers, and matches typed
+    // questions with a small fuzzy search. Used standalone (no backend) or as a
+    // fallback when the backend is unreachable.
+
+    /** Default texts of the offline flow, overridable through the document's `messages` */
+    const KNOWLEDGE_BASE_MESSAGES = {
+        disclaimer: 'Welcome! I can answer the most common questions about our service.',
+        userTypes: 'Who are you?',
+        categories: 'What is your question about?',
+        questions: 'Here are the most common questions:',
+        somethingElse: 'Something else',
+        typeQuestion: 'Please type your question below.',
+        noMatch: 'Sorry, I could not find an answer to that.',
+        suggestions: 'Maybe one of these helps:',
+        askAnother: 'Ask another question',
+        talkToHuman: 'Talk to Human',
+        endChat: 'End chat',
+        humanSupport: 'Our support team is happy to help you personally.',
+        contactLink: 'Contact us',
+        rating: 'How helpful was this conversation?',
+        thanks: 'Thank you for your feedback!',
+        links: 'More information:'
+    };
+
+    /**
+     * Lowercases, strips accents and punctuation for matching
+     * 
+     * @param {string} text - Any text
+     * @returns {string[]} Search tokens
+     */
+    function tokenizeSearchText(text) {
+        return String(text || '')
+            .toLowerCase()
+            .normalize('NFD')
+            .replace(/[\u0300-\u036f]/g, '')
+            .split(/[^\p{L}\p{N}]+/u)
+            .filter(token => token.length > 1);
+    }
+
+    /**
+     * Levenshtein distance between two short strings
+     * 
+     * @param {string} a
+     * @param {string} b
+     * @returns {number} Number of single-character edits
+     */
+    function editDistance(a, b) {
+        let previous = Array.from({ length: b.length + 1 }, (_, index) => index);
+        for (let i = 1; i <= a.length; i++) {
+            const current = [i];
+            for (let j = 1; j <= b.length; j++) {
+                current[j] = Math.min(
+                    previous[j] + 1,
+                    current[j - 1] + 1,
+                    previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1)
+                );
+            }
+            previous = current;
+        }
+        return previous[b.length];
+    }
+
+    /**
+     * How well one query token matches one document token, from 0 to 1
+     * Exact matches score 1, prefixes 0.8, near misses (typos) by edit distance.
+     */
+    function scoreToken(queryToken, token) {
+        if (queryToken === token) return 1;
+        if (queryToken.length >= 3 && token.startsWith(queryToken)) return 0.8;
+        if (queryToken.length < 4) return 0;
+        const distance = editDistance(queryToken, token);
+        const similarity = 1 - distance / Math.max(queryToken.length, token.length);
+        return similarity >= 0.75 ? similarity * 0.9 : 0;
+    }
+
+    /**
+     * Ranks knowledge base entries against a typed question
+     * 
+     * Every query token is matched against the question text and keywords (full weight)
+     * and the answer (half weight); the score is the average over the query tokens.
+     * Entries of the preferred category get a small boost.
+     * 
+     * @param {Object[]} entries - Flattened entries from flattenKnowledgeBase()
+     * @param {string} query - Typed question
+     * @param {Object} [options]
+     * @param {string} [options.category] - Category id to prefer
+     * @param {number} [options.threshold=0.45] - Minimum score of a match
+     * @param {number} [options.limit=3] - Maximum number of matches
+     * @returns {Object[]} Matching entries with `score`, best first
+     */
+    function searchKnowledgeBase(entries, query, options = {}) {
+        const queryTokens = tokenizeSearchText(query);
+        if (queryTokens.length === 0) return [];
+        const threshold = options.threshold !== undefined ? options.threshold : 0.45;
+        
+        return entries
+            .map(entry => {
+                let total = 0;
+                queryTokens.forEach(queryToken => {
+                    let best = 0;
+                    entry.tokens.forEach(token => { best = Math.max(best, scoreToken(queryToken, token)); });
+                    entry.answerTokens.forEach(token => { best = Math.max(best, scoreToken(queryToken, token) * 0.5); });
+                    total += best;
+                });
+                let score = total / queryTokens.length;
+                if (options.category && entry.category.id === options.category) score += 0.05;
+                return { ...entry, score: score };
+            })
+            .filter(entry => entry.score >= threshold)
+            .sort((a, b) => b.score - a.score)
+            .slice(0, options.limit || 3);
+    }
+
+    /**
+     * Flattens a knowledge base document into searchable question entries
+     * 
+     * @param {Object} knowledgeBase - Knowledge base document
+     * @returns {Object[]} Entries with userType, category, question and search tokens
+     */
+    function flattenKnowledgeBase(knowledgeBase) {
+        const entries = [];
+        (knowledgeBase.userTypes || []).forEach(userType => {
+            (userType.categories || []).forEach(category => {
+                (category.questions || []).forEach(question => {
+                    entries.push({
+                        userType: userType,
+                        category: category,
+                        question: question,
+                        tokens: tokenizeSearchText([question.question].concat(question.keywords || []).join(' ')),
+                        answerTokens: tokenizeSearchText(question.answer)
+                    });
+                });
+            });
+        });
+        return entries;
+    }
+
+    /**
+     * Builds the mock transport script that runs the whole flow from a knowledge base
+     * 
+     * Document shape:
+     * {
+     *   messages: { ... },                       // optional, see KNOWLEDGE_BASE_MESSAGES
+     *   userTypes: [{ id, label, categories: [{ id, label, questions: [
+     *     { id, question, answer, links: [{ label, url }], keywords: [] }
+     *   ] }] }]
+     * }
+     * 
+     * @param {Function} loadDocument - Returns a promise of the document
+     * @param {Object} options
+     * @param {string} [options.contactPageUrl] - Linked from the human support step
+     * @param {Function} [options.translate] - UI string lookup (key → text) for texts the
+     *                                         document does not override
+     * @returns {Object} Step → reply function table for createMockTransport()
+     */
+    function createKnowledgeBaseScript(loadDocument, options) {
+        const translate = options.translate || (key => UI_MESSAGES.en[key]);
+        
+        // One download shared by every request; each request only stops waiting for it
+        let indexed = null;
+        const load = (signal) => {
+            if (!indexed) {
+                const loading = Promise.resolve(loadDocument()).then(knowledgeBase => ({
+                    knowledgeBase: knowledgeBase,
+                    messages: { ...KNOWLEDGE_BASE_MESSAGES, ...knowledgeBase.messages },
+                    entries: flattenKnowledgeBase(knowledgeBase)
+                }));
+                loading.catch(() => {
+                    if (indexed === loading) indexed = null; // Try loading again next time
+                });
+                indexed = loading;
+            }
+            if (!signal) return indexed;
+            
+            const shared = indexed;
+            return new Promise((resolve, reject) => {
+                const onAbort = () => reject(new ChatbotRequestError('Knowledge base request cancelled', { type: 'aborted' }));
+                if (signal.aborted) {
+                    onAbort();
+                    return;
                 }
-                
-                .chatbot-lg-avatar {
-                    width: 40px;
-                    height: 40px;
-                    border-radius: 50%;
-                    background: #F4F4F6;
-                    backdrop-filter: blur(10px);
-                    -webkit-backdrop-filter: blur(10px);
-                    display: flex;
-                    align-items: center;
-                    justify-content: center;
-                    box-shadow: 0 4px 12px rgba(0, 0, 0, 0.1),
-                                inset 0 1px 0 rgba(255, 255, 255, 0.2);
-                    border: 1px solid rgba(255, 255, 255, 0.2);
-                    position: relative;
-                    overflow: hidden;
+                signal.addEventListener('abort', onAbort, { once: true });
+                shared.then(resolve, reject).finally(() => signal.removeEventListener('abort', onAbort));
+            });
+        };
+        
+        // Unknown user types (e.g. chosen while the backend was up) see every category
+        const getCategories = (knowledgeBase, userTypeId) => {
+            const userTypes = knowledgeBase.userTypes || [];
+            const userType = userTypes.find(type => type.id === userTypeId);
+            if (userType) return userType.categories || [];
+            const byId = new Map();
+            userTypes.forEach(type => (type.categories || []).forEach(category => {
+                if (!byId.has(category.id)) byId.set(category.id, category);
+            }));
+            return Array.from(byId.values());
+        };
+        
+        const answerOptions = (messages) => {
+            const choices = [
+                { id: 'ask_another', option_value: messages.askAnother, next_step: 'send_concern_categories' }
+            ];
+            if (options.contactPageUrl) {
+                choices.push({ id: 'talk_to_human', option_value: messages.talkToHuman, next_step: 'redirect_to_human_support' });
+            }
+            choices.push({ id: 'end_chat', option_value: messages.endChat, next_step: 'send_rating' });
+            return choices;
+        };
+        
+        const formatAnswer = (question, messages) => {
+            const links = (question.links || []).filter(link => link && link.url);
+            if (links.length === 0) return question.answer || '';
+            return `${question.answer || ''}\n\n${messages.links}\n` +
+                links.map(link => `- [${link.label || link.url}](${link.url})`).join('\n');
+        };
+        
+        const categoriesReply = async (payload, { signal } = {}) => {
+            const { knowledgeBase, messages } = await load(signal);
+            return {
+                message: messages.categories,
+                options: getCategories(knowledgeBase, payload.user_type)
+                    .map(category => ({ id: category.id, option_value: category.label }))
+                    .concat([{ id: 'something_else', option_value: messages.somethingElse }])
+            };
+        };
+        
+        return {
+            send_ai_starting_disclaimer: async (payload, { signal } = {}) => ({ message: (await load(signal)).messages.disclaimer }),
+            send_user_types: async (payload, { signal } = {}) => {
+                const { knowledgeBase, messages } = await load(signal);
+                return {
+                    message: messages.userTypes,
+                    options: (knowledgeBase.userTypes || []).map(type => ({ id: type.id, option_value: type.label }))
+                };
+            },
+            send_concern_categories: categoriesReply,
+            send_top_questions: async (payload, { signal } = {}) => {
+                const { knowledgeBase, messages } = await load(signal);
+                if (payload.concern_category === 'something_else') {
+                    return { message: messages.typeQuestion, text_input_enabled: true };
+                }
+                const category = getCategories(knowledgeBase, payload.user_type)
+                    .find(candidate => candidate.id === payload.concern_category);
+                if (!category) return { step: 'send_concern_categories', ...(await categoriesReply(payload, { signal: signal })) };
+                return {
+                    message: messages.questions,
+                    options: (category.questions || []).map(question => ({ id: question.id, option_value: question.question })),
+                    text_input_enabled: true
+                };
+            },
+            send_query_answer: async (payload, { signal } = {}) => {
+                const { messages, entries } = await load(signal);
+                const text = String(payload.question || '').trim().toLowerCase();
+                const exact = entries.find(entry => String(entry.question.question).trim().toLowerCase() === text);
+                const matches = exact ? [exact] : searchKnowledgeBase(entries, payload.question, { category: payload.concern_category });
+                
+                if (matches.length === 0) {
+                    return { answer: messages.noMatch, options: answerOptions(messages) };
+                }
+                // A clear winner is answered directly, close calls are listed
+                const [best, second] = matches;
+                if (exact || !second || best.score - second.score >= 0.15) {
+                    return { answer: formatAnswer(best.question, messages), options: answerOptions(messages) };
+                }
+                return {
+                    answer: `${messages.suggestions}\n\n` + matches
+                        .map(match => `**${match.question.question}**\n${formatAnswer(match.question, messages)}`)
+                        .join('\n\n'),
+                    options: answerOptions(messages)
+                };
+            },
+            redirect_to_human_support: async (payload, { signal } = {}) => {
+                const { messages } = await load(signal);
+                return {
+                    message: options.contactPageUrl
+                        ? `${messages.humanSupport}\n\n[${messages.contactLink}](${options.contactPageUrl})`
+                        : messages.humanSupport,
+                    options: [{ id: 'end_chat', option_value: messages.endChat, next_step: 'send_rating' }]
+                };
+            },
+            send_rating: async (payload, { signal } = {}) => {
+                const { messages } = await load(signal);
+                return {
+                    message: messages.rating,
+                    options: [
+                        { id: 'perfect', value: messages.ratingPerfect || translate('ratingPerfect') },
+                        { id: 'incomplete', value: messages.ratingIncomplete || translate('ratingIncomplete') },
+                        { id: 'other', value: messages.ratingOther || translate('ratingOther') }
+                    ]
+                };
+            },
+            send_ai_disclaimer: async (payload, { signal } = {}) => ({ message: (await load(signal)).messages.thanks })
+        };
+    }
+
+    /**
+     * Transport answering every step from a knowledge base, without any backend
+     * 
+     * @param {Object|string} source - Knowledge base document, or the URL of its JSON file
+     * @param {Object} [options]
+     * @param {string} [options.contactPageUrl] - Linked from the human support step
+     * @param {number} [options.delay=150] - Simulated latency in ms, so the typing indicator shows
+     * @param {number} [options.timeout=25000] - Time allowed to download the document from its URL
+     * @param {Function} [options.translate] - UI string lookup, see createKnowledgeBaseScript()
+     * @returns {Object} Transport (see createMockTransport)
+     */
+    function createKnowledgeBaseTransport(source, options = {}) {
+        const timeoutMs = options.timeout || 25000;
+        
+        // Shared by all requests waiting for it, so no single request can cancel it
+        const fetchDocument = async () => {
+            const controller = new AbortController();
+            const timer = setTimeout(() => controller.abort(), timeoutMs);
+            try {
+                const response = await fetch(source, { signal: controller.signal });
+                if (!response.ok) throw new Error(`Knowledge base HTTP ${response.status}`);
+                return await response.json();
+            } catch (error) {
+                if (controller.signal.aborted) {
+                    throw new ChatbotRequestError(`Knowledge base timed out after ${timeoutMs}ms`, { type: 'timeout', cause: error });
                 }
-                
-                .chatbot-lg-avatar img,
-                .chatbot-lg-avatar svg {
-                    width: 32px;
-                    height: 32px;
-                    object-fit: contain;
-                }
-                
-                .chatbot-lg-avatar img {
-                    /* No filter - show original colors */
+                throw error;
+            } finally {
+                clearTimeout(timer);
+            }
+        };
+        const loadDocument = typeof source === 'string' ? fetchDocument : () => source;
+        const transport = createMockTransport(createKnowledgeBaseScript(loadDocument, options), {
+            delay: options.delay !== undefined ? options.delay : 150,
+            sessionPrefix: 'offline-'
+        });
+        transport.name = 'knowledgeBase';
+        return transport;
+    }
+
+    /**
+     * Main ChatbotLiquidGlass Class
+     * 
+     * Manages the entire chatbot widget lifecycle including:
+     * - UI rendering and interactions
+     * - Session and message state management
+     * - Communication with backend API
+     * - Message caching and restoration
+     * - Markdown rendering
+     */
+    class ChatbotLiquidGlass {
+        /**
+         * Constructor - Initializes the chatbot widget
+         * 
+         * @param {Object} config - Configuration object
+         * @param {string} [config.apiBaseUrl] - Backend base URL; chat requests go to {apiBaseUrl}/chat,
+         *                                       rating feedback to {apiBaseUrl}/chat/feedback
+         * @param {string} [config.webhookUrl] - Legacy: single backend webhook URL used for every step
+         * @param {string} [config.contactPageUrl] - Page opened by the human support button
+         * @param {Object} [config.brand] - Brand name (subtitle), primaryColor, accentColor and logoUrl
+         * @param {Object} [config.sounds] - Sound settings: enabled flag and optional message sound URL
+         * @param {Object} [config.defaults] - Conversation defaults: locale and initialTopic
+         * @param {string} [config.position='bottom-right'] - Widget position on screen
+         * @param {string} [config.title='AI Support'] - Header title
+         * @param {string} [config.subtitle='The Digital PO Box'] - Header subtitle
+         * @param {boolean} [config.soundsEnabled=true] - Enable/disable sound effects
+         * @param {boolean} [config.showBadge=true] - Show notification badge
+         * @param {Object|Array} [config.analytics] - Analytics adapter(s) receiving funnel events
+         * @param {Object} [config.timeouts] - Request timeouts in ms by step, plus `default`
+         * @param {Object} [config.retry] - Backoff settings: retries, baseDelay, maxDelay
+         * @param {Object|Function} [config.headers] - Extra headers, or a (possibly async) function of the request context
+         * @param {Function} [config.beforeRequest] - (body, ctx) hook returning the body to send
+         * @param {Function} [config.afterResponse] - (json, ctx) hook returning the normalized response
+         * @param {Object} [config.transport] - Transport carrying requests (HTTP POST by default)
+         * @param {Object} [config.flow] - Step → definition overrides for the conversation flow
+         * @param {Object|string} [config.knowledgeBase] - Offline FAQ document or its URL; answers every
+         *                                                 step without a backend, or when the backend fails
+         * @param {boolean} [config.deepLinks=true] - Follow chatbot_* URL parameters, #chatbot and data-chatbot-* links
+         * @param {Array|Object} [config.triggers] - Rules showing a teaser or opening the panel on their own
+         * @param {Object|Function|boolean} [config.context] - Fields merged into the `meta` block of every request,
+         *                                                    or a (possibly async) function of the request context
+         * @param {Object|boolean} [config.history] - History budget (maxTurns, maxChars) and summarize callback
+         * @param {Object} [config.liveAgent] - Live agent endpoint and business hours; the human support
+         *                                      button and option then hand off inside the panel
+         * @param {Object|Array|boolean} [config.humanSupport] - Channels offered by the human support button,
+         *                                                      each with optional opening hours
+         * @param {Object} [config.messages] - UI strings by locale, merged over the bundled catalogs
+         * @param {string} [config.direction='auto'] - Layout direction; 'auto' follows the active locale
+         * @param {Array<string|Function>} [config.localeSources] - Order in which the locale is looked up
+         * @param {string[]} [config.supportedLocales] - Locales the backend serves; detected locales are
+         *                                              negotiated against them, the first one is the fallback
+         * @param {boolean|string[]} [config.languageSwitcher=false] - Header language picker, listing the given
+         *                                                             locales, supportedLocales or the backend's
+         * @throws {Error} If neither apiBaseUrl, webhookUrl nor transport is provided outside WordPress
+         */
+        constructor(config) {
+            // Map the documented config shape (apiBaseUrl, brand, sounds, defaults) onto flat keys
+            config = normalizeConfig(config);
+            
+            // Auto-detect WordPress and use proxy if webhookUrl not provided
+            // A custom transport (WebSocket, mock) or a knowledge base does not need a webhook URL
+            if ((!config || !config.webhookUrl || config.webhookUrl.trim() === '') && !(config && (config.transport || config.knowledgeBase))) {
+                if (isWordPress()) {
+                    // WordPress detected - use the proxy endpoint
+                    const proxyUrl = getWordPressProxyUrl();
+                    console.log('🌐 WordPress detected - using proxy endpoint:', proxyUrl);
+                    config = config || {};
+                    config.webhookUrl = proxyUrl;
+                } else {
+                    // Not WordPress and no webhookUrl provided
+                    throw new Error('ChatbotLiquidGlass: apiBaseUrl, webhookUrl, transport or knowledgeBase is required. On WordPress, the proxy endpoint will be used automatically.');
                 }
+            }
+
+            // Merge user config with defaults
+            // Feedback goes to the chat endpoint unless apiBaseUrl derived a dedicated one
+            this.config = { ...defaults, ...config };
+            this.config.feedbackUrl = this.config.feedbackUrl || this.config.webhookUrl;
+            this.config.timeouts = { ...defaults.timeouts, ...config.timeouts };
+            this.config.retry = { ...defaults.retry, ...config.retry };
+            this.config.history = config.history === false ? false : { ...defaults.history, ...config.history };
+            this.config.liveAgent = config.liveAgent ? { ...LIVE_AGENT_DEFAULTS, ...config.liveAgent } : null;
+            this.humanSupport = resolveHumanSupport(config.humanSupport, this.config);
+            this.uiMessages = mergeUiMessages(this.config.messages);
+            if (Array.isArray(this.config.localeSources)) {
+                this.config.localeSources = this.config.localeSources.filter(source => {
+                    if (typeof source === 'function' || DEFAULT_LOCALE_SOURCES.includes(source)) return true;
+                    console.warn(`ChatbotLiquidGlass: Unknown locale source "${source}" will be ignored`);
+                    return false;
+                });
+            }
+            if (Array.isArray(this.config.supportedLocales)) {
+                this.config.supportedLocales = this.config.supportedLocales.map(normalizeLocaleTag).filter(Boolean);
+            }
+            if (Array.isArray(this.config.languageSwitcher)) {
+                this.config.languageSwitcher = this.config.languageSwitcher.map(normalizeLocaleTag).filter(Boolean);
+            }
+            
+            // Step definitions interpreted by handleOptionClick(), sendQuestion() and addOptions()
+            this.flow = resolveFlow(this.config.flow);
+            
+            // Knowledge base answering offline: the only transport without a backend, a fallback with one
+            this.knowledgeBaseTransport = this.config.knowledgeBase
+                ? createKnowledgeBaseTransport(this.config.knowledgeBase, {
+                    contactPageUrl: this.config.contactPageUrl,
+                    timeout: this.config.timeouts.default,
+                    translate: (key) => this.t(key)
+                })
+                : null;
+            
+            // Every backend request goes through this.transport.send()
+            this.transport = this.config.transport
+                || (!this.config.webhookUrl && this.knowledgeBaseTransport)
+                || createHttpTransport();
+            if (typeof this.transport.send !== 'function') {
+                throw new Error('ChatbotLiquidGlass: transport must have a send(payload, options) method');
+            }
+            
+            // Initialize conversation state
+            // Tracks current step in the conversation flow and user selections
+            this.state = {
+                currentStep: '',          // Current conversation step (send_user_types, send_concern_categories, etc.)
+                session_id: '',          // Backend-generated session identifier
+                user_type: '',           // Selected user type (customer, partner, etc.)
+                concern_category: '',     // Selected concern category
+                question: '',             // User's question or selected question
+                askAnotherConfirmation: false,  // Flag to track if we're showing "Ask another question" Yes/No confirmation
+                locale: ''  // Locale will be extracted ONCE when chat icon is clicked, then used for all steps
+            };
+            this.localeSource = '';      // Where state.locale came from: a locale source, 'default', 'user' or 'backend'
+            this.uiLocale = '';          // Locale the UI strings are rendered in, see updateUiLocale()
+            this.direction = 'ltr';      // Layout direction of the container, see updateUiLocale()
+            this.userLocale = '';        // Locale picked with setLocale(), kept when the panel is opened again
+            this.backendLocales = null;  // available_locales of the latest response that sent them, see getSwitcherLocales()
+            
+            // DOM root used for all element lookups: the document, or the shadow root in isolation mode
+            this.root = document;
+            this.host = null;            // Shadow host element appended to <body> when isolation is 'shadow'
+            
+            // UI state flags
+            this.isOpen = false;         // Whether the widget is currently open
+            this.isExpanded = false;     // Whether the widget is in fullscreen mode
+            this.soundsEnabled = config.soundsEnabled !== false; // Sound effects enabled by default
+            this.audioContext = null;    // Web Audio API context for sound effects
+            this.messageAudio = null;    // Audio element for the configured message sound file
+            this.pendingTopic = this.config.initialTopic || null; // Concern category to preselect when categories are offered next
+            this.colorSchemeQuery = null;     // prefers-color-scheme media query while colorScheme is 'auto'
+            this.colorSchemeListener = null;  // Change listener bound to colorSchemeQuery
+            this.startButtonTimer = null;     // Pending render of the "Start Chat" button after the disclaimer
+            this.optionsByButton = new WeakMap(); // Option button → backend option object it was rendered from
+            this.destroyed = false;           // Set by destroy(); the instance must not be used afterwards
+            this.listeners = {};              // Event name → Set of handlers registered with on()
+            this.analyticsAdapters = [];      // Adapters from config.analytics
+            this.answerRequestedAt = null;    // When the pending question was sent, for answer latency
+            this.streamingMessage = null;     // Bot bubble currently receiving streamed tokens
+            this.streamController = null;     // AbortController behind the Stop button while streaming
+            this.pendingRequests = new Map(); // Channel ('chat', 'feedback') → AbortController of the request in flight
+            this.offline = false;             // Backend failed; the knowledge base answers until Start Over
+            this.deepLinkListeners = null;    // hashchange and document click handlers added by initDeepLinks()
+            this.triggers = resolveTriggers(this.config.triggers); // Normalized config.triggers, null without rules
+            this.historySummary = null;       // Last history.summarize() result, keyed by the newest message it covers
+            this.liveAgent = null;            // Live agent conversation in progress: conversationId, cursor, agent, controller, resumeStep
+            this.triggerCleanups = [];        // Removes the timers and listeners watching trigger conditions
+            this.teaser = null;               // Teaser bubble next to the launcher while shown
+            this.openedByTrigger = false;     // The panel was opened by a rule, not by the user
+            
+            // Initialize the widget
+            this.init();
+        }
+
+        /**
+         * Initialize the chatbot widget
+         * 
+         * Sets up all components in the correct order:
+         * 1. Create the shadow root when isolation is 'shadow'
+         * 2. Inject CSS styles into the page (or shadow root)
+         * 3. Pick the language of the UI strings
+         * 4. Create and append widget DOM elements
+         * 5. Attach event listeners
+         * 6. Initialize audio system
+         * 7. Connect analytics adapters
+         * 8. Restore any existing session from storage
+         * 9. Follow a deep link in the page URL and listen for deep link clicks
+         * 10. Start watching the conditions of engagement triggers
+         */
+        init() {
+            this.createRoot();        // Create shadow root for isolation mode
+            this.injectStyles();      // Add CSS styles to page
+            this.updateUiLocale();    // UI strings follow state.locale, or the page locale until it is set
+            this.createWidget();      // Create widget DOM structure
+            this.attachEvents();      // Attach click handlers and event listeners
+            this.initAudio();         // Initialize Web Audio API for sounds
+            this.initAnalytics();     // Forward widget events to analytics adapters
+            this.restoreSession();    // Restore session_id from sessionStorage if exists
+            this.initDeepLinks();     // Open from chatbot_* URL parameters, #chatbot and data-chatbot-* links
+            this.initTriggers();      // Teaser / auto-open rules from config.triggers
+        }
+        
+        // ====================================================================
+        // SESSION MANAGEMENT METHODS
+        // ====================================================================
+        // These methods handle session_id storage and retrieval using sessionStorage
+        // Session ID persists across page refreshes within the same browser session
+        
+        /**
+         * Retrieves the current session_id from sessionStorage
+         * 
+         * @returns {string} The session_id if found, empty string otherwise
+         */
+        getSessionId() {
+            return sessionStorage.getItem('chatbot_session_id') || '';
+        }
+        
+        /**
+         * Saves the session_id to sessionStorage and updates internal state
+         * 
+         * @param {string} sessionId - The session_id to save
+         */
+        saveSessionId(sessionId) {
+            if (sessionId) {
+                sessionStorage.setItem('chatbot_session_id', sessionId);
+                this.state.session_id = sessionId;
+            }
+        }
+        
+        /**
+         * Clears the session_id from both sessionStorage and internal state
+         * Used when starting a new conversation
+         */
+        clearSession() {
+            sessionStorage.removeItem('chatbot_session_id');
+            this.state.session_id = '';
+        }
+        
+        // ====================================================================
+        // MESSAGE CACHING METHODS
+        // ====================================================================
+        // These methods handle local storage of messages for offline viewing
+        // and conversation restoration after page refresh
+        
+        /**
+         * Generates a cache key based on the current session_id
+         * Each session has its own cache key: 'chatbot_messages_{session_id}'
+         * 
+         * @returns {string|null} Cache key string or null if no session_id exists
+         */
+        getCacheKey() {
+            const sessionId = this.getSessionId();
+            return sessionId ? `chatbot_messages_${sessionId}` : null;
+        }
+        
+        /**
+         * Saves a message to localStorage cache
+         * 
+         * Messages are stored per session and limited to the last 100 messages
+         * to prevent excessive storage usage.
+         * 
+         * @param {string} text - The message text content
+         * @param {boolean} isBot - Whether this is a bot message (true) or user message (false)
+         * @param {string|null} step - Optional: The conversation step when message was sent
+         * @param {Array|null} options - Optional: Options array to store with the message
+         * @returns {string|null} Id of the cached message (null when nothing was cached)
+         */
+        saveMessageToCache(text, isBot, step = null, options = null) {
+            const cacheKey = this.getCacheKey();
+            if (!cacheKey) return null; // No session_id means no caching
+            
+            const id = createRequestId();
+            try {
+                // Retrieve existing cached messages for this session
+                const cached = JSON.parse(localStorage.getItem(cacheKey) || '[]');
                 
-                .chatbot-lg-title {
-                    font-size: 16px;
-                    font-weight: 600;
-                    color: white;
-                    margin: 0;
-                    text-shadow: 0 1px 2px rgba(0, 0, 0, 0.1);
-                }
+                // Add new message to cache with metadata
+                // Include state information for better restoration
+                cached.push({
+                    id: id, // Links the message element (data-message-id) to its entry, for rewinding
+                    text: text,
+                    isBot: isBot,
+                    step: step || this.state.currentStep,
+                    timestamp: Date.now(),
+                    session_id: this.state.session_id,
+                    // Store state information for restoration
+                    user_type: this.state.user_type,
+                    concern_category: this.state.concern_category,
+                    question: this.state.question,
+                    // Store options if provided (for bot messages that have options)
+                    options: options || null
+                    // Step name is already stored above, which determines if rating UI should be shown
+                });
                 
-                .chatbot-lg-subtitle {
-                    font-size: 12px;
-                    color: rgba(255, 255, 255, 0.85);
-                    margin: 2px 0 0 0;
-                    font-weight: 400;
-                }
+                // Keep only the last 100 messages to prevent storage bloat
+                const trimmed = cached.slice(-100);
+                localStorage.setItem(cacheKey, JSON.stringify(trimmed));
+                return id;
+            } catch (error) {
+                // Gracefully handle storage errors (quota exceeded, etc.)
+                console.warn('Failed to cache message:', error);
+                return null;
+            }
+        }
+        
+        /**
+         * Marks the last cached message as the user's selection at a step (shown with an Edit button)
+         * 
+         * @param {string} step - Step whose option the user chose
+         */
+        markLastCachedMessageAsSelection(step) {
+            const cacheKey = this.getCacheKey();
+            if (!cacheKey) return;
+            
+            try {
+                const cached = JSON.parse(localStorage.getItem(cacheKey) || '[]');
+                if (cached.length === 0) return;
+                cached[cached.length - 1].selection_step = step;
+                localStorage.setItem(cacheKey, JSON.stringify(cached));
+            } catch (error) {
+                console.warn('Failed to update cached selection:', error);
+            }
+        }
+        
+        /**
+         * Marks the last cached message as written by the widget rather than the backend
+         * 
+         * Such messages (e.g. the handback after a live agent chat) are not re-requested
+         * in another language by resendCurrentStep().
+         */
+        markLastCachedMessageAsLocal() {
+            const cacheKey = this.getCacheKey();
+            if (!cacheKey) return;
+            
+            try {
+                const cached = JSON.parse(localStorage.getItem(cacheKey) || '[]');
+                if (cached.length === 0) return;
+                cached[cached.length - 1].local = true;
+                localStorage.setItem(cacheKey, JSON.stringify(cached));
+            } catch (error) {
+                console.warn('Failed to update cached message:', error);
+            }
+        }
+        
+        /**
+         * Marks the last cached message as sent by a live agent, so it is restored with the agent's avatar
+         * 
+         * @param {Object} agent - { name, avatar }
+         */
+        markLastCachedMessageAsAgent(agent) {
+            const cacheKey = this.getCacheKey();
+            if (!cacheKey) return;
+            
+            try {
+                const cached = JSON.parse(localStorage.getItem(cacheKey) || '[]');
+                if (cached.length === 0) return;
+                cached[cached.length - 1].agent = { name: agent.name, avatar: agent.avatar || '' };
+                localStorage.setItem(cacheKey, JSON.stringify(cached));
+            } catch (error) {
+                console.warn('Failed to update cached message:', error);
+            }
+        }
+        
+        /**
+         * Drops the cached message with the given id and everything cached after it
+         * 
+         * @param {string} id - Cached message id
+         * @returns {Object|null} The dropped message entry (its state fields describe the
+         *                        conversation at that point), or null if it is not cached
+         */
+        truncateMessageCache(id) {
+            const cacheKey = this.getCacheKey();
+            const cached = this.getCachedMessages();
+            const index = cached.findIndex(msg => msg.id === id);
+            if (!cacheKey || index === -1) return null;
+            
+            try {
+                localStorage.setItem(cacheKey, JSON.stringify(cached.slice(0, index)));
+            } catch (error) {
+                console.warn('Failed to truncate message cache:', error);
+            }
+            return cached[index];
+        }
+        
+        /**
+         * Updates the last cached message to include feedback options for rating UI
+         * 
+         * @param {boolean} ratingEnabled - Whether rating UI should be shown (kept for compatibility, but step name is used)
+         * @param {Array} feedbackOptions - Array of feedback options for rating UI
+         * @param {string} ratingMessage - Optional rating message/label
+         */
+        updateLastCachedMessageRatingFlag(ratingEnabled, feedbackOptions = [], ratingMessage = null) {
+            const cacheKey = this.getCacheKey();
+            if (!cacheKey) return;
+            
+            try {
+                const cached = JSON.parse(localStorage.getItem(cacheKey) || '[]');
+                if (cached.length === 0) return;
                 
-                .chatbot-lg-header-actions {
-                    display: flex;
-                    gap: 8px;
-                    align-items: center;
+                // Update the last message with feedback options
+                // Step name is already stored in msg.step, which determines if rating UI should be shown
+                const lastMsg = cached[cached.length - 1];
+                // Store feedback options separately (they're different from regular options)
+                if (ratingEnabled && feedbackOptions.length > 0) {
+                    lastMsg.feedback_options = feedbackOptions;
                 }
-                
-                .chatbot-lg-expand,
-                .chatbot-lg-close,
-                .chatbot-lg-human-support {
-                    width: 32px;
-                    height: 32px;
-                    border-radius: 50%;
-                    background: rgba(255, 255, 255, 0.1);
-                    backdrop-filter: blur(10px);
-                    -webkit-backdrop-filter: blur(10px);
-                    border: 1px solid rgba(255, 255, 255, 0.15);
-                    color: white;
-                    font-size: 18px;
-                    cursor: pointer;
-                    display: flex;
-                    align-items: center;
-                    justify-content: center;
-                    transition: all 0.2s;
-                    line-height: 1;
-                    padding: 0;
-                    margin: 0;
-                    position: relative;
+                // Store rating message for cache restoration
+                if (ratingMessage !== null) {
+                    lastMsg.rating_message = ratingMessage;
                 }
                 
-                .chatbot-lg-expand:hover,
-                .chatbot-lg-close:hover,
-                .chatbot-lg-human-support:hover {
-                    background: rgba(255, 255, 255, 0.2);
-                    transform: scale(1.1);
-                }
-                
-                .chatbot-lg-human-support {
-                    font-size: 20px;
+                localStorage.setItem(cacheKey, JSON.stringify(cached));
+            } catch (error) {
+                console.warn('Failed to update cached message rating flag:', error);
+            }
+        }
+        
+        /**
+         * Detects the page locale from config.localeSources (config.locale, the URL, <html lang>,
+         * WPML / Polylang cookies, navigator.languages), negotiated against config.supportedLocales
+         * 
+         * @returns {{locale: string, source: string}} BCP 47 tag (e.g. 'en', 'pt-BR', 'zh-Hant') and the
+         *          source that won; without supported locales both are empty when nothing is found
+         */
+        detectLocale() {
+            return resolveLocale({
+                sources: this.config.localeSources,
+                supported: this.config.supportedLocales,
+                configLocale: this.config.locale
+            });
+        }
+        
+        /**
+         * Resolves the locale to send with the conversation
+         * Records where it came from in this.localeSource (sent as meta.locale_source)
+         * 
+         * @returns {string} BCP 47 tag, empty if none found
+         */
+        extractLocale() {
+            const detected = this.detectLocale();
+            this.localeSource = detected.source;
+            return detected.locale;
+        }
+        
+        /**
+         * Looks up a UI string in the language of this.uiLocale
+         * 
+         * Walks the fallback chain of the locale (pt-br, pt), then English, so a
+         * partial catalog falls back key by key.
+         * 
+         * @param {string} key - Key of UI_MESSAGES
+         * @param {Object} [params] - Placeholder values; `count` selects the plural form
+         * @returns {string} Formatted text, or the key when no catalog has it
+         */
+        t(key, params = {}) {
+            const tags = [...getLocaleFallbackChain(this.uiLocale), 'en'];
+            for (const tag of tags) {
+                const catalog = this.uiMessages[tag];
+                if (catalog && catalog[key] !== undefined) {
+                    return formatUiMessage(catalog[key], params, tag);
                 }
-                
-                .chatbot-lg-expand svg,
-                .chatbot-lg-close svg {
-                    width: 16px;
-                    height: 16px;
+            }
+            return key;
+        }
+        
+        /**
+         * Switches the UI strings to state.locale, or to the page locale before one is set
+         * 
+         * Called whenever state.locale changes; the header, footer and other elements
+         * marked with data-i18n attributes are translated again, and the layout direction
+         * follows the new locale. Messages already in the chat keep their text.
+         */
+        updateUiLocale() {
+            const locale = String(this.state.locale || this.detectLocale().locale || 'en')
+                .toLowerCase()
+                .replace(/_/g, '-');
+            if (locale === this.uiLocale) return;
+            this.uiLocale = locale;
+            this.direction = resolveDirection(this.config.direction, locale);
+            if (this.container) {
+                this.applyDirection();
+                this.localizeUi();
+            }
+        }
+        
+        /**
+         * Sets dir on the container and mirrors the launcher position in right-to-left layouts
+         */
+        applyDirection() {
+            this.container.setAttribute('dir', this.direction);
+            this.setPosition(this.container);
+            if (this.teaser) {
+                this.positionTeaser(this.teaser);
+            }
+        }
+        
+        /**
+         * Translates the elements marked with data-i18n (text), data-i18n-title
+         * (title and aria-label), data-i18n-placeholder and data-i18n-label (aria-label)
+         */
+        localizeUi() {
+            this.container.querySelectorAll('[data-i18n]').forEach(element => {
+                element.textContent = this.t(element.getAttribute('data-i18n'));
+            });
+            this.container.querySelectorAll('[data-i18n-title]').forEach(element => {
+                element.title = this.t(element.getAttribute('data-i18n-title'));
+                if (element.hasAttribute('aria-label')) element.setAttribute('aria-label', element.title);
+            });
+            this.container.querySelectorAll('[data-i18n-placeholder]').forEach(element => {
+                element.placeholder = this.t(element.getAttribute('data-i18n-placeholder'));
+            });
+            this.container.querySelectorAll('[data-i18n-label]').forEach(element => {
+                element.setAttribute('aria-label', this.t(element.getAttribute('data-i18n-label')));
+            });
+            this.updateHumanSupportButton();
+            this.updateLanguageSwitcher();
+        }
+        
+        /**
+         * Retrieves cached messages for the current session
+         * 
+         * @returns {Array} Array of cached message objects, empty array if none found
+         */
+        getCachedMessages() {
+            const cacheKey = this.getCacheKey();
+            if (!cacheKey) return [];
+            
+            try {
+                const cached = localStorage.getItem(cacheKey);
+                if (cached) {
+                    return JSON.parse(cached);
                 }
-                
-                /* Fullscreen mode */
-                #chatbot-lg-widget.expanded {
-                    width: 100vw !important;
-                    height: 100vh !important;
-                    max-width: 100vw !important;
-                    max-height: 100vh !important;
-                    border-radius: 0 !important;
-                    margin: 0 !important;
-                    position: fixed;
-                    top: 0;
-                    left: 0;
-                    right: 0;
-                    bottom: 0;
+            } catch (error) {
+                console.warn('Failed to load cached messages:', error);
+            }
+            
+            return [];
+        }
+        
+        /**
+         * Builds the conversation history sent with steps flagged `history` in the flow
+         * 
+         * Reads the message cache: typed questions, selected options and bot messages
+         * become { role, content } pairs; the rating and closing disclaimer are left out.
+         * Of the last history.maxTurns messages, the newest ones within history.maxChars
+         * characters are kept (the newest message always is). When older messages are
+         * dropped and history.summarize is set, its summary leads the history as a
+         * { role: 'system' } message.
+         * 
+         * @param {string} step - Step being requested, passed to summarize() in its context
+         * @returns {Promise<Array<{role: string, content: string}>>} Oldest first
+         */
+        async buildHistory(step) {
+            const { maxTurns, maxChars, summarize } = this.config.history;
+            const messages = this.getCachedMessages()
+                .filter(msg => msg.text && msg.step !== 'send_rating' && msg.step !== 'send_ai_disclaimer')
+                .map(msg => ({ id: msg.id, role: msg.isBot ? 'assistant' : 'user', content: String(msg.text) }));
+            
+            const recent = messages.slice(Math.max(0, messages.length - maxTurns));
+            const kept = [];
+            let chars = 0;
+            for (let i = recent.length - 1; i >= 0; i--) {
+                if (kept.length > 0 && chars + recent[i].content.length > maxChars) break;
+                kept.unshift(recent[i]);
+                chars += recent[i].content.length;
+            }
+            const toPair = ({ role, content }) => ({ role: role, content: content });
+            const history = kept.map(toPair);
+            
+            const dropped = messages.slice(0, messages.length - kept.length);
+            if (dropped.length === 0 || typeof summarize !== 'function') return history;
+            
+            // Summaries are reused until another message is dropped
+            const key = `${dropped.length}:${dropped[dropped.length - 1].id}`;
+            if (!this.historySummary || this.historySummary.key !== key) {
+                try {
+                    const summary = await summarize(dropped.map(toPair), { step: step, state: { ...this.state } });
+                    this.historySummary = { key: key, summary: summary ? String(summary) : '' };
+                } catch (error) {
+                    console.warn('ChatbotLiquidGlass: history.summarize() failed, sending recent messages only:', error);
+                    return history;
                 }
-                
-                /* Messages Area - Glass Background */
-                .chatbot-lg-messages {
-                    flex: 1;
-                    overflow-y: auto;
-                    padding: 20px 20px;
-                    background: rgba(244, 244, 246, 0.4);
-                    backdrop-filter: blur(20px);
-                    -webkit-backdrop-filter: blur(20px);
-                    scroll-behavior: smooth;
-                    box-sizing: border-box;
-                    width: 100%;
-                    min-width: 0;
+            }
+            return this.historySummary.summary
+                ? [{ role: 'system', content: this.historySummary.summary }].concat(history)
+                : history;
+        }
+        
+        /**
+         * Restores cached messages to the UI
+         * 
+         * Called when starting a chat if cached messages exist for the current session.
+         * Restores both the message display and the conversation state.
+         * 
+         * @returns {boolean} True if messages were restored, false if cache was empty
+         */
+        restoreMessagesFromCache() {
+            const cachedMessages = this.getCachedMessages();
+            if (cachedMessages.length === 0) return false;
+            
+            // First, restore all state information from cached messages (look backwards to find latest values)
+            // This must be done BEFORE restoring messages so that options have correct state context
+            for (let i = cachedMessages.length - 1; i >= 0; i--) {
+                const msg = cachedMessages[i];
+                if (msg.session_id && !this.state.session_id) {
+                    this.state.session_id = msg.session_id;
+                    this.saveSessionId(msg.session_id);
                 }
-                
-                .chatbot-lg-messages::-webkit-scrollbar {
-                    width: 6px;
+                if (msg.user_type && !this.state.user_type) {
+                    this.state.user_type = msg.user_type;
                 }
-                
-                .chatbot-lg-messages::-webkit-scrollbar-track {
-                    background: transparent;
+                if (msg.concern_category && !this.state.concern_category) {
+                    this.state.concern_category = msg.concern_category;
                 }
-                
-                .chatbot-lg-messages::-webkit-scrollbar-thumb {
-                    background: rgba(0, 61, 70, 0.2);
-                    border-radius: 3px;
-                    backdrop-filter: blur(10px);
+                if (msg.question && !this.state.question) {
+                    this.state.question = msg.question;
                 }
-                
-                .chatbot-lg-messages::-webkit-scrollbar-thumb:hover {
-                    background: rgba(0, 61, 70, 0.3);
+                if (msg.step && !this.state.currentStep) {
+                    this.state.currentStep = msg.step;
                 }
-                
-                /* Message Bubbles - Glass Effect */
-                .chatbot-lg-message {
-                    display: flex;
-                    gap: 8px;
-                    margin-bottom: 12px;
-                    animation: messageFadeIn 0.3s cubic-bezier(0.4, 0, 0.2, 1);
-                    align-items: flex-end;
+            }
+            
+            // Restore session_id from the first cached message if not already set
+            if (cachedMessages.length > 0 && cachedMessages[0].session_id && !this.state.session_id) {
+                this.state.session_id = cachedMessages[0].session_id;
+                this.saveSessionId(cachedMessages[0].session_id);
+            }
+            
+            // Restore each cached message to the UI
+            // Pass false to saveToCache to avoid re-caching already cached messages
+            cachedMessages.forEach((msg, index) => {
+                const container = this.addMessage(msg.text, msg.isBot, false);
+                if (msg.id) {
+                    container.parentElement.setAttribute('data-message-id', msg.id);
+                    if (msg.selection_step) this.markSelectionMessage(container, msg.selection_step);
                 }
+                if (msg.local) container.parentElement.setAttribute('data-local', '');
+                if (msg.agent) this.showAgentAvatar(container, msg.agent);
                 
-                @keyframes messageFadeIn {
-                    from {
-                        opacity: 0;
-                        transform: translateY(8px);
-                    }
-                    to {
-                        opacity: 1;
-                        transform: translateY(0);
+                // Check if this message should have rating UI (not regular options)
+                // Check by step name (send_rating step shows rating UI)
+                if (msg.step === 'send_rating' && msg.feedback_options && Array.isArray(msg.feedback_options) && msg.feedback_options.length > 0) {
+                    // Restore rating UI instead of regular options
+                    // This is for the "send_rating" step
+                    this.addRatingUI(msg.feedback_options, msg.rating_message || null);
+                } else if (msg.options && Array.isArray(msg.options) && msg.options.length > 0) {
+                    // Restore regular options (not rating UI)
+                    // Options are restored AFTER state is set, so they have correct context
+                    // Temporarily set currentStep to the message's step so addOptions knows which step these options belong to
+                    const originalStep = this.state.currentStep;
+                    if (msg.step) {
+                        this.state.currentStep = msg.step;
                     }
+                    // Temporarily disable the history check to avoid checking before all messages are restored
+                    this.addOptions(msg.options, false);
+                    // Restore the original step after adding options
+                    this.state.currentStep = originalStep;
                 }
-                
-                .chatbot-lg-message.user {
-                    flex-direction: row-reverse;
-                }
-                
-                .chatbot-lg-message-avatar {
-                    width: 32px;
-                    height: 32px;
-                    border-radius: 50%;
-                    display: flex;
-                    align-items: center;
-                    justify-content: center;
-                    flex-shrink: 0;
-                    font-size: 16px;
-                    backdrop-filter: blur(10px);
-                    -webkit-backdrop-filter: blur(10px);
-                    box-shadow: 0 2px 8px rgba(0, 0, 0, 0.1),
-                                inset 0 1px 0 rgba(255, 255, 255, 0.2);
-                    border: 1px solid rgba(255, 255, 255, 0.2);
-                }
-                
-                .chatbot-lg-message-container {
-                    display: flex;
-                    flex-direction: column;
-                    gap: 0;
-                }
-                
-                .chatbot-lg-message-bubble {
-                    max-width: 75%;
-                    padding: 10px 14px;
-                    border-radius: 18px;
-                    word-wrap: break-word;
-                    overflow-wrap: break-word;
-                    white-space: pre-wrap;
-                    line-height: 1.5;
-                    font-size: 14px;
-                    backdrop-filter: blur(20px) saturate(180%);
-                    -webkit-backdrop-filter: blur(20px) saturate(180%);
-                    box-shadow: 0 4px 12px rgba(0, 0, 0, 0.08),
-                                inset 0 1px 0 rgba(255, 255, 255, 0.5);
-                    border: 1px solid rgba(255, 255, 255, 0.3);
-                    pointer-events: auto;
-                    box-sizing: border-box;
-                    min-width: 0;
-                }
-                
-                .chatbot-lg-message.bot .chatbot-lg-message-bubble {
-                    background: rgba(255, 255, 255, 0.8);
-                    border-radius: 18px 18px 18px 4px;
-                    color: #003D46;
+            });
+            
+            // After ALL messages are restored, disable any previously selected options in the entire chat history
+            // This ensures that options from earlier steps are properly disabled based on the full state
+            this.disableSelectedOptionsInHistory();
+            
+            // Always set current step from the last message (most recent step)
+            // This ensures we have the correct step even if earlier messages had different steps
+            if (cachedMessages.length > 0) {
+                const lastMsg = cachedMessages[cachedMessages.length - 1];
+                if (lastMsg.step) {
+                    this.state.currentStep = lastMsg.step;
                 }
                 
-                .chatbot-lg-message.user .chatbot-lg-message-bubble {
-                    background: rgba(0, 61, 70, 0.85);
-                    backdrop-filter: blur(20px);
-                    -webkit-backdrop-filter: blur(20px);
-                    color: white;
-                    border-radius: 18px 18px 4px 18px;
-                    border: 1px solid rgba(255, 255, 255, 0.2);
-                }
-                
-                /* Markdown formatting styles */
-                .chatbot-lg-message-bubble h1,
-                .chatbot-lg-message-bubble h2,
-                .chatbot-lg-message-bubble h3 {
-                    margin: 8px 0 6px 0;
-                    font-weight: 600;
-                    line-height: 1.3;
+                // Special case: If any message has send_ai_disclaimer step, prioritize it
+                // This ensures "Start Over" button is shown even if there are messages after disclaimer
+                // (though disclaimer should typically be the last message)
+                for (let i = cachedMessages.length - 1; i >= 0; i--) {
+                    if (cachedMessages[i].step === 'send_ai_disclaimer') {
+                        this.state.currentStep = 'send_ai_disclaimer';
+                        break; // Use the most recent disclaimer step
+                    }
                 }
+            }
+            this.updateNavigation();
+            
+            return true;
+        }
+        
+        /**
+         * Clears all cached messages for the current session
+         * Used when starting a new conversation or resetting the chat
+         */
+        clearMessageCache() {
+            const cacheKey = this.getCacheKey();
+            if (cacheKey) {
+                localStorage.removeItem(cacheKey);
+            }
+        }
+        
+        /**
+         * Restores session_id from sessionStorage on initialization
+         * 
+         * Called during init() to restore any existing session from a previous
+         * page load within the same browser session.
+         */
+        restoreSession() {
+            const savedSessionId = this.getSessionId();
+            if (savedSessionId) {
+                this.state.session_id = savedSessionId;
+            }
+        }
+
+        // ====================================================================
+        // AUDIO SYSTEM METHODS
+        // ====================================================================
+        // Handles sound effects using Web Audio API
+        
+        /**
+         * Initializes the Web Audio API context for sound effects
+         * 
+         * Creates an AudioContext that will be used to generate sound effects
+         * for user interactions. Falls back gracefully if Web Audio API is not supported.
+         */
+        initAudio() {
+            // Preload the configured message sound file if one was provided
+            if (this.config.messageSoundUrl && typeof window.Audio === 'function') {
+                this.messageAudio = new window.Audio(this.config.messageSoundUrl);
+                this.messageAudio.preload = 'auto';
+            }
+            
+            try {
+                // Create AudioContext (with webkit prefix for older browsers)
+                this.audioContext = new (window.AudioContext || window.webkitAudioContext)();
+            } catch (e) {
+                console.warn('Web Audio API not supported, sounds disabled');
+                this.soundsEnabled = false;
+            }
+        }
+
+        /**
+         * Plays a sound effect based on the interaction type
+         * 
+         * Generates different audio tones for different user actions:
+         * - 'message': Soft pop sound when receiving a bot message
+         * - 'option': Light click sound when selecting an option
+         * - 'send': Upward tone when sending a message
+         * - 'typing': Subtle sound for typing indicator
+         * - 'open': Pleasant sound when opening the widget
+         * 
+         * @param {string} type - Sound type: 'message', 'option', 'send', 'typing', 'open'
+         */
+        playSound(type = 'message') {
+            // Play the configured sound file for bot messages instead of the synthesized pop
+            if (type === 'message' && this.messageAudio && this.config.soundsEnabled !== false) {
+                this.messageAudio.currentTime = 0;
+                const playback = this.messageAudio.play();
+                if (playback && playback.catch) playback.catch(() => {});
+                return;
+            }
+            
+            // Exit early if sounds are disabled or audio context unavailable
+            if (!this.soundsEnabled || !this.audioContext) return;
+
+            try {
+                // Create audio nodes: oscillator generates the tone, gain controls volume
+                const oscillator = this.audioContext.createOscillator();
+                const gainNode = this.audioContext.createGain();
                 
-                .chatbot-lg-message-bubble h1 {
-                    font-size: 18px;
+                // Connect audio nodes: oscillator -> gain -> destination (speakers)
+                oscillator.connect(gainNode);
+                gainNode.connect(this.audioContext.destination);
+
+                // Configure different sound characteristics for each interaction type
+                switch(type) {
+                    case 'message':
+                        // Soft pop for messages
+                        oscillator.frequency.setValueAtTime(400, this.audioContext.currentTime);
+                        oscillator.frequency.exponentialRampToValueAtTime(300, this.audioContext.currentTime + 0.1);
+                        gainNode.gain.setValueAtTime(0.15, this.audioContext.currentTime);
+                        gainNode.gain.exponentialRampToValueAtTime(0.01, this.audioContext.currentTime + 0.15);
+                        oscillator.type = 'sine';
+                        break;
+                    case 'option':
+                        // Bright ding sound for option selection (higher pitch, quick)
+                        oscillator.frequency.setValueAtTime(800, this.audioContext.currentTime);
+                        oscillator.frequency.exponentialRampToValueAtTime(600, this.audioContext.currentTime + 0.08);
+                        gainNode.gain.setValueAtTime(0.2, this.audioContext.currentTime);
+                        gainNode.gain.exponentialRampToValueAtTime(0.01, this.audioContext.currentTime + 0.08);
+                        oscillator.type = 'sine';
+                        break;
+                    case 'send':
+                        // Upward tone for sending
+                        oscillator.frequency.setValueAtTime(500, this.audioContext.currentTime);
+                        oscillator.frequency.exponentialRampToValueAtTime(700, this.audioContext.currentTime + 0.1);
+                        gainNode.gain.setValueAtTime(0.15, this.audioContext.currentTime);
+                        gainNode.gain.exponentialRampToValueAtTime(0.01, this.audioContext.currentTime + 0.12);
+                        oscillator.type = 'sine';
+                        break;
+                    case 'typing':
+                        // Subtle typing sound
+                        oscillator.frequency.setValueAtTime(200, this.audioContext.currentTime);
+                        gainNode.gain.setValueAtTime(0.08, this.audioContext.currentTime);
+                        gainNode.gain.exponentialRampToValueAtTime(0.01, this.audioContext.currentTime + 0.05);
+                        oscillator.type = 'sine';
+                        break;
+                    case 'open':
+                        // Pleasant open sound
+                        oscillator.frequency.setValueAtTime(300, this.audioContext.currentTime);
+                        oscillator.frequency.exponentialRampToValueAtTime(500, this.audioContext.currentTime + 0.15);
+                        gainNode.gain.setValueAtTime(0.1, this.audioContext.currentTime);
+                        gainNode.gain.exponentialRampToValueAtTime(0.01, this.audioContext.currentTime + 0.2);
+                        oscillator.type = 'sine';
+                        break;
+                    default:
+                        oscillator.frequency.value = 400;
+                        gainNode.gain.setValueAtTime(0.1, this.audioContext.currentTime);
+                        gainNode.gain.exponentialRampToValueAtTime(0.01, this.audioContext.currentTime + 0.1);
                 }
-                
-                .chatbot-lg-message-bubble h2 {
-                    font-size: 16px;
+
+                // Start and stop the sound
+                oscillator.start(this.audioContext.currentTime);
+                oscillator.stop(this.audioContext.currentTime + 0.2);
+            } catch (e) {
+                // Handle suspended audio context (requires user interaction to resume)
+                if (this.audioContext && this.audioContext.state === 'suspended') {
+                    this.audioContext.resume().catch(() => {});
                 }
-                
-                .chatbot-lg-message-bubble h3 {
-                    font-size: 15px;
+            }
+        }
+
+        // ====================================================================
+        // STYLING METHODS
+        // ====================================================================
+        // Handles CSS injection and styling
+        
+        /**
+         * Creates the shadow root that hosts the widget when config.isolation is 'shadow'
+         * 
+         * The shadow host is a plain <div> appended to <body>. All widget markup and styles
+         * live inside its shadow root, so host page rules for button, input, p etc. cannot
+         * reach the panel and widget selectors cannot leak out.
+         * Falls back to rendering in the document when Shadow DOM is not supported.
+         */
+        createRoot() {
+            if (this.config.isolation !== 'shadow') return;
+            
+            if (!document.body.attachShadow) {
+                console.warn('ChatbotLiquidGlass: Shadow DOM not supported, rendering without isolation');
+                return;
+            }
+            
+            const host = document.createElement('div');
+            host.id = 'chatbot-lg-host';
+            document.body.appendChild(host);
+            
+            this.host = host;
+            this.root = host.attachShadow({ mode: 'open' });
+        }
+        
+        /**
+         * Injects CSS styles into the page head (or the shadow root in isolation mode)
+         * 
+         * Creates and appends a <style> tag containing all chatbot styles.
+         * Also loads the Montserrat font from Google Fonts. The font link always goes to the
+         * document head because @font-face rules are ignored inside shadow roots.
+         * Prevents duplicate style injection by checking for existing style tag.
+         */
+        injectStyles() {
+            // Return early if styles are already injected
+            if (this.root.getElementById('chatbot-liquid-glass-styles')) return;
+
+            if (!document.getElementById('chatbot-liquid-glass-font')) {
+                const fontLink = document.createElement('link');
+                fontLink.id = 'chatbot-liquid-glass-font';
+                fontLink.href = 'https://fonts.googleapis.com/css2?family=Montserrat:wght@400;500;600;700&display=swap';
+                fontLink.rel = 'stylesheet';
+                document.head.appendChild(fontLink);
+            }
+
+            const style = document.createElement('style');
+            style.id = 'chatbot-liquid-glass-styles';
+            style.textContent = `
+                /* Shadow host - reset everything inherited from the host page */
+                :host {
+                    all: initial;
                 }
                 
-                .chatbot-lg-message-bubble p {
-                    margin: 6px 0;
-                    line-height: 1.5;
+                #chatbot-lg-container {
+                    font-family: 'Montserrat', -apple-system, BlinkMacSystemFont, 'Segoe UI', sans-serif;
+                    position: fixed;
+                    z-index: 999999;
                 }
                 
-                .chatbot-lg-message-bubble p:first-child {
-                    margin-top: 0;
+                
+                /* Toggle Button - Glass Effect */
+                #chatbot-lg-toggle {
+                    width: 60px;
+                    height: 60px;
+                    border-radius: 50%;
+                    background: var(--chatbot-lg-glass-primary);
+                    backdrop-filter: blur(var(--chatbot-lg-blur-md)) saturate(var(--chatbot-lg-saturate));
+                    -webkit-backdrop-filter: blur(var(--chatbot-lg-blur-md)) saturate(var(--chatbot-lg-saturate));
+                    box-shadow: 0 8px 32px rgba(var(--chatbot-lg-primary-rgb), 0.3),
+                                0 2px 8px rgba(0, 0, 0, 0.1),
+                                inset 0 1px 0 rgba(var(--chatbot-lg-sheen-rgb), 0.2);
+                    cursor: pointer;
+                    display: flex;
+                    align-items: center;
+                    justify-content: center;
+                    color: var(--chatbot-lg-on-primary);
+                    font-size: 24px;
+                    transition: all 0.4s cubic-bezier(0.4, 0, 0.2, 1);
+                    border: 1px solid rgba(var(--chatbot-lg-sheen-rgb), 0.18);
+                    /* Safe area insets for notched devices */
+                    bottom: env(safe-area-inset-bottom, 20px);
+                    inset-inline-end: env(safe-area-inset-right, 20px);
                 }
                 
-                .chatbot-lg-message-bubble p:last-child {
-                    margin-bottom: 0;
+                #chatbot-lg-toggle:hover {
+                    transform: scale(1.1);
+                    background: rgba(var(--chatbot-lg-primary-rgb), 0.95);
+                    box-shadow: 0 12px 40px rgba(var(--chatbot-lg-primary-rgb), 0.4),
+                                0 4px 12px rgba(0, 0, 0, 0.15),
+                                inset 0 1px 0 rgba(var(--chatbot-lg-sheen-rgb), 0.3);
                 }
                 
-                .chatbot-lg-message-bubble strong {
-                    font-weight: 600;
+                #chatbot-lg-badge {
+                    position: absolute;
+                    top: -4px;
+                    inset-inline-end: -4px;
+                    width: 22px;
+                    height: 22px;
+                    border-radius: 50%;
+                    background: linear-gradient(135deg, var(--chatbot-lg-highlight), var(--chatbot-lg-highlight-soft));
+                    backdrop-filter: blur(var(--chatbot-lg-blur-sm));
+                    -webkit-backdrop-filter: blur(var(--chatbot-lg-blur-sm));
+                    color: var(--chatbot-lg-on-highlight);
+                    font-size: 11px;
+                    font-weight: 700;
+                    display: flex;
+                    align-items: center;
+                    justify-content: center;
+                    box-shadow: 0 4px 12px rgba(var(--chatbot-lg-highlight-rgb), 0.4),
+                                inset 0 1px 0 rgba(var(--chatbot-lg-sheen-rgb), 0.3);
+                    border: 1.5px solid rgba(var(--chatbot-lg-sheen-rgb), 0.3);
                 }
                 
-                .chatbot-lg-message-bubble em {
-                    font-style: italic;
+                /* Teaser bubble shown next to the launcher by engagement triggers */
+                #chatbot-lg-teaser {
+                    position: absolute;
+                    display: flex;
+                    align-items: flex-start;
+                    gap: 4px;
+                    width: max-content;
+                    max-width: min(280px, calc(100vw - 48px));
+                    padding-block: 12px;
+                    padding-inline: 16px 8px;
+                    border-radius: 18px;
+                    background: var(--chatbot-lg-glass-surface);
+                    backdrop-filter: blur(var(--chatbot-lg-blur-lg)) saturate(var(--chatbot-lg-saturate));
+                    -webkit-backdrop-filter: blur(var(--chatbot-lg-blur-lg)) saturate(var(--chatbot-lg-saturate));
+                    box-shadow: 0 8px 32px rgba(0, 0, 0, 0.15),
+                                inset 0 1px 0 rgba(var(--chatbot-lg-sheen-rgb), 0.6);
+                    border: 1px solid rgba(var(--chatbot-lg-sheen-rgb), 0.3);
+                    animation: glassSlideIn 0.4s cubic-bezier(0.4, 0, 0.2, 1);
+                    box-sizing: border-box;
                 }
                 
-                .chatbot-lg-message-bubble ul,
-                .chatbot-lg-message-bubble ol {
-                    margin: 8px 0;
-                    padding-left: 20px;
+                .chatbot-lg-teaser-text,
+                .chatbot-lg-teaser-close {
+                    background: none;
+                    border: none;
+                    padding: 0;
+                    font: inherit;
+                    color: rgb(var(--chatbot-lg-text-rgb));
+                    cursor: pointer;
                 }
                 
-                .chatbot-lg-message-bubble li {
-                    margin: 4px 0;
-                    line-height: 1.5;
+                .chatbot-lg-teaser-text {
+                    font-size: 14px;
+                    line-height: 1.4;
+                    text-align: start;
                 }
                 
-                .chatbot-lg-message-bubble a {
-                    color: #00B7B0 !important;
-                    text-decoration: underline;
-                    word-break: break-word;
-                    overflow-wrap: break-word;
-                    cursor: pointer;
-                    pointer-events: auto;
-                    position: relative;
-                    z-index: 1;
+                .chatbot-lg-teaser-close {
+                    flex-shrink: 0;
+                    display: flex;
+                    opacity: 0.6;
+                    transition: opacity 0.2s ease;
                 }
                 
-                .chatbot-lg-message.user .chatbot-lg-message-bubble a {
-                    color: rgba(255, 255, 255, 0.9);
-                    text-decoration: underline;
-                    cursor: pointer;
-                    pointer-events: auto;
-                    position: relative;
-                    z-index: 1;
+                .chatbot-lg-teaser-close:hover {
+                    opacity: 1;
                 }
                 
-                .chatbot-lg-message-bubble a:hover {
-                    opacity: 0.8;
-                    text-decoration: underline;
+                /* Widget Container - Liquid Glass */
+                #chatbot-lg-widget {
+                    position: relative;       /* Anchors the human support menu */
+                    width: 400px;
+                    height: 600px;
+                    border-radius: 24px;
+                    background: var(--chatbot-lg-glass-surface);
+                    backdrop-filter: blur(var(--chatbot-lg-blur-lg)) saturate(var(--chatbot-lg-saturate));
+                    -webkit-backdrop-filter: blur(var(--chatbot-lg-blur-lg)) saturate(var(--chatbot-lg-saturate));
+                    box-shadow: 0 20px 60px rgba(0, 0, 0, 0.15),
+                                0 8px 24px rgba(0, 0, 0, 0.1),
+                                inset 0 1px 0 rgba(var(--chatbot-lg-sheen-rgb), 0.6);
+                    border: 1px solid rgba(var(--chatbot-lg-sheen-rgb), 0.3);
+                    display: none;
+                    flex-direction: column;
+                    overflow: hidden;
+                    animation: glassSlideIn 0.4s cubic-bezier(0.4, 0, 0.2, 1);
+                    box-sizing: border-box;
+                    max-width: calc(100vw - 40px);
+                    max-height: calc(100vh - 40px);
                 }
                 
-                .chatbot-lg-message-bubble a:active {
-                    opacity: 0.7;
+                /* Focus lands on the dialog itself when it opens; keyboard focus is visible elsewhere */
+                #chatbot-lg-widget:focus {
+                    outline: none;
                 }
                 
-                /* Options - Sleek Glass Buttons with Smart Layout */
-                .chatbot-lg-options {
-                    margin-top: 8px;
-                    margin-left: 36px;
-                    display: grid;
-                    grid-template-columns: repeat(auto-fit, minmax(140px, 1fr));
-                    gap: 6px;
-                    max-width: 90%;
+                #chatbot-lg-container button:focus-visible,
+                #chatbot-lg-container a:focus-visible {
+                    outline: 2px solid var(--chatbot-lg-accent);
+                    outline-offset: 2px;
                 }
                 
-                /* For many options, use 2 columns */
-                .chatbot-lg-options:has(.chatbot-lg-option-btn:nth-child(6)) {
-                    grid-template-columns: repeat(2, 1fr);
+                /* Read by screen readers only (#chatbot-lg-status) */
+                .chatbot-lg-sr-only {
+                    position: absolute;
+                    width: 1px;
+                    height: 1px;
+                    padding: 0;
+                    margin: -1px;
+                    overflow: hidden;
+                    clip: rect(0, 0, 0, 0);
+                    white-space: nowrap;
+                    border: 0;
                 }
                 
-                /* For few options, use single column */
-                .chatbot-lg-options:has(.chatbot-lg-option-btn:nth-child(-n+3)) {
-                    grid-template-columns: 1fr;
+                @keyframes glassSlideIn {
+                    from {
+                        opacity: 0;
+                        transform: translateY(20px) scale(0.95);
+                    }
+                    to {
+                        opacity: 1;
+                        transform: translateY(0) scale(1);
+                    }
                 }
                 
-                .chatbot-lg-option-btn {
-                    background: rgba(255, 255, 255, 0.8);
-                    backdrop-filter: blur(20px) saturate(180%);
-                    -webkit-backdrop-filter: blur(20px) saturate(180%);
-                    border: 1px solid rgba(0, 183, 176, 0.25);
-                    border-radius: 10px;
-                    padding: 7px 12px;
-                    text-align: left;
-                    cursor: pointer;
-                    transition: all 0.25s cubic-bezier(0.4, 0, 0.2, 1);
-                    font-size: 12px;
-                    color: #003D46;
-                    font-family: 'Montserrat', sans-serif;
-                    font-weight: 500;
-                    box-shadow: 0 1px 4px rgba(0, 0, 0, 0.05),
-                                inset 0 1px 0 rgba(255, 255, 255, 0.4);
+                /* Header - Glass Effect */
+                .chatbot-lg-header {
+                    padding: 20px 24px;
+                    background: var(--chatbot-lg-glass-header);
+                    backdrop-filter: blur(var(--chatbot-lg-blur-md)) saturate(var(--chatbot-lg-saturate));
+                    -webkit-backdrop-filter: blur(var(--chatbot-lg-blur-md)) saturate(var(--chatbot-lg-saturate));
+                    border-bottom: 1px solid rgba(var(--chatbot-lg-sheen-rgb), 0.1);
                     display: flex;
                     align-items: center;
-                    gap: 6px;
-                    min-height: 36px;
-                    line-height: 1.3;
+                    justify-content: space-between;
+                    box-shadow: 0 2px 8px rgba(0, 0, 0, 0.05),
+                                inset 0 1px 0 rgba(var(--chatbot-lg-sheen-rgb), 0.1);
+                    box-sizing: border-box;
+                    width: 100%;
+                    min-width: 0;
+                    flex-shrink: 0;
                 }
                 
-                .chatbot-lg-option-btn:hover:not(:disabled) {
-                    background: rgba(0, 183, 176, 0.85);
-                    backdrop-filter: blur(20px);
-                    -webkit-backdrop-filter: blur(20px);
-                    color: white;
-                    transform: translateY(-1px) scale(1.02);
-                    box-shadow: 0 3px 12px rgba(0, 183, 176, 0.25),
-                                inset 0 1px 0 rgba(255, 255, 255, 0.2);
-                    border-color: rgba(0, 183, 176, 0.4);
+                .chatbot-lg-header-content {
+                    display: flex;
+                    align-items: center;
+                    gap: 12px;
                 }
                 
-                .chatbot-lg-option-btn:active:not(:disabled) {
-                    transform: translateY(0) scale(0.98);
+                .chatbot-lg-avatar {
+                    width: 40px;
+                    height: 40px;
+                    border-radius: 50%;
+                    background: var(--chatbot-lg-background);
+                    color: var(--chatbot-lg-text);
+                    backdrop-filter: blur(var(--chatbot-lg-blur-sm));
+                    -webkit-backdrop-filter: blur(var(--chatbot-lg-blur-sm));
+                    display: flex;
+                    align-items: center;
+                    justify-content: center;
+                    box-shadow: 0 4px 12px rgba(0, 0, 0, 0.1),
+                                inset 0 1px 0 rgba(var(--chatbot-lg-sheen-rgb), 0.2);
+                    border: 1px solid rgba(var(--chatbot-lg-sheen-rgb), 0.2);
+                    position: relative;
+                    overflow: hidden;
                 }
                 
-                .chatbot-lg-option-btn:disabled {
-                    opacity: 0.5;
-                    cursor: not-allowed;
+                .chatbot-lg-avatar img,
+                .chatbot-lg-avatar svg {
+                    width: 32px;
+                    height: 32px;
+                    object-fit: contain;
                 }
                 
-                .chatbot-lg-option-label {
-                    font-size: 13px;
+                .chatbot-lg-avatar img {
+                    /* No filter - show original colors */
+                }
+                
+                .chatbot-lg-title {
+                    font-size: 16px;
                     font-weight: 600;
-                    color: #333;
-                    margin: 12px 0 8px 0;
-                    padding: 0;
-                    grid-column: 1 / -1; /* Span all columns */
+                    color: var(--chatbot-lg-on-primary);
+                    margin: 0;
+                    text-shadow: 0 1px 2px rgba(0, 0, 0, 0.1);
                 }
                 
-                /* Footer - Glass Effect */
-                .chatbot-lg-footer {
-                    padding: 18px 24px;
-                    background: rgba(255, 255, 255, 0.7);
-                    backdrop-filter: blur(20px) saturate(180%);
-                    -webkit-backdrop-filter: blur(20px) saturate(180%);
-                    border-top: 1px solid rgba(255, 255, 255, 0.3);
-                    box-shadow: 0 -2px 8px rgba(0, 0, 0, 0.05),
-                                inset 0 1px 0 rgba(255, 255, 255, 0.5);
-                    box-sizing: border-box;
-                    width: 100%;
-                    min-width: 0;
-                    flex-shrink: 0;
+                .chatbot-lg-subtitle {
+                    font-size: 12px;
+                    color: rgba(var(--chatbot-lg-on-primary-rgb), 0.85);
+                    margin: 2px 0 0 0;
+                    font-weight: 400;
                 }
                 
-                .chatbot-lg-input-wrapper {
+                .chatbot-lg-header-actions {
                     display: flex;
-                    gap: 10px;
+                    gap: 8px;
                     align-items: center;
                 }
                 
-                .chatbot-lg-input {
-                    flex: 1;
-                    border: 1.5px solid rgba(0, 183, 176, 0.2);
-                    border-radius: 20px;
-                    padding: 11px 18px;
-                    font-size: 14px;
-                    outline: none;
-                    transition: all 0.3s;
-                    background: rgba(255, 255, 255, 0.8);
-                    backdrop-filter: blur(10px);
-                    -webkit-backdrop-filter: blur(10px);
-                    font-family: 'Montserrat', sans-serif;
-                    color: #003D46;
-                    box-shadow: inset 0 2px 4px rgba(0, 0, 0, 0.04),
-                                0 1px 0 rgba(255, 255, 255, 0.5);
-                }
-                
-                .chatbot-lg-input:focus {
-                    border-color: rgba(0, 183, 176, 0.5);
-                    background: rgba(255, 255, 255, 0.95);
-                    box-shadow: 0 0 0 3px rgba(0, 183, 176, 0.1),
-                                inset 0 2px 4px rgba(0, 0, 0, 0.04),
-                                0 1px 0 rgba(255, 255, 255, 0.5);
-                }
-                
-                .chatbot-lg-send-btn {
-                    width: 44px;
-                    height: 44px;
+                .chatbot-lg-back,
+                .chatbot-lg-expand,
+                .chatbot-lg-close,
+                .chatbot-lg-language,
+                .chatbot-lg-human-support {
+                    width: 32px;
+                    height: 32px;
                     border-radius: 50%;
-                    background: linear-gradient(135deg, rgba(255, 106, 61, 0.9), rgba(255, 140, 90, 0.9));
-                    backdrop-filter: blur(20px);
-                    -webkit-backdrop-filter: blur(20px);
-                    border: 1px solid rgba(255, 255, 255, 0.3);
-                    color: white;
+                    background: rgba(var(--chatbot-lg-on-primary-rgb), 0.1);
+                    backdrop-filter: blur(var(--chatbot-lg-blur-sm));
+                    -webkit-backdrop-filter: blur(var(--chatbot-lg-blur-sm));
+                    border: 1px solid rgba(var(--chatbot-lg-on-primary-rgb), 0.15);
+                    color: var(--chatbot-lg-on-primary);
+                    font-size: 18px;
                     cursor: pointer;
                     display: flex;
                     align-items: center;
                     justify-content: center;
-                    transition: all 0.3s cubic-bezier(0.4, 0, 0.2, 1);
-                    box-shadow: 0 4px 12px rgba(255, 106, 61, 0.3),
-                                inset 0 1px 0 rgba(255, 255, 255, 0.3);
+                    transition: all 0.2s;
+                    line-height: 1;
+                    padding: 0;
+                    margin: 0;
+                    position: relative;
                 }
                 
-                .chatbot-lg-send-btn:hover:not(:disabled) {
+                .chatbot-lg-back:hover,
+                .chatbot-lg-expand:hover,
+                .chatbot-lg-close:hover,
+                .chatbot-lg-language:hover,
+                .chatbot-lg-human-support:hover {
+                    background: rgba(var(--chatbot-lg-on-primary-rgb), 0.2);
                     transform: scale(1.1);
-                    box-shadow: 0 6px 20px rgba(255, 106, 61, 0.4),
-                                inset 0 1px 0 rgba(255, 255, 255, 0.4);
                 }
                 
-                .chatbot-lg-send-btn:disabled {
-                    opacity: 0.4;
-                    cursor: not-allowed;
-                    transform: scale(1);
+                .chatbot-lg-human-support {
+                    font-size: 20px;
                 }
                 
-                .chatbot-lg-start-btn {
-                    width: 100%;
-                    background: linear-gradient(135deg, rgba(255, 106, 61, 0.9), rgba(255, 140, 90, 0.9));
-                    backdrop-filter: blur(20px);
-                    -webkit-backdrop-filter: blur(20px);
-                    border: 1px solid rgba(255, 255, 255, 0.3);
-                    color: white;
-                    border-radius: 16px;
-                    padding: 13px 24px;
-                    font-size: 15px;
+                /* Language switcher: code of the current language (media queries size the button only) */
+                .chatbot-lg-header-actions .chatbot-lg-language {
+                    font-size: 11px;
                     font-weight: 600;
                     font-family: 'Montserrat', sans-serif;
-                    cursor: pointer;
-                    transition: all 0.3s cubic-bezier(0.4, 0, 0.2, 1);
-                    box-shadow: 0 4px 16px rgba(255, 106, 61, 0.3),
-                                inset 0 1px 0 rgba(255, 255, 255, 0.3);
+                    letter-spacing: 0.5px;
                 }
                 
-                .chatbot-lg-start-btn:hover {
-                    transform: translateY(-2px);
-                    box-shadow: 0 6px 24px rgba(255, 106, 61, 0.4),
-                                inset 0 1px 0 rgba(255, 255, 255, 0.4);
+                .chatbot-lg-back svg,
+                .chatbot-lg-expand svg,
+                .chatbot-lg-close svg {
+                    width: 16px;
+                    height: 16px;
                 }
                 
-                /* Starting Disclaimer Banner Styles */
-                .chatbot-lg-starting-disclaimer {
-                    background: #F4F4F6;
-                    backdrop-filter: blur(10px);
-                    -webkit-backdrop-filter: blur(10px);
-                    border-left: 4px solid #FF6A3D;
-                    padding: 12px 16px;
-                    margin: 0;
-                    font-size: 13px;
-                    line-height: 1.6;
-                    color: #003D46;
-                    border-radius: 0;
-                    word-wrap: break-word;
-                    overflow-wrap: break-word;
+                /* Fullscreen mode */
+                #chatbot-lg-widget.expanded {
+                    width: 100vw !important;
+                    height: 100vh !important;
+                    max-width: 100vw !important;
+                    max-height: 100vh !important;
+                    border-radius: 0 !important;
+                    margin: 0 !important;
+                    position: fixed;
+                    top: 0;
+                    inset-inline-start: 0;
+                    inset-inline-end: 0;
+                    bottom: 0;
                 }
                 
-                .chatbot-lg-starting-disclaimer a {
-                    color: #00B7B0 !important;
-                    text-decoration: underline !important;
-                    font-weight: 700 !important;
-                    word-break: break-word;
-                    overflow-wrap: break-word;
-                    cursor: pointer !important;
+                /* Messages Area - Glass Background */
+                .chatbot-lg-messages {
+                    flex: 1;
+                    overflow-y: auto;
+                    padding: 20px 20px;
+                    background: var(--chatbot-lg-glass-canvas);
+                    backdrop-filter: blur(var(--chatbot-lg-blur-md));
+                    -webkit-backdrop-filter: blur(var(--chatbot-lg-blur-md));
+                    scroll-behavior: smooth;
+                    box-sizing: border-box;
+                    width: 100%;
+                    min-width: 0;
                 }
                 
-                .chatbot-lg-starting-disclaimer a strong {
-                    font-weight: 700 !important;
-                    color: #00B7B0 !important;
+                .chatbot-lg-messages::-webkit-scrollbar {
+                    width: 6px;
                 }
                 
-                .chatbot-lg-starting-disclaimer a:hover {
-                    color: #003D46 !important;
-                    text-decoration: underline !important;
+                .chatbot-lg-messages::-webkit-scrollbar-track {
+                    background: transparent;
                 }
                 
-                .chatbot-lg-starting-disclaimer a:hover strong {
-                    color: #003D46 !important;
+                .chatbot-lg-messages::-webkit-scrollbar-thumb {
+                    background: rgba(var(--chatbot-lg-primary-rgb), 0.2);
+                    border-radius: 3px;
+                    backdrop-filter: blur(var(--chatbot-lg-blur-sm));
                 }
                 
-                .chatbot-disclaimer-link {
-                    color: #00B7B0 !important;
-                    text-decoration: underline !important;
-                    font-weight: 700 !important;
-                    cursor: pointer !important;
+                .chatbot-lg-messages::-webkit-scrollbar-thumb:hover {
+                    background: rgba(var(--chatbot-lg-primary-rgb), 0.3);
                 }
                 
-                .chatbot-disclaimer-link strong {
-                    font-weight: 700 !important;
-                    color: inherit !important;
+                /* Message Bubbles - Glass Effect */
+                .chatbot-lg-message {
+                    display: flex;
+                    gap: 8px;
+                    margin-bottom: 12px;
+                    animation: messageFadeIn 0.3s cubic-bezier(0.4, 0, 0.2, 1);
+                    align-items: flex-end;
                 }
                 
-                @media (max-width: 768px) {
-                    .chatbot-lg-starting-disclaimer {
-                        font-size: 12px;
-                        padding: 10px 14px;
+                @keyframes messageFadeIn {
+                    from {
+                        opacity: 0;
+                        transform: translateY(8px);
+                    }
+                    to {
+                        opacity: 1;
+                        transform: translateY(0);
                     }
                 }
                 
-                .typing-indicator {
-                    display: flex;
-                    gap: 5px;
-                    padding: 10px 14px;
+                .chatbot-lg-message.user {
+                    flex-direction: row-reverse;
                 }
                 
-                .typing-dot {
-                    width: 8px;
-                    height: 8px;
-                    background: rgba(0, 61, 70, 0.4);
+                .chatbot-lg-message-avatar {
+                    width: 32px;
+                    height: 32px;
                     border-radius: 50%;
-                    animation: typing 1.4s infinite;
-                    backdrop-filter: blur(5px);
+                    display: flex;
+                    align-items: center;
+                    justify-content: center;
+                    flex-shrink: 0;
+                    font-size: 16px;
+                    backdrop-filter: blur(var(--chatbot-lg-blur-sm));
+                    -webkit-backdrop-filter: blur(var(--chatbot-lg-blur-sm));
+                    box-shadow: 0 2px 8px rgba(0, 0, 0, 0.1),
+                                inset 0 1px 0 rgba(var(--chatbot-lg-sheen-rgb), 0.2);
+                    border: 1px solid rgba(var(--chatbot-lg-sheen-rgb), 0.2);
                 }
                 
-                .typing-dot:nth-child(2) {
-                    animation-delay: 0.2s;
+                .chatbot-lg-message-container {
+                    display: flex;
+                    flex-direction: column;
+                    gap: 0;
                 }
                 
-                .typing-dot:nth-child(3) {
-                    animation-delay: 0.4s;
+                .chatbot-lg-message-bubble {
+                    max-width: 75%;
+                    padding: 10px 14px;
+                    border-radius: 18px;
+                    word-wrap: break-word;
+                    overflow-wrap: break-word;
+                    white-space: pre-wrap;
+                    line-height: 1.5;
+                    font-size: 14px;
+                    backdrop-filter: blur(var(--chatbot-lg-blur-md)) saturate(var(--chatbot-lg-saturate));
+                    -webkit-backdrop-filter: blur(var(--chatbot-lg-blur-md)) saturate(var(--chatbot-lg-saturate));
+                    box-shadow: 0 4px 12px rgba(0, 0, 0, 0.08),
+                                inset 0 1px 0 rgba(var(--chatbot-lg-sheen-rgb), 0.5);
+                    border: 1px solid rgba(var(--chatbot-lg-sheen-rgb), 0.3);
+                    pointer-events: auto;
+                    box-sizing: border-box;
+                    min-width: 0;
                 }
                 
-                @keyframes typing {
-                    0%, 60%, 100% {
-                        transform: translateY(0);
-                        opacity: 0.5;
-                    }
-                    30% {
-                        transform: translateY(-8px);
-                        opacity: 1;
-                    }
+                .chatbot-lg-message.bot .chatbot-lg-message-bubble {
+                    background: rgba(var(--chatbot-lg-surface-rgb), 0.8);
+                    border-radius: 18px;
+                    border-end-start-radius: 4px;
+                    color: var(--chatbot-lg-text);
                 }
                 
-                /* Mobile Responsive Styles - Standard Chatbot Practices */
-                @media (max-width: 768px) {
-                    #chatbot-lg-widget {
-                        width: calc(100vw - 24px);
-                        max-width: calc(100vw - 24px);
-                        width: min(calc(100vw - 24px), 420px);
-                        height: calc(100vh - 100px);
-                        max-height: calc(100vh - 100px);
-                        min-height: 500px;
-                        border-radius: 20px;
-                        margin: 50px 12px 12px 12px;
-                        left: auto;
-                        right: auto;
-                        position: fixed;
-                        top: 50px;
-                        bottom: auto;
-                    }
-                    
-                    #chatbot-lg-toggle {
-                        width: 56px;
-                        height: 56px;
-                        bottom: 16px;
-                        right: 16px;
-                        font-size: 24px;
-                    }
-                    
-                    .chatbot-lg-header {
-                        padding: 14px 16px;
-                    }
-                    
-                    .chatbot-lg-avatar {
-                        width: 44px;
-                        height: 44px;
-                    }
-                    
-                    .chatbot-lg-avatar svg {
-                        width: 28px;
-                        height: 28px;
-                    }
-                    
-                    .chatbot-lg-title {
-                        font-size: 15px;
-                    }
-                    
-                    .chatbot-lg-subtitle {
-                        font-size: 11px;
-                    }
-                    
-                    .chatbot-lg-header-actions {
-                        gap: 6px;
-                    }
-                    
-                    .chatbot-lg-expand,
-                    .chatbot-lg-close,
-                    .chatbot-lg-human-support {
-                        width: 36px;
-                        height: 36px;
-                        font-size: 18px;
-                    }
-                    
-                    .chatbot-lg-expand svg,
-                    .chatbot-lg-close svg {
-                        width: 14px;
-                        height: 14px;
-                    }
-                    
-                    .chatbot-lg-messages {
-                        padding: 14px;
-                    }
-                    
-                    .chatbot-lg-message-avatar {
-                        width: 28px;
-                        height: 28px;
-                        font-size: 14px;
-                    }
-                    
-                    .chatbot-lg-message-bubble {
-                        max-width: 85%;
-                        font-size: 14px;
-                        padding: 12px 16px;
-                        line-height: 1.5;
-                    }
-                    
-                    .chatbot-lg-options {
-                        margin-left: 0;
-                        max-width: 100%;
-                        gap: 8px;
-                    }
-                    
-                    .chatbot-lg-option-btn {
-                        padding: 12px 16px;
-                        font-size: 14px;
-                        min-height: 44px; /* iOS touch target minimum */
-                    }
-                    
-                    .chatbot-lg-footer {
-                        padding: 14px 16px;
-                    }
-                    
-                    .chatbot-lg-input {
-                        padding: 12px 16px;
-                        font-size: 16px; /* Prevents zoom on iOS */
-                        min-height: 44px; /* iOS touch target minimum */
-                    }
-                    
-                    .chatbot-lg-send-btn {
-                        width: 44px;
-                        height: 44px;
-                        min-width: 44px; /* iOS touch target minimum */
-                    }
-                    
-                    .chatbot-lg-start-btn {
-                        padding: 14px 24px;
-                        font-size: 16px;
-                        min-height: 44px; /* iOS touch target minimum */
-                    }
-                    
-                    .chatbot-lg-rating-container {
-                        padding: 14px;
-                        width: 100%;
-                        box-sizing: border-box;
-                        max-width: 100%;
-                    }
-                    
-                    .chatbot-lg-star {
-                        font-size: 22px;
-                    }
-                    
-                    .chatbot-lg-feedback-option {
-                        padding: 12px 14px;
-                        font-size: 14px;
-                        min-height: 44px; /* iOS touch target minimum */
-                        width: 100%;
-                        box-sizing: border-box;
-                    }
-                    
-                    .chatbot-lg-feedback-input {
-                        width: 100%;
-                        box-sizing: border-box;
-                        padding: 10px 12px;
-                        font-size: 16px; /* Prevents zoom on iOS */
-                    }
+                .chatbot-lg-message.user .chatbot-lg-message-bubble {
+                    background: var(--chatbot-lg-glass-primary);
+                    backdrop-filter: blur(var(--chatbot-lg-blur-md));
+                    -webkit-backdrop-filter: blur(var(--chatbot-lg-blur-md));
+                    color: var(--chatbot-lg-on-primary);
+                    border-radius: 18px;
+                    border-end-end-radius: 4px;
+                    border: 1px solid rgba(var(--chatbot-lg-sheen-rgb), 0.2);
                 }
                 
-                /* Small mobile devices (iPhone SE, iPhone 12/13 mini, etc.) */
-                @media (max-width: 428px) {
-                    #chatbot-lg-widget {
-                        width: calc(100vw - 16px);
-                        max-width: calc(100vw - 16px);
-                        height: calc(100vh - 80px);
-                        max-height: calc(100vh - 80px);
-                        min-height: 450px;
-                        margin: 40px 8px 8px 8px;
-                        border-radius: 18px;
-                        left: auto;
-                        right: auto;
-                        position: fixed;
-                        top: 40px;
-                        bottom: auto;
-                        box-sizing: border-box;
-                    }
-                    
-                    #chatbot-lg-toggle {
-                        width: 52px;
-                        height: 52px;
-                        bottom: 12px;
-                        right: 12px;
-                        font-size: 22px;
-                    }
-                    
-                    .chatbot-lg-header {
-                        padding: 12px 14px;
-                    }
-                    
-                    .chatbot-lg-avatar {
-                        width: 40px;
-                        height: 40px;
-                    }
-                    
-                    .chatbot-lg-avatar svg {
-                        width: 26px;
-                        height: 26px;
-                    }
-                    
-                    .chatbot-lg-title {
-                        font-size: 14px;
-                    }
-                    
-                    .chatbot-lg-subtitle {
-                        font-size: 10px;
-                    }
-                    
-                    .chatbot-lg-header-actions {
-                        gap: 4px;
-                    }
-                    
-                    .chatbot-lg-expand,
-                    .chatbot-lg-close,
-                    .chatbot-lg-human-support {
-                        width: 32px;
-                        height: 32px;
-                        font-size: 16px;
-                    }
-                    
-                    .chatbot-lg-expand svg,
-                    .chatbot-lg-close svg {
-                        width: 12px;
-                        height: 12px;
-                    }
-                    
-                    .chatbot-lg-messages {
-                        padding: 12px;
-                    }
-                    
-                    .chatbot-lg-message-avatar {
-                        width: 26px;
-                        height: 26px;
-                        font-size: 13px;
-                    }
-                    
-                    .chatbot-lg-message-bubble {
-                        max-width: 88%;
-                        font-size: 13px;
-                        padding: 10px 14px;
-                        line-height: 1.5;
-                    }
-                    
-                    .chatbot-lg-options {
-                        grid-template-columns: 1fr;
-                        gap: 8px;
-                    }
-                    
-                    .chatbot-lg-option-btn {
-                        width: 100%;
-                        padding: 12px 14px;
-                        font-size: 13px;
-                        min-height: 44px;
-                    }
-                    
-                    .chatbot-lg-footer {
-                        padding: 12px 14px;
-                    }
-                    
-                    .chatbot-lg-input {
-                        padding: 10px 14px;
-                        font-size: 16px;
-                        min-height: 44px;
-                    }
-                    
-                    .chatbot-lg-send-btn {
-                        width: 44px;
-                        height: 44px;
-                    }
-                    
-                    .chatbot-lg-start-btn {
-                        padding: 12px 20px;
-                        font-size: 15px;
-                        min-height: 44px;
-                    }
-                    
-                    .chatbot-lg-rating-container {
-                        padding: 12px;
-                        width: 100%;
-                        box-sizing: border-box;
-                        max-width: 100%;
-                    }
-                    
-                    .chatbot-lg-rating-label {
-                        font-size: 12px;
-                    }
-                    
-                    .chatbot-lg-star {
-                        font-size: 20px;
-                    }
-                    
-                    .chatbot-lg-feedback-option {
-                        padding: 10px 12px;
-                        font-size: 13px;
-                        min-height: 44px;
-                        width: 100%;
-                        box-sizing: border-box;
-                    }
-                    
-                    .chatbot-lg-feedback-input {
-                        width: 100%;
-                        box-sizing: border-box;
-                        padding: 10px 12px;
-                        font-size: 16px; /* Prevents zoom on iOS */
-                    }
+                /* Markdown formatting styles */
+                .chatbot-lg-message-bubble h1,
+                .chatbot-lg-message-bubble h2,
+                .chatbot-lg-message-bubble h3 {
+                    margin: 8px 0 6px 0;
+                    font-weight: 600;
+                    line-height: 1.3;
                 }
                 
-                /* Landscape mobile */
-                @media (max-width: 768px) and (orientation: landscape) {
-                    #chatbot-lg-widget {
-                        width: calc(100vw - 24px);
-                        max-width: calc(100vw - 24px);
-                        height: calc(100vh - 60px);
-                        max-height: calc(100vh - 60px);
-                        min-height: 400px;
-                        margin: 30px 12px 12px 12px;
-                        left: auto;
-                        right: auto;
-                        position: fixed;
-                        top: 30px;
-                        bottom: auto;
-                        box-sizing: border-box;
-                    }
-                    
-                    .chatbot-lg-header {
-                        padding: 12px 16px;
-                    }
-                    
-                    .chatbot-lg-avatar {
-                        width: 40px;
-                        height: 40px;
-                    }
-                    
-                    .chatbot-lg-avatar svg {
-                        width: 26px;
-                        height: 26px;
-                    }
-                    
-                    .chatbot-lg-title {
-                        font-size: 14px;
-                    }
-                    
-                    .chatbot-lg-subtitle {
-                        font-size: 10px;
-                    }
-                    
-                    .chatbot-lg-messages {
-                        padding: 12px;
-                    }
-                    
-                    .chatbot-lg-message-avatar {
-                        width: 26px;
-                        height: 26px;
-                        font-size: 13px;
-                    }
-                    
-                    .chatbot-lg-message-bubble {
-                        font-size: 13px;
-                        padding: 10px 14px;
-                    }
-                    
-                    .chatbot-lg-footer {
-                        padding: 12px 16px;
-                    }
-                    
-                    .chatbot-lg-rating-container {
-                        padding: 12px;
-                        width: 100%;
-                        box-sizing: border-box;
-                        max-width: 100%;
-                    }
-                    
-                    .chatbot-lg-feedback-input {
-                        width: 100%;
-                        box-sizing: border-box;
-                        padding: 10px 12px;
-                        font-size: 16px; /* Prevents zoom on iOS */
-                    }
+                .chatbot-lg-message-bubble h1 {
+                    font-size: 18px;
                 }
                 
-                /* Extra small devices (iPhone SE 1st gen, very small Android) */
-                @media (max-width: 375px) {
-                    #chatbot-lg-widget {
-                        width: calc(100vw - 12px);
-                        max-width: calc(100vw - 12px);
-                        margin: 30px 6px 6px 6px;
-                        border-radius: 16px;
-                        min-height: 400px;
-                        left: auto;
-                        right: auto;
-                        position: fixed;
-                        top: 30px;
-                        bottom: auto;
-                        box-sizing: border-box;
-                    }
-                    
-                    #chatbot-lg-toggle {
-                        bottom: max(12px, env(safe-area-inset-bottom, 12px));
-                        right: max(12px, env(safe-area-inset-right, 12px));
-                    }
-                    
-                    .chatbot-lg-header {
-                        padding: 10px 12px;
-                        padding-top: max(10px, env(safe-area-inset-top, 10px));
-                    }
-                    
-                    .chatbot-lg-avatar {
-                        width: 36px;
-                        height: 36px;
-                    }
-                    
-                    .chatbot-lg-avatar svg {
-                        width: 24px;
-                        height: 24px;
-                    }
-                    
-                    .chatbot-lg-title {
-                        font-size: 13px;
-                    }
-                    
-                    .chatbot-lg-subtitle {
-                        font-size: 9px;
-                    }
-                    
-                    .chatbot-lg-expand,
-                    .chatbot-lg-close,
-                    .chatbot-lg-human-support {
-                        width: 32px;
-                        height: 32px;
-                        font-size: 14px;
-                        min-width: 32px;
-                    }
-                    
-                    .chatbot-lg-messages {
-                        padding: 10px;
-                    }
-                    
-                    .chatbot-lg-message-avatar {
-                        width: 24px;
-                        height: 24px;
-                        font-size: 12px;
-                    }
-                    
-                    .chatbot-lg-message-bubble {
-                        font-size: 12px;
-                        padding: 9px 12px;
-                    }
-                    
-                    .chatbot-lg-footer {
-                        padding: 10px 12px;
-                        padding-bottom: max(10px, env(safe-area-inset-bottom, 10px));
-                    }
-                    
-                    .chatbot-lg-option-btn {
-                        font-size: 12px;
-                        padding: 10px 12px;
-                        min-height: 44px; /* Maintain iOS touch target */
-                    }
-                    
-                    .chatbot-lg-input {
-                        font-size: 16px;
-                        padding: 10px 12px;
-                        min-height: 44px; /* Maintain iOS touch target */
-                    }
-                    
-                    .chatbot-lg-send-btn {
-                        min-width: 44px; /* Maintain iOS touch target */
-                    }
+                .chatbot-lg-message-bubble h2 {
+                    font-size: 16px;
                 }
                 
-                /* iPhone 15 Pro and similar devices (393px width) */
-                @media (max-width: 393px) {
-                    #chatbot-lg-widget {
-                        width: calc(100vw - 16px);
-                        max-width: calc(100vw - 16px);
-                        left: 8px;
-                        right: 8px;
-                        margin: 0;
-                        position: fixed;
-                        top: max(40px, env(safe-area-inset-top, 40px));
-                        bottom: max(8px, env(safe-area-inset-bottom, 8px));
-                        height: calc(100vh - max(40px, env(safe-area-inset-top, 40px)) - max(8px, env(safe-area-inset-bottom, 8px)));
-                        max-height: calc(100vh - max(40px, env(safe-area-inset-top, 40px)) - max(8px, env(safe-area-inset-bottom, 8px)));
-                        box-sizing: border-box;
-                    }
-                    
-                    .chatbot-lg-messages {
-                        padding: 12px;
-                        box-sizing: border-box;
-                    }
-                    
-                    .chatbot-lg-rating-container {
-                        padding: 12px;
+                .chatbot-lg-message-bubble h3 {
+                    font-size: 15px;
+                }
+                
+                .chatbot-lg-message-bubble p {
+                    margin: 6px 0;
+                    line-height: 1.5;
+                }
+                
+                .chatbot-lg-message-bubble p:first-child {
+                    margin-top: 0;
+                }
+                
+                .chatbot-lg-message-bubble p:last-child {
+                    margin-bottom: 0;
+                }
+                
+                .chatbot-lg-message-bubble strong {
+                    font-weight: 600;
+                }
+                
+                .chatbot-lg-message-bubble em {
+                    font-style: italic;
+                }
+                
+                .chatbot-lg-message-bubble ul,
+                .chatbot-lg-message-bubble ol {
+                    margin: 8px 0;
+                    padding-inline-start: 20px;
+                }
+                
+                .chatbot-lg-message-bubble li {
+                    margin: 4px 0;
+                    line-height: 1.5;
+                }
+                
+                .chatbot-lg-message-bubble a {
+                    color: var(--chatbot-lg-link) !important;
+                    text-decoration: underline;
+                    word-break: break-word;
+                    overflow-wrap: break-word;
+                    cursor: pointer;
+                    pointer-events: auto;
+                    position: relative;
+                    z-index: 1;
+                }
+                
+                .chatbot-lg-message.user .chatbot-lg-message-bubble a {
+                    color: rgba(var(--chatbot-lg-on-primary-rgb), 0.9);
+                    text-decoration: underline;
+                    cursor: pointer;
+                    pointer-events: auto;
+                    position: relative;
+                    z-index: 1;
+                }
+                
+                .chatbot-lg-message-bubble a:hover {
+                    opacity: 0.8;
+                    text-decoration: underline;
+                }
+                
+                .chatbot-lg-message-bubble a:active {
+                    opacity: 0.7;
+                }
+                
+                /* Options - Sleek Glass Buttons with Smart Layout */
+                .chatbot-lg-options {
+                    margin-top: 8px;
+                    margin-inline-start: 36px;
+                    display: grid;
+                    grid-template-columns: repeat(auto-fit, minmax(140px, 1fr));
+                    gap: 6px;
+                    max-width: 90%;
+                }
+                
+                /* For many options, use 2 columns */
+                .chatbot-lg-options:has(.chatbot-lg-option-btn:nth-child(6)) {
+                    grid-template-columns: repeat(2, 1fr);
+                }
+                
+                /* For few options, use single column */
+                .chatbot-lg-options:has(.chatbot-lg-option-btn:nth-child(-n+3)) {
+                    grid-template-columns: 1fr;
+                }
+                
+                .chatbot-lg-option-btn {
+                    background: rgba(var(--chatbot-lg-surface-rgb), 0.8);
+                    backdrop-filter: blur(var(--chatbot-lg-blur-md)) saturate(var(--chatbot-lg-saturate));
+                    -webkit-backdrop-filter: blur(var(--chatbot-lg-blur-md)) saturate(var(--chatbot-lg-saturate));
+                    border: 1px solid rgba(var(--chatbot-lg-accent-rgb), 0.25);
+                    border-radius: 10px;
+                    padding: 7px 12px;
+                    text-align: start;
+                    cursor: pointer;
+                    transition: all 0.25s cubic-bezier(0.4, 0, 0.2, 1);
+                    font-size: 12px;
+                    color: var(--chatbot-lg-text);
+                    font-family: 'Montserrat', sans-serif;
+                    font-weight: 500;
+                    box-shadow: 0 1px 4px rgba(0, 0, 0, 0.05),
+                                inset 0 1px 0 rgba(var(--chatbot-lg-sheen-rgb), 0.4);
+                    display: flex;
+                    align-items: center;
+                    gap: 6px;
+                    min-height: 36px;
+                    line-height: 1.3;
+                }
+                
+                .chatbot-lg-option-btn:hover:not(:disabled) {
+                    background: var(--chatbot-lg-glass-accent);
+                    backdrop-filter: blur(var(--chatbot-lg-blur-md));
+                    -webkit-backdrop-filter: blur(var(--chatbot-lg-blur-md));
+                    color: var(--chatbot-lg-on-accent);
+                    transform: translateY(-1px) scale(1.02);
+                    box-shadow: 0 3px 12px rgba(var(--chatbot-lg-accent-rgb), 0.25),
+                                inset 0 1px 0 rgba(var(--chatbot-lg-sheen-rgb), 0.2);
+                    border-color: rgba(var(--chatbot-lg-accent-rgb), 0.4);
+                }
+                
+                .chatbot-lg-option-btn:active:not(:disabled) {
+                    transform: translateY(0) scale(0.98);
+                }
+                
+                .chatbot-lg-option-btn:disabled {
+                    opacity: 0.5;
+                    cursor: not-allowed;
+                }
+                
+                .chatbot-lg-option-label {
+                    font-size: 13px;
+                    font-weight: 600;
+                    color: var(--chatbot-lg-label);
+                    margin: 12px 0 8px 0;
+                    padding: 0;
+                    grid-column: 1 / -1; /* Span all columns */
+                }
+                
+                /* Live agent status between messages and footer */
+                .chatbot-lg-agent-bar {
+                    align-items: center;
+                    justify-content: space-between;
+                    gap: 12px;
+                    padding: 8px 24px;
+                    font-size: 13px;
+                    color: rgba(var(--chatbot-lg-text-rgb), 0.8);
+                    background: var(--chatbot-lg-glass-surface);
+                    border-top: 1px solid rgba(var(--chatbot-lg-sheen-rgb), 0.3);
+                    box-sizing: border-box;
+                    flex-shrink: 0;
+                }
+                
+                .chatbot-lg-agent-end {
+                    flex-shrink: 0;
+                    background: none;
+                    border: none;
+                    padding: 2px 4px;
+                    color: rgba(var(--chatbot-lg-text-rgb), 0.6);
+                    font-size: 12px;
+                    font-family: 'Montserrat', sans-serif;
+                    text-decoration: underline;
+                    cursor: pointer;
+                }
+                
+                .chatbot-lg-agent-end:hover {
+                    color: var(--chatbot-lg-text);
+                }
+                
+                /* Human support button outside opening hours, and its channel menu */
+                .chatbot-lg-human-support.is-closed {
+                    opacity: 0.5;
+                }
+                
+                .chatbot-lg-support-menu {
+                    position: absolute;
+                    top: 72px;
+                    inset-inline-end: 16px;
+                    z-index: 10;
+                    display: flex;
+                    flex-direction: column;
+                    min-width: 180px;
+                    padding: 6px;
+                    background: var(--chatbot-lg-glass-surface);
+                    backdrop-filter: blur(var(--chatbot-lg-blur-md));
+                    -webkit-backdrop-filter: blur(var(--chatbot-lg-blur-md));
+                    border: 1px solid rgba(var(--chatbot-lg-sheen-rgb), 0.3);
+                    border-radius: 12px;
+                    box-shadow: 0 8px 24px rgba(0, 0, 0, 0.15);
+                    box-sizing: border-box;
+                }
+                
+                .chatbot-lg-support-item {
+                    background: none;
+                    border: none;
+                    border-radius: 8px;
+                    padding: 8px 12px;
+                    text-align: start;
+                    font-size: 13px;
+                    font-family: 'Montserrat', sans-serif;
+                    color: var(--chatbot-lg-text);
+                    cursor: pointer;
+                }
+                
+                .chatbot-lg-support-item:hover {
+                    background: rgba(var(--chatbot-lg-accent-rgb), 0.12);
+                }
+                
+                .chatbot-lg-language-item[aria-checked="true"] {
+                    font-weight: 600;
+                    color: var(--chatbot-lg-accent);
+                }
+                
+                .chatbot-lg-support-form {
+                    display: flex;
+                    flex-direction: column;
+                    gap: 8px;
+                }
+                
+                /* Right-to-left layouts: directional icons point the other way */
+                #chatbot-lg-container[dir="rtl"] .chatbot-lg-send-btn svg,
+                #chatbot-lg-container[dir="rtl"] .chatbot-lg-back svg {
+                    transform: scaleX(-1);
+                }
+                
+                /* Agent joined / left notices in the messages area */
+                .chatbot-lg-agent-notice {
+                    text-align: center;
+                    font-size: 12px;
+                    color: rgba(var(--chatbot-lg-text-rgb), 0.6);
+                    margin: 4px 0;
+                }
+                
+                .chatbot-lg-message-avatar img {
+                    width: 100%;
+                    height: 100%;
+                    border-radius: inherit;
+                    object-fit: cover;
+                }
+                
+                /* Footer - Glass Effect */
+                .chatbot-lg-footer {
+                    padding: 18px 24px;
+                    background: var(--chatbot-lg-glass-surface);
+                    backdrop-filter: blur(var(--chatbot-lg-blur-md)) saturate(var(--chatbot-lg-saturate));
+                    -webkit-backdrop-filter: blur(var(--chatbot-lg-blur-md)) saturate(var(--chatbot-lg-saturate));
+                    border-top: 1px solid rgba(var(--chatbot-lg-sheen-rgb), 0.3);
+                    box-shadow: 0 -2px 8px rgba(0, 0, 0, 0.05),
+                                inset 0 1px 0 rgba(var(--chatbot-lg-sheen-rgb), 0.5);
+                    box-sizing: border-box;
+                    width: 100%;
+                    min-width: 0;
+                    flex-shrink: 0;
+                }
+                
+                .chatbot-lg-input-wrapper {
+                    display: flex;
+                    gap: 10px;
+                    align-items: center;
+                }
+                
+                .chatbot-lg-input {
+                    flex: 1;
+                    border: 1.5px solid rgba(var(--chatbot-lg-accent-rgb), 0.2);
+                    border-radius: 20px;
+                    padding: 11px 18px;
+                    font-size: 14px;
+                    outline: none;
+                    transition: all 0.3s;
+                    background: rgba(var(--chatbot-lg-surface-rgb), 0.8);
+                    backdrop-filter: blur(var(--chatbot-lg-blur-sm));
+                    -webkit-backdrop-filter: blur(var(--chatbot-lg-blur-sm));
+                    font-family: 'Montserrat', sans-serif;
+                    color: var(--chatbot-lg-text);
+                    box-shadow: inset 0 2px 4px rgba(0, 0, 0, 0.04),
+                                0 1px 0 rgba(var(--chatbot-lg-sheen-rgb), 0.5);
+                }
+                
+                .chatbot-lg-input:focus {
+                    border-color: rgba(var(--chatbot-lg-accent-rgb), 0.5);
+                    background: rgba(var(--chatbot-lg-surface-rgb), 0.95);
+                    box-shadow: 0 0 0 3px rgba(var(--chatbot-lg-accent-rgb), 0.1),
+                                inset 0 2px 4px rgba(0, 0, 0, 0.04),
+                                0 1px 0 rgba(var(--chatbot-lg-sheen-rgb), 0.5);
+                }
+                
+                .chatbot-lg-send-btn {
+                    width: 44px;
+                    height: 44px;
+                    border-radius: 50%;
+                    background: linear-gradient(135deg, rgba(var(--chatbot-lg-highlight-rgb), 0.9), rgba(var(--chatbot-lg-highlight-soft-rgb), 0.9));
+                    backdrop-filter: blur(var(--chatbot-lg-blur-md));
+                    -webkit-backdrop-filter: blur(var(--chatbot-lg-blur-md));
+                    border: 1px solid rgba(var(--chatbot-lg-sheen-rgb), 0.3);
+                    color: var(--chatbot-lg-on-highlight);
+                    cursor: pointer;
+                    display: flex;
+                    align-items: center;
+                    justify-content: center;
+                    transition: all 0.3s cubic-bezier(0.4, 0, 0.2, 1);
+                    box-shadow: 0 4px 12px rgba(var(--chatbot-lg-highlight-rgb), 0.3),
+                                inset 0 1px 0 rgba(var(--chatbot-lg-sheen-rgb), 0.3);
+                }
+                
+                .chatbot-lg-send-btn:hover:not(:disabled) {
+                    transform: scale(1.1);
+                    box-shadow: 0 6px 20px rgba(var(--chatbot-lg-highlight-rgb), 0.4),
+                                inset 0 1px 0 rgba(var(--chatbot-lg-sheen-rgb), 0.4);
+                }
+                
+                .chatbot-lg-send-btn:disabled {
+                    opacity: 0.4;
+                    cursor: not-allowed;
+                    transform: scale(1);
+                }
+                
+                .chatbot-lg-start-btn {
+                    width: 100%;
+                    background: linear-gradient(135deg, rgba(var(--chatbot-lg-highlight-rgb), 0.9), rgba(var(--chatbot-lg-highlight-soft-rgb), 0.9));
+                    backdrop-filter: blur(var(--chatbot-lg-blur-md));
+                    -webkit-backdrop-filter: blur(var(--chatbot-lg-blur-md));
+                    border: 1px solid rgba(var(--chatbot-lg-sheen-rgb), 0.3);
+                    color: var(--chatbot-lg-on-highlight);
+                    border-radius: 16px;
+                    padding: 13px 24px;
+                    font-size: 15px;
+                    font-weight: 600;
+                    font-family: 'Montserrat', sans-serif;
+                    cursor: pointer;
+                    transition: all 0.3s cubic-bezier(0.4, 0, 0.2, 1);
+                    box-shadow: 0 4px 16px rgba(var(--chatbot-lg-highlight-rgb), 0.3),
+                                inset 0 1px 0 rgba(var(--chatbot-lg-sheen-rgb), 0.3);
+                }
+                
+                .chatbot-lg-start-btn:hover {
+                    transform: translateY(-2px);
+                    box-shadow: 0 6px 24px rgba(var(--chatbot-lg-highlight-rgb), 0.4),
+                                inset 0 1px 0 rgba(var(--chatbot-lg-sheen-rgb), 0.4);
+                }
+                
+                /* Starting Disclaimer Banner Styles */
+                .chatbot-lg-starting-disclaimer {
+                    background: var(--chatbot-lg-background);
+                    backdrop-filter: blur(var(--chatbot-lg-blur-sm));
+                    -webkit-backdrop-filter: blur(var(--chatbot-lg-blur-sm));
+                    border-inline-start: 4px solid var(--chatbot-lg-highlight);
+                    padding: 12px 16px;
+                    margin: 0;
+                    font-size: 13px;
+                    line-height: 1.6;
+                    color: var(--chatbot-lg-text);
+                    border-radius: 0;
+                    word-wrap: break-word;
+                    overflow-wrap: break-word;
+                }
+                
+                .chatbot-lg-starting-disclaimer a {
+                    color: var(--chatbot-lg-link) !important;
+                    text-decoration: underline !important;
+                    font-weight: 700 !important;
+                    word-break: break-word;
+                    overflow-wrap: break-word;
+                    cursor: pointer !important;
+                }
+                
+                .chatbot-lg-starting-disclaimer a strong {
+                    font-weight: 700 !important;
+                    color: var(--chatbot-lg-link) !important;
+                }
+                
+                .chatbot-lg-starting-disclaimer a:hover {
+                    color: var(--chatbot-lg-text) !important;
+                    text-decoration: underline !important;
+                }
+                
+                .chatbot-lg-starting-disclaimer a:hover strong {
+                    color: var(--chatbot-lg-text) !important;
+                }
+                
+                .chatbot-disclaimer-link {
+                    color: var(--chatbot-lg-link) !important;
+                    text-decoration: underline !important;
+                    font-weight: 700 !important;
+                    cursor: pointer !important;
+                }
+                
+                .chatbot-disclaimer-link strong {
+                    font-weight: 700 !important;
+                    color: inherit !important;
+                }
+                
+                @media (max-width: 768px) {
+                    .chatbot-lg-starting-disclaimer {
+                        font-size: 12px;
+                        padding: 10px 14px;
+                    }
+                }
+                
+                .typing-indicator {
+                    display: flex;
+                    gap: 5px;
+                    padding: 10px 14px;
+                }
+                
+                .typing-dot {
+                    width: 8px;
+                    height: 8px;
+                    background: rgba(var(--chatbot-lg-primary-rgb), 0.4);
+                    border-radius: 50%;
+                    animation: typing 1.4s infinite;
+                    backdrop-filter: blur(5px);
+                }
+                
+                .typing-dot:nth-child(2) {
+                    animation-delay: 0.2s;
+                }
+                
+                .typing-dot:nth-child(3) {
+                    animation-delay: 0.4s;
+                }
+                
+                @keyframes typing {
+                    0%, 60%, 100% {
+                        transform: translateY(0);
+                        opacity: 0.5;
+                    }
+                    30% {
+                        transform: translateY(-8px);
+                        opacity: 1;
+                    }
+                }
+                
+                /* Streaming answer: blinking caret while tokens arrive */
+                .chatbot-lg-message-bubble.chatbot-lg-streaming::after {
+                    content: '▍';
+                    margin-inline-start: 2px;
+                    color: rgba(var(--chatbot-lg-text-rgb), 0.6);
+                    animation: streamCaret 1s steps(1) infinite;
+                }
+                
+                @keyframes streamCaret {
+                    50% {
+                        opacity: 0;
+                    }
+                }
+                
+                .chatbot-lg-stop-btn {
+                    width: 100%;
+                    background: rgba(var(--chatbot-lg-surface-rgb), 0.6);
+                    backdrop-filter: blur(var(--chatbot-lg-blur-sm));
+                    -webkit-backdrop-filter: blur(var(--chatbot-lg-blur-sm));
+                    border: 1px solid rgba(var(--chatbot-lg-primary-rgb), 0.25);
+                    color: var(--chatbot-lg-text);
+                    border-radius: 16px;
+                    padding: 11px 24px;
+                    font-size: 14px;
+                    font-weight: 600;
+                    font-family: 'Montserrat', sans-serif;
+                    cursor: pointer;
+                    transition: all 0.3s cubic-bezier(0.4, 0, 0.2, 1);
+                }
+                
+                .chatbot-lg-retry-btn {
+                    align-self: flex-start;
+                    margin-top: 6px;
+                    background: rgba(var(--chatbot-lg-surface-rgb), 0.6);
+                    border: 1px solid rgba(var(--chatbot-lg-primary-rgb), 0.25);
+                    color: var(--chatbot-lg-text);
+                    border-radius: 12px;
+                    padding: 6px 14px;
+                    font-size: 13px;
+                    font-weight: 600;
+                    font-family: 'Montserrat', sans-serif;
+                    cursor: pointer;
+                    transition: all 0.3s cubic-bezier(0.4, 0, 0.2, 1);
+                }
+                
+                .chatbot-lg-retry-btn:hover,
+                .chatbot-lg-stop-btn:hover {
+                    background: rgba(var(--chatbot-lg-surface-rgb), 0.85);
+                    border-color: rgba(var(--chatbot-lg-primary-rgb), 0.4);
+                }
+                
+                /* "Edit" below a past selection */
+                .chatbot-lg-edit-btn {
+                    align-self: flex-end;
+                    margin-top: 4px;
+                    background: none;
+                    border: none;
+                    padding: 2px 4px;
+                    color: rgba(var(--chatbot-lg-text-rgb), 0.6);
+                    font-size: 12px;
+                    font-family: 'Montserrat', sans-serif;
+                    text-decoration: underline;
+                    cursor: pointer;
+                }
+                
+                .chatbot-lg-edit-btn:hover {
+                    color: var(--chatbot-lg-text);
+                }
+                
+                #chatbot-lg-widget.chatbot-lg-no-edit .chatbot-lg-edit-btn {
+                    display: none;
+                }
+                
+                /* Mobile Responsive Styles - Standard Chatbot Practices */
+                @media (max-width: 768px) {
+                    #chatbot-lg-widget {
+                        width: calc(100vw - 24px);
+                        max-width: calc(100vw - 24px);
+                        width: min(calc(100vw - 24px), 420px);
+                        height: calc(100vh - 100px);
+                        max-height: calc(100vh - 100px);
+                        min-height: 500px;
+                        border-radius: 20px;
+                        margin: 50px 12px 12px 12px;
+                        inset-inline-start: auto;
+                        inset-inline-end: auto;
+                        position: fixed;
+                        top: 50px;
+                        bottom: auto;
+                    }
+                    
+                    #chatbot-lg-toggle {
+                        width: 56px;
+                        height: 56px;
+                        bottom: 16px;
+                        inset-inline-end: 16px;
+                        font-size: 24px;
+                    }
+                    
+                    .chatbot-lg-header {
+                        padding: 14px 16px;
+                    }
+                    
+                    .chatbot-lg-avatar {
+                        width: 44px;
+                        height: 44px;
+                    }
+                    
+                    .chatbot-lg-avatar svg {
+                        width: 28px;
+                        height: 28px;
+                    }
+                    
+                    .chatbot-lg-title {
+                        font-size: 15px;
+                    }
+                    
+                    .chatbot-lg-subtitle {
+                        font-size: 11px;
+                    }
+                    
+                    .chatbot-lg-header-actions {
+                        gap: 6px;
+                    }
+                    
+                    .chatbot-lg-back,
+                    .chatbot-lg-expand,
+                    .chatbot-lg-close,
+                    .chatbot-lg-language,
+                    .chatbot-lg-human-support {
+                        width: 36px;
+                        height: 36px;
+                        font-size: 18px;
+                    }
+                    
+                    .chatbot-lg-back svg,
+                    .chatbot-lg-expand svg,
+                    .chatbot-lg-close svg {
+                        width: 14px;
+                        height: 14px;
+                    }
+                    
+                    .chatbot-lg-messages {
+                        padding: 14px;
+                    }
+                    
+                    .chatbot-lg-message-avatar {
+                        width: 28px;
+                        height: 28px;
+                        font-size: 14px;
+                    }
+                    
+                    .chatbot-lg-message-bubble {
+                        max-width: 85%;
+                        font-size: 14px;
+                        padding: 12px 16px;
+                        line-height: 1.5;
+                    }
+                    
+                    .chatbot-lg-options {
+                        margin-inline-start: 0;
+                        max-width: 100%;
+                        gap: 8px;
+                    }
+                    
+                    .chatbot-lg-option-btn {
+                        padding: 12px 16px;
+                        font-size: 14px;
+                        min-height: 44px; /* iOS touch target minimum */
+                    }
+                    
+                    .chatbot-lg-footer {
+                        padding: 14px 16px;
+                    }
+                    
+                    .chatbot-lg-input {
+                        padding: 12px 16px;
+                        font-size: 16px; /* Prevents zoom on iOS */
+                        min-height: 44px; /* iOS touch target minimum */
+                    }
+                    
+                    .chatbot-lg-send-btn {
+                        width: 44px;
+                        height: 44px;
+                        min-width: 44px; /* iOS touch target minimum */
+                    }
+                    
+                    .chatbot-lg-start-btn {
+                        padding: 14px 24px;
+                        font-size: 16px;
+                        min-height: 44px; /* iOS touch target minimum */
+                    }
+                    
+                    .chatbot-lg-rating-container {
+                        padding: 14px;
+                        width: 100%;
+                        box-sizing: border-box;
+                        max-width: 100%;
+                    }
+                    
+                    .chatbot-lg-star {
+                        font-size: 22px;
+                    }
+                    
+                    .chatbot-lg-feedback-option {
+                        padding: 12px 14px;
+                        font-size: 14px;
+                        min-height: 44px; /* iOS touch target minimum */
+                        width: 100%;
+                        box-sizing: border-box;
+                    }
+                    
+                    .chatbot-lg-feedback-input {
+                        width: 100%;
+                        box-sizing: border-box;
+                        padding: 10px 12px;
+                        font-size: 16px; /* Prevents zoom on iOS */
+                    }
+                }
+                
+                /* Small mobile devices (iPhone SE, iPhone 12/13 mini, etc.) */
+                @media (max-width: 428px) {
+                    #chatbot-lg-widget {
+                        width: calc(100vw - 16px);
+                        max-width: calc(100vw - 16px);
+                        height: calc(100vh - 80px);
+                        max-height: calc(100vh - 80px);
+                        min-height: 450px;
+                        margin: 40px 8px 8px 8px;
+                        border-radius: 18px;
+                        inset-inline-start: auto;
+                        inset-inline-end: auto;
+                        position: fixed;
+                        top: 40px;
+                        bottom: auto;
+                        box-sizing: border-box;
+                    }
+                    
+                    #chatbot-lg-toggle {
+                        width: 52px;
+                        height: 52px;
+                        bottom: 12px;
+                        inset-inline-end: 12px;
+                        font-size: 22px;
+                    }
+                    
+                    .chatbot-lg-header {
+                        padding: 12px 14px;
+                    }
+                    
+                    .chatbot-lg-avatar {
+                        width: 40px;
+                        height: 40px;
+                    }
+                    
+                    .chatbot-lg-avatar svg {
+                        width: 26px;
+                        height: 26px;
+                    }
+                    
+                    .chatbot-lg-title {
+                        font-size: 14px;
+                    }
+                    
+                    .chatbot-lg-subtitle {
+                        font-size: 10px;
+                    }
+                    
+                    .chatbot-lg-header-actions {
+                        gap: 4px;
+                    }
+                    
+                    .chatbot-lg-back,
+                    .chatbot-lg-expand,
+                    .chatbot-lg-close,
+                    .chatbot-lg-language,
+                    .chatbot-lg-human-support {
+                        width: 32px;
+                        height: 32px;
+                        font-size: 16px;
+                    }
+                    
+                    .chatbot-lg-back svg,
+                    .chatbot-lg-expand svg,
+                    .chatbot-lg-close svg {
+                        width: 12px;
+                        height: 12px;
+                    }
+                    
+                    .chatbot-lg-messages {
+                        padding: 12px;
+                    }
+                    
+                    .chatbot-lg-message-avatar {
+                        width: 26px;
+                        height: 26px;
+                        font-size: 13px;
+                    }
+                    
+                    .chatbot-lg-message-bubble {
+                        max-width: 88%;
+                        font-size: 13px;
+                        padding: 10px 14px;
+                        line-height: 1.5;
+                    }
+                    
+                    .chatbot-lg-options {
+                        grid-template-columns: 1fr;
+                        gap: 8px;
+                    }
+                    
+                    .chatbot-lg-option-btn {
+                        width: 100%;
+                        padding: 12px 14px;
+                        font-size: 13px;
+                        min-height: 44px;
+                    }
+                    
+                    .chatbot-lg-footer {
+                        padding: 12px 14px;
+                    }
+                    
+                    .chatbot-lg-input {
+                        padding: 10px 14px;
+                        font-size: 16px;
+                        min-height: 44px;
+                    }
+                    
+                    .chatbot-lg-send-btn {
+                        width: 44px;
+                        height: 44px;
+                    }
+                    
+                    .chatbot-lg-start-btn {
+                        padding: 12px 20px;
+                        font-size: 15px;
+                        min-height: 44px;
+                    }
+                    
+                    .chatbot-lg-rating-container {
+                        padding: 12px;
+                        width: 100%;
+                        box-sizing: border-box;
+                        max-width: 100%;
+                    }
+                    
+                    .chatbot-lg-rating-label {
+                        font-size: 12px;
+                    }
+                    
+                    .chatbot-lg-star {
+                        font-size: 20px;
+                    }
+                    
+                    .chatbot-lg-feedback-option {
+                        padding: 10px 12px;
+                        font-size: 13px;
+                        min-height: 44px;
+                        width: 100%;
+                        box-sizing: border-box;
+                    }
+                    
+                    .chatbot-lg-feedback-input {
+                        width: 100%;
+                        box-sizing: border-box;
+                        padding: 10px 12px;
+                        font-size: 16px; /* Prevents zoom on iOS */
+                    }
+                }
+                
+                /* Landscape mobile */
+                @media (max-width: 768px) and (orientation: landscape) {
+                    #chatbot-lg-widget {
+                        width: calc(100vw - 24px);
+                        max-width: calc(100vw - 24px);
+                        height: calc(100vh - 60px);
+                        max-height: calc(100vh - 60px);
+                        min-height: 400px;
+                        margin: 30px 12px 12px 12px;
+                        inset-inline-start: auto;
+                        inset-inline-end: auto;
+                        position: fixed;
+                        top: 30px;
+                        bottom: auto;
+                        box-sizing: border-box;
+                    }
+                    
+                    .chatbot-lg-header {
+                        padding: 12px 16px;
+                    }
+                    
+                    .chatbot-lg-avatar {
+                        width: 40px;
+                        height: 40px;
+                    }
+                    
+                    .chatbot-lg-avatar svg {
+                        width: 26px;
+                        height: 26px;
+                    }
+                    
+                    .chatbot-lg-title {
+                        font-size: 14px;
+                    }
+                    
+                    .chatbot-lg-subtitle {
+                        font-size: 10px;
+                    }
+                    
+                    .chatbot-lg-messages {
+                        padding: 12px;
+                    }
+                    
+                    .chatbot-lg-message-avatar {
+                        width: 26px;
+                        height: 26px;
+                        font-size: 13px;
+                    }
+                    
+                    .chatbot-lg-message-bubble {
+                        font-size: 13px;
+                        padding: 10px 14px;
+                    }
+                    
+                    .chatbot-lg-footer {
+                        padding: 12px 16px;
+                    }
+                    
+                    .chatbot-lg-rating-container {
+                        padding: 12px;
+                        width: 100%;
+                        box-sizing: border-box;
+                        max-width: 100%;
+                    }
+                    
+                    .chatbot-lg-feedback-input {
+                        width: 100%;
+                        box-sizing: border-box;
+                        padding: 10px 12px;
+                        font-size: 16px; /* Prevents zoom on iOS */
+                    }
+                }
+                
+                /* Extra small devices (iPhone SE 1st gen, very small Android) */
+                @media (max-width: 375px) {
+                    #chatbot-lg-widget {
+                        width: calc(100vw - 12px);
+                        max-width: calc(100vw - 12px);
+                        margin: 30px 6px 6px 6px;
+                        border-radius: 16px;
+                        min-height: 400px;
+                        inset-inline-start: auto;
+                        inset-inline-end: auto;
+                        position: fixed;
+                        top: 30px;
+                        bottom: auto;
+                        box-sizing: border-box;
+                    }
+                    
+                    #chatbot-lg-toggle {
+                        bottom: max(12px, env(safe-area-inset-bottom, 12px));
+                        inset-inline-end: max(12px, env(safe-area-inset-right, 12px));
+                    }
+                    
+                    .chatbot-lg-header {
+                        padding: 10px 12px;
+                        padding-top: max(10px, env(safe-area-inset-top, 10px));
+                    }
+                    
+                    .chatbot-lg-avatar {
+                        width: 36px;
+                        height: 36px;
+                    }
+                    
+                    .chatbot-lg-avatar svg {
+                        width: 24px;
+                        height: 24px;
+                    }
+                    
+                    .chatbot-lg-title {
+                        font-size: 13px;
+                    }
+                    
+                    .chatbot-lg-subtitle {
+                        font-size: 9px;
+                    }
+                    
+                    .chatbot-lg-back,
+                    .chatbot-lg-expand,
+                    .chatbot-lg-close,
+                    .chatbot-lg-language,
+                    .chatbot-lg-human-support {
+                        width: 32px;
+                        height: 32px;
+                        font-size: 14px;
+                        min-width: 32px;
+                    }
+                    
+                    .chatbot-lg-messages {
+                        padding: 10px;
+                    }
+                    
+                    .chatbot-lg-message-avatar {
+                        width: 24px;
+                        height: 24px;
+                        font-size: 12px;
+                    }
+                    
+                    .chatbot-lg-message-bubble {
+                        font-size: 12px;
+                        padding: 9px 12px;
+                    }
+                    
+                    .chatbot-lg-footer {
+                        padding: 10px 12px;
+                        padding-bottom: max(10px, env(safe-area-inset-bottom, 10px));
+                    }
+                    
+                    .chatbot-lg-option-btn {
+                        font-size: 12px;
+                        padding: 10px 12px;
+                        min-height: 44px; /* Maintain iOS touch target */
+                    }
+                    
+                    .chatbot-lg-input {
+                        font-size: 16px;
+                        padding: 10px 12px;
+                        min-height: 44px; /* Maintain iOS touch target */
+                    }
+                    
+                    .chatbot-lg-send-btn {
+                        min-width: 44px; /* Maintain iOS touch target */
+                    }
+                }
+                
+                /* iPhone 15 Pro and similar devices (393px width) */
+                @media (max-width: 393px) {
+                    #chatbot-lg-widget {
+                        width: calc(100vw - 16px);
+                        max-width: calc(100vw - 16px);
+                        inset-inline-start: 8px;
+                        inset-inline-end: 8px;
+                        margin: 0;
+                        position: fixed;
+                        top: max(40px, env(safe-area-inset-top, 40px));
+                        bottom: max(8px, env(safe-area-inset-bottom, 8px));
+                        height: calc(100vh - max(40px, env(safe-area-inset-top, 40px)) - max(8px, env(safe-area-inset-bottom, 8px)));
+                        max-height: calc(100vh - max(40px, env(safe-area-inset-top, 40px)) - max(8px, env(safe-area-inset-bottom, 8px)));
+                        box-sizing: border-box;
+                    }
+                    
+                    .chatbot-lg-messages {
+                        padding: 12px;
+                        box-sizing: border-box;
+                    }
+                    
+                    .chatbot-lg-rating-container {
+                        padding: 12px;
                         width: 100%;
                         box-sizing: border-box;
-                        margin-left: 0;
-                        margin-right: 0;
+                        margin-inline-start: 0;
+                        margin-inline-end: 0;
                     }
                     
                     .chatbot-lg-feedback-input {
@@ -1787,1007 +4737,2695 @@
                         padding: 10px 12px;
                     }
                 }
-                
-                /* Safe area support for notched devices (iPhone X and newer) */
-                @supports (padding: max(0px)) {
-                    @media (max-width: 768px) {
-                        #chatbot-lg-widget {
-                            margin-top: max(50px, env(safe-area-inset-top, 50px));
-                            margin-bottom: max(12px, env(safe-area-inset-bottom, 12px));
-                            left: max(12px, env(safe-area-inset-left, 12px));
-                            right: max(12px, env(safe-area-inset-right, 12px));
-                        }
-                        
-                        .chatbot-lg-header {
-                            padding-top: max(14px, env(safe-area-inset-top, 14px));
-                            padding-left: max(16px, env(safe-area-inset-left, 16px));
-                            padding-right: max(16px, env(safe-area-inset-right, 16px));
-                        }
-                        
-                        .chatbot-lg-footer {
-                            padding-bottom: max(14px, env(safe-area-inset-bottom, 14px));
-                            padding-left: max(16px, env(safe-area-inset-left, 16px));
-                            padding-right: max(16px, env(safe-area-inset-right, 16px));
-                        }
-                        
-                        .chatbot-lg-messages {
-                            padding-left: max(14px, env(safe-area-inset-left, 14px));
-                            padding-right: max(14px, env(safe-area-inset-right, 14px));
-                        }
-                    }
+                
+                /* Safe area support for notched devices (iPhone X and newer) */
+                @supports (padding: max(0px)) {
+                    @media (max-width: 768px) {
+                        #chatbot-lg-widget {
+                            margin-top: max(50px, env(safe-area-inset-top, 50px));
+                            margin-bottom: max(12px, env(safe-area-inset-bottom, 12px));
+                            inset-inline-start: max(12px, env(safe-area-inset-left, 12px));
+                            inset-inline-end: max(12px, env(safe-area-inset-right, 12px));
+                        }
+                        
+                        .chatbot-lg-header {
+                            padding-top: max(14px, env(safe-area-inset-top, 14px));
+                            padding-inline-start: max(16px, env(safe-area-inset-left, 16px));
+                            padding-inline-end: max(16px, env(safe-area-inset-right, 16px));
+                        }
+                        
+                        .chatbot-lg-footer {
+                            padding-bottom: max(14px, env(safe-area-inset-bottom, 14px));
+                            padding-inline-start: max(16px, env(safe-area-inset-left, 16px));
+                            padding-inline-end: max(16px, env(safe-area-inset-right, 16px));
+                        }
+                        
+                        .chatbot-lg-messages {
+                            padding-inline-start: max(14px, env(safe-area-inset-left, 14px));
+                            padding-inline-end: max(14px, env(safe-area-inset-right, 14px));
+                        }
+                    }
+                }
+                
+                /* Rating System Styles */
+                .chatbot-lg-rating-container {
+                    margin-top: 12px;
+                    padding: 16px;
+                    background: rgba(var(--chatbot-lg-surface-rgb), 0.6);
+                    backdrop-filter: blur(var(--chatbot-lg-blur-sm));
+                    -webkit-backdrop-filter: blur(var(--chatbot-lg-blur-sm));
+                    border-radius: 12px;
+                    border: 1px solid rgba(var(--chatbot-lg-accent-rgb), 0.2);
+                    max-width: 100%;
+                    width: 100%;
+                    box-sizing: border-box;
+                    overflow: visible;
+                    word-wrap: break-word;
+                    overflow-wrap: break-word;
+                }
+                
+                .chatbot-lg-stars-container {
+                    margin-bottom: 16px;
+                }
+                
+                .chatbot-lg-rating-label {
+                    font-size: 13px;
+                    color: rgba(var(--chatbot-lg-text-rgb), 0.7);
+                    margin-bottom: 8px;
+                    font-weight: 500;
+                }
+                
+                .chatbot-lg-stars {
+                    display: flex;
+                    gap: 4px;
+                    align-items: center;
+                }
+                
+                .chatbot-lg-star {
+                    font-size: 24px;
+                    background: none;
+                    border: none;
+                    padding: 0;
+                    font-family: inherit;
+                    cursor: pointer;
+                    transition: all 0.2s;
+                    user-select: none;
+                    line-height: 1;
+                    opacity: var(--chatbot-lg-star-idle-opacity);
+                    filter: grayscale(0.5) blur(0.5px);
+                }
+                
+                .chatbot-lg-star:hover {
+                    transform: scale(1.15);
+                    opacity: 0.6;
+                    filter: grayscale(0.3) blur(0.3px);
+                }
+                
+                .chatbot-lg-star.active {
+                    opacity: 1;
+                    filter: drop-shadow(0 2px 8px rgba(var(--chatbot-lg-highlight-rgb), 0.5)) 
+                            drop-shadow(0 0 12px rgba(var(--chatbot-lg-highlight-rgb), 0.3))
+                            grayscale(0);
+                }
+                
+                .chatbot-lg-feedback-container {
+                    display: flex;
+                    flex-direction: column;
+                    gap: 10px;
+                    max-width: 100%;
+                    width: 100%;
+                    box-sizing: border-box;
+                    overflow: visible;
+                }
+                
+                .chatbot-lg-feedback-label {
+                    font-size: 13px;
+                    color: rgba(var(--chatbot-lg-text-rgb), 0.7);
+                    margin-bottom: 8px;
+                    font-weight: 500;
+                }
+                
+                .chatbot-lg-feedback-options {
+                    display: flex;
+                    flex-direction: column;
+                    gap: 8px;
+                }
+                
+                .chatbot-lg-feedback-option {
+                    display: flex;
+                    align-items: center;
+                    gap: 10px;
+                    padding: 10px 12px;
+                    background: rgba(var(--chatbot-lg-surface-rgb), 0.6);
+                    backdrop-filter: blur(var(--chatbot-lg-blur-sm));
+                    -webkit-backdrop-filter: blur(var(--chatbot-lg-blur-sm));
+                    border: 1.5px solid rgba(var(--chatbot-lg-accent-rgb), 0.2);
+                    border-radius: 10px;
+                    cursor: pointer;
+                    transition: all 0.2s;
+                    font-size: 13px;
+                    color: var(--chatbot-lg-text);
+                    max-width: 100%;
+                    width: 100%;
+                    box-sizing: border-box;
+                    word-wrap: break-word;
+                    overflow-wrap: break-word;
+                    min-width: 0;
+                }
+                
+                .chatbot-lg-feedback-option span {
+                    flex: 1;
+                    word-wrap: break-word;
+                    overflow-wrap: break-word;
+                    min-width: 0;
+                }
+                
+                .chatbot-lg-feedback-option:hover {
+                    background: rgba(var(--chatbot-lg-accent-rgb), 0.1);
+                    border-color: rgba(var(--chatbot-lg-accent-rgb), 0.4);
+                }
+                
+                .chatbot-lg-feedback-option input[type="radio"] {
+                    margin: 0;
+                    cursor: pointer;
+                    accent-color: var(--chatbot-lg-accent);
+                }
+                
+                .chatbot-lg-feedback-option input[type="radio"]:checked + span {
+                    font-weight: 600;
+                    color: var(--chatbot-lg-text);
+                }
+                
+                .chatbot-lg-feedback-option:has(input[type="radio"]:checked) {
+                    background: rgba(var(--chatbot-lg-accent-rgb), 0.15);
+                    border-color: rgba(var(--chatbot-lg-accent-rgb), 0.5);
+                }
+                
+                .chatbot-lg-feedback-option input[type="radio"]:disabled {
+                    cursor: not-allowed;
+                }
+                
+                .chatbot-lg-feedback-option:has(input[type="radio"]:disabled) {
+                    opacity: 0.6;
+                    cursor: not-allowed;
+                }
+                
+                .chatbot-lg-feedback-input {
+                    width: 100%;
+                    padding: 10px 14px;
+                    border: 1.5px solid rgba(var(--chatbot-lg-accent-rgb), 0.2);
+                    border-radius: 12px;
+                    font-size: 13px;
+                    font-family: 'Montserrat', sans-serif;
+                    color: var(--chatbot-lg-text);
+                    background: rgba(var(--chatbot-lg-surface-rgb), 0.8);
+                    backdrop-filter: blur(var(--chatbot-lg-blur-sm));
+                    -webkit-backdrop-filter: blur(var(--chatbot-lg-blur-sm));
+                    resize: vertical;
+                    outline: none;
+                    transition: all 0.3s;
+                    box-sizing: border-box;
+                    min-width: 0;
+                    word-wrap: break-word;
+                    overflow-wrap: break-word;
+                    overflow-x: hidden;
+                    overflow-y: auto;
+                }
+                
+                .chatbot-lg-feedback-input:focus {
+                    border-color: rgba(var(--chatbot-lg-accent-rgb), 0.5);
+                    background: rgba(var(--chatbot-lg-surface-rgb), 0.95);
+                    box-shadow: 0 0 0 3px rgba(var(--chatbot-lg-accent-rgb), 0.1);
+                }
+                
+                .chatbot-lg-submit-rating-btn {
+                    align-self: flex-end;
+                    background: linear-gradient(135deg, rgba(var(--chatbot-lg-highlight-rgb), 0.9), rgba(var(--chatbot-lg-highlight-soft-rgb), 0.9));
+                    backdrop-filter: blur(var(--chatbot-lg-blur-md));
+                    -webkit-backdrop-filter: blur(var(--chatbot-lg-blur-md));
+                    border: 1px solid rgba(var(--chatbot-lg-sheen-rgb), 0.3);
+                    color: var(--chatbot-lg-on-highlight);
+                    border-radius: 12px;
+                    padding: 10px 20px;
+                    font-size: 13px;
+                    font-weight: 600;
+                    font-family: 'Montserrat', sans-serif;
+                    cursor: pointer;
+                    transition: all 0.3s cubic-bezier(0.4, 0, 0.2, 1);
+                    box-shadow: 0 2px 8px rgba(var(--chatbot-lg-highlight-rgb), 0.3),
+                                inset 0 1px 0 rgba(var(--chatbot-lg-sheen-rgb), 0.3);
+                }
+                
+                .chatbot-lg-submit-rating-btn:hover:not(:disabled) {
+                    transform: translateY(-2px);
+                    box-shadow: 0 4px 12px rgba(var(--chatbot-lg-highlight-rgb), 0.4),
+                                inset 0 1px 0 rgba(var(--chatbot-lg-sheen-rgb), 0.4);
+                }
+                
+                .chatbot-lg-submit-rating-btn:disabled {
+                    opacity: 0.5;
+                    cursor: not-allowed;
+                    transform: none;
+                }
+                
+                /* AI Disclaimer Styles */
+                .chatbot-lg-disclaimer {
+                    background: rgba(var(--chatbot-lg-notice-rgb), 0.8) !important;
+                    border-inline-start: 3px solid rgba(var(--chatbot-lg-notice-border-rgb), 0.6);
+                    font-size: 12px;
+                    padding: 12px 14px;
+                    margin-top: 8px;
+                }
+                
+                .chatbot-lg-disclaimer p {
+                    margin: 4px 0;
+                    line-height: 1.4;
+                }
+                
+                .chatbot-lg-disclaimer strong {
+                    color: rgba(var(--chatbot-lg-text-rgb), 0.9);
+                }
+            `;
+            // Append the style tag to the shadow root in isolation mode, otherwise to document head
+            (this.host ? this.root : document.head).appendChild(style);
+        }
+
+        // ====================================================================
+        // WIDGET CREATION METHODS
+        // ====================================================================
+        // Handles DOM element creation and widget structure
+        
+        /**
+         * Creates the chatbot widget DOM structure
+         * 
+         * Builds the complete widget including:
+         * - Toggle button (floating button to open widget)
+         * - Widget container (main chat window)
+         * - Header with title, subtitle, expand/close buttons
+         * - Messages area (scrollable container for conversation)
+         * - Footer (input field or action buttons)
+         * 
+         * Stores references to key DOM elements for later manipulation.
+         */
+        createWidget() {
+            // Create main container that holds both toggle button and widget
+            const container = document.createElement('div');
+            container.id = 'chatbot-lg-container';
+            container.setAttribute('dir', this.direction);
+            this.setPosition(container);
+            this.watchColorScheme();
+            this.applyTheme(container);
+
+            // Toggle Button
+            const toggle = document.createElement('button');
+            toggle.id = 'chatbot-lg-toggle';
+            toggle.setAttribute('aria-label', this.t('openChat'));
+            toggle.setAttribute('data-i18n-label', 'openChat');
+            toggle.setAttribute('aria-haspopup', 'dialog');
+            toggle.setAttribute('aria-controls', 'chatbot-lg-widget');
+            toggle.setAttribute('aria-expanded', 'false');
+            toggle.innerHTML = `
+                <svg aria-hidden="true" width="24" height="24" viewBox="0 0 24 24" fill="none" xmlns="http://www.w3.org/2000/svg">
+                    <path d="M20 2H4C2.9 2 2 2.9 2 4V22L6 18H20C21.1 18 22 17.1 22 16V4C22 2.9 21.1 2 20 2Z" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"/>
+                </svg>
+            `;
+
+            if (this.config.showBadge) {
+                const badge = document.createElement('div');
+                badge.id = 'chatbot-lg-badge';
+                badge.setAttribute('aria-hidden', 'true');
+                badge.style.display = 'none'; // Hidden by default, shown only when there's a new message
+                toggle.appendChild(badge);
+                this.badge = badge;
+            }
+
+            // Widget
+            const widget = document.createElement('div');
+            widget.id = 'chatbot-lg-widget';
+            // Dialog labelled by the header title; focusable so open() can move focus into it
+            widget.setAttribute('role', 'dialog');
+            widget.setAttribute('aria-labelledby', 'chatbot-lg-title');
+            widget.setAttribute('tabindex', '-1');
+            widget.innerHTML = `
+                <div class="chatbot-lg-header">
+                    <div class="chatbot-lg-header-content">
+                        <div class="chatbot-lg-avatar" id="chatbot-lg-header-avatar" title="Chatbot V2">
+                            <img id="chatbot-lg-avatar-img" src="${this.escapeHtml(this.config.logoUrl)}" alt="${this.escapeHtml(this.config.subtitle)} Logo" style="display: none;" title="Chatbot V2">
+                            <svg id="chatbot-lg-avatar-fallback" width="32" height="32" viewBox="0 0 24 24" fill="none" xmlns="http://www.w3.org/2000/svg" style="display: block;" title="Chatbot V2">
+                                <path d="M20 2H4C2.9 2 2 2.9 2 4V22L6 18H20C21.1 18 22 17.1 22 16V4C22 2.9 21.1 2 20 2Z" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"/>
+                            </svg>
+                        </div>
+                        <div>
+                            <div class="chatbot-lg-title" id="chatbot-lg-title">${this.config.title}</div>
+                            <div class="chatbot-lg-subtitle">${this.config.subtitle}</div>
+                        </div>
+                    </div>
+                    <div class="chatbot-lg-header-actions">
+                        <button class="chatbot-lg-back" id="chatbot-lg-back" title="${this.t('back')}" aria-label="${this.t('back')}" data-i18n-title="back" style="display: none;">
+                            <svg aria-hidden="true" width="16" height="16" viewBox="0 0 24 24" fill="none" xmlns="http://www.w3.org/2000/svg">
+                                <path d="M15 18L9 12L15 6" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"/>
+                            </svg>
+                        </button>
+                        <button class="chatbot-lg-language" id="chatbot-lg-language" title="${this.t('language')}" aria-label="${this.t('language')}" data-i18n-title="language" aria-haspopup="true" aria-expanded="false" style="display: none;"></button>
+                        <button class="chatbot-lg-human-support" id="chatbot-lg-human-support" title="${this.t('humanSupport')}" aria-label="${this.t('humanSupport')}">
+                            <span aria-hidden="true">👤</span>
+                        </button>
+                        <button class="chatbot-lg-expand" id="chatbot-lg-expand" title="${this.t('expand')}" aria-label="${this.t('expand')}" data-i18n-title="expand">
+                            <svg aria-hidden="true" width="16" height="16" viewBox="0 0 24 24" fill="none" xmlns="http://www.w3.org/2000/svg">
+                                <path d="M8 3H5C3.89543 3 3 3.89543 3 5V8M21 8V5C21 3.89543 20.1046 3 19 3H16M16 21H19C20.1046 21 21 20.1046 21 19V16M3 16V19C3 20.1046 3.89543 21 5 21H8" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"/>
+                            </svg>
+                        </button>
+                        <button class="chatbot-lg-close" id="chatbot-lg-close" title="${this.t('close')}" aria-label="${this.t('close')}" data-i18n-title="close">
+                            <svg aria-hidden="true" width="16" height="16" viewBox="0 0 24 24" fill="none" xmlns="http://www.w3.org/2000/svg">
+                                <path d="M18 6L6 18M6 6L18 18" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"/>
+                            </svg>
+                        </button>
+                    </div>
+                </div>
+                <div class="chatbot-lg-messages" id="chatbot-lg-messages" role="log" aria-live="polite" aria-label="${this.t('conversation')}" data-i18n-label="conversation"></div>
+                <div class="chatbot-lg-sr-only" id="chatbot-lg-status" role="status"></div>
+                <div class="chatbot-lg-agent-bar" id="chatbot-lg-agent-bar" style="display: none;">
+                    <span class="chatbot-lg-agent-status" role="status"></span>
+                    <button class="chatbot-lg-agent-end" id="chatbot-lg-agent-end" data-i18n="endChat">${this.t('endChat')}</button>
+                </div>
+                <div class="chatbot-lg-footer" id="chatbot-lg-footer">
+                    <!-- Start Chat button will be shown after send_ai_starting_disclaimer response -->
+                </div>
+            `;
+
+            container.appendChild(toggle);
+            container.appendChild(widget);
+            (this.host ? this.root : document.body).appendChild(container);
+
+            this.container = container;
+            this.toggleButton = toggle;
+            this.widget = widget;
+            // Store references to key DOM elements for easy access
+            this.messagesDiv = widget.querySelector('#chatbot-lg-messages');
+            this.footerDiv = widget.querySelector('#chatbot-lg-footer');
+        }
+
+        /**
+         * Sets the widget position on the screen
+         * 
+         * Applies CSS positioning based on the configured position value.
+         * Right-to-left layouts mirror it: 'bottom-right' sits bottom left.
+         * 
+         * @param {HTMLElement} container - The container element to position
+         */
+        setPosition(container) {
+            const positions = {
+                'bottom-right': { bottom: '24px', right: '24px' },
+                'bottom-left': { bottom: '24px', left: '24px' },
+                'top-right': { top: '24px', right: '24px' },
+                'top-left': { top: '24px', left: '24px' }
+            };
+            const pos = { ...(positions[this.getPhysicalPosition()] || positions['bottom-right']) };
+            ['top', 'bottom', 'left', 'right'].forEach(side => {
+                container.style[side] = pos[side] || '';
+            });
+        }
+        
+        /**
+         * config.position as placed on screen, mirrored in right-to-left layouts
+         * 
+         * @returns {string} 'bottom-right', 'bottom-left', 'top-right' or 'top-left'
+         */
+        getPhysicalPosition() {
+            const position = this.config.position || 'bottom-right';
+            if (this.direction !== 'rtl') return position;
+            return position.replace(/left|right/, side => (side === 'left' ? 'right' : 'left'));
+        }
+
+        /**
+         * Applies the theme custom properties to the widget container
+         * 
+         * The injected stylesheet and all inline styles read their colors from these
+         * --chatbot-lg-* properties, so changing config colors reskins the whole widget.
+         * 
+         * @param {HTMLElement} [container=this.container] - The container element to theme
+         */
+        applyTheme(container = this.container) {
+            if (!container) return;
+            const scheme = this.resolveColorScheme();
+            const tokens = buildThemeTokens(this.config, scheme);
+            Object.keys(tokens).forEach(name => {
+                container.style.setProperty(name, tokens[name]);
+            });
+            // Native controls (radio buttons, scrollbars) follow the scheme too
+            container.style.colorScheme = scheme;
+            container.setAttribute('data-color-scheme', scheme);
+        }
+        
+        /**
+         * Resolves config.colorScheme to the scheme that should be rendered
+         * 
+         * @returns {string} 'dark' or 'light'
+         */
+        resolveColorScheme() {
+            if (this.config.colorScheme === 'dark') return 'dark';
+            if (this.config.colorScheme === 'auto') {
+                return this.colorSchemeQuery && this.colorSchemeQuery.matches ? 'dark' : 'light';
+            }
+            return 'light';
+        }
+        
+        /**
+         * Starts or stops following prefers-color-scheme depending on config.colorScheme
+         * 
+         * In 'auto' mode the theme is re-applied live whenever the OS/browser scheme changes.
+         */
+        watchColorScheme() {
+            // Always detach the previous listener first
+            this.unwatchColorScheme();
+            
+            if (this.config.colorScheme !== 'auto' || typeof window.matchMedia !== 'function') return;
+            
+            this.colorSchemeQuery = window.matchMedia('(prefers-color-scheme: dark)');
+            this.colorSchemeListener = () => this.applyTheme();
+            if (this.colorSchemeQuery.addEventListener) {
+                this.colorSchemeQuery.addEventListener('change', this.colorSchemeListener);
+            } else if (this.colorSchemeQuery.addListener) {
+                this.colorSchemeQuery.addListener(this.colorSchemeListener); // Safari < 14
+            }
+        }
+        
+        /**
+         * Stops following prefers-color-scheme changes
+         */
+        unwatchColorScheme() {
+            if (this.colorSchemeQuery && this.colorSchemeListener) {
+                if (this.colorSchemeQuery.removeEventListener) {
+                    this.colorSchemeQuery.removeEventListener('change', this.colorSchemeListener);
+                } else if (this.colorSchemeQuery.removeListener) {
+                    this.colorSchemeQuery.removeListener(this.colorSchemeListener); // Safari < 14
+                }
+            }
+            this.colorSchemeQuery = null;
+            this.colorSchemeListener = null;
+        }
+        
+        /**
+         * Switches the color scheme at runtime
+         * 
+         * Lets the host page's own theme toggle drive the widget.
+         * 
+         * @param {string} scheme - 'light', 'dark' or 'auto'
+         */
+        setColorScheme(scheme) {
+            if (!['light', 'dark', 'auto'].includes(scheme)) {
+                console.warn('ChatbotLiquidGlass: Unknown color scheme, expected light, dark or auto:', scheme);
+                return;
+            }
+            this.config.colorScheme = scheme;
+            this.watchColorScheme();
+            this.applyTheme();
+        }
+
+        /**
+         * Attaches event listeners to widget elements
+         * 
+         * Sets up click handlers for:
+         * - Toggle button (opens widget)
+         * - Close button (closes widget)
+         * - Expand button (toggles fullscreen)
+         * - Start button (begins conversation)
+         */
+        attachEvents() {
+            this.toggleButton.addEventListener('click', () => this.open());
+            this.widget.querySelector('#chatbot-lg-close').addEventListener('click', () => this.close());
+            this.widget.querySelector('#chatbot-lg-expand').addEventListener('click', () => this.toggleExpand());
+            this.widget.querySelector('#chatbot-lg-back').addEventListener('click', () => this.back());
+            this.widget.querySelector('#chatbot-lg-language').addEventListener('click', () => this.toggleLanguageMenu());
+            this.widget.querySelector('#chatbot-lg-human-support').addEventListener('click', () => this.openHumanSupport());
+            this.widget.querySelector('#chatbot-lg-agent-end').addEventListener('click', () => this.endLiveAgent());
+            this.widget.addEventListener('keydown', (event) => this.handlePanelKeydown(event));
+            // Clicking anywhere else in the panel closes the human support and language menus
+            this.widget.addEventListener('click', (event) => {
+                const menu = this.widget.querySelector('#chatbot-lg-support-menu');
+                const button = this.widget.querySelector('#chatbot-lg-human-support');
+                if (menu && !menu.contains(event.target) && !button.contains(event.target)) {
+                    this.hideSupportMenu();
+                }
+                const languageMenu = this.widget.querySelector('#chatbot-lg-language-menu');
+                const languageButton = this.widget.querySelector('#chatbot-lg-language');
+                if (languageMenu && !languageMenu.contains(event.target) && !languageButton.contains(event.target)) {
+                    this.hideLanguageMenu();
+                }
+            });
+            this.updateHumanSupportButton();
+            this.updateLanguageSwitcher();
+            // Note: "Start Chat" button event listener is attached dynamically when disclaimer response is received
+            
+            // Load custom avatar image with fallback
+            this.loadHeaderAvatar();
+        }
+        
+        /**
+         * Loads the header avatar image (config.logoUrl, chatbot_assets logo by default)
+         * Falls back to default SVG if image is not found
+         */
+        loadHeaderAvatar() {
+            const avatarImg = this.widget.querySelector('#chatbot-lg-avatar-img');
+            const avatarFallback = this.widget.querySelector('#chatbot-lg-avatar-fallback');
+            
+            if (!avatarImg || !avatarFallback) return;
+            
+            // Try to load the custom image
+            avatarImg.onload = () => {
+                // Image loaded successfully
+                avatarImg.style.display = 'block';
+                avatarFallback.style.display = 'none';
+            };
+            
+            avatarImg.onerror = () => {
+                // Image failed to load, use fallback SVG
+                avatarImg.style.display = 'none';
+                avatarFallback.style.display = 'block';
+            };
+            
+            // Trigger load check (if already cached, onload won't fire)
+            if (avatarImg.complete) {
+                if (avatarImg.naturalWidth === 0) {
+                    // Image failed to load
+                    avatarImg.style.display = 'none';
+                    avatarFallback.style.display = 'block';
+                } else {
+                    // Image loaded successfully
+                    avatarImg.style.display = 'block';
+                    avatarFallback.style.display = 'none';
+                }
+            } else {
+                // Image is still loading, show fallback initially
+                avatarImg.style.display = 'none';
+                avatarFallback.style.display = 'block';
+            }
+        }
+
+        // ====================================================================
+        // UI STATE MANAGEMENT METHODS
+        // ====================================================================
+        // Handles widget visibility, expansion, and badge display
+        
+        /**
+         * Opens the chatbot widget
+         * 
+         * Makes the widget visible and hides the toggle button.
+         * Also hides the notification badge if it was showing.
+         * Automatically restores cached conversation if available.
+         * Does nothing while the widget is already open.
+         * 
+         * @param {Object} [options]
+         * @param {boolean} [options.focus=true] - Move keyboard focus into the panel
+         */
+        async open({ focus = true } = {}) {
+            // Safety check: ensure widget and key elements exist
+            if (!this.widget) {
+                console.error('❌ Widget not initialized. Cannot open.');
+                return;
+            }
+            
+            // Opening again would reset the footer of the running conversation and count a second open
+            if (this.isOpen) return;
+            
+            if (!this.messagesDiv) {
+                console.error('❌ messagesDiv not found. Re-initializing...');
+                this.messagesDiv = this.widget.querySelector('#chatbot-lg-messages');
+                if (!this.messagesDiv) {
+                    console.error('❌ Cannot find #chatbot-lg-messages element');
+                    return;
                 }
-                
-                /* Rating System Styles */
-                .chatbot-lg-rating-container {
-                    margin-top: 12px;
-                    padding: 16px;
-                    background: rgba(255, 255, 255, 0.6);
-                    backdrop-filter: blur(10px);
-                    -webkit-backdrop-filter: blur(10px);
-                    border-radius: 12px;
-                    border: 1px solid rgba(0, 183, 176, 0.2);
-                    max-width: 100%;
-                    width: 100%;
-                    box-sizing: border-box;
-                    overflow: visible;
-                    word-wrap: break-word;
-                    overflow-wrap: break-word;
+            }
+            
+            if (!this.footerDiv) {
+                console.error('❌ footerDiv not found. Re-initializing...');
+                this.footerDiv = this.widget.querySelector('#chatbot-lg-footer');
+                if (!this.footerDiv) {
+                    console.error('❌ Cannot find #chatbot-lg-footer element');
+                    return;
                 }
+            }
+            
+            this.widget.style.display = 'flex';
+            this.toggleButton.style.display = 'none';
+            this.toggleButton.setAttribute('aria-expanded', 'true');
+            this.isOpen = true;
+            
+            // Screen readers start in the dialog, announcing its title
+            if (focus && !this.widget.contains(this.root.activeElement)) {
+                this.widget.focus({ preventScroll: true });
+            }
+            
+            // No teaser next to an open panel, and no trigger once the user is engaged
+            this.hideTeaser();
+            this.stopTriggers();
+            
+            // Opening hours may have started or ended since the button was last updated
+            this.updateHumanSupportButton();
+            
+            // Hide notification badge when widget is opened
+            if (this.badge) {
+                this.badge.style.display = 'none';
+            }
+            
+            // CRITICAL: Extract locale IMMEDIATELY when chat icon is clicked
+            // This ensures locale is available before any request is made
+            // Sources are checked in config.localeSources order (config.locale first by default)
+            // A locale the user picked in the language switcher is kept instead
+            if (!this.userLocale) {
+                const extractedLocale = this.extractLocale();
+                this.state.locale = extractedLocale || '';
+            }
+            
+            // Ensure locale is always a string
+            if (typeof this.state.locale !== 'string') {
+                this.state.locale = String(this.state.locale || '');
+            }
+            this.updateUiLocale();
+            
+            // Log locale extraction for debugging
+            console.log('🔍 Chat icon clicked - Locale extracted:', this.state.locale, '| Source:', this.localeSource || 'none');
+            this.emit('open');
+            
+            // CRITICAL: Clear footer IMMEDIATELY to prevent any button from showing
+            if (this.footerDiv) {
+                this.footerDiv.innerHTML = '';
+            }
+            
+            // CRITICAL: Always fetch fresh disclaimer on first click to ensure locale is sent
+            // Do NOT restore from cache - always fetch fresh to get correct locale
+            if (this.messagesDiv.children.length === 0) {
+                // Widget is empty - check if disclaimer has already been fetched
+                // CRITICAL: Check DOM for disclaimer element (not just state)
+                const hasDisclaimerInDom = this.messagesDiv.querySelector('.chatbot-lg-starting-disclaimer') !== null;
+                const hasSessionId = this.state.session_id && this.state.session_id.trim() !== '';
                 
-                .chatbot-lg-stars-container {
-                    margin-bottom: 16px;
+                // CRITICAL: Always fetch fresh disclaimer on first click to ensure locale is sent
+                // Even if disclaimer exists in DOM, we need to send locale to backend
+                // Clear footer FIRST to ensure no button is visible
+                if (this.footerDiv) {
+                    this.footerDiv.innerHTML = '';
                 }
                 
-                .chatbot-lg-rating-label {
-                    font-size: 13px;
-                    color: rgba(0, 61, 70, 0.7);
-                    margin-bottom: 8px;
-                    font-weight: 500;
+                // Clear messagesDiv to ensure clean state
+                if (this.messagesDiv) {
+                    this.messagesDiv.innerHTML = '';
                 }
                 
-                .chatbot-lg-stars {
-                    display: flex;
-                    gap: 4px;
-                    align-items: center;
+                // Clear any stale session/cache to force fresh fetch
+                if (hasSessionId) {
+                    this.clearSession();
+                    this.clearMessageCache();
                 }
                 
-                .chatbot-lg-star {
-                    font-size: 24px;
-                    cursor: pointer;
-                    transition: all 0.2s;
-                    user-select: none;
-                    line-height: 1;
-                    opacity: 0.3;
-                    filter: grayscale(0.5) blur(0.5px);
-                }
+                // CRITICAL: Show typing indicator IMMEDIATELY and force visibility
+                this.removeTypingIndicator();
+                this.addTypingIndicator();
                 
-                .chatbot-lg-star:hover {
-                    transform: scale(1.15);
-                    opacity: 0.6;
-                    filter: grayscale(0.3) blur(0.3px);
-                }
+                // Force DOM reflow to ensure typing indicator is visible
+                void this.messagesDiv.offsetHeight;
+                this.scrollToBottom();
                 
-                .chatbot-lg-star.active {
-                    opacity: 1;
-                    filter: drop-shadow(0 2px 8px rgba(255, 106, 61, 0.5)) 
-                            drop-shadow(0 0 12px rgba(255, 106, 61, 0.3))
-                            grayscale(0);
-                }
+                // Small delay to ensure typing indicator is rendered and visible
+                await new Promise(resolve => setTimeout(resolve, 150));
                 
-                .chatbot-lg-feedback-container {
-                    display: flex;
-                    flex-direction: column;
-                    gap: 10px;
-                    max-width: 100%;
-                    width: 100%;
-                    box-sizing: border-box;
-                    overflow: visible;
+                // Fetch starting disclaimer from backend
+                // DO NOT show button here - it will be shown in handleResponse() after response is received
+                try {
+                    await this.fetchStartingDisclaimer();
+                } catch (error) {
+                    console.error('❌ Error in fetchStartingDisclaimer:', error);
+                    this.removeTypingIndicator();
+                    if (this.footerDiv) {
+                        this.footerDiv.innerHTML = `<div style="text-align: center; color: var(--chatbot-lg-error); padding: 8px; font-size: 13px;">${this.t('errorGeneric')}</div>`;
+                    }
+                    if (this.messagesDiv) {
+                        this.messagesDiv.innerHTML = `<div class="chatbot-lg-message chatbot-lg-bot-message"><div class="chatbot-lg-message-bubble" style="color: var(--chatbot-lg-error);">${this.t('errorConnect')}</div></div>`;
+                    }
                 }
-                
-                .chatbot-lg-feedback-label {
-                    font-size: 13px;
-                    color: rgba(0, 61, 70, 0.7);
-                    margin-bottom: 8px;
-                    font-weight: 500;
+            }
+        }
+        
+        /**
+         * Fetches the starting disclaimer from the backend
+         * 
+         * Calls the backend with step "send_ai_starting_disclaimer" and displays
+         * the disclaimer message at the top of the chat window if received.
+         */
+        async fetchStartingDisclaimer() {
+            try {
+                // Ensure messagesDiv exists
+                if (!this.messagesDiv) {
+                    console.error('❌ messagesDiv is not initialized');
+                    if (this.footerDiv) {
+                        this.footerDiv.innerHTML = `<div style="text-align: center; color: var(--chatbot-lg-error); padding: 8px; font-size: 13px;">${this.t('errorNotInitialized')}</div>`;
+                    }
+                    return;
                 }
                 
-                .chatbot-lg-feedback-options {
-                    display: flex;
-                    flex-direction: column;
-                    gap: 8px;
+                // Ensure webhookUrl is configured (custom transports do without)
+                if (!this.config || (!this.config.webhookUrl && !this.config.transport && !this.config.knowledgeBase)) {
+                    console.error('❌ webhookUrl is not configured');
+                    this.removeTypingIndicator();
+                    if (this.footerDiv) {
+                        this.footerDiv.innerHTML = `<div style="text-align: center; color: var(--chatbot-lg-error); padding: 8px; font-size: 13px;">${this.t('errorNoEndpoint')}</div>`;
+                    }
+                    return;
                 }
                 
-                .chatbot-lg-feedback-option {
-                    display: flex;
-                    align-items: center;
-                    gap: 10px;
-                    padding: 10px 12px;
-                    background: rgba(255, 255, 255, 0.6);
-                    backdrop-filter: blur(10px);
-                    -webkit-backdrop-filter: blur(10px);
-                    border: 1.5px solid rgba(0, 183, 176, 0.2);
-                    border-radius: 10px;
-                    cursor: pointer;
-                    transition: all 0.2s;
-                    font-size: 13px;
-                    color: #003D46;
-                    max-width: 100%;
-                    width: 100%;
-                    box-sizing: border-box;
-                    word-wrap: break-word;
-                    overflow-wrap: break-word;
-                    min-width: 0;
+                // Double-check: Don't fetch if disclaimer already exists in DOM
+                // CRITICAL: Only check DOM, not session_id - we want to fetch even if session_id exists (might be stale)
+                const hasDisclaimer = this.messagesDiv.querySelector('.chatbot-lg-starting-disclaimer') !== null;
+                
+                if (hasDisclaimer) {
+                    console.log('⚠️ Disclaimer already exists in DOM, skipping duplicate request');
+                    this.removeTypingIndicator();
+                    // Ensure Start Chat button is shown if disclaimer exists
+                    if (this.footerDiv && !this.footerDiv.querySelector('.chatbot-lg-start-btn')) {
+                        this.footerDiv.innerHTML = `
+                            <button class="chatbot-lg-start-btn" id="chatbot-lg-start" data-i18n="startChat">${this.t('startChat')}</button>
+                        `;
+                        const startButton = this.widget.querySelector('#chatbot-lg-start');
+                        if (startButton) {
+                            startButton.addEventListener('click', () => this.startChat());
+                        }
+                    }
+                    return;
                 }
                 
-                .chatbot-lg-feedback-option span {
-                    flex: 1;
-                    word-wrap: break-word;
-                    overflow-wrap: break-word;
-                    min-width: 0;
+                // CRITICAL: Ensure footer is completely clear (no button shown yet)
+                if (this.footerDiv) {
+                    this.footerDiv.innerHTML = '';
                 }
                 
-                .chatbot-lg-feedback-option:hover {
-                    background: rgba(0, 183, 176, 0.1);
-                    border-color: rgba(0, 183, 176, 0.4);
-                }
+                // CRITICAL: Ensure typing indicator is showing (loading animation)
+                // Remove any existing one first, then add fresh one
+                this.removeTypingIndicator();
+                this.addTypingIndicator();
                 
-                .chatbot-lg-feedback-option input[type="radio"] {
-                    margin: 0;
-                    cursor: pointer;
-                    accent-color: #00B7B0;
-                }
+                // Force scroll to show typing indicator
+                this.scrollToBottom();
                 
-                .chatbot-lg-feedback-option input[type="radio"]:checked + span {
-                    font-weight: 600;
-                    color: #003D46;
+                // CRITICAL: Use locale from state (already extracted in open() method)
+                // If for some reason state.locale is empty, extract again as fallback
+                if (!this.state.locale || this.state.locale.trim() === '') {
+                    const extractedLocale = this.extractLocale();
+                    this.state.locale = extractedLocale || '';
+                    console.log('⚠️ Locale was empty, re-extracted:', this.state.locale);
                 }
                 
-                .chatbot-lg-feedback-option:has(input[type="radio"]:checked) {
-                    background: rgba(0, 183, 176, 0.15);
-                    border-color: rgba(0, 183, 176, 0.5);
+                // Ensure locale is always a string
+                if (typeof this.state.locale !== 'string') {
+                    this.state.locale = String(this.state.locale || '');
                 }
+                this.updateUiLocale();
                 
-                .chatbot-lg-feedback-option input[type="radio"]:disabled {
-                    cursor: not-allowed;
+                // Build request body with locale - ALWAYS include it, even if empty
+                const locale = (this.state.locale || '').trim();
+                const requestBody = {
+                    step: 'send_ai_starting_disclaimer',
+                    session_id: '',
+                    locale: locale
+                };
+                
+                // CRITICAL: Verify locale is in request body before sending
+                console.log('🚀 Sending send_ai_starting_disclaimer');
+                console.log('   Request body:', JSON.stringify(requestBody, null, 2));
+                console.log('   Locale value:', locale, '(type:', typeof locale, ', length:', locale.length, ')');
+                console.log('   Current URL:', window.location.href);
+                
+                const data = await this.request(requestBody);
+                
+                // Remove typing indicator before processing response
+                this.removeTypingIndicator();
+                
+                // Save session_id from backend response if provided
+                if (data && data.session_id) {
+                    this.saveSessionId(data.session_id);
+                    this.state.session_id = data.session_id;
                 }
                 
-                .chatbot-lg-feedback-option:has(input[type="radio"]:disabled) {
-                    opacity: 0.6;
-                    cursor: not-allowed;
+                // Use handleResponse to process the disclaimer response
+                // This ensures the "Start Chat" button is shown correctly ONLY after response is received
+                this.handleResponse(data);
+            } catch (error) {
+                // Superseded by a newer request or the widget was destroyed
+                if (error.type === 'aborted') return;
+                
+                console.error('❌ Error fetching starting disclaimer:', error);
+                this.emit('error', { step: 'send_ai_starting_disclaimer', message: error.message, type: error.type, status: error.status, error: error });
+                this.removeTypingIndicator();
+                if (this.footerDiv) {
+                    this.footerDiv.innerHTML = '';
+                }
+                this.showRequestError(error, () => this.fetchStartingDisclaimer());
+            }
+        }
+        
+        /**
+         * Escapes HTML special characters to prevent XSS
+         * @param {string} text - Text to escape
+         * @returns {string} Escaped text
+         */
+        escapeHtml(text) {
+            if (!text) return '';
+            const div = document.createElement('div');
+            div.textContent = text;
+            return div.innerHTML;
+        }
+
+        /**
+         * Displays the starting disclaimer banner at the top of the messages area
+         * 
+         * @param {Object} responseData - The response object from backend containing message, privacy_url, terms_url
+         */
+        showStartingDisclaimer(responseData) {
+            if (!responseData || !responseData.message || responseData.message.trim() === '') return;
+            
+            // Check if disclaimer already exists
+            const existingDisclaimer = this.messagesDiv.querySelector('.chatbot-lg-starting-disclaimer');
+            if (existingDisclaimer) {
+                return; // Already shown
+            }
+            
+            // Get message and URLs from response
+            let message = responseData.message;
+            const privacyUrl = responseData.privacy_url;
+            const termsUrl = responseData.terms_url;
+            
+            // Create disclaimer banner
+            const disclaimerDiv = document.createElement('div');
+            disclaimerDiv.className = 'chatbot-lg-starting-disclaimer';
+            
+            // Step 1: Replace link text with unique placeholders BEFORE any HTML processing
+            const PRIVACY_PLACEHOLDER = '___PRIVACY_POLICY_PLACEHOLDER___';
+            const TERMS_PLACEHOLDER = '___TERMS_CONDITIONS_PLACEHOLDER___';
+            const NEWLINE_PLACEHOLDER = '___NEWLINE_PLACEHOLDER___';
+            
+            // Replace "Privacy Policy" and "Terms and Conditions" with placeholders (case-insensitive)
+            if (privacyUrl) {
+                message = message.replace(/\bPrivacy Policy\b/gi, PRIVACY_PLACEHOLDER);
+            }
+            
+            if (termsUrl) {
+                message = message.replace(/\bTerms and Conditions\b/gi, TERMS_PLACEHOLDER);
+            }
+            
+            // Step 2: Replace newlines with a placeholder (before HTML escaping)
+            message = message.replace(/\n/g, NEWLINE_PLACEHOLDER);
+            
+            // Step 3: Escape HTML to prevent XSS (placeholders will remain as-is since they're unique)
+            const tempDiv = document.createElement('div');
+            tempDiv.textContent = message;
+            let escapedMessage = tempDiv.innerHTML;
+            
+            // Step 4: Convert newline placeholders to <br> tags
+            escapedMessage = escapedMessage.replace(new RegExp(NEWLINE_PLACEHOLDER.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'), 'g'), '<br>');
+            
+            // Step 5: Replace placeholders with actual HTML links (with proper escaping of URLs)
+            if (privacyUrl) {
+                // Escape the URL to prevent XSS
+                const escapedPrivacyUrl = privacyUrl.replace(/"/g, '&quot;');
+                const privacyLink = `<a href="${escapedPrivacyUrl}" target="_blank" rel="noopener noreferrer" class="chatbot-disclaimer-link" style="color: var(--chatbot-lg-link) !important; text-decoration: underline !important; font-weight: 700 !important; cursor: pointer !important;"><strong style="font-weight: 700 !important; color: inherit !important;">Privacy Policy</strong></a>`;
+                escapedMessage = escapedMessage.replace(new RegExp(PRIVACY_PLACEHOLDER.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'), 'g'), privacyLink);
+            }
+            
+            if (termsUrl) {
+                // Escape the URL to prevent XSS
+                const escapedTermsUrl = termsUrl.replace(/"/g, '&quot;');
+                const termsLink = `<a href="${escapedTermsUrl}" target="_blank" rel="noopener noreferrer" class="chatbot-disclaimer-link" style="color: var(--chatbot-lg-link) !important; text-decoration: underline !important; font-weight: 700 !important; cursor: pointer !important;"><strong style="font-weight: 700 !important; color: inherit !important;">Terms and Conditions</strong></a>`;
+                escapedMessage = escapedMessage.replace(new RegExp(TERMS_PLACEHOLDER.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'), 'g'), termsLink);
+            }
+            
+            // Step 6: Set HTML content (no need to wrap in <p> since we're handling newlines with <br>)
+            disclaimerDiv.innerHTML = escapedMessage;
+            
+            // Insert at the top of messages
+            if (this.messagesDiv.firstChild) {
+                this.messagesDiv.insertBefore(disclaimerDiv, this.messagesDiv.firstChild);
+            } else {
+                this.messagesDiv.appendChild(disclaimerDiv);
+            }
+        }
+
+        /**
+         * Closes the chatbot widget
+         * 
+         * Hides the widget, shows the toggle button, and collapses if expanded.
+         * Focus inside the panel moves back to the toggle button.
+         */
+        close() {
+            // Collapse widget if it's in fullscreen mode
+            if (this.isExpanded) {
+                this.collapse();
+            }
+            this.hideSupportMenu();
+            this.hideLanguageMenu();
+            const hadFocus = this.widget.contains(this.root.activeElement);
+            this.widget.style.display = 'none';
+            this.toggleButton.style.display = 'flex';
+            this.toggleButton.setAttribute('aria-expanded', 'false');
+            this.isOpen = false;
+            
+            // Focus would otherwise be lost with the hidden panel
+            if (hadFocus) {
+                this.toggleButton.focus();
+            }
+            
+            // Closing a panel a rule opened, before starting the chat, dismisses the triggers for good
+            if (this.openedByTrigger && !this.state.currentStep) {
+                this.dismissTriggers();
+            }
+            this.openedByTrigger = false;
+            this.emit('close');
+        }
+
+        /**
+         * Toggles between expanded (fullscreen) and collapsed states
+         */
+        toggleExpand() {
+            if (this.isExpanded) {
+                this.collapse();
+            } else {
+                this.expand();
+            }
+        }
+        
+        /**
+         * Expands the widget to fullscreen
+         * 
+         * Adds the 'expanded' CSS class which makes the widget cover the entire viewport.
+         * Updates the expand button icon to show a collapse icon.
+         */
+        expand() {
+            this.isExpanded = true;
+            this.widget.classList.add('expanded');
+            // Fullscreen covers the page: modal, with focus kept inside (see trapFocus())
+            this.widget.setAttribute('aria-modal', 'true');
+            this.emit('expand', { expanded: true });
+            const expandBtn = this.widget.querySelector('#chatbot-lg-expand');
+            if (expandBtn) {
+                // Change icon to collapse icon
+                expandBtn.innerHTML = `
+                    <svg aria-hidden="true" width="16" height="16" viewBox="0 0 24 24" fill="none" xmlns="http://www.w3.org/2000/svg">
+                        <path d="M8 3V5C8 6.10457 8.89543 7 10 7H14C15.1046 7 16 6.10457 16 5V3M21 8H19C17.8954 8 17 8.89543 17 10V14C17 15.1046 17.8954 16 19 16H21M16 21V19C16 17.8954 15.1046 17 14 17H10C8.89543 17 8 17.8954 8 19V21M3 16H5C6.10457 16 7 15.1046 7 14V10C7 8.89543 6.10457 8 5 8H3" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"/>
+                    </svg>
+                `;
+                expandBtn.setAttribute('data-i18n-title', 'collapse');
+                expandBtn.title = this.t('collapse');
+                expandBtn.setAttribute('aria-label', expandBtn.title);
+            }
+        }
+        
+        /**
+         * Collapses the widget from fullscreen to normal size
+         * 
+         * Removes the 'expanded' CSS class and updates the expand button icon.
+         */
+        collapse() {
+            this.isExpanded = false;
+            this.widget.classList.remove('expanded');
+            this.widget.removeAttribute('aria-modal');
+            this.emit('expand', { expanded: false });
+            const expandBtn = this.widget.querySelector('#chatbot-lg-expand');
+            if (expandBtn) {
+                // Change icon back to expand icon
+                expandBtn.innerHTML = `
+                    <svg aria-hidden="true" width="16" height="16" viewBox="0 0 24 24" fill="none" xmlns="http://www.w3.org/2000/svg">
+                        <path d="M8 3H5C3.89543 3 3 3.89543 3 5V8M21 8V5C21 3.89543 20.1046 3 19 3H16M16 21H19C20.1046 21 21 20.1046 21 19V16M3 16V19C3 20.1046 3.89543 21 5 21H8" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"/>
+                    </svg>
+                `;
+                expandBtn.setAttribute('data-i18n-title', 'expand');
+                expandBtn.title = this.t('expand');
+                expandBtn.setAttribute('aria-label', expandBtn.title);
+            }
+        }
+
+        /**
+         * Shows the notification badge on the toggle button
+         * 
+         * Displays a badge with "1" to indicate a new message when the widget is closed.
+         * Only shows if badge is enabled in config and widget is not open.
+         */
+        showBadge() {
+            if (this.badge && !this.isOpen) {
+                this.badge.style.display = 'flex';
+                this.badge.textContent = '1';
+            }
+        }
+
+        /**
+         * Hides the notification badge
+         */
+        hideBadge() {
+            if (this.badge) {
+                this.badge.style.display = 'none';
+            }
+        }
+
+        /**
+         * Resets the chat to initial state
+         * 
+         * Clears all messages, session data, cached messages, and resets the
+         * conversation state. Shows the "Start Chat" button to begin a new conversation.
+         * 
+         * @returns {Promise<void>} Resolves once the new conversation's first step is shown
+         */
+        resetChat() {
+            this.emit('reset', { session_id: this.state.session_id || '' });
+            const previousStep = this.state.currentStep;
+            
+            // Starting over leaves a live agent conversation
+            if (this.liveAgent) {
+                this.notifyAgentEnd(this.liveAgent);
+                this.closeLiveAgent();
+            }
+            
+            // Clear all displayed messages
+            this.messagesDiv.innerHTML = '';
+            
+            // Clear session and cached messages - destroy existing session_id
+            this.clearSession();
+            this.clearMessageCache();
+            this.offline = false; // A new conversation tries the backend again
+            
+            // Reset conversation state to initial values
+            // BUT preserve locale (extracted from URL when chat icon was clicked)
+            const existingLocale = this.state.locale || '';
+            this.state = {
+                currentStep: 'send_user_types',
+                session_id: '',  // Blank session_id - backend will generate new one
+                user_type: '',
+                concern_category: '',
+                question: '',
+                locale: existingLocale // Preserve locale from URL
+            };
+            this.updateNavigation();
+            if (previousStep !== 'send_user_types') {
+                this.emit('step:change', { from: previousStep, to: 'send_user_types' });
+            }
+            
+            // Show loading state
+            this.footerDiv.innerHTML = `<div style="text-align: center; color: rgba(var(--chatbot-lg-text-rgb), 0.6); padding: 8px; font-size: 13px;" data-i18n="loading">${this.t('loading')}</div>`;
+            
+            // Send request for send_user_types with blank session_id
+            const request = this.sendRequest({
+                step: 'send_user_types',
+                session_id: '',  // Blank for new session - backend will generate
+                locale: this.state.locale || ''
+            }).then(response => {
+                if (response) {
+                    this.handleResponse(response);
+                } else if (!this.pendingRequests.has('chat')) {
+                    // Failed - the error message in the chat carries the Retry button
+                    this.footerDiv.innerHTML = '';
                 }
-                
-                .chatbot-lg-feedback-input {
-                    width: 100%;
-                    padding: 10px 14px;
-                    border: 1.5px solid rgba(0, 183, 176, 0.2);
-                    border-radius: 12px;
-                    font-size: 13px;
-                    font-family: 'Montserrat', sans-serif;
-                    color: #003D46;
-                    background: rgba(255, 255, 255, 0.8);
-                    backdrop-filter: blur(10px);
-                    -webkit-backdrop-filter: blur(10px);
-                    resize: vertical;
-                    outline: none;
-                    transition: all 0.3s;
-                    box-sizing: border-box;
-                    min-width: 0;
-                    word-wrap: break-word;
-                    overflow-wrap: break-word;
-                    overflow-x: hidden;
-                    overflow-y: auto;
+            }).catch(error => {
+                console.error('Error in resetChat:', error);
+                this.footerDiv.innerHTML = `
+                    <button class="chatbot-lg-start-btn" id="chatbot-lg-start" data-i18n="retry">${this.t('retry')}</button>
+                `;
+                this.widget.querySelector('#chatbot-lg-start').addEventListener('click', () => this.resetChat());
+            });
+            
+            // Scroll messages area to top
+            this.messagesDiv.scrollTop = 0;
+            
+            return request;
+        }
+
+        // ====================================================================
+        // EVENT METHODS
+        // ====================================================================
+        // Lets host pages observe the conversation. Every event is delivered to
+        // on() handlers and dispatched as a "chatbot-lg:<event>" CustomEvent on the container.
+        
+        /**
+         * Registers an event handler
+         * 
+         * Events: open, close, expand, step:change, option:select, question:send,
+         * response, rating:submit, handoff, error, reset
+         * 
+         * @param {string} event - Event name
+         * @param {Function} handler - Called with the event detail object
+         * @returns {Function} Function that removes the handler again
+         */
+        on(event, handler) {
+            if (typeof handler !== 'function') {
+                console.warn('ChatbotLiquidGlass: on() needs a handler function for', event);
+                return () => {};
+            }
+            if (!this.listeners[event]) {
+                this.listeners[event] = new Set();
+            }
+            this.listeners[event].add(handler);
+            return () => this.off(event, handler);
+        }
+        
+        /**
+         * Removes a handler registered with on()
+         * 
+         * @param {string} event - Event name
+         * @param {Function} handler - The handler passed to on()
+         */
+        off(event, handler) {
+            if (this.listeners[event]) {
+                this.listeners[event].delete(handler);
+            }
+        }
+        
+        /**
+         * Emits an event to on() handlers and as a CustomEvent on the container
+         * 
+         * A throwing handler is logged and does not break the widget or other handlers.
+         * 
+         * @param {string} event - Event name
+         * @param {Object} [detail={}] - Event payload
+         */
+        emit(event, detail = {}) {
+            (this.listeners[event] || []).forEach(handler => {
+                try {
+                    handler(detail);
+                } catch (error) {
+                    console.error(`ChatbotLiquidGlass: "${event}" handler failed:`, error);
                 }
-                
-                .chatbot-lg-feedback-input:focus {
-                    border-color: rgba(0, 183, 176, 0.5);
-                    background: rgba(255, 255, 255, 0.95);
-                    box-shadow: 0 0 0 3px rgba(0, 183, 176, 0.1);
+            });
+            
+            if (this.container && typeof window.CustomEvent === 'function') {
+                this.container.dispatchEvent(new window.CustomEvent(`chatbot-lg:${event}`, {
+                    detail: detail,
+                    bubbles: true,
+                    composed: true // Crosses the shadow boundary in isolation mode
+                }));
+            }
+        }
+        
+        /**
+         * Moves the conversation to a new step and emits step:change
+         * 
+         * @param {string} step - The step the conversation is now at
+         */
+        setStep(step) {
+            const from = this.state.currentStep;
+            this.state.currentStep = step;
+            this.updateNavigation();
+            if (from !== step) {
+                this.emit('step:change', { from: from, to: step });
+            }
+        }
+
+        // ====================================================================
+        // ANALYTICS METHODS
+        // ====================================================================
+        // Translates widget events into funnel analytics events for config.analytics adapters
+        
+        /**
+         * Connects config.analytics adapters to the widget events
+         * 
+         * Tracked events: widget_open, step_reached, option_chosen, question_typed
+         * (length only, never the text), answer_latency, handoff_clicked and rating_submitted.
+         */
+        initAnalytics() {
+            const adapters = [].concat(this.config.analytics || []);
+            this.analyticsAdapters = adapters.filter(adapter => {
+                if (adapter && typeof adapter.track === 'function') return true;
+                console.warn('ChatbotLiquidGlass: Analytics adapter without track() ignored:', adapter);
+                return false;
+            });
+            if (this.analyticsAdapters.length === 0) return;
+            
+            this.on('open', () => this.track('widget_open'));
+            this.on('step:change', ({ to }) => {
+                if (to === 'send_query_answer') this.answerRequestedAt = Date.now();
+                this.track('step_reached', { step: to, label: to });
+            });
+            this.on('option:select', ({ step, option }) => {
+                this.track('option_chosen', { step: step, option_id: option.id, label: option.id });
+            });
+            this.on('question:send', ({ question }) => {
+                this.answerRequestedAt = Date.now();
+                this.track('question_typed', { length: question.length, value: question.length });
+            });
+            this.on('response', ({ step, payload }) => {
+                if (!payload.answer || this.answerRequestedAt === null) return;
+                const latency = Date.now() - this.answerRequestedAt;
+                this.answerRequestedAt = null;
+                this.track('answer_latency', { step: step, latency_ms: latency, value: latency });
+            });
+            this.on('handoff', ({ source }) => this.track('handoff_clicked', { source: source, label: source }));
+            this.on('rating:submit', ({ rating, feedback_option }) => {
+                this.track('rating_submitted', { rating: rating, feedback_option: feedback_option, value: rating });
+            });
+        }
+        
+        /**
+         * Sends an analytics event to every adapter
+         * 
+         * @param {string} name - Event name
+         * @param {Object} [data={}] - Event properties; session_id and locale are added
+         */
+        track(name, data = {}) {
+            const payload = {
+                session_id: this.state.session_id || this.getSessionId() || '',
+                locale: this.state.locale || '',
+                ...data
+            };
+            this.analyticsAdapters.forEach(adapter => {
+                try {
+                    adapter.track(name, payload);
+                } catch (error) {
+                    console.error(`ChatbotLiquidGlass: Analytics adapter failed on "${name}":`, error);
                 }
-                
-                .chatbot-lg-submit-rating-btn {
-                    align-self: flex-end;
-                    background: linear-gradient(135deg, rgba(255, 106, 61, 0.9), rgba(255, 140, 90, 0.9));
-                    backdrop-filter: blur(20px);
-                    -webkit-backdrop-filter: blur(20px);
-                    border: 1px solid rgba(255, 255, 255, 0.3);
-                    color: white;
-                    border-radius: 12px;
-                    padding: 10px 20px;
-                    font-size: 13px;
-                    font-weight: 600;
-                    font-family: 'Montserrat', sans-serif;
-                    cursor: pointer;
-                    transition: all 0.3s cubic-bezier(0.4, 0, 0.2, 1);
-                    box-shadow: 0 2px 8px rgba(255, 106, 61, 0.3),
-                                inset 0 1px 0 rgba(255, 255, 255, 0.3);
+            });
+        }
+
+        // ====================================================================
+        // PUBLIC API METHODS
+        // ====================================================================
+        // Programmatic control used by the API object returned from ChatbotLiquidGlass.init()
+        
+        /**
+         * Opens the widget when closed, closes it when open
+         * 
+         * @returns {Promise<void>|void} The open() promise when opening
+         */
+        toggle() {
+            return this.isOpen ? this.close() : this.open();
+        }
+        
+        /**
+         * Starts a new conversation (same as the "Start Over" button)
+         * 
+         * @returns {Promise<void>} Resolves once the user type options are shown
+         */
+        reset() {
+            return this.resetChat();
+        }
+        
+        /**
+         * Asks a question on behalf of the user
+         * 
+         * Opens the widget if needed (which loads the starting disclaimer), then sends
+         * the question as send_query_answer without waiting for "Start Chat" or option clicks.
+         * 
+         * @param {string} question - Question text shown as the user's message
+         * @param {Object} [options]
+         * @param {string} [options.topic] - Concern category id to send with the question
+         * @returns {Promise<void>} Resolves once the answer is displayed
+         */
+        async ask(question, { topic } = {}) {
+            question = String(question || '').trim();
+            if (!question) {
+                console.warn('ChatbotLiquidGlass: ask() needs a question');
+                return;
+            }
+            
+            if (!this.isOpen) {
+                await this.open();
+            }
+            
+            // Skip the "Start Chat" button and retire options the user can no longer answer
+            clearTimeout(this.startButtonTimer);
+            this.startButtonTimer = null;
+            this.footerDiv.innerHTML = '';
+            this.disableStepOptions(this.state.currentStep);
+            this.state.askAnotherConfirmation = false;
+            
+            if (topic) {
+                this.state.concern_category = topic;
+            }
+            this.state.question = question;
+            this.setStep('send_query_answer');
+            this.addMessage(question, false);
+            this.emit('question:send', { question: question, concern_category: this.state.concern_category || '' });
+            
+            const response = await this.sendRequest(this.buildStepRequest('send_query_answer'));
+            if (response) this.handleResponse(response);
+        }
+        
+        /**
+         * Selects a user type as if the user had clicked its option
+         * 
+         * Opens the widget and starts the chat when needed so the user type options
+         * are on screen, then clicks the matching one.
+         * 
+         * @param {string} id - User type option id (e.g. 'customer')
+         * @returns {Promise<boolean>} False if the id was not offered or a user type is already chosen
+         */
+        async selectUserType(id) {
+            if (!this.isOpen) {
+                await this.open();
+            }
+            if (!this.state.currentStep) {
+                clearTimeout(this.startButtonTimer);
+                this.startButtonTimer = null;
+                await this.startChat(); // May restore a cached conversation instead
+            }
+            if (this.state.user_type) {
+                console.warn('ChatbotLiquidGlass: A user type is already selected; call reset() first');
+                return false;
+            }
+            
+            const option = this.findStepOption('send_user_types', id);
+            if (!option) {
+                console.warn('ChatbotLiquidGlass: User type not offered by backend:', id);
+                return false;
+            }
+            
+            await this.handleOptionClick(option);
+            return true;
+        }
+        
+        /**
+         * Finds an option of a step that is still on screen and clickable
+         * 
+         * @param {string} step - Step the options were offered at
+         * @param {string} id - Option id
+         * @returns {Object|null} The backend option object, or null if not offered or already answered
+         */
+        findStepOption(step, id) {
+            const button = Array.from(this.root.querySelectorAll(`.chatbot-lg-option-btn[data-step="${step}"]`))
+                .find(btn => btn.getAttribute('data-option-id') === String(id) && !btn.disabled);
+            return (button && this.optionsByButton.get(button)) || null;
+        }
+        
+        /**
+         * Returns a snapshot of the conversation state
+         * 
+         * @returns {Object} Copy of the state plus isOpen and isExpanded flags
+         */
+        getState() {
+            return {
+                ...this.state,
+                isOpen: this.isOpen,
+                isExpanded: this.isExpanded
+            };
+        }
+        
+        /**
+         * Returns the conversation so far, read from the message cache
+         * 
+         * @returns {Array<{role: string, content: string, step: string|null, timestamp: number}>}
+         *          Messages in order; role is 'user' or 'assistant'
+         */
+        getTranscript() {
+            return this.getCachedMessages().map(msg => ({
+                role: msg.isBot ? 'assistant' : 'user',
+                content: msg.text,
+                step: msg.step || null,
+                timestamp: msg.timestamp
+            }));
+        }
+        
+        /**
+         * Removes the widget from the page
+         * 
+         * Removes the DOM (or shadow host), injected styles and font link, stops the
+         * color scheme listener and closes the AudioContext. The session stays in
+         * storage so a new init() can continue it.
+         */
+        destroy() {
+            if (this.destroyed) return;
+            this.destroyed = true;
+            
+            clearTimeout(this.startButtonTimer);
+            this.startButtonTimer = null;
+            this.unwatchColorScheme();
+            this.stopTriggers();
+            if (this.deepLinkListeners) {
+                window.removeEventListener('hashchange', this.deepLinkListeners.hashchange);
+                document.removeEventListener('click', this.deepLinkListeners.click);
+                this.deepLinkListeners = null;
+            }
+            
+            // Cancel requests in flight so no late reply touches the removed DOM
+            this.pendingRequests.forEach(controller => controller.abort());
+            this.pendingRequests.clear();
+            if (this.liveAgent) {
+                this.liveAgent.controller.abort();
+                this.liveAgent = null;
+            }
+            if (typeof this.transport.close === 'function') this.transport.close();
+            
+            // Shadow host takes the container and stylesheet with it
+            if (this.host) {
+                this.host.remove();
+            } else {
+                if (this.container) this.container.remove();
+                const styles = document.getElementById('chatbot-liquid-glass-styles');
+                if (styles) styles.remove();
+            }
+            const fontLink = document.getElementById('chatbot-liquid-glass-font');
+            if (fontLink) fontLink.remove();
+            
+            if (this.audioContext && typeof this.audioContext.close === 'function') {
+                this.audioContext.close().catch(() => {});
+            }
+            this.audioContext = null;
+            if (this.messageAudio) {
+                this.messageAudio.pause();
+                this.messageAudio = null;
+            }
+            
+            this.container = null;
+            this.host = null;
+            this.root = document;
+            this.listeners = {};
+            this.analyticsAdapters.forEach(adapter => {
+                try {
+                    if (typeof adapter.destroy === 'function') adapter.destroy();
+                    else if (typeof adapter.flush === 'function') adapter.flush();
+                } catch (error) {
+                    console.error('ChatbotLiquidGlass: Analytics adapter failed on destroy:', error);
                 }
-                
-                .chatbot-lg-submit-rating-btn:hover:not(:disabled) {
-                    transform: translateY(-2px);
-                    box-shadow: 0 4px 12px rgba(255, 106, 61, 0.4),
-                                inset 0 1px 0 rgba(255, 255, 255, 0.4);
+            });
+            this.analyticsAdapters = [];
+            
+            if (window.chatbotLiquidGlassInstance === this) {
+                window.chatbotLiquidGlassInstance = null;
+            }
+            console.log('🗑️ ChatbotLiquidGlass destroyed');
+        }
+
+        // ====================================================================
+        // DEEP LINK METHODS
+        // ====================================================================
+        // Open the widget at a specific step from the page URL, a #chatbot hash or a
+        // data-chatbot-* element (see DEEP LINKS)
+        
+        /**
+         * Follows a deep link in the page URL and listens for #chatbot hashes and link clicks
+         * 
+         * The chatbot_* parameters and the #chatbot hash are removed from the address bar
+         * once read, so reloading the page does not start over again.
+         */
+        initDeepLinks() {
+            if (this.config.deepLinks === false) return;
+            
+            const initialLink = readDeepLinkParams(new URLSearchParams(window.location.search));
+            const initialHashLink = readDeepLinkHash(window.location.hash);
+            if (initialLink || initialHashLink) {
+                this.clearDeepLinkFromUrl();
+                // Deferred so handlers registered with on() right after init() see the events
+                setTimeout(() => this.followDeepLink(initialLink || initialHashLink, initialLink ? 'url' : 'hash'), 0);
+            }
+            
+            this.deepLinkListeners = {
+                hashchange: () => {
+                    const link = readDeepLinkHash(window.location.hash);
+                    if (!link) return;
+                    this.clearDeepLinkFromUrl();
+                    this.followDeepLink(link, 'hash');
+                },
+                click: (event) => {
+                    // Let modified clicks open the element's href in a new tab as usual
+                    if (event.defaultPrevented || event.button !== 0 || event.metaKey || event.ctrlKey || event.shiftKey || event.altKey) return;
+                    const element = event.target && event.target.closest && event.target.closest(DEEP_LINK_SELECTOR);
+                    const link = element && readDeepLinkElement(element);
+                    if (!link) return;
+                    event.preventDefault();
+                    this.followDeepLink(link, 'link');
                 }
-                
-                .chatbot-lg-submit-rating-btn:disabled {
-                    opacity: 0.5;
-                    cursor: not-allowed;
-                    transform: none;
+            };
+            window.addEventListener('hashchange', this.deepLinkListeners.hashchange);
+            document.addEventListener('click', this.deepLinkListeners.click);
+        }
+        
+        /**
+         * Removes the chatbot_* parameters and the #chatbot hash from the address bar
+         */
+        clearDeepLinkFromUrl() {
+            try {
+                const url = new URL(window.location.href);
+                Object.keys(DEEP_LINK_PARAMS).forEach(field => url.searchParams.delete(DEEP_LINK_PARAMS[field]));
+                if (readDeepLinkHash(url.hash)) url.hash = '';
+                if (url.href !== window.location.href) {
+                    window.history.replaceState(window.history.state, '', url.href);
                 }
-                
-                /* AI Disclaimer Styles */
-                .chatbot-lg-disclaimer {
-                    background: rgba(255, 248, 220, 0.8) !important;
-                    border-left: 3px solid rgba(255, 193, 7, 0.6);
-                    font-size: 12px;
-                    padding: 12px 14px;
-                    margin-top: 8px;
+            } catch (error) {
+                console.warn('ChatbotLiquidGlass: Could not clean deep link from URL:', error);
+            }
+        }
+        
+        /**
+         * Opens the widget and answers the steps a deep link names
+         * 
+         * - userType: clicks that user type option (starting over if one was already chosen)
+         * - topic: clicks that concern category when categories are offered, landing on
+         *   send_top_questions; without userType it waits until the user picks a user type
+         * - question: sent directly as send_query_answer (with topic as concern_category)
+         * 
+         * @param {Object} link - Deep link (see createDeepLink)
+         * @param {string} [source='api'] - 'url', 'hash' or 'link', reported in the deeplink event
+         * @returns {Promise<void>} Resolves once the last step the link names is shown
+         */
+        async followDeepLink(link, source = 'api') {
+            if (this.destroyed || !link) return;
+            this.emit('deeplink', { source: source, ...link });
+            
+            if (!this.isOpen) {
+                await this.open();
+            }
+            if (link.open === 'expand' && !this.isExpanded) {
+                this.expand();
+            }
+            if (!link.userType && !link.topic && !link.question) return;
+            
+            // Without a user type the topic waits until the user picks one; a question skips it
+            const topicId = link.question ? null : link.topic;
+            if (link.question || (link.userType && topicId)) {
+                this.pendingTopic = null;
+            } else if (topicId) {
+                this.pendingTopic = topicId;
+            }
+            
+            if (link.userType || link.topic) {
+                if (!this.state.currentStep) {
+                    clearTimeout(this.startButtonTimer);
+                    this.startButtonTimer = null;
+                    await this.startChat(); // May restore a cached conversation instead
                 }
-                
-                .chatbot-lg-disclaimer p {
-                    margin: 4px 0;
-                    line-height: 1.4;
+                // Start over when the conversation is already past the step the link answers
+                if (link.userType ? this.state.user_type : this.state.concern_category) {
+                    await this.resetChat();
                 }
-                
-                .chatbot-lg-disclaimer strong {
-                    color: rgba(0, 61, 70, 0.9);
+            }
+            
+            if (link.userType) {
+                const option = this.findStepOption('send_user_types', link.userType);
+                if (option) {
+                    await this.handleOptionClick(option);
+                } else {
+                    console.warn('ChatbotLiquidGlass: Deep link user type not offered by backend:', link.userType);
                 }
-            `;
-            // Append the style tag to document head
-            document.head.appendChild(style);
+            }
+            
+            // Categories already on screen: no response is left to trigger the preselection
+            if (topicId && this.state.currentStep === 'send_concern_categories') {
+                this.pendingTopic = null;
+                const option = this.findStepOption('send_concern_categories', topicId);
+                if (option) {
+                    await this.handleOptionClick(option);
+                } else {
+                    console.warn('ChatbotLiquidGlass: Topic not offered by backend:', topicId);
+                }
+            }
+            
+            if (link.question) {
+                await this.ask(link.question, { topic: link.topic || undefined });
+            }
         }
 
         // ====================================================================
-        // WIDGET CREATION METHODS
+        // ENGAGEMENT TRIGGER METHODS
         // ====================================================================
-        // Handles DOM element creation and widget structure
+        // Teaser bubble and auto-open from config.triggers (see ENGAGEMENT TRIGGERS),
+        // capped through localStorage and silenced for good once dismissed
         
         /**
-         * Creates the chatbot widget DOM structure
+         * Counts this page view and starts watching the conditions of the trigger rules
          * 
-         * Builds the complete widget including:
-         * - Toggle button (floating button to open widget)
-         * - Widget container (main chat window)
-         * - Header with title, subtitle, expand/close buttons
-         * - Messages area (scrollable container for conversation)
-         * - Footer (input field or action buttons)
+         * `url` and `pageViews` are settled on load; `seconds`, `scroll` and `exitIntent`
+         * are watched until a rule fires, the user opens the panel or the widget is destroyed.
+         */
+        initTriggers() {
+            if (!this.triggers) return;
+            
+            let pageViews = 1;
+            try {
+                pageViews = (parseInt(sessionStorage.getItem(PAGE_VIEWS_STORAGE_KEY), 10) || 0) + 1;
+                sessionStorage.setItem(PAGE_VIEWS_STORAGE_KEY, String(pageViews));
+            } catch (error) {
+                console.warn('ChatbotLiquidGlass: Failed to count page views:', error);
+            }
+            
+            if (!this.canTrigger()) return;
+            
+            const rules = this.triggers.rules.filter(rule =>
+                (rule.url === undefined || matchesUrlPattern(rule.url)) &&
+                (!rule.pageViews || pageViews >= rule.pageViews)
+            );
+            if (rules.length === 0) return;
+            
+            const elapsed = new Set(); // Rules whose `seconds` have passed
+            const evaluate = (signal) => {
+                const rule = rules.find(candidate =>
+                    (!candidate.seconds || elapsed.has(candidate)) &&
+                    (!candidate.scroll || getScrollPercent() >= candidate.scroll) &&
+                    (!candidate.exitIntent || signal === 'exit')
+                );
+                if (rule) this.fireTrigger(rule);
+            };
+            
+            rules.filter(rule => rule.seconds).forEach(rule => {
+                const timer = setTimeout(() => {
+                    elapsed.add(rule);
+                    evaluate('time');
+                }, rule.seconds * 1000);
+                this.triggerCleanups.push(() => clearTimeout(timer));
+            });
+            if (rules.some(rule => rule.scroll)) {
+                const onScroll = () => evaluate('scroll');
+                window.addEventListener('scroll', onScroll, { passive: true });
+                this.triggerCleanups.push(() => window.removeEventListener('scroll', onScroll));
+            }
+            if (rules.some(rule => rule.exitIntent)) {
+                // The pointer leaving through the top edge, towards the tabs and address bar
+                const onMouseOut = (event) => {
+                    if (!event.relatedTarget && event.clientY <= 0) evaluate('exit');
+                };
+                document.addEventListener('mouseout', onMouseOut);
+                this.triggerCleanups.push(() => document.removeEventListener('mouseout', onMouseOut));
+            }
+            
+            // Rules met on load fire right away, deferred so handlers registered with on() see it
+            const loadTimer = setTimeout(() => evaluate('load'), 0);
+            this.triggerCleanups.push(() => clearTimeout(loadTimer));
+        }
+        
+        /**
+         * Stops watching trigger conditions (at most one rule fires per page view)
+         */
+        stopTriggers() {
+            this.triggerCleanups.forEach(cleanup => cleanup());
+            this.triggerCleanups = [];
+        }
+        
+        /**
+         * Shows the teaser of a rule, or opens the panel for `action: 'open'`
          * 
-         * Stores references to key DOM elements for later manipulation.
+         * @param {Object} rule - The rule whose conditions hold
          */
-        createWidget() {
-            // Create main container that holds both toggle button and widget
-            const container = document.createElement('div');
-            container.id = 'chatbot-lg-container';
-            this.setPosition(container);
-
-            // Toggle Button
-            const toggle = document.createElement('button');
-            toggle.id = 'chatbot-lg-toggle';
-            toggle.innerHTML = `
-                <svg width="24" height="24" viewBox="0 0 24 24" fill="none" xmlns="http://www.w3.org/2000/svg">
-                    <path d="M20 2H4C2.9 2 2 2.9 2 4V22L6 18H20C21.1 18 22 17.1 22 16V4C22 2.9 21.1 2 20 2Z" stroke="white" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"/>
-                </svg>
-            `;
-
-            if (this.config.showBadge) {
-                const badge = document.createElement('div');
-                badge.id = 'chatbot-lg-badge';
-                badge.style.display = 'none'; // Hidden by default, shown only when there's a new message
-                toggle.appendChild(badge);
-                this.badge = badge;
+        fireTrigger(rule) {
+            this.stopTriggers();
+            if (this.destroyed || this.isOpen || !this.canTrigger()) return;
+            
+            const record = this.readTriggerRecord();
+            record.shown.push(Date.now());
+            this.writeTriggerRecord(record);
+            
+            const action = rule.action === 'open' ? 'open' : 'teaser';
+            const teaser = rule.teaser || this.t('teaser');
+            this.emit('trigger', {
+                rule: rule.id !== undefined ? rule.id : this.triggers.rules.indexOf(rule),
+                action: action,
+                teaser: teaser
+            });
+            
+            if (action === 'open') {
+                this.openedByTrigger = true;
+                this.open({ focus: false });   // Opened unasked: leave the user's focus where it is
+            } else {
+                this.showTeaser(teaser);
             }
-
-            // Widget
-            const widget = document.createElement('div');
-            widget.id = 'chatbot-lg-widget';
-            widget.innerHTML = `
-                <div class="chatbot-lg-header">
-                    <div class="chatbot-lg-header-content">
-                        <div class="chatbot-lg-avatar" id="chatbot-lg-header-avatar" title="Chatbot V2">
-                            <img id="chatbot-lg-avatar-img" src="/wp-content/uploads/chatbot/chatbot_assets/chatbot-logo.png" alt="Chatbot Logo" style="display: none;" title="Chatbot V2">
-                            <svg id="chatbot-lg-avatar-fallback" width="32" height="32" viewBox="0 0 24 24" fill="none" xmlns="http://www.w3.org/2000/svg" style="display: block;" title="Chatbot V2">
-                                <path d="M20 2H4C2.9 2 2 2.9 2 4V22L6 18H20C21.1 18 22 17.1 22 16V4C22 2.9 21.1 2 20 2Z" stroke="white" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"/>
-                            </svg>
-                        </div>
-                        <div>
-                            <div class="chatbot-lg-title">${this.config.title}</div>
-                            <div class="chatbot-lg-subtitle">${this.config.subtitle}</div>
-                        </div>
-                    </div>
-                    <div class="chatbot-lg-header-actions">
-                        <button class="chatbot-lg-human-support" id="chatbot-lg-human-support" title="Get Human Support">
-                            👤
-                        </button>
-                        <button class="chatbot-lg-expand" id="chatbot-lg-expand" title="Expand to fullscreen">
-                            <svg width="16" height="16" viewBox="0 0 24 24" fill="none" xmlns="http://www.w3.org/2000/svg">
-                                <path d="M8 3H5C3.89543 3 3 3.89543 3 5V8M21 8V5C21 3.89543 20.1046 3 19 3H16M16 21H19C20.1046 21 21 20.1046 21 19V16M3 16V19C3 20.1046 3.89543 21 5 21H8" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"/>
-                            </svg>
-                        </button>
-                        <button class="chatbot-lg-close" id="chatbot-lg-close" title="Close">
-                            <svg width="16" height="16" viewBox="0 0 24 24" fill="none" xmlns="http://www.w3.org/2000/svg">
-                                <path d="M18 6L6 18M6 6L18 18" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"/>
-                            </svg>
-                        </button>
-                    </div>
-                </div>
-                <div class="chatbot-lg-messages" id="chatbot-lg-messages"></div>
-                <div class="chatbot-lg-footer" id="chatbot-lg-footer">
-                    <!-- Start Chat button will be shown after send_ai_starting_disclaimer response -->
-                </div>
-            `;
-
-            container.appendChild(toggle);
-            container.appendChild(widget);
-            document.body.appendChild(container);
-
-            this.container = container;
-            this.toggle = toggle;
-            this.widget = widget;
-            // Store references to key DOM elements for easy access
-            this.messagesDiv = widget.querySelector('#chatbot-lg-messages');
-            this.footerDiv = widget.querySelector('#chatbot-lg-footer');
         }
-
+        
         /**
-         * Sets the widget position on the screen
+         * Whether a rule may fire: not dismissed and below the frequency cap
          * 
-         * Applies CSS positioning based on the configured position value.
+         * @returns {boolean}
+         */
+        canTrigger() {
+            const record = this.readTriggerRecord();
+            if (record.dismissed) return false;
+            const { max, days } = this.triggers.frequency;
+            const since = Date.now() - days * 24 * 60 * 60 * 1000;
+            return record.shown.filter(time => time > since).length < max;
+        }
+        
+        /**
+         * Reads the frequency cap record from localStorage
          * 
-         * @param {HTMLElement} container - The container element to position
+         * @returns {{shown: number[], dismissed: boolean}} When rules fired, and whether the user dismissed them
          */
-        setPosition(container) {
-            const positions = {
-                'bottom-right': { bottom: '24px', right: '24px' },
-                'bottom-left': { bottom: '24px', left: '24px' },
-                'top-right': { top: '24px', right: '24px' },
-                'top-left': { top: '24px', left: '24px' }
-            };
-            const pos = positions[this.config.position] || positions['bottom-right'];
-            Object.assign(container.style, pos);
+        readTriggerRecord() {
+            try {
+                const record = JSON.parse(localStorage.getItem(TRIGGER_STORAGE_KEY) || '{}');
+                return {
+                    shown: Array.isArray(record.shown) ? record.shown : [],
+                    dismissed: !!record.dismissed
+                };
+            } catch (error) {
+                return { shown: [], dismissed: false };
+            }
         }
-
+        
         /**
-         * Attaches event listeners to widget elements
+         * Saves the frequency cap record, keeping only timestamps still inside the cap window
          * 
-         * Sets up click handlers for:
-         * - Toggle button (opens widget)
-         * - Close button (closes widget)
-         * - Expand button (toggles fullscreen)
-         * - Start button (begins conversation)
+         * @param {{shown: number[], dismissed: boolean}} record
          */
-        attachEvents() {
-            this.toggle.addEventListener('click', () => this.open());
-            this.widget.querySelector('#chatbot-lg-close').addEventListener('click', () => this.close());
-            this.widget.querySelector('#chatbot-lg-expand').addEventListener('click', () => this.toggleExpand());
-            this.widget.querySelector('#chatbot-lg-human-support').addEventListener('click', () => {
-                window.open('https://www.thedigitalpobox.com/en/contact/', '_blank');
-            });
-            // Note: "Start Chat" button event listener is attached dynamically when disclaimer response is received
-            
-            // Load custom avatar image with fallback
-            this.loadHeaderAvatar();
+        writeTriggerRecord(record) {
+            const since = Date.now() - this.triggers.frequency.days * 24 * 60 * 60 * 1000;
+            try {
+                localStorage.setItem(TRIGGER_STORAGE_KEY, JSON.stringify({
+                    shown: record.shown.filter(time => time > since),
+                    dismissed: record.dismissed
+                }));
+            } catch (error) {
+                console.warn('ChatbotLiquidGlass: Failed to save trigger frequency cap:', error);
+            }
         }
         
         /**
-         * Loads the custom header avatar image from chatbot_assets folder
-         * Falls back to default SVG if image is not found
+         * Silences all trigger rules in this browser for good
+         * Called when the user closes the teaser, or closes a panel a rule opened
          */
-        loadHeaderAvatar() {
-            const avatarImg = this.widget.querySelector('#chatbot-lg-avatar-img');
-            const avatarFallback = this.widget.querySelector('#chatbot-lg-avatar-fallback');
+        dismissTriggers() {
+            this.stopTriggers();
+            if (!this.triggers) return;
+            const record = this.readTriggerRecord();
+            record.dismissed = true;
+            this.writeTriggerRecord(record);
+            this.emit('trigger:dismiss');
+        }
+        
+        /**
+         * Shows the teaser bubble next to the launcher
+         * 
+         * Clicking the text opens the panel; the close button dismisses the triggers.
+         * 
+         * @param {string} text - Teaser text
+         */
+        showTeaser(text) {
+            this.hideTeaser();
             
-            if (!avatarImg || !avatarFallback) return;
+            const teaser = document.createElement('div');
+            teaser.id = 'chatbot-lg-teaser';
+            teaser.setAttribute('role', 'status');
+            teaser.innerHTML = `
+                <button class="chatbot-lg-teaser-text"></button>
+                <button class="chatbot-lg-teaser-close" title="${this.t('dismiss')}" aria-label="${this.t('dismiss')}" data-i18n-title="dismiss">
+                    <svg width="16" height="16" viewBox="0 0 24 24" fill="none" xmlns="http://www.w3.org/2000/svg">
+                        <path d="M18 6L6 18M6 6L18 18" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"/>
+                    </svg>
+                </button>
+            `;
+            teaser.querySelector('.chatbot-lg-teaser-text').textContent = text;
             
-            // Try to load the custom image
-            avatarImg.onload = () => {
-                // Image loaded successfully
-                avatarImg.style.display = 'block';
-                avatarFallback.style.display = 'none';
-            };
+            this.positionTeaser(teaser);
             
-            avatarImg.onerror = () => {
-                // Image failed to load, use fallback SVG
-                avatarImg.style.display = 'none';
-                avatarFallback.style.display = 'block';
-            };
+            teaser.querySelector('.chatbot-lg-teaser-text').addEventListener('click', () => this.open());
+            teaser.querySelector('.chatbot-lg-teaser-close').addEventListener('click', () => {
+                this.hideTeaser();
+                this.hideBadge();
+                this.dismissTriggers();
+            });
             
-            // Trigger load check (if already cached, onload won't fire)
-            if (avatarImg.complete) {
-                if (avatarImg.naturalWidth === 0) {
-                    // Image failed to load
-                    avatarImg.style.display = 'none';
-                    avatarFallback.style.display = 'block';
-                } else {
-                    // Image loaded successfully
-                    avatarImg.style.display = 'block';
-                    avatarFallback.style.display = 'none';
-                }
-            } else {
-                // Image is still loading, show fallback initially
-                avatarImg.style.display = 'none';
-                avatarFallback.style.display = 'block';
+            this.container.appendChild(teaser);
+            this.teaser = teaser;
+            this.showBadge();
+        }
+        
+        /**
+         * Places the teaser above the launcher for bottom positions, below it for top
+         * ones, aligned to its outer edge
+         * 
+         * @param {HTMLElement} teaser - Teaser element
+         */
+        positionTeaser(teaser) {
+            const position = this.getPhysicalPosition();
+            const vertical = position.indexOf('top') === 0 ? 'top' : 'bottom';
+            const horizontal = /left$/.test(position) ? 'left' : 'right';
+            ['top', 'bottom', 'left', 'right'].forEach(side => {
+                teaser.style[side] = '';
+            });
+            teaser.style[vertical] = '72px';
+            teaser.style[horizontal] = '0';
+        }
+        
+        /**
+         * Removes the teaser bubble if shown
+         */
+        hideTeaser() {
+            if (this.teaser) {
+                this.teaser.remove();
+                this.teaser = null;
             }
         }
 
         // ====================================================================
-        // UI STATE MANAGEMENT METHODS
+        // ACCESSIBILITY METHODS
         // ====================================================================
-        // Handles widget visibility, expansion, and badge display
-        
+        // Keyboard handling of the dialog and the #chatbot-lg-status live region
+
         /**
-         * Opens the chatbot widget
-         * 
-         * Makes the widget visible and hides the toggle button.
-         * Also hides the notification badge if it was showing.
-         * Automatically restores cached conversation if available.
+         * Handles keys pressed inside the panel
+         *
+         * Escape closes an open header menu (returning focus to its button), otherwise
+         * the panel. Tab is kept inside the panel while it is expanded to fullscreen.
+         *
+         * @param {KeyboardEvent} event
          */
-        async open() {
-            // Safety check: ensure widget and key elements exist
-            if (!this.widget) {
-                console.error('❌ Widget not initialized. Cannot open.');
-                return;
-            }
-            
-            if (!this.messagesDiv) {
-                console.error('❌ messagesDiv not found. Re-initializing...');
-                this.messagesDiv = this.widget.querySelector('#chatbot-lg-messages');
-                if (!this.messagesDiv) {
-                    console.error('❌ Cannot find #chatbot-lg-messages element');
+        handlePanelKeydown(event) {
+            if (event.key === 'Escape') {
+                event.preventDefault();
+                const menus = [
+                    ['#chatbot-lg-language-menu', '#chatbot-lg-language', () => this.hideLanguageMenu()],
+                    ['#chatbot-lg-support-menu', '#chatbot-lg-human-support', () => this.hideSupportMenu()]
+                ];
+                const open = menus.find(([menu]) => this.widget.querySelector(menu));
+                if (open) {
+                    open[2]();
+                    this.widget.querySelector(open[1]).focus();
                     return;
                 }
+                this.close();
+                return;
+            }
+            if (event.key === 'Tab' && this.isExpanded) {
+                this.trapFocus(event);
+            }
+        }
+
+        /**
+         * Wraps Tab and Shift+Tab around the first and last focusable element of the panel
+         *
+         * @param {KeyboardEvent} event - Tab keydown
+         */
+        trapFocus(event) {
+            const focusable = Array.from(this.widget.querySelectorAll(FOCUSABLE_SELECTOR))
+                .filter(element => isRendered(element, this.widget));
+            if (focusable.length === 0) {
+                event.preventDefault();
+                return;
+            }
+            const first = focusable[0];
+            const last = focusable[focusable.length - 1];
+            const active = this.root.activeElement;
+            if (event.shiftKey && (active === first || active === this.widget)) {
+                event.preventDefault();
+                last.focus();
+            } else if (!event.shiftKey && active === last) {
+                event.preventDefault();
+                first.focus();
+            }
+        }
+
+        /**
+         * Reads a short status to screen reader users ("Assistant is typing")
+         *
+         * @param {string} text - Status text; empty clears it
+         */
+        announce(text) {
+            const status = this.widget && this.widget.querySelector('#chatbot-lg-status');
+            if (status) status.textContent = text;
+        }
+
+        // ====================================================================
+        // LANGUAGE SWITCHER METHODS
+        // ====================================================================
+        // The header's language picker (config.languageSwitcher) and setLocale()
+
+        /**
+         * Lists the locales the language switcher offers
+         *
+         * The backend's available_locales win once a response has sent them, then the
+         * locales given as config.languageSwitcher, then config.supportedLocales.
+         *
+         * @returns {string[]} Canonical BCP 47 tags; empty when the switcher is disabled
+         */
+        getSwitcherLocales() {
+            const option = this.config.languageSwitcher;
+            if (!option) return [];
+            if (this.backendLocales && this.backendLocales.length) return this.backendLocales;
+            if (Array.isArray(option) && option.length) return option;
+            return this.config.supportedLocales || [];
+        }
+
+        /**
+         * Shows the language button when there is more than one locale to choose from,
+         * labelled with the language of the current locale
+         */
+        updateLanguageSwitcher() {
+            const button = this.widget && this.widget.querySelector('#chatbot-lg-language');
+            if (!button) return;
+            const locales = this.getSwitcherLocales();
+            const current = negotiateLocale(normalizeLocaleTag(this.state.locale || this.uiLocale), locales);
+            button.style.display = locales.length > 1 ? '' : 'none';
+            button.textContent = (current || this.uiLocale || 'en').split('-')[0].toUpperCase();
+            if (locales.length < 2) this.hideLanguageMenu();
+        }
+
+        /**
+         * Opens or closes the language menu below the header
+         */
+        toggleLanguageMenu() {
+            if (this.widget.querySelector('#chatbot-lg-language-menu')) {
+                this.hideLanguageMenu();
+                return;
             }
-            
-            if (!this.footerDiv) {
-                console.error('❌ footerDiv not found. Re-initializing...');
-                this.footerDiv = this.widget.querySelector('#chatbot-lg-footer');
-                if (!this.footerDiv) {
-                    console.error('❌ Cannot find #chatbot-lg-footer element');
-                    return;
-                }
+            this.hideSupportMenu();
+            const locales = this.getSwitcherLocales();
+            const current = negotiateLocale(normalizeLocaleTag(this.state.locale || this.uiLocale), locales);
+            const menu = document.createElement('div');
+            menu.id = 'chatbot-lg-language-menu';
+            menu.className = 'chatbot-lg-support-menu chatbot-lg-language-menu';
+            menu.setAttribute('role', 'menu');
+            locales.forEach(locale => {
+                const item = document.createElement('button');
+                item.type = 'button';
+                item.className = 'chatbot-lg-support-item chatbot-lg-language-item';
+                item.setAttribute('role', 'menuitemradio');
+                item.setAttribute('aria-checked', String(locale === current));
+                item.setAttribute('lang', locale);
+                item.setAttribute('data-locale', locale);
+                item.textContent = getLocaleLabel(locale);
+                item.addEventListener('click', () => {
+                    this.hideLanguageMenu();
+                    this.setLocale(locale);
+                });
+                menu.appendChild(item);
+            });
+            this.widget.appendChild(menu);
+            this.widget.querySelector('#chatbot-lg-language').setAttribute('aria-expanded', 'true');
+        }
+
+        /**
+         * Removes the language menu if shown
+         */
+        hideLanguageMenu() {
+            const menu = this.widget && this.widget.querySelector('#chatbot-lg-language-menu');
+            if (!menu) return;
+            menu.remove();
+            this.widget.querySelector('#chatbot-lg-language').setAttribute('aria-expanded', 'false');
+        }
+
+        /**
+         * Switches the conversation to another locale
+         * 
+         * The choice is kept for the rest of the page view (reported as locale_source 'user'),
+         * the widget's own strings are translated right away, and the current step is
+         * requested again with the same session_id so its message and options come back
+         * in the new language. Steps flagged `resend: false` and replies still loading
+         * are left as they are; the next step is requested in the new language.
+         * 
+         * @param {string} locale - BCP 47 tag
+         * @returns {Promise<boolean>} False if the tag is not valid
+         */
+        async setLocale(locale) {
+            const tag = normalizeLocaleTag(locale);
+            if (!tag) {
+                console.warn('ChatbotLiquidGlass: Invalid locale ignored:', locale);
+                return false;
             }
+            const previous = this.state.locale;
+            this.userLocale = tag;
+            this.state.locale = tag;
+            this.localeSource = 'user';
+            this.updateUiLocale();
+            this.updateLanguageSwitcher();
+            if (tag === previous) return true;
             
-            this.widget.style.display = 'flex';
-            this.toggle.style.display = 'none';
-            this.isOpen = true;
+            console.log('🌐 Locale switched to', tag);
+            this.emit('locale:change', { locale: tag, previous: previous });
+            await this.resendCurrentStep();
+            return true;
+        }
+
+        /**
+         * Requests the step on screen again, in state.locale
+         * 
+         * Before the chat is started that is the starting disclaimer; afterwards the bot
+         * messages after the user's last message are replaced by a fresh reply to the
+         * current step.
+         */
+        async resendCurrentStep() {
+            if (!this.messagesDiv || this.liveAgent || this.pendingRequests.has('chat')) return;
             
-            // Hide notification badge when widget is opened
-            if (this.badge) {
-                this.badge.style.display = 'none';
+            // Not started yet: the disclaimer above the Start Chat button
+            if (!this.messagesDiv.querySelector('.chatbot-lg-message')) {
+                if (!this.messagesDiv.querySelector('.chatbot-lg-starting-disclaimer')) return;
+                clearTimeout(this.startButtonTimer);
+                this.startButtonTimer = null;
+                this.footerDiv.innerHTML = '';
+                const response = await this.sendRequest({
+                    step: 'send_ai_starting_disclaimer',
+                    session_id: this.state.session_id || '',
+                    locale: this.state.locale
+                });
+                if (response) this.handleResponse(response);
+                return;
             }
             
-            // CRITICAL: Extract locale IMMEDIATELY when chat icon is clicked
-            // This ensures locale is available before any request is made
-            const extractedLocale = this.getLocaleFromURL();
-            this.state.locale = extractedLocale || '';
+            // The Yes/No confirmation of "Ask another question" is not a backend step
+            const step = this.state.currentStep;
+            const definition = this.flow[step];
+            if (!definition || definition.resend === false || this.state.askAnotherConfirmation) return;
             
-            // Ensure locale is always a string
-            if (typeof this.state.locale !== 'string') {
-                this.state.locale = String(this.state.locale || '');
+            // The current step's reply: bot messages since the user's last message
+            // (none when a failed request left its error message last)
+            const reply = [];
+            let element = this.messagesDiv.lastElementChild;
+            while (element && element.matches('.chatbot-lg-message.bot:not(.chatbot-lg-error-message)')) {
+                reply.unshift(element);
+                element = element.previousElementSibling;
             }
+            // A reply the widget wrote itself (live agent handback) has no backend request to repeat
+            if (reply.length === 0 || reply.some(message => message.hasAttribute('data-local'))) return;
             
-            // Log locale extraction for debugging
-            console.log('🔍 Chat icon clicked - Locale extracted:', this.state.locale, '| URL:', window.location.href);
-            
-            // CRITICAL: Clear footer IMMEDIATELY to prevent any button from showing
-            if (this.footerDiv) {
-                this.footerDiv.innerHTML = '';
-            }
+            const cached = reply.find(message => message.hasAttribute('data-message-id'));
+            if (cached) this.truncateMessageCache(cached.getAttribute('data-message-id'));
+            reply.forEach(message => message.remove());
             
-            // CRITICAL: Always fetch fresh disclaimer on first click to ensure locale is sent
-            // Do NOT restore from cache - always fetch fresh to get correct locale
-            if (this.messagesDiv.children.length === 0) {
-                // Widget is empty - check if disclaimer has already been fetched
-                // CRITICAL: Check DOM for disclaimer element (not just state)
-                const hasDisclaimerInDom = this.messagesDiv.querySelector('.chatbot-lg-starting-disclaimer') !== null;
-                const hasSessionId = this.state.session_id && this.state.session_id.trim() !== '';
-                
-                // CRITICAL: Always fetch fresh disclaimer on first click to ensure locale is sent
-                // Even if disclaimer exists in DOM, we need to send locale to backend
-                // Clear footer FIRST to ensure no button is visible
-                if (this.footerDiv) {
-                    this.footerDiv.innerHTML = '';
-                }
-                
-                // Clear messagesDiv to ensure clean state
-                if (this.messagesDiv) {
-                    this.messagesDiv.innerHTML = '';
-                }
-                
-                // Clear any stale session/cache to force fresh fetch
-                if (hasSessionId) {
-                    this.clearSession();
-                    this.clearMessageCache();
-                }
-                
-                // CRITICAL: Show typing indicator IMMEDIATELY and force visibility
-                this.removeTypingIndicator();
-                this.addTypingIndicator();
-                
-                // Force DOM reflow to ensure typing indicator is visible
-                void this.messagesDiv.offsetHeight;
-                this.scrollToBottom();
-                
-                // Small delay to ensure typing indicator is rendered and visible
-                await new Promise(resolve => setTimeout(resolve, 150));
-                
-                // Fetch starting disclaimer from backend
-                // DO NOT show button here - it will be shown in handleResponse() after response is received
-                try {
-                    await this.fetchStartingDisclaimer();
-                } catch (error) {
-                    console.error('❌ Error in fetchStartingDisclaimer:', error);
-                    this.removeTypingIndicator();
-                    if (this.footerDiv) {
-                        this.footerDiv.innerHTML = '<div style="text-align: center; color: #ff3d3d; padding: 8px; font-size: 13px;">Failed to load. Please try again.</div>';
-                    }
-                    if (this.messagesDiv) {
-                        this.messagesDiv.innerHTML = '<div class="chatbot-lg-message chatbot-lg-bot-message"><div class="chatbot-lg-message-bubble" style="color: #ff3d3d;">Unable to connect. Please refresh and try again.</div></div>';
-                    }
-                }
-            }
+            const response = await this.sendRequest(this.buildStepRequest(step));
+            if (response) this.handleResponse(response);
         }
-        
+
+        // ====================================================================
+        // HUMAN SUPPORT METHODS
+        // ====================================================================
+        // The header's human support button and its channels (see HUMAN SUPPORT)
+
         /**
-         * Fetches the starting disclaimer from the backend
-         * 
-         * Calls the backend with step "send_ai_starting_disclaimer" and displays
-         * the disclaimer message at the top of the chat window if received.
+         * Shows, hides or relabels the human support button for the channels open right now
+         *
+         * @returns {Array<Object>} Channels within their opening hours
          */
-        async fetchStartingDisclaimer() {
-            try {
-                // Ensure messagesDiv exists
-                if (!this.messagesDiv) {
-                    console.error('❌ messagesDiv is not initialized');
-                    if (this.footerDiv) {
-                        this.footerDiv.innerHTML = '<div style="text-align: center; color: #ff3d3d; padding: 8px; font-size: 13px;">Error: Widget not initialized</div>';
-                    }
-                    return;
-                }
-                
-                // Ensure webhookUrl is configured
-                if (!this.config || !this.config.webhookUrl) {
-                    console.error('❌ webhookUrl is not configured');
-                    this.removeTypingIndicator();
-                    if (this.footerDiv) {
-                        this.footerDiv.innerHTML = '<div style="text-align: center; color: #ff3d3d; padding: 8px; font-size: 13px;">Error: Webhook URL not configured</div>';
-                    }
-                    return;
-                }
-                
-                // Double-check: Don't fetch if disclaimer already exists in DOM
-                // CRITICAL: Only check DOM, not session_id - we want to fetch even if session_id exists (might be stale)
-                const hasDisclaimer = this.messagesDiv.querySelector('.chatbot-lg-starting-disclaimer') !== null;
-                
-                if (hasDisclaimer) {
-                    console.log('⚠️ Disclaimer already exists in DOM, skipping duplicate request');
-                    this.removeTypingIndicator();
-                    // Ensure Start Chat button is shown if disclaimer exists
-                    if (this.footerDiv && !this.footerDiv.querySelector('.chatbot-lg-start-btn')) {
-                        this.footerDiv.innerHTML = `
-                            <button class="chatbot-lg-start-btn" id="chatbot-lg-start">Start Chat</button>
-                        `;
-                        const startButton = this.widget.querySelector('#chatbot-lg-start');
-                        if (startButton) {
-                            startButton.addEventListener('click', () => this.startChat());
-                        }
-                    }
-                    return;
-                }
-                
-                // CRITICAL: Ensure footer is completely clear (no button shown yet)
-                if (this.footerDiv) {
-                    this.footerDiv.innerHTML = '';
-                }
-                
-                // CRITICAL: Ensure typing indicator is showing (loading animation)
-                // Remove any existing one first, then add fresh one
-                this.removeTypingIndicator();
-                this.addTypingIndicator();
-                
-                // Force scroll to show typing indicator
-                this.scrollToBottom();
-                
-                // CRITICAL: Use locale from state (already extracted in open() method)
-                // If for some reason state.locale is empty, extract again as fallback
-                if (!this.state.locale || this.state.locale.trim() === '') {
-                    const extractedLocale = this.getLocaleFromURL();
-                    this.state.locale = extractedLocale || '';
-                    console.log('⚠️ Locale was empty, re-extracted:', this.state.locale);
-                }
-                
-                // Ensure locale is always a string
-                if (typeof this.state.locale !== 'string') {
-                    this.state.locale = String(this.state.locale || '');
-                }
-                
-                // Build request body with locale - ALWAYS include it, even if empty
-                const locale = (this.state.locale || '').trim();
-                const requestBody = {
-                    step: 'send_ai_starting_disclaimer',
-                    session_id: '',
-                    locale: locale
-                };
-                
-                // CRITICAL: Verify locale is in request body before sending
-                console.log('🚀 Sending send_ai_starting_disclaimer');
-                console.log('   Request body:', JSON.stringify(requestBody, null, 2));
-                console.log('   Locale value:', locale, '(type:', typeof locale, ', length:', locale.length, ')');
-                console.log('   Current URL:', window.location.href);
-                
-                const requestBodyString = JSON.stringify(requestBody);
-                
-                // Add timeout handling (25 seconds - less than typical WordPress 30s timeout)
-                const timeoutMs = 25000;
-                const controller = new AbortController();
-                const timeoutId = setTimeout(() => controller.abort(), timeoutMs);
-                
-                let response;
-                try {
-                    response = await fetch(this.config.webhookUrl, {
-                        method: 'POST',
-                        headers: { 
-                            'Content-Type': 'application/json',
-                            'Accept': 'application/json'
-                        },
-                        body: requestBodyString,
-                        signal: controller.signal
-                    });
-                    clearTimeout(timeoutId);
-                } catch (error) {
-                    clearTimeout(timeoutId);
-                    if (error.name === 'AbortError') {
-                        console.error('Request timeout after', timeoutMs, 'ms');
-                        this.removeTypingIndicator();
-                        if (this.footerDiv) {
-                            this.footerDiv.innerHTML = '<div style="text-align: center; color: #ff3d3d; padding: 8px; font-size: 13px;">Request timed out. The server is taking too long to respond. Please try again.</div>';
-                        }
-                        return;
-                    }
-                    throw error;
-                }
-                
-                if (!response.ok) {
-                    const errorText = await response.text();
-                    const isHtml = errorText.trim().startsWith('<!DOCTYPE') || errorText.trim().startsWith('<html');
-                    
-                    this.removeTypingIndicator();
-                    
-                    // For 502 errors, try retrying once
-                    if (response.status === 502) {
-                        await new Promise(resolve => setTimeout(resolve, 2000));
-                        
-                        try {
-                            const retryController = new AbortController();
-                            const retryTimeoutId = setTimeout(() => retryController.abort(), timeoutMs);
-                            
-                            const retryResponse = await fetch(this.config.webhookUrl, {
-                                method: 'POST',
-                                headers: { 
-                                    'Content-Type': 'application/json',
-                                    'Accept': 'application/json'
-                                },
-                                body: requestBodyString,
-                                signal: retryController.signal
-                            });
-                            clearTimeout(retryTimeoutId);
-                            
-                            if (retryResponse.ok) {
-                                const contentType = retryResponse.headers.get('content-type') || '';
-                                if (contentType.includes('application/json')) {
-                                    const data = await retryResponse.json();
-                                    this.removeTypingIndicator();
-                                    if (data && data.session_id) {
-                                        this.saveSessionId(data.session_id);
-                                        this.state.session_id = data.session_id;
-                                    }
-                                    this.handleResponse(data);
-                                    return;
-                                }
-                            }
-                        } catch (retryError) {
-                            console.error('Retry failed:', retryError);
-                        }
-                    }
-                    
-                    // Show user-friendly error message
-                    let errorMessage = 'Failed to load. Please try again.';
-                    if (response.status === 502) {
-                        errorMessage = 'Service temporarily unavailable. The server is taking too long to respond. Please try again in a few moments.';
-                    } else if (response.status === 503) {
-                        errorMessage = 'Service is temporarily down for maintenance. Please try again later.';
-                    } else if (response.status >= 500) {
-                        errorMessage = 'Server error. Please try again later.';
-                    }
-                    
-                    this.removeTypingIndicator();
-                    if (this.footerDiv) {
-                        this.footerDiv.innerHTML = `<div style="text-align: center; color: #ff3d3d; padding: 8px; font-size: 13px;">${errorMessage}</div>`;
-                    }
-                    
-                    if (!isHtml) {
-                        console.error('Error response:', errorText);
-                    }
-                    
-                    return;
-                }
-                
-                // Check if response is JSON before parsing
-                const contentType = response.headers.get('content-type') || '';
-                const isJson = contentType.includes('application/json');
-                
-                let data;
-                if (isJson) {
-                    try {
-                        data = await response.json();
-                    } catch (e) {
-                        console.error('Failed to parse JSON response:', e);
-                        this.removeTypingIndicator();
-                        if (this.footerDiv) {
-                            this.footerDiv.innerHTML = '<div style="text-align: center; color: #ff3d3d; padding: 8px; font-size: 13px;">Invalid response from server. Please try again.</div>';
-                        }
-                        return;
-                    }
-                } else {
-                    this.removeTypingIndicator();
-                    if (this.footerDiv) {
-                        this.footerDiv.innerHTML = '<div style="text-align: center; color: #ff3d3d; padding: 8px; font-size: 13px;">Invalid response format. Please try again.</div>';
-                    }
-                    return;
-                }
-                
-                // Remove typing indicator before processing response
-                this.removeTypingIndicator();
-                
-                // Save session_id from backend response if provided
-                if (data && data.session_id) {
-                    this.saveSessionId(data.session_id);
-                    this.state.session_id = data.session_id;
-                }
-                
-                // Use handleResponse to process the disclaimer response
-                // This ensures the "Start Chat" button is shown correctly ONLY after response is received
-                this.handleResponse(data);
-            } catch (error) {
-                console.error('❌ Error fetching starting disclaimer:', error);
-                this.removeTypingIndicator();
-                if (this.footerDiv) {
-                    this.footerDiv.innerHTML = '<div style="text-align: center; color: #ff3d3d; padding: 8px; font-size: 13px;">Connection error. Please check your network.</div>';
-                }
-                // Show error message in messages area too
-                if (this.messagesDiv) {
-                    this.messagesDiv.innerHTML = '<div class="chatbot-lg-message chatbot-lg-bot-message"><div class="chatbot-lg-message-bubble" style="color: #ff3d3d;">Unable to connect to the chatbot. Please refresh the page and try again.</div></div>';
-                }
+        updateHumanSupportButton() {
+            const button = this.widget && this.widget.querySelector('#chatbot-lg-human-support');
+            if (!button) return [];
+            const { channels, whenClosed, label, closedLabel } = this.humanSupport;
+            const available = channels.filter(channel => isWithinBusinessHours(channel.hours));
+            const closed = channels.length > 0 && available.length === 0;
+
+            button.style.display = channels.length === 0 || (closed && whenClosed === 'hide') ? 'none' : '';
+            button.title = closed ? (closedLabel || this.t('supportClosed')) : (label || this.t('humanSupport'));
+            button.setAttribute('aria-label', button.title);
+            button.classList.toggle('is-closed', closed);
+            return available;
+        }
+
+        /**
+         * Handles a click on the human support button
+         *
+         * A single open channel is used right away, several are listed in a menu.
+         * With every channel closed the closed message is shown instead.
+         */
+        openHumanSupport() {
+            if (this.widget.querySelector('#chatbot-lg-support-menu')) {
+                this.hideSupportMenu();
+                return;
+            }
+            const channels = this.updateHumanSupportButton();
+            if (channels.length === 0) {
+                this.addMessage(this.humanSupport.closedMessage || this.t('supportClosedMessage'), true, false);
+                return;
+            }
+            if (channels.length === 1) {
+                this.useSupportChannel(channels[0]);
+                return;
             }
+            this.showSupportMenu(channels);
         }
-        
+
         /**
-         * Escapes HTML special characters to prevent XSS
-         * @param {string} text - Text to escape
-         * @returns {string} Escaped text
+         * Lists channels in a menu below the header
+         *
+         * @param {Array<Object>} channels - Channels to offer
          */
-        escapeHtml(text) {
-            if (!text) return '';
-            const div = document.createElement('div');
-            div.textContent = text;
-            return div.innerHTML;
+        showSupportMenu(channels) {
+            const menu = document.createElement('div');
+            menu.id = 'chatbot-lg-support-menu';
+            menu.className = 'chatbot-lg-support-menu';
+            menu.setAttribute('role', 'menu');
+            channels.forEach(channel => {
+                const item = document.createElement('button');
+                item.type = 'button';
+                item.className = 'chatbot-lg-support-item';
+                item.setAttribute('role', 'menuitem');
+                item.setAttribute('data-channel', channel.id);
+                item.textContent = channel.label || this.t(SUPPORT_CHANNEL_LABELS[channel.type]);
+                item.addEventListener('click', () => {
+                    this.hideSupportMenu();
+                    this.useSupportChannel(channel);
+                });
+                menu.appendChild(item);
+            });
+            this.widget.appendChild(menu);
+            this.widget.querySelector('#chatbot-lg-human-support').setAttribute('aria-expanded', 'true');
         }
 
         /**
-         * Displays the starting disclaimer banner at the top of the messages area
+         * Removes the human support menu if shown
+         */
+        hideSupportMenu() {
+            const menu = this.widget && this.widget.querySelector('#chatbot-lg-support-menu');
+            if (!menu) return;
+            menu.remove();
+            this.widget.querySelector('#chatbot-lg-human-support').setAttribute('aria-expanded', 'false');
+        }
+
+        /**
+         * Opens a human support channel and records the handoff
+         *
+         * Links open in a new tab (mailto: and tel: in place), the agent channel starts
+         * the live agent handoff and the form channel shows the contact form, which
+         * records the handoff once it is sent.
+         *
+         * @param {Object} channel - Normalized channel
+         */
+        useSupportChannel(channel) {
+            const href = getSupportChannelHref(channel);
+            console.log('👤 Human support channel:', channel.id);
+            this.emit('handoff', { source: 'header', channel: channel.id, url: href, live: channel.type === 'agent' });
+
+            if (channel.type === 'form') {
+                this.showSupportForm(channel);
+                return;
+            }
+            this.recordHandoff(channel).catch(error => {
+                console.warn('⚠️ Human support handoff not recorded:', error.message);
+            });
+            if (channel.type === 'agent') {
+                this.startLiveAgent();
+                return;
+            }
+            window.open(href, channel.type === 'email' || channel.type === 'phone' ? '_self' : '_blank');
+        }
+
+        /**
+         * Sends the redirect_to_human_support step for a channel, outside the conversation
+         *
+         * The reply is not rendered and the current step is left alone. Always sent to
+         * the backend, even offline: the knowledge base never answers the support channel,
+         * so a failure reaches the caller instead of dropping the contact data.
+         *
+         * @param {Object} channel - Channel that was used
+         * @param {Object} [fields] - Extra body fields, e.g. the contact form
+         * @returns {Promise<Object>} Backend response
+         * @throws {ChatbotRequestError} When the request fails
+         */
+        recordHandoff(channel, fields = {}) {
+            return this.request({
+                ...this.buildStepRequest('redirect_to_human_support'),
+                session_id: this.state.session_id || this.getSessionId() || '',
+                channel: channel.id,
+                channel_type: channel.type,
+                ...fields
+            }, { channel: 'support' });
+        }
+
+        /**
+         * Adds the contact form of the form channel to the chat
+         *
+         * Name is optional, email and message are required. Sending it records the
+         * handoff with contact_name, contact_email and contact_message.
+         *
+         * @param {Object} channel - The form channel
+         */
+        showSupportForm(channel) {
+            const container = this.addMessage(channel.message || this.humanSupport.formMessage || this.t('supportFormMessage'), true, false);
+            const form = document.createElement('form');
+            form.className = 'chatbot-lg-rating-container chatbot-lg-support-form';
+            form.noValidate = true;
+            form.innerHTML = `
+                <input type="text" name="name" class="chatbot-lg-feedback-input" placeholder="${this.t('supportName')}" aria-label="${this.t('supportName')}" autocomplete="name" />
+                <input type="email" name="email" class="chatbot-lg-feedback-input" placeholder="${this.t('supportEmail')}" aria-label="${this.t('supportEmail')}" autocomplete="email" required />
+                <textarea name="message" class="chatbot-lg-feedback-input" placeholder="${this.t('supportMessage')}" aria-label="${this.t('supportMessage')}" rows="3" required></textarea>
+                <button type="submit" class="chatbot-lg-submit-rating-btn" disabled>${this.t('send')}</button>
+            `;
+            container.appendChild(form);
+
+            const submitBtn = form.querySelector('button');
+            const read = () => ({
+                name: form.elements.name.value.trim(),
+                email: form.elements.email.value.trim(),
+                message: form.elements.message.value.trim()
+            });
+            const isValid = () => {
+                const { email, message } = read();
+                return /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(email) && message !== '';
+            };
+            form.addEventListener('input', () => {
+                submitBtn.disabled = !isValid();
+            });
+
+            const submit = async () => {
+                const { name, email, message } = read();
+                submitBtn.disabled = true;
+                this.addTypingIndicator();
+                try {
+                    await this.recordHandoff(channel, { contact_name: name, contact_email: email, contact_message: message });
+                } catch (error) {
+                    this.removeTypingIndicator();
+                    submitBtn.disabled = !isValid();
+                    if (error.type === 'aborted') return;
+                    console.error('Chatbot Error:', error);
+                    this.emit('error', { step: 'redirect_to_human_support', message: error.message, type: error.type, status: error.status, error: error });
+                    this.showRequestError(error, submit);
+                    return;
+                }
+                this.removeTypingIndicator();
+                Array.from(form.elements).forEach(element => {
+                    element.disabled = true;
+                });
+                submitBtn.textContent = this.t('supportSent');
+                this.emit('support:submit', { channel: channel.id, name: name, email: email });
+                this.addMessage(this.humanSupport.formSentMessage || this.t('supportFormSent'), true, false);
+            };
+            form.addEventListener('submit', (event) => {
+                event.preventDefault();
+                if (isValid()) submit();
+            });
+
+            this.scrollToBottom();
+            form.elements.name.focus();
+        }
+
+        // ====================================================================
+        // LIVE AGENT METHODS
+        // ====================================================================
+        // In-panel handoff to a human agent through config.liveAgent (see LIVE AGENT):
+        // queue status, agent messages and the hand back to the bot
+        
+        /**
+         * Hands the conversation over to a live agent
          * 
-         * @param {Object} responseData - The response object from backend containing message, privacy_url, terms_url
+         * Outside business hours, or when the endpoint reports nobody online (or fails),
+         * the contact form is offered instead. Otherwise the header shows the agent, typed
+         * text goes to the agent and events are polled or streamed until the agent or
+         * the user ends the conversation.
+         * 
+         * @returns {Promise<void>} Resolves once the conversation started or the fallback is shown
          */
-        showStartingDisclaimer(responseData) {
-            if (!responseData || !responseData.message || responseData.message.trim() === '') return;
-            
-            // Check if disclaimer already exists
-            const existingDisclaimer = this.messagesDiv.querySelector('.chatbot-lg-starting-disclaimer');
-            if (existingDisclaimer) {
-                return; // Already shown
+        async startLiveAgent() {
+            if (this.liveAgent || !this.config.liveAgent) return;
+            if (!this.isOpen) {
+                await this.open();
             }
+            clearTimeout(this.startButtonTimer);
+            this.startButtonTimer = null;
             
-            // Get message and URLs from response
-            let message = responseData.message;
-            const privacyUrl = responseData.privacy_url;
-            const termsUrl = responseData.terms_url;
-            
-            // Create disclaimer banner
-            const disclaimerDiv = document.createElement('div');
-            disclaimerDiv.className = 'chatbot-lg-starting-disclaimer';
+            const resumeStep = this.state.currentStep;
+            if (!isWithinBusinessHours(this.config.liveAgent.hours)) {
+                this.showAgentFallback(resumeStep, 'hours');
+                return;
+            }
             
-            // Step 1: Replace link text with unique placeholders BEFORE any HTML processing
-            const PRIVACY_PLACEHOLDER = '___PRIVACY_POLICY_PLACEHOLDER___';
-            const TERMS_PLACEHOLDER = '___TERMS_CONDITIONS_PLACEHOLDER___';
-            const NEWLINE_PLACEHOLDER = '___NEWLINE_PLACEHOLDER___';
+            const session = {
+                conversationId: '',
+                cursor: null,
+                agent: null,
+                controller: new AbortController(),
+                resumeStep: resumeStep
+            };
+            this.liveAgent = session;
+            this.setStep('live_agent');
+            this.showAgentStatus(this.t('agentConnecting'));
+            this.addTypingIndicator();
             
-            // Replace "Privacy Policy" and "Terms and Conditions" with placeholders (case-insensitive)
-            if (privacyUrl) {
-                message = message.replace(/\bPrivacy Policy\b/gi, PRIVACY_PLACEHOLDER);
+            let reply;
+            try {
+                reply = await this.agentRequest({
+                    action: 'start',
+                    ...this.buildStepRequest('live_agent'), // user_type, concern_category, question, locale
+                    history: this.config.history ? await this.buildHistory('live_agent') : []
+                }, session.controller.signal);
+            } catch (error) {
+                if (error.type === 'aborted') return;
+                console.error('👤 Live agent handoff failed:', error);
+                reply = null;
             }
+            if (this.liveAgent !== session) return;
+            this.removeTypingIndicator();
             
-            if (termsUrl) {
-                message = message.replace(/\bTerms and Conditions\b/gi, TERMS_PLACEHOLDER);
+            if (!reply || reply.online === false) {
+                this.closeLiveAgent();
+                this.showAgentFallback(resumeStep, reply ? 'offline' : 'error');
+                return;
             }
             
-            // Step 2: Replace newlines with a placeholder (before HTML escaping)
-            message = message.replace(/\n/g, NEWLINE_PLACEHOLDER);
-            
-            // Step 3: Escape HTML to prevent XSS (placeholders will remain as-is since they're unique)
-            const tempDiv = document.createElement('div');
-            tempDiv.textContent = message;
-            let escapedMessage = tempDiv.innerHTML;
-            
-            // Step 4: Convert newline placeholders to <br> tags
-            escapedMessage = escapedMessage.replace(new RegExp(NEWLINE_PLACEHOLDER.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'), 'g'), '<br>');
+            session.conversationId = reply.conversation_id || '';
+            if (reply.cursor !== undefined) session.cursor = reply.cursor;
+            console.log('👤 Live agent conversation started:', session.conversationId);
+            this.emit('agent:start', { conversation_id: session.conversationId });
+            this.showAgentStatus(this.t('agentWaiting'));
+            this.enableTextInput();
+            this.handleAgentEvents(reply.events || []);
+            this.watchLiveAgent(session);
+        }
+        
+        /**
+         * Posts one action to liveAgent.endpoint
+         * 
+         * Uses config.headers like backend requests, but none of the other request hooks.
+         * Each attempt is bounded by timeouts.live_agent (or timeouts.default) until the
+         * response starts; start, message and end are retried like backend requests,
+         * polls and streams are retried by watchLiveAgent() instead.
+         * 
+         * @param {Object} body - { action, ... }; session_id and conversation_id are added
+         * @param {AbortSignal} [signal]
+         * @param {Object} [options]
+         * @param {boolean} [options.stream=false] - Return the Response for streaming instead of its JSON
+         * @returns {Promise<Object|Response>} Parsed reply, or the Response when streaming
+         * @throws {ChatbotRequestError} 'timeout', 'network', 'http', 'parse', 'hook' or 'aborted'
+         */
+        async agentRequest(body, signal, { stream = false } = {}) {
+            const endpoint = this.config.liveAgent.endpoint;
+            const timeoutMs = this.config.timeouts.live_agent || this.config.timeouts.default;
+            const retries = stream || body.action === 'poll' ? 0 : this.config.retry.retries;
+            signal = signal || new AbortController().signal;
+            const context = {
+                step: 'live_agent',
+                endpoint: endpoint,
+                channel: 'agent',
+                requestId: createRequestId(),
+                attempt: 0,
+                state: { ...this.state }
+            };
+            const payload = {
+                session_id: this.state.session_id || this.getSessionId() || '',
+                conversation_id: this.liveAgent ? this.liveAgent.conversationId : '',
+                ...body
+            };
             
-            // Step 5: Replace placeholders with actual HTML links (with proper escaping of URLs)
-            if (privacyUrl) {
-                // Escape the URL to prevent XSS
-                const escapedPrivacyUrl = privacyUrl.replace(/"/g, '&quot;');
-                const privacyLink = `<a href="${escapedPrivacyUrl}" target="_blank" rel="noopener noreferrer" class="chatbot-disclaimer-link" style="color: #00B7B0 !important; text-decoration: underline !important; font-weight: 700 !important; cursor: pointer !important;"><strong style="font-weight: 700 !important; color: inherit !important;">Privacy Policy</strong></a>`;
-                escapedMessage = escapedMessage.replace(new RegExp(PRIVACY_PLACEHOLDER.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'), 'g'), privacyLink);
+            for (let attempt = 0; ; attempt++) {
+                context.attempt = attempt;
+                try {
+                    return await this.attemptAgentRequest(payload, endpoint, timeoutMs, signal, context, stream);
+                } catch (error) {
+                    if (!error.retryable || attempt >= retries) throw error;
+                    const delay = error.retryAfter !== null
+                        ? error.retryAfter
+                        : getBackoffDelay(attempt, this.config.retry);
+                    console.warn(`👤 Live agent ${body.action} failed (${error.message}), retry ${attempt + 1}/${retries} in ${delay}ms`);
+                    await waitFor(delay, signal, 'live_agent');
+                }
             }
-            
-            if (termsUrl) {
-                // Escape the URL to prevent XSS
-                const escapedTermsUrl = termsUrl.replace(/"/g, '&quot;');
-                const termsLink = `<a href="${escapedTermsUrl}" target="_blank" rel="noopener noreferrer" class="chatbot-disclaimer-link" style="color: #00B7B0 !important; text-decoration: underline !important; font-weight: 700 !important; cursor: pointer !important;"><strong style="font-weight: 700 !important; color: inherit !important;">Terms and Conditions</strong></a>`;
-                escapedMessage = escapedMessage.replace(new RegExp(TERMS_PLACEHOLDER.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'), 'g'), termsLink);
+        }
+        
+        /**
+         * Performs a single attempt for agentRequest()
+         * 
+         * @param {Object} payload - JSON body
+         * @param {string} endpoint - liveAgent.endpoint
+         * @param {number} timeoutMs - Time allowed until the response starts
+         * @param {AbortSignal} signal - Conversation signal
+         * @param {Object} context - Request context passed to config.headers
+         * @param {boolean} stream - Return the Response instead of its JSON
+         * @returns {Promise<Object|Response>} Parsed reply, or the Response when streaming
+         * @throws {ChatbotRequestError}
+         */
+        async attemptAgentRequest(payload, endpoint, timeoutMs, signal, context, stream) {
+            if (signal.aborted) {
+                throw new ChatbotRequestError('Live agent request cancelled', { type: 'aborted', step: 'live_agent' });
             }
+            const controller = new AbortController();
+            let timedOut = false;
+            const timer = setTimeout(() => {
+                timedOut = true;
+                controller.abort();
+            }, timeoutMs);
+            const forwardAbort = () => controller.abort();
+            signal.addEventListener('abort', forwardAbort);
             
-            // Step 6: Set HTML content (no need to wrap in <p> since we're handling newlines with <br>)
-            disclaimerDiv.innerHTML = escapedMessage;
+            try {
+                const headers = { 'Content-Type': 'application/json', ...(await this.resolveRequestHeaders(context)) };
+                let response;
+                try {
+                    response = await fetch(endpoint, { method: 'POST', headers: headers, body: JSON.stringify(payload), signal: controller.signal });
+                } catch (error) {
+                    if (timedOut) {
+                        throw new ChatbotRequestError(`Live agent request timed out after ${timeoutMs}ms`, { type: 'timeout', step: 'live_agent', cause: error });
+                    }
+                    const aborted = signal.aborted;
+                    throw new ChatbotRequestError(aborted ? 'Live agent request cancelled' : `Network error: ${error.message}`, {
+                        type: aborted ? 'aborted' : 'network',
+                        step: 'live_agent',
+                        retryable: !aborted,
+                        cause: error
+                    });
+                }
+                if (!response.ok) {
+                    throw new ChatbotRequestError(`HTTP ${response.status}`, {
+                        type: 'http',
+                        step: 'live_agent',
+                        status: response.status,
+                        retryable: RETRYABLE_STATUSES.includes(response.status),
+                        retryAfter: parseRetryAfter(response.headers.get('retry-after'))
+                    });
+                }
+                // Events may keep coming for longer than the timeout; readEventStream() stops on the signal
+                if (stream) return response;
+                try {
+                    return await response.json();
+                } catch (error) {
+                    if (timedOut) {
+                        throw new ChatbotRequestError(`Live agent request timed out after ${timeoutMs}ms`, { type: 'timeout', step: 'live_agent', cause: error });
+                    }
+                    if (signal.aborted) {
+                        throw new ChatbotRequestError('Live agent request cancelled', { type: 'aborted', step: 'live_agent', cause: error });
+                    }
+                    throw new ChatbotRequestError('Invalid live agent response', { type: 'parse', step: 'live_agent', cause: error });
+                }
+            } finally {
+                clearTimeout(timer);
+                signal.removeEventListener('abort', forwardAbort);
+            }
+        }
+        
+        /**
+         * Polls or streams agent events until the conversation ends
+         * 
+         * Failed polls and dropped streams are retried every liveAgent.pollInterval ms.
+         * 
+         * @param {Object} session - The conversation this loop belongs to (this.liveAgent when started)
+         */
+        async watchLiveAgent(session) {
+            const { mode, pollInterval } = this.config.liveAgent;
+            const signal = session.controller.signal;
             
-            // Insert at the top of messages
-            if (this.messagesDiv.firstChild) {
-                this.messagesDiv.insertBefore(disclaimerDiv, this.messagesDiv.firstChild);
-            } else {
-                this.messagesDiv.appendChild(disclaimerDiv);
+            while (this.liveAgent === session) {
+                try {
+                    if (mode === 'stream') {
+                        const response = await this.agentRequest({ action: 'stream' }, signal, { stream: true });
+                        for await (const payload of readEventStream(response, signal)) {
+                            let event;
+                            try {
+                                event = JSON.parse(payload);
+                            } catch (error) {
+                                continue; // Keep-alive comments and other non-JSON lines
+                            }
+                            this.handleAgentEvents([event]);
+                            if (this.liveAgent !== session) return;
+                        }
+                    } else {
+                        const reply = await this.agentRequest({ action: 'poll', cursor: session.cursor }, signal);
+                        if (reply.cursor !== undefined) session.cursor = reply.cursor;
+                        this.handleAgentEvents(reply.events || []);
+                    }
+                } catch (error) {
+                    if (error.type === 'aborted' || this.liveAgent !== session) return;
+                    console.warn(`👤 Live agent ${mode} failed (${error.message}), retrying in ${pollInterval}ms`);
+                }
+                if (this.liveAgent !== session) return;
+                try {
+                    await waitFor(pollInterval, signal, 'live_agent');
+                } catch (error) {
+                    return; // Conversation ended while waiting
+                }
             }
         }
-
+        
         /**
-         * Closes the chatbot widget
+         * Applies agent events: queue status, agent joining, messages and closing
          * 
-         * Hides the widget, shows the toggle button, and collapses if expanded.
+         * @param {Array<Object>} events - Events in order
          */
-        close() {
-            // Collapse widget if it's in fullscreen mode
-            if (this.isExpanded) {
-                this.collapse();
+        handleAgentEvents(events) {
+            events.forEach(event => {
+                const session = this.liveAgent;
+                if (!session || !event) return;
+                
+                if (event.type === 'queue') {
+                    const wait = Number(event.wait) || 0;
+                    const waitText = wait < 60 ? this.t('agentWaitShort') : this.t('agentWaitMinutes', { count: Math.round(wait / 60) });
+                    this.showAgentStatus(this.t('agentQueue', { position: event.position }) + (wait ? ` · ${waitText}` : ''));
+                    this.emit('agent:queue', { position: event.position, wait: wait });
+                } else if (event.type === 'agent') {
+                    session.agent = { name: event.name || this.t('agentName'), avatar: event.avatar || '' };
+                    this.setHeaderAgent(session.agent);
+                    this.showAgentStatus(this.t('agentChatting', { name: session.agent.name }));
+                    this.addAgentNotice(this.t('agentJoined', { name: session.agent.name }));
+                    this.emit('agent:join', { ...session.agent });
+                } else if (event.type === 'message' && event.text) {
+                    this.addAgentMessage(String(event.text), session.agent);
+                    this.emit('agent:message', { text: String(event.text), agent: session.agent ? { ...session.agent } : null });
+                } else if (event.type === 'closed') {
+                    this.handBackToBot('agent');
+                }
+            });
+        }
+        
+        /**
+         * Sends the user's text to the agent, with a Retry button on failure
+         * 
+         * @param {string} text - Message already shown in the chat
+         */
+        async sendAgentMessage(text) {
+            const session = this.liveAgent;
+            if (!session) return;
+            try {
+                await this.agentRequest({ action: 'message', text: text }, session.controller.signal);
+            } catch (error) {
+                if (error.type === 'aborted' || this.liveAgent !== session) return;
+                console.error('👤 Failed to send message to the agent:', error);
+                this.showRequestError(error, () => this.sendAgentMessage(text));
             }
-            this.widget.style.display = 'none';
-            this.toggle.style.display = 'flex';
-            this.isOpen = false;
         }
-
+        
         /**
-         * Toggles between expanded (fullscreen) and collapsed states
+         * Leaves the live agent conversation (the status bar's "End chat" button)
          */
-        toggleExpand() {
-            if (this.isExpanded) {
-                this.collapse();
+        endLiveAgent() {
+            if (!this.liveAgent) return;
+            this.notifyAgentEnd(this.liveAgent);
+            this.handBackToBot('user');
+        }
+        
+        /**
+         * Tells the endpoint the user left; failures are only logged
+         * 
+         * @param {Object} session - Conversation being left
+         */
+        notifyAgentEnd(session) {
+            if (!session.conversationId) return;
+            this.agentRequest({ action: 'end', conversation_id: session.conversationId })
+                .catch(error => console.warn('👤 Failed to end live agent conversation:', error.message));
+        }
+        
+        /**
+         * Stops the live agent conversation without touching the chat
+         * Cancels polling / streaming and restores the header and status bar.
+         * 
+         * @returns {Object|null} The conversation that was stopped
+         */
+        closeLiveAgent() {
+            const session = this.liveAgent;
+            if (!session) return null;
+            this.liveAgent = null;
+            session.controller.abort();
+            this.removeTypingIndicator();
+            this.showAgentStatus(null);
+            this.setHeaderAgent(null);
+            return session;
+        }
+        
+        /**
+         * Ends the live agent conversation and lets the bot take over again
+         * 
+         * @param {string} by - 'agent' when the agent closed it, 'user' when the user left
+         */
+        handBackToBot(by) {
+            const session = this.closeLiveAgent();
+            if (!session) return;
+            const name = session.agent ? session.agent.name : this.t('agentGenericName');
+            this.addAgentNotice(by === 'agent' ? this.t('agentLeft', { name: name }) : this.t('agentUserLeft'));
+            this.emit('agent:end', { by: by, conversation_id: session.conversationId });
+            this.resumeBot(session.resumeStep, this.t('agentResumed'));
+        }
+        
+        /**
+         * Offers the contact form when no agent is available
+         * 
+         * @param {string} resumeStep - Step the handoff started from
+         * @param {string} reason - 'hours', 'offline' or 'error', reported in the agent:offline event
+         */
+        showAgentFallback(resumeStep, reason) {
+            const { contactFormUrl } = this.config.liveAgent;
+            const offlineMessage = this.config.liveAgent.offlineMessage || this.t('agentOffline');
+            const url = contactFormUrl || this.config.contactPageUrl;
+            this.emit('agent:offline', { reason: reason, url: url || '' });
+            this.resumeBot(resumeStep, url ? `${offlineMessage}\n\n[${this.t('agentContactForm')}](${url})` : offlineMessage);
+        }
+        
+        /**
+         * Continues the bot conversation after a handoff
+         * 
+         * Selection steps resume where they were; from an answer, the human support step
+         * or before the first selection the user can ask the bot again or end the chat.
+         * 
+         * @param {string} step - Step the handoff started from
+         * @param {string} text - Bot message shown first
+         */
+        resumeBot(step, text) {
+            const resume = step && step !== 'redirect_to_human_support' && step !== 'live_agent' ? step : 'send_query_answer';
+            this.setStep(resume);
+            const options = resume === 'send_query_answer'
+                ? [{ id: 'end_chat', option_value: this.t('endChat'), next_step: 'send_rating' }]
+                : null;
+            const container = this.addMessage(text, true, true, options);
+            container.parentElement.setAttribute('data-local', '');
+            this.markLastCachedMessageAsLocal();
+            if (options) this.addOptions(options);
+            if (this.isTextInputEnabled(resume)) {
+                this.enableTextInput();
             } else {
-                this.expand();
+                this.disableTextInput();
             }
         }
         
         /**
-         * Expands the widget to fullscreen
+         * Shows a line in the live agent status bar, or hides the bar
          * 
-         * Adds the 'expanded' CSS class which makes the widget cover the entire viewport.
-         * Updates the expand button icon to show a collapse icon.
+         * @param {string|null} text - Status text; null hides the bar
          */
-        expand() {
-            this.isExpanded = true;
-            this.widget.classList.add('expanded');
-            const expandBtn = this.widget.querySelector('#chatbot-lg-expand');
-            if (expandBtn) {
-                // Change icon to collapse icon
-                expandBtn.innerHTML = `
-                    <svg width="16" height="16" viewBox="0 0 24 24" fill="none" xmlns="http://www.w3.org/2000/svg">
-                        <path d="M8 3V5C8 6.10457 8.89543 7 10 7H14C15.1046 7 16 6.10457 16 5V3M21 8H19C17.8954 8 17 8.89543 17 10V14C17 15.1046 17.8954 16 19 16H21M16 21V19C16 17.8954 15.1046 17 14 17H10C8.89543 17 8 17.8954 8 19V21M3 16H5C6.10457 16 7 15.1046 7 14V10C7 8.89543 6.10457 8 5 8H3" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"/>
-                    </svg>
-                `;
-                expandBtn.title = 'Collapse';
-            }
+        showAgentStatus(text) {
+            const bar = this.widget && this.widget.querySelector('#chatbot-lg-agent-bar');
+            if (!bar) return;
+            bar.style.display = text ? 'flex' : 'none';
+            bar.querySelector('.chatbot-lg-agent-status').textContent = text || '';
         }
         
         /**
-         * Collapses the widget from fullscreen to normal size
+         * Shows the agent in the header, or restores the configured title and logo
          * 
-         * Removes the 'expanded' CSS class and updates the expand button icon.
+         * @param {Object|null} agent - { name, avatar }; null restores the bot identity
          */
-        collapse() {
-            this.isExpanded = false;
-            this.widget.classList.remove('expanded');
-            const expandBtn = this.widget.querySelector('#chatbot-lg-expand');
-            if (expandBtn) {
-                // Change icon back to expand icon
-                expandBtn.innerHTML = `
-                    <svg width="16" height="16" viewBox="0 0 24 24" fill="none" xmlns="http://www.w3.org/2000/svg">
-                        <path d="M8 3H5C3.89543 3 3 3.89543 3 5V8M21 8V5C21 3.89543 20.1046 3 19 3H16M16 21H19C20.1046 21 21 20.1046 21 19V16M3 16V19C3 20.1046 3.89543 21 5 21H8" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"/>
-                    </svg>
-                `;
-                expandBtn.title = 'Expand to fullscreen';
+        setHeaderAgent(agent) {
+            if (!this.widget) return;
+            const title = this.widget.querySelector('.chatbot-lg-title');
+            const subtitle = this.widget.querySelector('.chatbot-lg-subtitle');
+            const avatarImg = this.widget.querySelector('#chatbot-lg-avatar-img');
+            if (agent) {
+                title.textContent = agent.name;
+                subtitle.textContent = this.t('agentLabel');
+            } else {
+                title.innerHTML = this.config.title;
+                subtitle.innerHTML = this.config.subtitle;
+            }
+            const src = agent && agent.avatar ? agent.avatar : this.config.logoUrl;
+            if (avatarImg && avatarImg.getAttribute('src') !== src) {
+                avatarImg.setAttribute('src', src);
+                this.loadHeaderAvatar();
             }
         }
-
+        
         /**
-         * Shows the notification badge on the toggle button
+         * Adds a message from the agent, with the agent's avatar (or initial) instead of the bot's
          * 
-         * Displays a badge with "1" to indicate a new message when the widget is closed.
-         * Only shows if badge is enabled in config and widget is not open.
+         * @param {string} text - Message text (markdown)
+         * @param {Object|null} agent - { name, avatar }
          */
-        showBadge() {
-            if (this.badge && !this.isOpen) {
-                this.badge.style.display = 'flex';
-                this.badge.textContent = '1';
-            }
+        addAgentMessage(text, agent) {
+            const container = this.addMessage(text, true);
+            if (!agent) return;
+            this.markLastCachedMessageAsAgent(agent);
+            this.showAgentAvatar(container, agent);
         }
-
+        
         /**
-         * Hides the notification badge
+         * Replaces the bot avatar of a message with the agent's picture or initial
+         * 
+         * @param {HTMLElement} container - Message container returned by addMessage()
+         * @param {Object} agent - { name, avatar }
          */
-        hideBadge() {
-            if (this.badge) {
-                this.badge.style.display = 'none';
+        showAgentAvatar(container, agent) {
+            const avatar = container.parentElement.querySelector('.chatbot-lg-message-avatar');
+            if (!avatar) return;
+            avatar.textContent = '';
+            if (agent.avatar) {
+                const img = document.createElement('img');
+                img.src = agent.avatar;
+                img.alt = agent.name;
+                avatar.appendChild(img);
+            } else {
+                avatar.textContent = agent.name.charAt(0).toUpperCase();
             }
         }
-
+        
         /**
-         * Resets the chat to initial state
+         * Adds a small centered notice to the chat (not cached)
          * 
-         * Clears all messages, session data, cached messages, and resets the
-         * conversation state. Shows the "Start Chat" button to begin a new conversation.
+         * @param {string} text - Notice text
          */
-        resetChat() {
-            // Clear all displayed messages
-            this.messagesDiv.innerHTML = '';
-            
-            // Clear session and cached messages - destroy existing session_id
-            this.clearSession();
-            this.clearMessageCache();
-            
-            // Reset conversation state to initial values
-            // BUT preserve locale (extracted from URL when chat icon was clicked)
-            const existingLocale = this.state.locale || '';
-            this.state = {
-                currentStep: 'send_user_types',
-                session_id: '',  // Blank session_id - backend will generate new one
-                user_type: '',
-                concern_category: '',
-                question: '',
-                locale: existingLocale // Preserve locale from URL
-            };
-            
-            // Show loading state
-            this.footerDiv.innerHTML = '<div style="text-align: center; color: rgba(0, 61, 70, 0.6); padding: 8px; font-size: 13px;">Loading...</div>';
-            
-            // Send request for send_user_types with blank session_id
-            this.sendRequest({
-                step: 'send_user_types',
-                session_id: '',  // Blank for new session - backend will generate
-                locale: this.state.locale || ''
-            }).then(response => {
-                if (response) {
-                    this.handleResponse(response);
-                } else {
-                    // If request failed, show error and allow retry
-            this.footerDiv.innerHTML = `
-                        <button class="chatbot-lg-start-btn" id="chatbot-lg-start">Retry</button>
-                    `;
-                    this.widget.querySelector('#chatbot-lg-start').addEventListener('click', () => this.resetChat());
-                }
-            }).catch(error => {
-                console.error('Error in resetChat:', error);
-                this.footerDiv.innerHTML = `
-                    <button class="chatbot-lg-start-btn" id="chatbot-lg-start">Retry</button>
-                `;
-                this.widget.querySelector('#chatbot-lg-start').addEventListener('click', () => this.resetChat());
-            });
-            
-            // Scroll messages area to top
-            this.messagesDiv.scrollTop = 0;
+        addAgentNotice(text) {
+            const notice = document.createElement('div');
+            notice.className = 'chatbot-lg-agent-notice';
+            notice.textContent = text;
+            this.messagesDiv.appendChild(notice);
+            this.scrollToBottom();
         }
 
         // ====================================================================
@@ -2808,7 +7446,9 @@
          * - Ordered lists (1. item)
          * - Paragraphs (double line breaks)
          * 
-         * HTML is escaped first to prevent XSS attacks.
+         * HTML is escaped first to prevent XSS attacks. Blocks and links carry dir="auto"
+         * (bare URLs dir="ltr"), which isolates them for the bidi algorithm: an English
+         * line in an Arabic answer, or a Latin URL inside Hebrew text, keeps its order.
          * 
          * @param {string} text - Markdown text to convert
          * @returns {string} HTML string ready for innerHTML insertion
@@ -2834,29 +7474,29 @@
                 // Headers
                 if (line.match(/^### (.+)$/)) {
                     if (inList) {
-                        result.push(listType === 'ul' ? `<ul>${listItems.join('')}</ul>` : `<ol>${listItems.join('')}</ol>`);
+                        result.push(listType === 'ul' ? `<ul dir="auto">${listItems.join('')}</ul>` : `<ol dir="auto">${listItems.join('')}</ol>`);
                         listItems = [];
                         inList = false;
                     }
-                    result.push(`<h3>${line.replace(/^### /, '')}</h3>`);
+                    result.push(`<h3 dir="auto">${line.replace(/^### /, '')}</h3>`);
                     continue;
                 }
                 if (line.match(/^## (.+)$/)) {
                     if (inList) {
-                        result.push(listType === 'ul' ? `<ul>${listItems.join('')}</ul>` : `<ol>${listItems.join('')}</ol>`);
+                        result.push(listType === 'ul' ? `<ul dir="auto">${listItems.join('')}</ul>` : `<ol dir="auto">${listItems.join('')}</ol>`);
                         listItems = [];
                         inList = false;
                     }
-                    result.push(`<h2>${line.replace(/^## /, '')}</h2>`);
+                    result.push(`<h2 dir="auto">${line.replace(/^## /, '')}</h2>`);
                     continue;
                 }
                 if (line.match(/^# (.+)$/)) {
                     if (inList) {
-                        result.push(listType === 'ul' ? `<ul>${listItems.join('')}</ul>` : `<ol>${listItems.join('')}</ol>`);
+                        result.push(listType === 'ul' ? `<ul dir="auto">${listItems.join('')}</ul>` : `<ol dir="auto">${listItems.join('')}</ol>`);
                         listItems = [];
                         inList = false;
                     }
-                    result.push(`<h1>${line.replace(/^# /, '')}</h1>`);
+                    result.push(`<h1 dir="auto">${line.replace(/^# /, '')}</h1>`);
                     continue;
                 }
                 
@@ -2864,13 +7504,13 @@
                 if (line.match(/^[-*] (.+)$/)) {
                     if (!inList || listType !== 'ul') {
                         if (inList && listType === 'ol') {
-                            result.push(`<ol>${listItems.join('')}</ol>`);
+                            result.push(`<ol dir="auto">${listItems.join('')}</ol>`);
                             listItems = [];
                         }
                         inList = true;
                         listType = 'ul';
                     }
-                    listItems.push(`<li>${line.replace(/^[-*] /, '')}</li>`);
+                    listItems.push(`<li dir="auto">${line.replace(/^[-*] /, '')}</li>`);
                     continue;
                 }
                 
@@ -2878,20 +7518,20 @@
                 if (line.match(/^\d+\. (.+)$/)) {
                     if (!inList || listType !== 'ol') {
                         if (inList && listType === 'ul') {
-                            result.push(`<ul>${listItems.join('')}</ul>`);
+                            result.push(`<ul dir="auto">${listItems.join('')}</ul>`);
                             listItems = [];
                         }
                         inList = true;
                         listType = 'ol';
                     }
-                    listItems.push(`<li>${line.replace(/^\d+\. /, '')}</li>`);
+                    listItems.push(`<li dir="auto">${line.replace(/^\d+\. /, '')}</li>`);
                     continue;
                 }
                 
                 // Empty line - close list if open
                 if (line === '') {
                     if (inList) {
-                        result.push(listType === 'ul' ? `<ul>${listItems.join('')}</ul>` : `<ol>${listItems.join('')}</ol>`);
+                        result.push(listType === 'ul' ? `<ul dir="auto">${listItems.join('')}</ul>` : `<ol dir="auto">${listItems.join('')}</ol>`);
                         listItems = [];
                         inList = false;
                     }
@@ -2900,18 +7540,18 @@
                 
                 // Regular line - close list if open
                 if (inList) {
-                    result.push(listType === 'ul' ? `<ul>${listItems.join('')}</ul>` : `<ol>${listItems.join('')}</ol>`);
+                    result.push(listType === 'ul' ? `<ul dir="auto">${listItems.join('')}</ul>` : `<ol dir="auto">${listItems.join('')}</ol>`);
                     listItems = [];
                     inList = false;
                 }
                 
                 // Add regular line as paragraph (will be processed for inline formatting)
-                result.push(`<p>${line}</p>`);
+                result.push(`<p dir="auto">${line}</p>`);
             }
             
             // Close any remaining list
             if (inList) {
-                result.push(listType === 'ul' ? `<ul>${listItems.join('')}</ul>` : `<ol>${listItems.join('')}</ol>`);
+                result.push(listType === 'ul' ? `<ul dir="auto">${listItems.join('')}</ul>` : `<ol dir="auto">${listItems.join('')}</ol>`);
             }
             
             html = result.join('\n');
@@ -2944,32 +7584,25 @@
                 div2.textContent = url;
                 const escapedUrl = div2.innerHTML;
                 
-                return `<a href="${escapedUrl}" target="_blank" rel="noopener noreferrer" style="color: #00B7B0; text-decoration: underline; cursor: pointer; word-break: break-word; overflow-wrap: break-word;">${processedText}</a>`;
+                return `<a href="${escapedUrl}" target="_blank" rel="noopener noreferrer" dir="auto" style="color: var(--chatbot-lg-link); text-decoration: underline; cursor: pointer; word-break: break-word; overflow-wrap: break-word;">${processedText}</a>`;
             });
             
             // Auto-detect and wrap plain URLs in anchor tags (for URLs not in markdown format)
             // Matches http://, https://, www. URLs
-            // Use a more sophisticated approach to avoid wrapping URLs already in anchor tags
+            // Only text outside the anchors created above is scanned, so their href and text stay as they are
             const urlPattern = /(https?:\/\/[^\s<>"{}|\\^`\[\]]+|www\.[^\s<>"{}|\\^`\[\]]+)/gi;
-            html = html.replace(urlPattern, (url, offset) => {
-                // Check if this URL is already inside an anchor tag
-                // Look backwards and forwards from the match position
-                const beforeMatch = html.substring(Math.max(0, offset - 50), offset);
-                const afterMatch = html.substring(offset + url.length, Math.min(html.length, offset + url.length + 50));
-                
-                // If we see <a before and > after (or </a>), skip wrapping
-                const hasOpeningTag = beforeMatch.lastIndexOf('<a') > beforeMatch.lastIndexOf('</a>');
-                const hasClosingTag = afterMatch.indexOf('</a>') !== -1 || afterMatch.indexOf('>') !== -1;
-                
-                if (hasOpeningTag && hasClosingTag) {
-                    // Already inside an anchor tag, don't wrap again
-                    return url;
-                }
-                
-                // Add https:// if URL starts with www.
-                const fullUrl = url.startsWith('www.') ? `https://${url}` : url;
-                return `<a href="${fullUrl}" target="_blank" rel="noopener noreferrer" style="color: #00B7B0; text-decoration: underline; cursor: pointer; word-break: break-word; overflow-wrap: break-word;">${url}</a>`;
-            });
+            html = html.split(/(<a [^>]*>[\s\S]*?<\/a>)/g).map(part => {
+                if (part.startsWith('<a ')) return part;
+                return part.replace(urlPattern, (url) => {
+                    // Add https:// if URL starts with www.
+                    const fullUrl = url.startsWith('www.') ? `https://${url}` : url;
+                    return `<a href="${fullUrl}" target="_blank" rel="noopener noreferrer" dir="ltr" style="color: var(--chatbot-lg-link); text-decoration: underline; cursor: pointer; word-break: break-word; overflow-wrap: break-word;">${url}</a>`;
+                });
+            }).join('');
+            
+            // Keep anchor attributes (target="_blank", URLs) away from the bold/italic patterns
+            const anchorTags = [];
+            html = html.replace(/<a [^>]*>/g, tag => `\u0000${anchorTags.push(tag) - 1}\u0000`);
             
             // Bold: **text** or __text__
             html = html.replace(/\*\*([^*]+)\*\*/g, '<strong>$1</strong>');
@@ -2981,6 +7614,8 @@
             html = html.replace(/(^|[^*])\*([^*\n]+?)\*(?!\*)/g, '$1<em>$2</em>');
             html = html.replace(/(^|[^_])_([^_\n]+?)_(?!_)/g, '$1<em>$2</em>');
             
+            html = html.replace(/\u0000(\d+)\u0000/g, (placeholder, index) => anchorTags[index]);
+            
             return html;
         }
 
@@ -3008,9 +7643,10 @@
             
             const avatar = document.createElement('div');
             avatar.className = 'chatbot-lg-message-avatar';
+            avatar.setAttribute('aria-hidden', 'true');
             avatar.style.background = isBot 
-                ? `rgba(0, 61, 70, 0.85)`
-                : `rgba(0, 183, 176, 0.85)`;
+                ? 'var(--chatbot-lg-glass-primary)'
+                : 'var(--chatbot-lg-glass-accent)';
             avatar.textContent = isBot ? '🤖' : '👤';
             
             const container = document.createElement('div');
@@ -3023,7 +7659,9 @@
             if (isBot) {
                 bubble.innerHTML = this.parseMarkdown(text);
             } else {
-            bubble.textContent = text;
+                // Typed text takes its direction from its first strong character
+                bubble.setAttribute('dir', 'auto');
+                bubble.textContent = text;
             }
             
             container.appendChild(bubble);
@@ -3034,7 +7672,8 @@
             
             // Cache message if enabled
             if (saveToCache) {
-                this.saveMessageToCache(text, isBot, null, options);
+                const messageId = this.saveMessageToCache(text, isBot, null, options);
+                if (messageId) messageDiv.setAttribute('data-message-id', messageId);
             }
             
             // Play sound only for bot messages (received)
@@ -3123,6 +7762,7 @@
                     // Only set onclick if not disabled
                 btn.onclick = () => this.handleOptionClick(option);
                 }
+                this.optionsByButton.set(btn, option);
                 
                 optionsDiv.appendChild(btn);
             });
@@ -3139,26 +7779,16 @@
         /**
          * Checks if a given step has a selection made by the user
          * 
+         * A step has a selection once the state field its flow definition locks on
+         * (`lock`, or the field it `selects`) is set.
+         * 
          * @param {string} step - The step to check (e.g., 'send_user_types', 'send_concern_categories', 'send_top_questions')
          * @returns {boolean} True if the step has a selection, false otherwise
          */
         stepHasSelection(step) {
-            if (step === 'send_user_types') {
-                return !!this.state.user_type;
-            }
-            if (step === 'send_concern_categories') {
-                return !!this.state.concern_category;
-            }
-            if (step === 'send_top_questions') {
-                return !!this.state.question;
-            }
-            // For send_query_answer step: if we have a question and we're not currently at send_query_answer,
-            // it means we've already processed an answer, so all options from that step should be disabled
-            if (step === 'send_query_answer') {
-                // If we have a question and current step is not send_query_answer, it means we've moved past it
-                return !!this.state.question && this.state.currentStep !== 'send_query_answer';
-            }
-            return false;
+            const definition = this.flow[step];
+            const field = definition && (definition.lock || definition.selects);
+            return !!field && !!this.state[field];
         }
         
         /**
@@ -3167,34 +7797,11 @@
          */
         disableSelectedOptionsInHistory() {
             // Get all option buttons in the chat
-            const allOptionButtons = document.querySelectorAll('.chatbot-lg-option-btn');
+            const allOptionButtons = this.root.querySelectorAll('.chatbot-lg-option-btn');
             
             // Get the current step - options from the current step should remain enabled
             const currentStep = this.state.currentStep;
             
-            // Determine which steps have selections based on state
-            // When a selection is made at a step, ALL options from that step should be disabled
-            // BUT: Don't disable options from the current step (user should still be able to select)
-            const stepsWithSelections = new Set();
-            
-            // If user_type is set, the send_user_types step has a selection
-            if (this.state.user_type) {
-                stepsWithSelections.add('send_user_types');
-            }
-            // If concern_category is set, the send_concern_categories step has a selection
-            if (this.state.concern_category) {
-                stepsWithSelections.add('send_concern_categories');
-            }
-            // If question is set, the send_top_questions step has a selection
-            if (this.state.question) {
-                stepsWithSelections.add('send_top_questions');
-            }
-            // If we have a question and we're not at send_query_answer step, 
-            // it means we've moved past send_query_answer, so disable those options
-            if (this.state.question && this.state.currentStep !== 'send_query_answer') {
-                stepsWithSelections.add('send_query_answer');
-            }
-            
             // Disable ALL options from steps that have selections, EXCEPT the current step
             allOptionButtons.forEach(btn => {
                 // Skip if already disabled
@@ -3203,7 +7810,7 @@
                 const btnStep = btn.getAttribute('data-step');
                 
                 // If this button belongs to a step that has a selection AND it's not the current step, disable it
-                if (btnStep && stepsWithSelections.has(btnStep) && btnStep !== currentStep) {
+                if (btnStep && btnStep !== currentStep && this.stepHasSelection(btnStep)) {
                     btn.disabled = true;
                     btn.setAttribute('data-selected', 'true');
                     // Remove onclick handler since it's disabled
@@ -3226,26 +7833,39 @@
                         type="text" 
                         id="chatbot-lg-input"
                         class="chatbot-lg-input"
-                        placeholder="Type your question..."
-                        onkeypress="if(event.key==='Enter' && this.value.trim()) window.chatbotLiquidGlassInstance.sendQuestion()"
-                        oninput="document.getElementById('chatbot-lg-send').disabled = !this.value.trim()"
+                        placeholder="${this.t('inputPlaceholder')}"
+                        data-i18n-placeholder="inputPlaceholder"
+                        aria-label="${this.t('inputLabel')}"
+                        data-i18n-label="inputLabel"
                     />
                     <button 
                         id="chatbot-lg-send"
                         class="chatbot-lg-send-btn"
-                        onclick="window.chatbotLiquidGlassInstance.sendQuestion()"
                         disabled
-                        title="Send"
+                        title="${this.t('send')}"
+                        aria-label="${this.t('send')}"
+                        data-i18n-title="send"
                     >
-                        <svg width="18" height="18" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round">
+                        <svg aria-hidden="true" width="18" height="18" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round">
                             <line x1="22" y1="2" x2="11" y2="13"></line>
                             <polygon points="22 2 15 22 11 13 2 9 22 2"></polygon>
                         </svg>
                     </button>
                 </div>
             `;
+            // Attach listeners directly (inline handlers cannot reach elements inside a shadow root)
+            const input = this.root.getElementById('chatbot-lg-input');
+            const sendBtn = this.root.getElementById('chatbot-lg-send');
+            input.addEventListener('keypress', (event) => {
+                if (event.key === 'Enter' && input.value.trim()) this.sendQuestion();
+            });
+            input.addEventListener('input', () => {
+                sendBtn.disabled = !input.value.trim();
+            });
+            sendBtn.addEventListener('click', () => this.sendQuestion());
+            
             // Auto-focus the input field for better UX
-            document.getElementById('chatbot-lg-input')?.focus();
+            input.focus();
         }
 
         /**
@@ -3256,9 +7876,7 @@
          */
         disableTextInput() {
             this.footerDiv.innerHTML = `
-                <div style="text-align: center; color: rgba(0, 61, 70, 0.6); padding: 8px; font-size: 13px;">
-                    Please select an option above
-                </div>
+                <div style="text-align: center; color: rgba(var(--chatbot-lg-text-rgb), 0.6); padding: 8px; font-size: 13px;" data-i18n="selectOption">${this.t('selectOption')}</div>
             `;
         }
 
@@ -3279,11 +7897,12 @@
             const typing = document.createElement('div');
             typing.id = 'chatbot-lg-typing';
             typing.className = 'chatbot-lg-message bot';
+            typing.setAttribute('aria-hidden', 'true');   // Announced through #chatbot-lg-status instead
             typing.style.display = 'flex';
             typing.style.visibility = 'visible';
             typing.style.opacity = '1';
             typing.innerHTML = `
-                <div class="chatbot-lg-message-avatar" style="background: rgba(0, 61, 70, 0.85);">🤖</div>
+                <div class="chatbot-lg-message-avatar" style="background: var(--chatbot-lg-glass-primary);">🤖</div>
                 <div class="chatbot-lg-message-bubble">
                     <div class="typing-indicator">
                         <div class="typing-dot"></div>
@@ -3294,6 +7913,7 @@
             `;
             
             this.messagesDiv.appendChild(typing);
+            this.announce(this.t('typing'));
             
             // Force DOM reflow to ensure typing indicator is rendered
             void typing.offsetHeight;
@@ -3305,8 +7925,11 @@
          * Removes the typing indicator from the messages area
          */
         removeTypingIndicator() {
-            const typing = document.getElementById('chatbot-lg-typing');
-            if (typing) typing.remove();
+            const typing = this.root.getElementById('chatbot-lg-typing');
+            if (typing) {
+                typing.remove();
+                this.announce('');
+            }
         }
 
         // ====================================================================
@@ -3317,8 +7940,10 @@
         /**
          * Sends a request to the backend webhook
          * 
-         * Handles all API communication with the backend. Shows typing indicator,
-         * validates request data, ensures session_id is included, and handles errors.
+         * Conversation-level wrapper around request(): shows the typing indicator,
+         * fills in locale and session_id, and turns failures into an error message
+         * with a Retry button that re-sends the same payload and hands the reply
+         * to handleResponse().
          * 
          * Special handling for Step 1 (send_user_types) to ensure only step and
          * session_id are sent, using saved session_id if available.
@@ -3329,133 +7954,577 @@
          * @param {string} [data.user_type] - Selected user type
          * @param {string} [data.concern_category] - Selected concern category
          * @param {string} [data.question] - User's question
-         * @returns {Promise<Object|null>} Parsed JSON response or null on error
+         * @param {string} [endpoint] - URL to post to (defaults to the chat endpoint)
+         * @param {Object} [options]
+         * @param {string} [options.channel='chat'] - Requests on the same channel supersede each other
+         * @param {boolean} [options.throwOnError=false] - Rethrow ChatbotRequestError instead of
+         *                                                 rendering the error message
+         * @returns {Promise<Object|null>} Parsed response, or null on error / cancellation
          */
-        async sendRequest(data) {
+        async sendRequest(data, endpoint = this.config.webhookUrl, { channel = 'chat', throwOnError = false } = {}) {
+            // Validate required fields
+            if (!data.step) {
+                throw new Error('Request missing required field: step');
+            }
+            
+            // Always include locale in the request data
+            // First request: Uses the detected locale (extracted when chat icon was clicked)
+            // Subsequent requests: Uses locale from backend response (updated in handleResponse)
+            if (!data.locale) {
+                data.locale = this.state.locale || ''; // STRICT: Detected locale only, no hardcoded fallback
+            }
+            
+            let requestBody = data;
+            if (data.step === 'send_user_types') {
+                // For Step 1 (send_user_types), only send step, session_id and locale
+                const sessionId = (data.session_id && data.session_id.trim() !== '') 
+                    ? data.session_id 
+                    : (this.state.session_id || this.getSessionId() || '');
+                requestBody = {
+                    step: 'send_user_types',
+                    session_id: sessionId,
+                    locale: this.state.locale || ''
+                };
+            } else if (!data.session_id) {
+                // For all other steps, ensure session_id is included
+                data.session_id = this.state.session_id || this.getSessionId() || '';
+            }
+            
+            this.addTypingIndicator();
+            
+            // Steps flagged `history` in the flow carry the conversation so far
+            const definition = this.flow[data.step];
+            if (definition && definition.history && this.config.history) {
+                requestBody = { ...requestBody, history: await this.buildHistory(data.step) };
+            }
+            
             try {
-                this.addTypingIndicator();
+                const response = await this.request(requestBody, { endpoint: endpoint, channel: channel });
+                this.removeTypingIndicator();
+                return response;
+            } catch (error) {
+                // Superseded by a newer request or the widget was destroyed - the newer
+                // request owns the typing indicator now, so leave the UI alone
+                if (error.type === 'aborted') return null;
+                
+                this.removeTypingIndicator();
+                console.error('Chatbot Error:', error);
+                console.error('Request that failed:', requestBody);
+                this.emit('error', { step: data.step, message: error.message, type: error.type, status: error.status, error: error });
+                
+                if (throwOnError) throw error;
+                
+                this.showRequestError(error, async () => {
+                    const response = await this.sendRequest(data, endpoint, { channel: channel });
+                    if (response) this.handleResponse(response);
+                });
                 
-                // Always include locale in the request data
-                // First request: Uses locale from URL (extracted when chat icon was clicked)
-                // Subsequent requests: Uses locale from backend response (updated in handleResponse)
-                if (!data.locale) {
-                    data.locale = this.state.locale || ''; // STRICT: Use locale from URL only, no fallback
+                // Re-enable input if it was enabled before error
+                const input = this.root.getElementById('chatbot-lg-input');
+                if (input && !input.disabled) {
+                    // Input was enabled, keep it enabled after error
+                    const sendBtn = this.root.getElementById('chatbot-lg-send');
+                    if (sendBtn) sendBtn.disabled = !input.value.trim();
                 }
                 
-                // Validate required fields
-                if (!data.step) {
-                    throw new Error('Request missing required field: step');
+                return null;
+            }
+        }
+        
+        /**
+         * Posts a payload to the backend - the single transport used by every step
+         * 
+         * - Times out after config.timeouts[step] (or timeouts.default) ms
+         * - Retries 429/502/503/504 and network errors with exponential backoff and
+         *   jitter, honouring Retry-After (config.retry)
+         * - Aborts the previous request on the same channel, and all requests on destroy()
+         * - Streams text/event-stream and application/x-ndjson replies
+         * - Applies config.headers, config.beforeRequest and config.afterResponse
+         *   (which unwraps n8n array responses by default)
+         * - Adds the page context as `meta` (config.context)
+         * 
+         * @param {Object} payload - JSON body; payload.step selects the timeout
+         * @param {Object} [options]
+         * @param {string} [options.endpoint] - URL to post to (defaults to the chat endpoint)
+         * @param {string} [options.channel='chat'] - Supersede group
+         * @returns {Promise<Object>} Parsed (or streamed) response
+         * @throws {ChatbotRequestError} Typed error: timeout, network, http, parse or aborted
+         */
+        async request(payload, { endpoint = this.config.webhookUrl, channel = 'chat' } = {}) {
+            const step = payload.step;
+            if (this.destroyed) {
+                throw new ChatbotRequestError('Widget destroyed', { type: 'aborted', step: step });
+            }
+            
+            // A newer action on the same channel cancels whatever is still in flight
+            const previous = this.pendingRequests.get(channel);
+            if (previous) previous.abort();
+            const channelController = new AbortController();
+            this.pendingRequests.set(channel, channelController);
+            
+            const timeoutMs = this.config.timeouts[step] || this.config.timeouts.default;
+            const retries = this.config.retry.retries;
+            
+            // Context handed to headers(), beforeRequest() and afterResponse()
+            const context = {
+                step: step,
+                endpoint: endpoint,
+                channel: channel,
+                requestId: createRequestId(),
+                attempt: 0,
+                state: { ...this.state }
+            };
+            
+            try {
+                const meta = await this.buildRequestMeta(context);
+                const body = await this.runRequestHook('beforeRequest', meta ? { ...payload, meta: meta } : payload, context);
+                
+                // Once the backend failed, the conversation continues from the knowledge base;
+                // ratings and support requests must reach the backend, so they never fall back
+                const canFallBack = channel === 'chat' && this.knowledgeBaseTransport && this.transport !== this.knowledgeBaseTransport;
+                if (canFallBack && this.offline) {
+                    return await this.requestKnowledgeBase(body, channelController.signal);
                 }
                 
-                // For Step 1 (send_user_types), only send step and session_id
-                if (data.step === 'send_user_types') {
-                    const sessionId = (data.session_id && data.session_id.trim() !== '') 
-                        ? data.session_id 
-                        : (this.state.session_id || this.getSessionId() || '');
-                    const requestBody = {
-                        step: 'send_user_types',
-                        session_id: sessionId,
-                        locale: this.state.locale || ''
-                    };
-                    
-                    const response = await fetch(this.config.webhookUrl, {
-                        method: 'POST',
-                        headers: { 'Content-Type': 'application/json' },
-                        body: JSON.stringify(requestBody)
-                    });
-                    
-                    this.removeTypingIndicator();
-
-                    if (!response.ok) {
-                        const errorText = await response.text();
-                        throw new Error(`HTTP ${response.status}: ${errorText || response.statusText}`);
-                    }
-                    
-                    const text = await response.text();
-                    if (!text) throw new Error('Empty response from server');
-                    
-                    let parsedResponse;
+                for (let attempt = 0; ; attempt++) {
+                    context.attempt = attempt;
                     try {
-                        parsedResponse = JSON.parse(text);
-                    } catch (parseError) {
-                        throw new Error(`Invalid JSON response: ${parseError.message}`);
+                        const json = await this.attemptRequest(body, endpoint, timeoutMs, channelController.signal, context);
+                        return await this.runRequestHook('afterResponse', json, context);
+                    } catch (error) {
+                        if (!error.retryable || attempt >= retries) {
+                            // Only an outage switches to the knowledge base, not a rejected request (4xx, parse)
+                            const isOutage = error.type === 'network' || error.type === 'timeout' ||
+                                (error.type === 'http' && error.status >= 500);
+                            if (!canFallBack || !isOutage) throw error;
+                            
+                            console.warn(`📚 ${step} failed (${error.message}) - answering from the knowledge base`);
+                            this.offline = true;
+                            this.emit('offline', { step: step, error: error });
+                            return await this.requestKnowledgeBase(body, channelController.signal);
+                        }
+                        const delay = error.retryAfter !== null
+                            ? error.retryAfter
+                            : getBackoffDelay(attempt, this.config.retry);
+                        console.warn(`🔁 ${step} failed (${error.message}), retry ${attempt + 1}/${retries} in ${delay}ms`);
+                        await waitFor(delay, channelController.signal, step);
                     }
-                    
-                    return parsedResponse;
                 }
+            } finally {
+                if (this.pendingRequests.get(channel) === channelController) {
+                    this.pendingRequests.delete(channel);
+                }
+            }
+        }
+        
+        /**
+         * Answers a request from the knowledge base (offline fallback)
+         * 
+         * @param {Object} payload - JSON body
+         * @param {AbortSignal} signal - Channel signal
+         * @returns {Promise<Object>} Response object
+         * @throws {ChatbotRequestError} 'aborted', 'timeout' when its document downloads too slowly,
+         *   or 'network' when the knowledge base cannot be loaded
+         */
+        async requestKnowledgeBase(payload, signal) {
+            try {
+                return await this.knowledgeBaseTransport.send(payload, { signal: signal });
+            } catch (error) {
+                if (error instanceof ChatbotRequestError) {
+                    error.step = error.step || payload.step;
+                    throw error;
+                }
+                throw new ChatbotRequestError(error.message, { type: 'network', step: payload.step, cause: error });
+            }
+        }
+        
+        /**
+         * Performs a single attempt for request() through the configured transport
+         * 
+         * @param {Object} payload - JSON body
+         * @param {string} endpoint - URL to post to
+         * @param {number} timeoutMs - Time allowed until the response (or stream) starts
+         * @param {AbortSignal} signal - Channel signal (superseded / destroyed)
+         * @param {Object} context - Request context passed to config.headers
+         * @returns {Promise<Object>} Parsed or streamed response
+         * @throws {ChatbotRequestError}
+         */
+        async attemptRequest(payload, endpoint, timeoutMs, signal, context) {
+            const step = payload.step;
+            if (signal.aborted) {
+                throw new ChatbotRequestError(`${step} request cancelled`, { type: 'aborted', step: step });
+            }
+            
+            const controller = new AbortController();
+            let timedOut = false;
+            const timer = setTimeout(() => {
+                timedOut = true;
+                controller.abort();
+            }, timeoutMs);
+            const forwardAbort = () => controller.abort();
+            signal.addEventListener('abort', forwardAbort);
+            
+            // Map a thrown transport/body error onto the typed error it really is
+            const toRequestError = (error) => {
+                if (timedOut) {
+                    return new ChatbotRequestError(`${step} timed out after ${timeoutMs}ms`, { type: 'timeout', step: step });
+                }
+                if (signal.aborted) {
+                    return new ChatbotRequestError(`${step} request cancelled`, { type: 'aborted', step: step });
+                }
+                return new ChatbotRequestError(error.message, { type: 'network', step: step, retryable: true, cause: error });
+            };
+            
+            try {
+                // Resolved per attempt so short-lived tokens can be refreshed between retries
+                const headers = {
+                    'Content-Type': 'application/json',
+                    'Accept': this.config.streaming
+                        ? 'text/event-stream, application/x-ndjson, application/json'
+                        : 'application/json',
+                    ...(await this.resolveRequestHeaders(context))
+                };
                 
-                // For all other steps, ensure session_id is included
-                if (!data.session_id) {
-                    data.session_id = this.state.session_id || this.getSessionId() || '';
+                let response;
+                try {
+                    response = await this.transport.send(payload, {
+                        signal: controller.signal,
+                        endpoint: endpoint,
+                        headers: headers,
+                        context: context
+                    });
+                } catch (error) {
+                    // Transports may throw typed errors themselves (e.g. the mock's 404)
+                    if (error instanceof ChatbotRequestError && !timedOut && !signal.aborted) throw error;
+                    throw toRequestError(error);
+                }
+                
+                // Stream from a non-HTTP transport (WebSocket frames, mock tokens)
+                if (isAsyncIterable(response)) {
+                    clearTimeout(timer); // Tokens may keep coming for longer than the timeout
+                    const streamed = await this.readStreamedResponse(response, step, controller, signal);
+                    if (signal.aborted) throw toRequestError(new Error('aborted'));
+                    return streamed;
+                }
+                
+                // Already parsed reply from a non-HTTP transport
+                if (!response || typeof response.text !== 'function') {
+                    if (!response || typeof response !== 'object') {
+                        throw new ChatbotRequestError('Empty response from transport', { type: 'parse', step: step });
+                    }
+                    return response;
                 }
                 
-                const response = await fetch(this.config.webhookUrl, {
-                    method: 'POST',
-                    headers: { 'Content-Type': 'application/json' },
-                    body: JSON.stringify(data)
-                });
-
-                this.removeTypingIndicator();
-
                 if (!response.ok) {
-                    const errorText = await response.text();
-                    throw new Error(`HTTP ${response.status}: ${errorText || response.statusText}`);
+                    const errorText = await response.text().catch(() => '');
+                    const isHtml = errorText.trim().startsWith('<!DOCTYPE') || errorText.trim().startsWith('<html');
+                    throw new ChatbotRequestError(`HTTP ${response.status}: ${(!isHtml && errorText) || response.statusText}`, {
+                        type: 'http',
+                        step: step,
+                        status: response.status,
+                        retryable: RETRYABLE_STATUSES.includes(response.status),
+                        retryAfter: parseRetryAfter(response.headers.get('retry-after'))
+                    });
+                }
+                
+                // Streamed replies render token by token; the caller gets the assembled response
+                const contentType = (response.headers.get('content-type') || '').toLowerCase();
+                if (response.body && (contentType.includes('text/event-stream') || contentType.includes('application/x-ndjson'))) {
+                    clearTimeout(timer); // Tokens may keep coming for longer than the timeout
+                    const streamed = await this.readStreamedResponse(readEventStream(response, controller.signal), step, controller, signal);
+                    if (signal.aborted) throw toRequestError(new Error('aborted'));
+                    return streamed;
                 }
                 
-                const text = await response.text();
-                if (!text) throw new Error('Empty response from server');
+                let text;
+                try {
+                    text = await response.text();
+                } catch (error) {
+                    throw toRequestError(error);
+                }
+                if (!text) {
+                    throw new ChatbotRequestError('Empty response from server', { type: 'parse', step: step });
+                }
                 
-                let parsedResponse;
                 try {
-                    parsedResponse = JSON.parse(text);
+                    return JSON.parse(text);
                 } catch (parseError) {
-                    throw new Error(`Invalid JSON response: ${parseError.message}`);
+                    throw new ChatbotRequestError(`Invalid JSON response: ${parseError.message}`, { type: 'parse', step: step });
+                }
+            } finally {
+                clearTimeout(timer);
+                signal.removeEventListener('abort', forwardAbort);
+            }
+        }
+        
+        /**
+         * Resolves config.headers for one attempt
+         * 
+         * @param {Object} context - Request context
+         * @returns {Promise<Object>} Header map (empty when not configured)
+         * @throws {ChatbotRequestError} 'hook' error when the headers function fails
+         */
+        async resolveRequestHeaders(context) {
+            const headers = this.config.headers;
+            if (!headers) return {};
+            if (typeof headers !== 'function') return headers;
+            try {
+                return (await headers(context)) || {};
+            } catch (error) {
+                throw new ChatbotRequestError(`headers() failed: ${error.message}`, { type: 'hook', step: context.step, cause: error });
+            }
+        }
+        
+        /**
+         * Builds the `meta` block sent with every request
+         * 
+         * Evaluated per request, so route changes in single-page apps are reflected.
+         * config.context is merged over the defaults: page_url, page_title, referrer,
+         * viewport ('mobile', 'tablet' or 'desktop'), locale_source and user_agent.
+         * 
+         * @param {Object} context - Request context passed to config.context
+         * @returns {Promise<Object|null>} Meta block, or null when config.context is false
+         * @throws {ChatbotRequestError} 'hook' error when config.context throws
+         */
+        async buildRequestMeta(context) {
+            const custom = this.config.context;
+            if (custom === false) return null;
+            
+            let fields = custom || {};
+            if (typeof custom === 'function') {
+                try {
+                    fields = (await custom(context)) || {};
+                } catch (error) {
+                    throw new ChatbotRequestError(`context() failed: ${error.message}`, { type: 'hook', step: context.step, cause: error });
+                }
+            }
+            return {
+                page_url: window.location.href,
+                page_title: document.title || '',
+                referrer: document.referrer || '',
+                viewport: getViewportClass(),
+                locale_source: this.localeSource || '',
+                user_agent: navigator.userAgent || '',
+                ...fields
+            };
+        }
+        
+        /**
+         * Runs config.beforeRequest or config.afterResponse
+         * 
+         * A hook returning undefined keeps the (possibly mutated) value it was given.
+         * 
+         * @param {string} name - 'beforeRequest' or 'afterResponse'
+         * @param {*} value - Request body or parsed response
+         * @param {Object} context - Request context
+         * @returns {Promise<*>} Value to use from here on
+         * @throws {ChatbotRequestError} 'hook' error when the hook throws
+         */
+        async runRequestHook(name, value, context) {
+            const hook = this.config[name];
+            if (typeof hook !== 'function') return value;
+            try {
+                const result = await hook(value, context);
+                return result === undefined ? value : result;
+            } catch (error) {
+                throw new ChatbotRequestError(`${name}() failed: ${error.message}`, { type: 'hook', step: context.step, cause: error });
+            }
+        }
+        
+        /**
+         * Returns the user-facing text for a failed request
+         * 
+         * @param {ChatbotRequestError} error - Typed request error
+         * @returns {string} Message shown in the chat
+         */
+        describeRequestError(error) {
+            if (error.type === 'timeout') {
+                return this.t('errorTimeout');
+            }
+            if (error.type === 'network') {
+                return this.t('errorNetwork');
+            }
+            if (error.type === 'parse') {
+                return this.t('errorParse');
+            }
+            if (error.status === 429) {
+                return this.t('errorRateLimit');
+            }
+            if (error.status === 502 || error.status === 504) {
+                return this.t('errorUnavailable');
+            }
+            if (error.status === 503) {
+                return this.t('errorMaintenance');
+            }
+            if (error.status >= 500) {
+                return this.t('errorServer');
+            }
+            return this.t('errorGeneric');
+        }
+        
+        /**
+         * Shows a failed request as a bot message with a Retry button
+         * 
+         * The message is not cached; clicking Retry removes it and calls retry().
+         * 
+         * @param {ChatbotRequestError} error - Typed request error
+         * @param {Function} retry - Re-runs the failed action
+         */
+        showRequestError(error, retry) {
+            const container = this.addMessage(this.describeRequestError(error), true, false);
+            const messageDiv = container.parentElement;
+            messageDiv.classList.add('chatbot-lg-error-message');
+            messageDiv.setAttribute('data-error-type', error.type || 'network');
+            container.querySelector('.chatbot-lg-message-bubble').style.color = 'var(--chatbot-lg-error)';
+            
+            const retryBtn = document.createElement('button');
+            retryBtn.className = 'chatbot-lg-retry-btn';
+            retryBtn.textContent = this.t('retry');
+            retryBtn.addEventListener('click', () => {
+                messageDiv.remove();
+                retry();
+            });
+            container.appendChild(retryBtn);
+            this.scrollToBottom();
+        }
+        
+        /**
+         * Reads a streamed reply and renders it while it arrives
+         * 
+         * Each payload (SSE `data:` payload, NDJSON line or frame from a transport) is
+         * either plain text (appended to the answer) or a JSON object: its `token` string
+         * is appended, every other field (options, step, text_input_enabled, session_id, ...)
+         * is kept as metadata. A `[DONE]` payload is ignored. The Stop button aborts the
+         * stream and keeps what has been received so far; a stream superseded by a newer
+         * request on its channel removes its partial bubble and the Stop button instead.
+         * 
+         * @param {AsyncIterable<string|Object>} source - Streamed payloads, see readEventStream()
+         * @param {string} step - Step that was requested (used when the stream sends none)
+         * @param {AbortController} controller - Controller of the underlying request
+         * @param {AbortSignal} signal - Channel signal, aborted when the request is superseded
+         * @returns {Promise<Object>} Response object with the streamed text as `answer`,
+         *                            ready for handleResponse()
+         */
+        async readStreamedResponse(source, step, controller, signal) {
+            const metadata = {};
+            let answer = '';
+            
+            const applyPayload = (payload) => {
+                if (payload === '' || payload === '[DONE]') return;
+                let parsed = payload;
+                if (typeof payload === 'string') {
+                    try {
+                        parsed = JSON.parse(payload);
+                    } catch (e) {
+                        answer += payload; // Plain text token
+                        return;
+                    }
                 }
-                
-                // Handle array responses (n8n sometimes returns arrays)
-                // If response is an array, extract the first element
-                if (Array.isArray(parsedResponse) && parsedResponse.length > 0) {
-                    parsedResponse = parsedResponse[0];
+                // n8n may wrap objects in an array
+                if (Array.isArray(parsed)) parsed = parsed[0];
+                if (!parsed || typeof parsed !== 'object') {
+                    answer += String(parsed);
+                    return;
                 }
-                
-                return parsedResponse;
-            } catch (error) {
-                this.removeTypingIndicator();
-                
-                // Better error messages
-                let errorMsg = error.message;
-                if (error.message.includes('Failed to fetch') || error.message.includes('NetworkError')) {
-                    errorMsg = `❌ Connection Error: ${error.message}\n\n` +
-                              `Possible causes:\n` +
-                              `• CORS not enabled on server\n` +
-                              `• Network connectivity issue\n` +
-                              `• Webhook URL incorrect\n\n` +
-                              `Check browser console (F12) for details.`;
-                } else if (error.message.includes('CORS')) {
-                    errorMsg = `❌ CORS Error: ${error.message}\n\n` +
-                              `Make sure your n8n webhook has these headers:\n` +
-                              `• Access-Control-Allow-Origin: *\n` +
-                              `• Access-Control-Allow-Methods: POST, OPTIONS\n` +
-                              `• Access-Control-Allow-Headers: Content-Type`;
-                } else if (error.message.includes('Invalid JSON')) {
-                    errorMsg = `❌ Invalid Response: ${error.message}\n\n` +
-                              `The server returned invalid JSON. Please check the backend response format.`;
+                const { token, ...rest } = parsed;
+                if (typeof token === 'string') answer += token;
+                Object.assign(metadata, rest);
+            };
+            
+            this.streamController = controller;
+            this.startStreamingMessage();
+            const streaming = this.streamingMessage;
+            
+            try {
+                for await (const payload of source) {
+                    if (controller.signal.aborted) break;
+                    applyPayload(payload);
+                    this.updateStreamingMessage(metadata.answer !== undefined ? metadata.answer : answer);
                 }
-                
-                console.error('Chatbot Error:', error);
-                console.error('Request that failed:', data);
-                this.addMessage(errorMsg, true);
-                
-                // Re-enable input if it was enabled before error
-                const input = document.getElementById('chatbot-lg-input');
-                if (input && !input.disabled) {
-                    // Input was enabled, keep it enabled after error
-                    const sendBtn = document.getElementById('chatbot-lg-send');
-                    if (sendBtn) sendBtn.disabled = !input.value.trim();
+            } catch (error) {
+                if (!controller.signal.aborted) {
+                    // Keep the partial answer; the connection dropped mid-stream
+                    console.error('Stream interrupted:', error);
+                    this.emit('error', { step: step, message: error.message, error: error });
+                }
+            } finally {
+                if (this.streamController === controller) this.streamController = null;
+                // Superseded: the caller throws 'aborted', nothing renders into this bubble
+                if (signal.aborted) {
+                    if (this.streamingMessage === streaming) this.streamingMessage = null;
+                    streaming.container.parentElement.remove();
+                    const stopBtn = this.root.getElementById('chatbot-lg-stop');
+                    if (stopBtn) stopBtn.remove();
                 }
-                
-                return null;
             }
+            if (controller.signal.aborted && !signal.aborted) {
+                console.log('⏹️ Stream stopped by user');
+                // Stopped before the trailing metadata: offer the step's way forward anyway
+                if (!metadata.options) metadata.options = this.getDefaultOptions(metadata.step || step);
+            }
+            
+            // A full `answer` in the metadata wins over the accumulated tokens
+            return {
+                step: step,
+                ...metadata,
+                answer: metadata.answer !== undefined ? metadata.answer : answer
+            };
+        }
+        
+        /**
+         * Adds an empty bot bubble for a streamed answer and shows the Stop button
+         */
+        startStreamingMessage() {
+            this.removeTypingIndicator(); // The answer itself shows the bot is writing
+            const container = this.addMessage('', true, false);
+            const bubble = container.querySelector('.chatbot-lg-message-bubble');
+            bubble.classList.add('chatbot-lg-streaming');
+            // Read once complete rather than token by token
+            container.parentElement.setAttribute('aria-busy', 'true');
+            this.streamingMessage = { container: container, bubble: bubble };
+            
+            this.footerDiv.innerHTML = `
+                <button class="chatbot-lg-stop-btn" id="chatbot-lg-stop" title="${this.t('stopTitle')}" data-i18n-title="stopTitle" data-i18n="stop">${this.t('stop')}</button>
+            `;
+            this.root.getElementById('chatbot-lg-stop').addEventListener('click', () => {
+                if (this.streamController) this.streamController.abort();
+            });
+        }
+        
+        /**
+         * Re-renders the streaming bubble with the text received so far
+         * 
+         * @param {string} text - Markdown received so far
+         */
+        updateStreamingMessage(text) {
+            if (!this.streamingMessage) return;
+            this.streamingMessage.bubble.innerHTML = this.parseMarkdown(text);
+            this.scrollToBottom();
+        }
+        
+        /**
+         * Turns the streaming bubble into a regular, cached bot message
+         * 
+         * Called by handleResponse() so the streamed answer is cached with its options
+         * exactly like a non-streamed one. An empty answer removes the bubble.
+         * 
+         * @param {string} text - Final answer text
+         * @param {Array|null} options - Options to cache with the message
+         */
+        finishStreamingMessage(text, options = null) {
+            const { container, bubble } = this.streamingMessage;
+            this.streamingMessage = null;
+            
+            if (!text) {
+                container.parentElement.remove();
+                return;
+            }
+            bubble.classList.remove('chatbot-lg-streaming');
+            bubble.innerHTML = this.parseMarkdown(text);
+            container.parentElement.removeAttribute('aria-busy');
+            const messageId = this.saveMessageToCache(text, true, null, options);
+            if (messageId) container.parentElement.setAttribute('data-message-id', messageId);
+            this.scrollToBottom();
         }
 
         /**
@@ -3489,13 +8558,8 @@
                         this.footerDiv.innerHTML = '';
                         
                         // Enable appropriate UI elements based on restored step and state
-                        // Use fallback logic since we don't have backend response when restoring from cache
-                        // This matches the fallback logic in handleResponse()
-                        const shouldEnableInput = (this.state.currentStep === 'send_top_questions' && 
-                                                  this.state.concern_category === 'something_else') ||
-                                                 (this.state.currentStep === 'send_query_answer');
-                        
-                        if (shouldEnableInput) {
+                        // Use the flow fallback since we don't have backend response when restoring from cache
+                        if (this.isTextInputEnabled(this.state.currentStep)) {
                             this.enableTextInput();
                         } else {
                             // For other steps, show message that options will appear
@@ -3520,6 +8584,7 @@
             // BUT preserve session_id and locale if they were already set from send_ai_starting_disclaimer
             const existingSessionId = this.state.session_id || this.getSessionId() || '';
             const existingLocale = this.state.locale || ''; // Preserve locale from URL (extracted when chat icon was clicked)
+            const previousStep = this.state.currentStep;
             this.clearMessageCache();
             this.state = {
                 currentStep: 'send_user_types',
@@ -3529,8 +8594,11 @@
                 question: '',
                 locale: existingLocale // Preserve locale from URL
             };
+            if (previousStep !== 'send_user_types') {
+                this.emit('step:change', { from: previousStep, to: 'send_user_types' });
+            }
 
-            this.footerDiv.innerHTML = '<div style="text-align: center; color: rgba(0, 61, 70, 0.6); padding: 8px; font-size: 13px;">Loading...</div>';
+            this.footerDiv.innerHTML = `<div style="text-align: center; color: rgba(var(--chatbot-lg-text-rgb), 0.6); padding: 8px; font-size: 13px;" data-i18n="loading">${this.t('loading')}</div>`;
 
             // Send request - session_id will be auto-filled by sendRequest() from state or storage
             const response = await this.sendRequest({
@@ -3540,22 +8608,20 @@
 
             if (response) {
                 this.handleResponse(response);
-            } else {
-                // If request failed, show error and allow retry
-                this.footerDiv.innerHTML = `
-                    <button class="chatbot-lg-start-btn" id="chatbot-lg-start">Retry</button>
-                `;
-                this.widget.querySelector('#chatbot-lg-start').addEventListener('click', () => this.startChat());
+            } else if (!this.pendingRequests.has('chat')) {
+                // Failed - the error message in the chat carries the Retry button
+                this.footerDiv.innerHTML = '';
             }
         }
 
         /**
          * Handles user clicks on option buttons
          * 
-         * Processes option selections based on the current conversation step:
+         * Processes option selections with the flow definition of the current step
+         * (see DEFAULT_FLOW): writes the selected state field, then requests the option's
+         * next_step or the step's default next step with the fields that step declares.
          * - send_user_types: Saves user_type and requests concern categories
          * - send_concern_categories: Saves concern_category and requests top questions
-         *   (or enables input if "something_else" is selected)
          * - send_top_questions: Sends question to AI agent (or enables input if "something_else")
          * - answer: Handles "Ask another question" (restarts from concern categories)
          *           or "Talk to Human" (sends redirect_to_human_support)
@@ -3565,15 +8631,17 @@
          * @param {string} option.option_value - Display text for the option
          */
         async handleOptionClick(option) {
+            this.emit('option:select', { step: this.state.currentStep, option: option });
+            
             // Check if we're handling Yes/No confirmation for "Ask another question"
             if (this.state.askAnotherConfirmation) {
                 if (option.id === 'ask_another_yes') {
                     // User clicked "Yes" - proceed with asking another question
-                    this.addMessage('Yes', false);
+                    this.addMessage(option.option_value, false);
                     await this.handleAskAnotherConfirmation('yes');
                 } else if (option.id === 'ask_another_no') {
                     // User clicked "No" - proceed with AI disclaimer and ratings
-                    this.addMessage('No', false);
+                    this.addMessage(option.option_value, false);
                     await this.handleAskAnotherConfirmation('no');
                 }
                 return; // Exit early, don't process as normal option
@@ -3587,200 +8655,274 @@
             // This prevents users from changing their selection at a previous step
             // Note: This will disable options from the current step, which is correct
             // because after clicking, we move to the next step
-            const allOptionButtons = document.querySelectorAll('.chatbot-lg-option-btn');
+            this.disableStepOptions(optionStep);
+            
+            // Add user message
+            // Safeguard: If option_value is a step name (shouldn't happen), show the step's label instead
+            const namedStep = this.flow[option.option_value];
+            const displayText = (namedStep && namedStep.label) || option.option_value;
+            
+            // Only add user message if it's not empty
+            // Selections at steps that write a state field can be edited later
+            if (displayText && displayText.trim() !== '') {
+                const container = this.addMessage(displayText, false);
+                if (this.isEditableStep(optionStep)) {
+                    this.markSelectionMessage(container, optionStep);
+                    this.markLastCachedMessageAsSelection(optionStep);
+                }
+            }
+            
+            // Interpret the flow definition of the step these options belong to
+            const definition = this.getFlowStep(optionStep, option.id);
+            const nextStep = option.next_step || (definition && definition.next);
+            if (!definition || !nextStep) {
+                console.warn(`⚠️ No flow definition for step "${optionStep}" - option ignored`);
+                return;
+            }
+            
+            (definition.clears || []).forEach(field => {
+                this.state[field] = '';
+            });
+            if (definition.selects) {
+                this.state[definition.selects] = definition.selectValue === 'value' ? option.option_value : option.id;
+            }
+            this.setStep(nextStep);
+            
+            if (nextStep === 'redirect_to_human_support') {
+                this.emit('handoff', { source: 'option', question: this.state.question || '', live: !!this.config.liveAgent });
+                // With a live agent configured the handoff happens in the panel, not through the backend
+                if (this.config.liveAgent) {
+                    await this.startLiveAgent();
+                    return;
+                }
+            }
+            
+            const response = await this.sendRequest(this.buildStepRequest(nextStep));
+            if (response) this.handleResponse(response);
+        }
+        
+        /**
+         * Returns the flow definition for a step, with the route of a specific option applied
+         * 
+         * @param {string} step - Step the option belongs to
+         * @param {string} [optionId] - Chosen option id, for per-option `routes`
+         * @returns {Object|null} Step definition, or null if the flow does not know the step
+         */
+        getFlowStep(step, optionId) {
+            const definition = this.flow[step];
+            if (!definition) return null;
+            const route = definition.routes && optionId !== undefined ? definition.routes[optionId] : null;
+            return route ? { ...definition, ...route } : definition;
+        }
+        
+        /**
+         * Options of a step's flow `defaultOptions`, labelled in the active locale
+         * 
+         * @param {string} step - Step whose reply has no options
+         * @returns {Array<Object>|null} Options for addOptions(), or null when the step declares none
+         */
+        getDefaultOptions(step) {
+            const definition = this.flow[step];
+            if (!definition || !Array.isArray(definition.defaultOptions)) return null;
+            return definition.defaultOptions.map(option => ({
+                id: option.id,
+                option_value: this.t(option.label),
+                next_step: option.next_step
+            }));
+        }
+        
+        /**
+         * Builds the request body for a step from the state fields its flow definition lists
+         * 
+         * @param {string} step - Step to request
+         * @returns {Object} Request data for sendRequest()
+         */
+        buildStepRequest(step) {
+            const definition = this.flow[step];
+            const fields = (definition && definition.fields) || DEFAULT_REQUEST_FIELDS;
+            const requestData = { step: step };
+            fields.forEach(field => {
+                requestData[field] = this.state[field] || '';
+            });
+            requestData.session_id = this.state.session_id || '';
+            requestData.locale = this.state.locale || '';
+            return requestData;
+        }
+        
+        /**
+         * Whether the text input should be enabled at a step
+         * 
+         * An answer always allows follow-up questions. Otherwise the backend's
+         * text_input_enabled wins, unless the step declares textInput: 'always';
+         * without it the step's textInput decides.
+         * 
+         * @param {string} step - Current step
+         * @param {Object} [response] - Backend response (omitted when restoring from cache)
+         * @returns {boolean}
+         */
+        isTextInputEnabled(step, response = {}) {
+            const definition = this.flow[step] || {};
+            if (definition.textInput === 'always' || response.answer) return true;
+            if (response.text_input_enabled === true || response.text_input_enabled === false) {
+                return response.text_input_enabled;
+            }
+            if (typeof definition.textInput === 'function') return !!definition.textInput(this.state);
+            return definition.textInput === true;
+        }
+
+        /**
+         * Disables every option button rendered for the given step
+         * 
+         * @param {string} step - Step whose options should no longer be clickable
+         */
+        disableStepOptions(step) {
+            const allOptionButtons = this.root.querySelectorAll('.chatbot-lg-option-btn');
             allOptionButtons.forEach(btn => {
                 const btnStep = btn.getAttribute('data-step');
-                if (btnStep === optionStep) {
+                if (btnStep === step) {
                     btn.disabled = true;
                     btn.setAttribute('data-selected', 'true');
                     btn.onclick = null; // Remove click handler
                 }
             });
+        }
+
+        // ====================================================================
+        // BACK / EDIT METHODS
+        // ====================================================================
+        // Rewinds the conversation to an earlier selection so it can be changed
+        
+        /**
+         * Whether a selection made at this step can be edited later
+         * 
+         * @param {string} step - Step the option belongs to
+         * @returns {boolean} True for steps whose flow definition writes a state field,
+         *                    unless it sets `editable: false`
+         */
+        isEditableStep(step) {
+            const definition = this.flow[step];
+            return !!definition && !!definition.selects && definition.editable !== false;
+        }
+        
+        /**
+         * Whether past selections can be edited right now
+         * Not before the first selection, during a live agent conversation, nor once rating
+         * started or the conversation ended.
+         * 
+         * @returns {boolean}
+         */
+        canEditSelections() {
+            const step = this.state.currentStep;
+            return !this.destroyed && !this.liveAgent && !!step && step !== 'send_rating' && step !== 'send_ai_disclaimer';
+        }
+        
+        /**
+         * Turns a user message into an editable selection made at `step`
+         * 
+         * @param {HTMLElement} container - Message container returned by addMessage()
+         * @param {string} step - Step whose option the message shows
+         */
+        markSelectionMessage(container, step) {
+            container.parentElement.setAttribute('data-selection-step', step);
             
-            // Add user message
-            // Safeguard: If option_value is a step name (shouldn't happen, but handle gracefully)
-            const stepNameMap = {
-                'redirect_to_human_support': 'Talk to Human',
-                'send_user_types': 'Start Chat',
-                'send_concern_categories': 'Select Concern',
-                'send_top_questions': 'Select Question',
-                'send_query_answer': 'Ask Question',
-                'send_ai_disclaimer': 'Send AI Disclaimer'
-            };
+            const editBtn = document.createElement('button');
+            editBtn.className = 'chatbot-lg-edit-btn';
+            editBtn.textContent = this.t('edit');
+            editBtn.title = this.t('editTitle');
+            editBtn.addEventListener('click', () => this.editSelection(container.parentElement));
+            container.appendChild(editBtn);
+        }
+        
+        /**
+         * Shows the Back button and Edit links only while a past selection can be changed
+         */
+        updateNavigation() {
+            if (!this.widget) return;
+            const canEdit = this.canEditSelections();
+            this.widget.classList.toggle('chatbot-lg-no-edit', !canEdit);
             
-            // Use friendly text if option_value matches a step name, otherwise use option_value
-            const displayText = stepNameMap[option.option_value] || option.option_value;
+            const backBtn = this.widget.querySelector('#chatbot-lg-back');
+            const hasSelection = !!this.messagesDiv.querySelector('.chatbot-lg-message[data-selection-step]');
+            if (backBtn) backBtn.style.display = canEdit && hasSelection ? '' : 'none';
+        }
+        
+        /**
+         * Goes back one step: reopens the most recent selection
+         * 
+         * @returns {Promise<boolean>} False if there is nothing to go back to
+         */
+        async back() {
+            const selections = this.messagesDiv.querySelectorAll('.chatbot-lg-message[data-selection-step]');
+            if (selections.length === 0) return false;
+            return this.editSelection(selections[selections.length - 1]);
+        }
+        
+        /**
+         * Reopens the step where a selection was made so the user can choose again
+         * 
+         * The bot message that offered the options and everything after it are removed
+         * from the chat and the message cache, the state is rewound to what it was when
+         * the options were offered, and the step is requested again with the same session_id.
+         * 
+         * @param {HTMLElement} selectionMessage - User message marked by markSelectionMessage()
+         * @returns {Promise<boolean>} False if the selection can no longer be edited
+         */
+        async editSelection(selectionMessage) {
+            if (!this.canEditSelections() || !selectionMessage || !selectionMessage.isConnected) return false;
+            const step = selectionMessage.getAttribute('data-selection-step');
             
-            // Only add user message if it's not empty
-            if (displayText && displayText.trim() !== '') {
-                this.addMessage(displayText, false);
-            }
-
-            let requestData = {};
-
-            if (this.state.currentStep === 'send_user_types') {
-                requestData = {
-                    step: 'send_concern_categories',
-                    user_type: option.id,
-                    session_id: this.state.session_id || '',
-                    locale: this.state.locale || ''
-                };
-                this.state.user_type = option.id;
-                this.state.currentStep = 'send_concern_categories';
-            }
-            else if (this.state.currentStep === 'send_concern_categories') {
-                this.state.question = '';
-                // Always send request to backend - backend handles "something_else" logic
-                    requestData = {
-                        step: 'send_top_questions',
-                        user_type: this.state.user_type,
-                        concern_category: option.id,
-                        session_id: this.state.session_id || '',
-                        locale: this.state.locale || ''
-                    };
-                    this.state.concern_category = option.id;
-                    this.state.currentStep = 'send_top_questions';
-            }
-            else if (this.state.currentStep === 'send_top_questions') {
-                // Special handling for "Something else" option
-                if (option.id === 'something_else') {
-                    // Switch to free text mode - request the something_else config from backend
-                    requestData = {
-                        step: 'send_top_questions',
-                        user_type: this.state.user_type,
-                        concern_category: 'something_else',
-                        session_id: this.state.session_id || '',
-                        locale: this.state.locale || ''
-                    };
-                    this.state.concern_category = 'something_else';
-                    this.state.question = '';
-                    this.state.currentStep = 'send_top_questions';
-                } else {
-                    // Normal question handling - check if option has next_step defined (backend-controlled routing)
-                    if (option.next_step) {
-                        // Backend defined next step - use it
-                        requestData = {
-                            step: option.next_step,
-                            user_type: this.state.user_type,
-                            concern_category: this.state.concern_category,
-                            question: option.option_value,
-                            session_id: this.state.session_id || '',
-                            locale: this.state.locale || ''
-                        };
-                        this.state.question = option.option_value;
-                        this.state.currentStep = option.next_step;
-                    } else {
-                        // Default: Send to AI agent (send_query_answer)
-                    requestData = {
-                        step: 'send_query_answer',
-                        user_type: this.state.user_type,
-                        concern_category: this.state.concern_category,
-                        question: option.option_value,
-                        session_id: this.state.session_id || '',
-                        locale: this.state.locale || ''
-                    };
-                    this.state.question = option.option_value;
-                    this.state.currentStep = 'send_query_answer';
-                }
+            // Rewind to the bot message that offered this step's options
+            let target = selectionMessage.previousElementSibling;
+            while (target && !target.querySelector(`.chatbot-lg-options[data-step="${step}"]`)) {
+                target = target.previousElementSibling;
             }
+            if (!target) {
+                console.warn('ChatbotLiquidGlass: Options for this selection are no longer in the chat:', step);
+                return false;
             }
-            else if (this.state.currentStep === 'send_query_answer') {
-                // Use next_step from option (backend-controlled routing)
-                const nextStep = option.next_step || 'send_query_answer';
-                
-                // Build request data based on next step
-                if (nextStep === 'send_concern_categories') {
-                    // "Ask another question" - Start new question flow
-                    // Preserve session_id and user_type, reset concern_category and question
-                    requestData = {
-                        step: nextStep,
-                        user_type: this.state.user_type,
-                        session_id: this.state.session_id || '',
-                        locale: this.state.locale || ''
-                        // Don't send concern_category or question (reset for new question)
-                    };
-                    this.state.currentStep = nextStep;
-                } else if (nextStep === 'redirect_to_human_support') {
-                    // "Talk to Human" - Include current question context
-                    requestData = {
-                        step: nextStep,
-                        user_type: this.state.user_type,
-                        concern_category: this.state.concern_category || '',
-                        question: this.state.question || '',
-                        session_id: this.state.session_id || '',
-                        locale: this.state.locale || ''
-                    };
-                    this.state.currentStep = nextStep;
-                } else if (nextStep === 'send_rating') {
-                    // "End Chat" - Go to rating step
-                    requestData = {
-                        step: nextStep,
-                        user_type: this.state.user_type,
-                        concern_category: this.state.concern_category || '',
-                        question: this.state.question || '',
-                        session_id: this.state.session_id || '',
-                        locale: this.state.locale || ''
-                        // rating_enabled is determined by backend from database
-                    };
-                    this.state.currentStep = nextStep;
-                } else {
-                    // Default: Continue with current question context
-                    requestData = {
-                        step: nextStep,
-                        user_type: this.state.user_type,
-                        concern_category: this.state.concern_category || '',
-                        question: this.state.question || '',
-                        session_id: this.state.session_id || '',
-                        locale: this.state.locale || ''
-                    };
-                    this.state.currentStep = nextStep;
-                }
-            }
-            else if (this.state.currentStep === 'redirect_to_human_support') {
-                // Use next_step from option (backend-controlled routing)
-                const nextStep = option.next_step || 'redirect_to_human_support';
-                
-                // Build request data based on next step
-                if (nextStep === 'send_concern_categories') {
-                    // "Ask another question" - Start new question flow
-                    // Preserve session_id and user_type, reset concern_category and question
-                    requestData = {
-                        step: nextStep,
-                        user_type: this.state.user_type,
-                        session_id: this.state.session_id || '',
-                        locale: this.state.locale || ''
-                        // Don't send concern_category or question (reset for new question)
-                    };
-                    this.state.currentStep = nextStep;
-                } else if (nextStep === 'send_rating') {
-                    // "End Chat" - Go to rating step
-                    requestData = {
-                        step: nextStep,
-                        user_type: this.state.user_type,
-                        concern_category: this.state.concern_category || '',
-                        question: this.state.question || '',
-                        session_id: this.state.session_id || '',
-                        locale: this.state.locale || ''
-                    };
-                    this.state.currentStep = nextStep;
-                } else {
-                    // Default: Continue with current question context
-                    requestData = {
-                        step: nextStep,
-                        user_type: this.state.user_type,
-                        concern_category: this.state.concern_category || '',
-                        question: this.state.question || '',
-                        session_id: this.state.session_id || '',
-                        locale: this.state.locale || ''
-                    };
-                    this.state.currentStep = nextStep;
-                }
+            
+            // Whatever is still loading or streaming belongs to the steps being removed
+            const pending = this.pendingRequests.get('chat');
+            if (pending) pending.abort();
+            this.streamingMessage = null;
+            this.removeTypingIndicator();
+            clearTimeout(this.startButtonTimer);
+            this.startButtonTimer = null;
+            
+            // Selections removed from the chat no longer hold
+            const prunedSteps = [step];
+            while (target.nextElementSibling) {
+                const removed = target.nextElementSibling;
+                const removedStep = removed.getAttribute('data-selection-step');
+                if (removedStep) prunedSteps.push(removedStep);
+                removed.remove();
             }
-
-            if (Object.keys(requestData).length > 0) {
-                const response = await this.sendRequest(requestData);
-                if (response) this.handleResponse(response);
+            const targetId = target.getAttribute('data-message-id');
+            target.remove();
+            
+            // The cached options message remembers the state at that point
+            const snapshot = targetId ? this.truncateMessageCache(targetId) : null;
+            if (snapshot) {
+                this.state.user_type = snapshot.user_type || '';
+                this.state.concern_category = snapshot.concern_category || '';
+                this.state.question = snapshot.question || '';
+            } else {
+                prunedSteps.forEach(prunedStep => {
+                    const definition = this.flow[prunedStep] || {};
+                    if (definition.selects) this.state[definition.selects] = '';
+                    (definition.clears || []).forEach(field => { this.state[field] = ''; });
+                });
             }
+            this.state.askAnotherConfirmation = false;
+            
+            console.log('↩️ Rewinding to', step);
+            this.emit('rewind', { step: step });
+            this.setStep(step);
+            this.footerDiv.innerHTML = '';
+            
+            const response = await this.sendRequest(this.buildStepRequest(step));
+            if (response) this.handleResponse(response);
+            return true;
         }
 
         /**
@@ -3791,21 +8933,21 @@
          */
         showAskAnotherConfirmation() {
             // Add user message showing "Ask another question"
-            this.addMessage('Ask another question', false);
+            this.addMessage(this.t('askAnother'), false);
             
             // Add bot confirmation message
-            const confirmationMessage = 'Ask another question?';
+            const confirmationMessage = this.t('askAnotherConfirm');
             this.addMessage(confirmationMessage, true);
             
             // Create Yes/No options
             const confirmationOptions = [
                 {
                     id: 'ask_another_yes',
-                    option_value: 'Yes'
+                    option_value: this.t('yes')
                 },
                 {
                     id: 'ask_another_no',
-                    option_value: 'No'
+                    option_value: this.t('no')
                 }
             ];
             
@@ -3827,30 +8969,17 @@
             
             if (choice === 'yes') {
                 // User clicked "Yes" - Send send_concern_categories step
-                const requestData = {
-                    step: 'send_concern_categories',
-                    user_type: this.state.user_type,  // ✅ Preserved (same user)
-                    session_id: this.state.session_id || '',  // ✅ Preserved (same session)
-                    locale: this.state.locale || ''
-                    // concern_category: NOT SENT (reset for new question)
-                    // question: NOT SENT (reset for new question)
-                };
-                this.state.currentStep = 'send_concern_categories';
+                // Same user and session; concern_category and question are not sent (new question)
+                const requestData = this.buildStepRequest('send_concern_categories');
+                this.setStep('send_concern_categories');
                 
                 const response = await this.sendRequest(requestData);
                 if (response) this.handleResponse(response);
             } else if (choice === 'no') {
                 // User clicked "No" - Send send_ai_disclaimer step
                 // The backend should return with rating_enabled: true
-                const requestData = {
-                    step: 'send_ai_disclaimer',
-                    session_id: this.state.session_id || '',
-                    user_type: this.state.user_type || '',
-                    concern_category: this.state.concern_category || '',
-                    question: this.state.question || '',
-                    locale: this.state.locale || ''
-                };
-                this.state.currentStep = 'send_ai_disclaimer';
+                const requestData = this.buildStepRequest('send_ai_disclaimer');
+                this.setStep('send_ai_disclaimer');
                 
                 const response = await this.sendRequest(requestData);
                 if (response) this.handleResponse(response);
@@ -3861,31 +8990,41 @@
          * Sends a user-typed question to the backend
          * 
          * Reads the question from the input field, adds it as a user message,
-         * and sends it to the backend with send_query_answer step.
+         * and sends it to the backend with send_query_answer step (or the field and
+         * step named by the current step's `input` flow definition), or to the
+         * agent during a live agent conversation.
          * Clears and re-enables the input field after sending.
          */
         async sendQuestion() {
-            const input = document.getElementById('chatbot-lg-input');
+            const input = this.root.getElementById('chatbot-lg-input');
             const question = input?.value.trim();
             if (!question) return;
 
             input.disabled = true;
-            const sendBtn = document.getElementById('chatbot-lg-send');
+            const sendBtn = this.root.getElementById('chatbot-lg-send');
             if (sendBtn) sendBtn.disabled = true;
 
             this.addMessage(question, false);
             
-            // Store the question in state so it's available for feedback submission
-            this.state.question = question;
+            // During a live agent conversation typed text goes to the agent
+            if (this.liveAgent) {
+                input.value = '';
+                input.disabled = false;
+                input.focus();
+                await this.sendAgentMessage(question);
+                return;
+            }
+            
+            // Store the text in the state field the step's flow definition names
+            // (the question by default, so it's available for feedback submission)
+            const definition = this.flow[this.state.currentStep];
+            const target = { ...DEFAULT_TEXT_INPUT, ...(definition && definition.input) };
+            this.state[target.field] = question;
+            if (target.field === 'question') {
+                this.emit('question:send', { question: question, concern_category: this.state.concern_category || '' });
+            }
 
-            const response = await this.sendRequest({
-                step: 'send_query_answer',
-                user_type: this.state.user_type,
-                concern_category: this.state.concern_category,
-                question: question,
-                session_id: this.state.session_id || '',
-                locale: this.state.locale || ''
-            });
+            const response = await this.sendRequest(this.buildStepRequest(target.next));
 
             if (response) {
                 // Clear input and re-enable for follow-up questions
@@ -3920,6 +9059,14 @@
          * @param {Array} [response.options] - Array of option buttons to display
          */
         handleResponse(response) {
+            this.emit('response', { step: response.step || '', payload: response });
+            
+            // Locales the backend can answer in, offered by the language switcher
+            if (Array.isArray(response.available_locales)) {
+                this.backendLocales = response.available_locales.map(normalizeLocaleTag).filter(Boolean);
+                this.updateLanguageSwitcher();
+            }
+            
             // Special handling for starting disclaimer step
             if (response.step === 'send_ai_starting_disclaimer') {
                 this.removeTypingIndicator();
@@ -3933,6 +9080,8 @@
                 // Update locale from backend response if provided
                 if (response.locale && response.locale.trim() !== '') {
                     this.state.locale = response.locale;
+                    this.localeSource = 'backend';
+                    this.updateUiLocale();
                 }
                 
                 // Show disclaimer with embedded links
@@ -3941,13 +9090,15 @@
                     
                     // CRITICAL: Verify disclaimer is actually in DOM before showing button
                     // Use setTimeout to ensure DOM has been updated
-                    setTimeout(() => {
+                    clearTimeout(this.startButtonTimer);
+                    this.startButtonTimer = setTimeout(() => {
+                        this.startButtonTimer = null;
                         const disclaimerInDom = this.messagesDiv.querySelector('.chatbot-lg-starting-disclaimer');
                         
                         // Only show button if disclaimer is confirmed to be in DOM
                         if (disclaimerInDom && this.footerDiv) {
                             this.footerDiv.innerHTML = `
-                                <button class="chatbot-lg-start-btn" id="chatbot-lg-start">Start Chat</button>
+                                <button class="chatbot-lg-start-btn" id="chatbot-lg-start" data-i18n="startChat">${this.t('startChat')}</button>
                             `;
                             const startButton = this.widget.querySelector('#chatbot-lg-start');
                             if (startButton) {
@@ -3957,14 +9108,14 @@
                             // Disclaimer not found in DOM - don't show button
                             console.warn('⚠️ Disclaimer not found in DOM, button not shown');
                             if (this.footerDiv) {
-                                this.footerDiv.innerHTML = '<div style="text-align: center; color: #ff3d3d; padding: 8px; font-size: 13px;">Error: Disclaimer not loaded. Please refresh.</div>';
+                                this.footerDiv.innerHTML = `<div style="text-align: center; color: var(--chatbot-lg-error); padding: 8px; font-size: 13px;">${this.t('errorNoDisclaimer')}</div>`;
                             }
                         }
                     }, 50); // Small delay to ensure DOM is updated
                 } else {
                     // No message in response - don't show button
                     if (this.footerDiv) {
-                        this.footerDiv.innerHTML = '<div style="text-align: center; color: #ff3d3d; padding: 8px; font-size: 13px;">Error: No message received. Please try again.</div>';
+                        this.footerDiv.innerHTML = `<div style="text-align: center; color: var(--chatbot-lg-error); padding: 8px; font-size: 13px;">${this.t('errorNoMessage')}</div>`;
                     }
                 }
                 return;
@@ -3979,11 +9130,13 @@
             // Update locale from backend response if provided
             if (response.locale && response.locale.trim() !== '') {
                 this.state.locale = response.locale;
+                this.localeSource = 'backend';
+                this.updateUiLocale();
             }
 
             // Use the step name from backend response (matches the switch node branch that processed it)
             if (response.step) {
-                this.state.currentStep = response.step;
+                this.setStep(response.step);
             }
 
             // Check if rating UI should be shown (step name determines this)
@@ -3997,40 +9150,19 @@
             if (response.message && response.message.trim() !== '') {
                 this.addMessage(response.message, true, true, optionsToStore);
             }
-            if (response.answer) {
+            if (this.streamingMessage) {
+                // Streamed answer is already on screen - finalize it in place
+                this.finishStreamingMessage(response.answer || '', optionsToStore);
+            } else if (response.answer) {
                 // Store options with the answer if they exist (and message didn't have them)
                 // Rating UI will be saved separately via updateLastCachedMessageRatingFlag
                 this.addMessage(response.answer, true, true, optionsToStore);
             }
 
             // Determine if input should be enabled
-            // Special case: After answer step, ALWAYS enable input for follow-up questions
-            // This allows users to ask follow-up questions related to the same category
-            let shouldEnableInput = false;
-            
-            // Special handling: Force enable input after send_query_answer step (for follow-up questions)
-            // When backend processes send_query_answer and returns an answer, it sends step: 'send_query_answer'
-            if (this.state.currentStep === 'send_query_answer' || response.answer) {
-                // After receiving an answer, always enable input for follow-up questions
-                // This allows users to continue the conversation about the same topic
-                shouldEnableInput = true;
-            } else {
-                // For all other steps, use backend value with fallback logic
-                // Priority: Backend value first, then fallback to frontend logic if backend value is invalid
-                
-                // Check if backend sent a valid boolean value for text_input_enabled
-                if (response.text_input_enabled === true || response.text_input_enabled === false) {
-                    // Backend provided valid value - use it
-                    shouldEnableInput = response.text_input_enabled === true;
-                } else {
-                    // Backend value is missing, null, undefined, or invalid - use fallback frontend logic
-                    // Fallback logic for cases where backend doesn't send text_input_enabled
-                    shouldEnableInput = (this.state.currentStep === 'send_top_questions' && 
-                                     this.state.concern_category === 'something_else');
-                }
-            }
-
-            if (shouldEnableInput) {
+            // Backend text_input_enabled first, the step's flow definition as fallback;
+            // after an answer input is always enabled for follow-up questions
+            if (this.isTextInputEnabled(this.state.currentStep, response)) {
                 this.enableTextInput();
             } else {
                 this.disableTextInput();
@@ -4045,6 +9177,18 @@
             }
 
             this.scrollToBottom();
+            
+            // Preselect defaults.initialTopic (or a deep link's topic) the first time concern categories are offered
+            if (response.step === 'send_concern_categories' && this.pendingTopic) {
+                const topicId = this.pendingTopic;
+                this.pendingTopic = null;
+                const topic = this.findStepOption('send_concern_categories', topicId);
+                if (topic) {
+                    this.handleOptionClick(topic);
+                } else {
+                    console.warn('ChatbotLiquidGlass: Topic not offered by backend:', topicId);
+                }
+            }
         }
 
         /**
@@ -4072,7 +9216,7 @@
          */
         addRatingUI(feedbackOptions = [], ratingMessage = null) {
             // Check if rating UI already exists
-            if (document.getElementById('chatbot-lg-rating-container')) return;
+            if (this.root.getElementById('chatbot-lg-rating-container')) return;
 
             const lastMessage = this.messagesDiv.lastElementChild;
             if (!lastMessage) return;
@@ -4088,13 +9232,11 @@
             // Create stars container (no label above stars)
             const starsContainer = document.createElement('div');
             starsContainer.className = 'chatbot-lg-stars-container';
+            // A radio group for screen readers: each star is a radio named "3 stars out of 5"
+            const starButtons = [1, 2, 3, 4, 5].map(rating => `
+                    <button type="button" class="chatbot-lg-star" data-rating="${rating}" role="radio" aria-checked="false" aria-label="${this.t('ratingStar', { count: rating })}">⭐</button>`).join('');
             starsContainer.innerHTML = `
-                <div class="chatbot-lg-stars" id="chatbot-lg-stars">
-                    <span class="chatbot-lg-star" data-rating="1">⭐</span>
-                    <span class="chatbot-lg-star" data-rating="2">⭐</span>
-                    <span class="chatbot-lg-star" data-rating="3">⭐</span>
-                    <span class="chatbot-lg-star" data-rating="4">⭐</span>
-                    <span class="chatbot-lg-star" data-rating="5">⭐</span>
+                <div class="chatbot-lg-stars" id="chatbot-lg-stars" role="radiogroup" aria-label="${this.t('ratingLabel')}">${starButtons}
                 </div>
             `;
 
@@ -4155,8 +9297,8 @@
             } else {
                 // Fallback: Show message if no valid feedback options
                 feedbackOptionsHTML = `
-                    <div class="chatbot-lg-feedback-label" style="color: rgba(0, 61, 70, 0.5); font-style: italic;">
-                        No feedback options available
+                    <div class="chatbot-lg-feedback-label" style="color: rgba(var(--chatbot-lg-text-rgb), 0.5); font-style: italic;">
+                        ${this.t('noFeedbackOptions')}
                     </div>
                 `;
             }
@@ -4166,7 +9308,8 @@
                 <textarea 
                     id="chatbot-lg-feedback-text" 
                     class="chatbot-lg-feedback-input" 
-                    placeholder="Please provide your feedback (required)"
+                    placeholder="${this.t('feedbackPlaceholder')}"
+                    aria-label="${this.t('feedbackPlaceholder')}"
                     rows="3"
                     style="display: none; margin-top: 10px;"
                 ></textarea>
@@ -4174,7 +9317,8 @@
                     id="chatbot-lg-submit-rating" 
                     class="chatbot-lg-submit-rating-btn"
                     disabled
-                    title="Submit Rating"
+                    title="${this.t('ratingSubmit')}"
+                    aria-label="${this.t('ratingSubmit')}"
                 >
                     ✓
                 </button>
@@ -4198,9 +9342,9 @@
          * @param {Array} feedbackOptions - Array of feedback option objects from backend
          */
         attachRatingEvents(feedbackOptions = []) {
-            const stars = document.querySelectorAll('.chatbot-lg-star');
-            const submitBtn = document.getElementById('chatbot-lg-submit-rating');
-            const feedbackTextInput = document.getElementById('chatbot-lg-feedback-text');
+            const stars = this.root.querySelectorAll('.chatbot-lg-star');
+            const submitBtn = this.root.getElementById('chatbot-lg-submit-rating');
+            const feedbackTextInput = this.root.getElementById('chatbot-lg-feedback-text');
             let selectedRating = 0;
             let selectedFeedbackOption = null;
 
@@ -4215,10 +9359,24 @@
                 star.addEventListener('mouseenter', () => {
                     this.highlightStars(index + 1);
                 });
+                
+                // Arrow keys move the selection like in any radio group (mirrored right to left)
+                star.addEventListener('keydown', (event) => {
+                    const forward = this.direction === 'rtl' ? 'ArrowLeft' : 'ArrowRight';
+                    const backward = this.direction === 'rtl' ? 'ArrowRight' : 'ArrowLeft';
+                    let step = 0;
+                    if (event.key === forward || event.key === 'ArrowDown') step = 1;
+                    if (event.key === backward || event.key === 'ArrowUp') step = -1;
+                    if (!step) return;
+                    event.preventDefault();
+                    const target = stars[(index + step + stars.length) % stars.length];
+                    target.focus();
+                    target.click();
+                });
             });
 
             // Reset stars on mouse leave
-            const starsContainer = document.getElementById('chatbot-lg-stars');
+            const starsContainer = this.root.getElementById('chatbot-lg-stars');
             if (starsContainer) {
                 starsContainer.addEventListener('mouseleave', () => {
                     this.highlightStars(selectedRating);
@@ -4226,7 +9384,7 @@
             }
 
             // Feedback option radio button handlers
-            const feedbackRadios = document.querySelectorAll('input[name="feedback-option"]');
+            const feedbackRadios = this.root.querySelectorAll('input[name="feedback-option"]');
             feedbackRadios.forEach(radio => {
                 radio.addEventListener('change', (e) => {
                     selectedFeedbackOption = e.target.value;
@@ -4236,13 +9394,13 @@
                     if (isOther && feedbackTextInput) {
                         feedbackTextInput.style.display = 'block';
                         feedbackTextInput.required = true;
-                        feedbackTextInput.placeholder = 'Please provide your feedback (required)';
+                        feedbackTextInput.placeholder = this.t('feedbackPlaceholder');
                         feedbackTextInput.focus();
                     } else if (feedbackTextInput) {
                         feedbackTextInput.style.display = 'none';
                         feedbackTextInput.value = '';
                         feedbackTextInput.required = false;
-                        feedbackTextInput.placeholder = 'Please provide your feedback (required)';
+                        feedbackTextInput.placeholder = this.t('feedbackPlaceholder');
                     }
                     
                     this.checkRatingSubmitEnabled(selectedRating, selectedFeedbackOption, submitBtn, feedbackTextInput);
@@ -4266,13 +9424,13 @@
                         
                         // Validate: If "Other" is selected, text input is required
                         const isOtherSelected = selectedFeedbackOption && 
-                            document.querySelector(`input[name="feedback-option"][value="${selectedFeedbackOption}"]`)?.dataset.isOther === 'true';
+                            this.root.querySelector(`input[name="feedback-option"][value="${selectedFeedbackOption}"]`)?.dataset.isOther === 'true';
                         
                         if (isOtherSelected && !feedbackText) {
                             // Show validation message
                             if (feedbackTextInput) {
-                                feedbackTextInput.style.borderColor = '#ff3d3d';
-                                feedbackTextInput.placeholder = 'Please provide feedback (required)';
+                                feedbackTextInput.style.borderColor = 'var(--chatbot-lg-error)';
+                                feedbackTextInput.placeholder = this.t('feedbackRequired');
                                 feedbackTextInput.focus();
                             }
                             return; // Don't submit
@@ -4303,7 +9461,7 @@
             
             // If "Other" is selected, text input is required
             if (feedbackOption && feedbackTextInput) {
-                const isOtherSelected = document.querySelector(`input[name="feedback-option"][value="${feedbackOption}"]`)?.dataset.isOther === 'true';
+                const isOtherSelected = this.root.querySelector(`input[name="feedback-option"][value="${feedbackOption}"]`)?.dataset.isOther === 'true';
                 
                 if (isOtherSelected) {
                     const hasText = feedbackTextInput.value.trim().length > 0;
@@ -4313,7 +9471,7 @@
                     if (hasText) {
                         feedbackTextInput.style.borderColor = '';
                     } else {
-                        feedbackTextInput.style.borderColor = '#ff3d3d';
+                        feedbackTextInput.style.borderColor = 'var(--chatbot-lg-error)';
                     }
                     return;
                 }
@@ -4329,8 +9487,12 @@
          * @param {number} rating - Selected rating (1-5)
          */
         updateStarDisplay(rating) {
-            const stars = document.querySelectorAll('.chatbot-lg-star');
+            const stars = this.root.querySelectorAll('.chatbot-lg-star');
             stars.forEach((star, index) => {
+                // Only the checked star (the first before a choice) is in the Tab order
+                star.setAttribute('aria-checked', String(index + 1 === rating));
+                star.tabIndex = index + 1 === rating || (rating === 0 && index === 0) ? 0 : -1;
+
                 if (index < rating) {
                     star.classList.add('active');
                     // Keep filled star emoji - CSS handles the glow effect
@@ -4343,7 +9505,7 @@
                     // Keep filled star emoji - CSS handles the blurred appearance
                     star.textContent = '⭐';
                     // Reset to default blurred state
-                    star.style.opacity = '0.3';
+                    star.style.opacity = 'var(--chatbot-lg-star-idle-opacity)';
                     star.style.filter = 'grayscale(0.5) blur(0.5px)';
                 }
             });
@@ -4355,7 +9517,7 @@
          * @param {number} rating - Rating to highlight up to
          */
         highlightStars(rating) {
-            const stars = document.querySelectorAll('.chatbot-lg-star');
+            const stars = this.root.querySelectorAll('.chatbot-lg-star');
             stars.forEach((star, index) => {
                 // If star is active (selected), let CSS handle the glow - don't override
                 if (star.classList.contains('active')) {
@@ -4366,11 +9528,11 @@
                 
                 if (index < rating) {
                     // Temporarily brighten on hover (but not as bright as selected)
-                    star.style.opacity = '0.7';
+                    star.style.opacity = 'var(--chatbot-lg-star-hover-opacity)';
                     star.style.filter = 'grayscale(0.2) blur(0.2px)';
                 } else {
                     // Reset to default blurred state
-                    star.style.opacity = '0.3';
+                    star.style.opacity = 'var(--chatbot-lg-star-idle-opacity)';
                     star.style.filter = 'grayscale(0.5) blur(0.5px)';
                 }
             });
@@ -4384,22 +9546,23 @@
          * @param {string} feedbackText - Custom feedback text (only if "Other" was selected)
          */
         async submitRating(rating, feedbackOption = null, feedbackText = '') {
-            const submitBtn = document.getElementById('chatbot-lg-submit-rating');
-            const feedbackTextInput = document.getElementById('chatbot-lg-feedback-text');
-            const feedbackRadios = document.querySelectorAll('input[name="feedback-option"]');
+            const submitBtn = this.root.getElementById('chatbot-lg-submit-rating');
+            const feedbackTextInput = this.root.getElementById('chatbot-lg-feedback-text');
+            const feedbackRadios = this.root.querySelectorAll('input[name="feedback-option"]');
 
             // Disable submit button immediately and prevent any interaction
             if (submitBtn) {
                 submitBtn.disabled = true;
-                submitBtn.textContent = 'Submitting...';
+                submitBtn.textContent = this.t('submitting');
                 submitBtn.style.pointerEvents = 'none';
                 submitBtn.style.cursor = 'not-allowed';
             }
 
             // Disable all inputs immediately to prevent changes during submission
-            const stars = document.querySelectorAll('.chatbot-lg-star');
+            const stars = this.root.querySelectorAll('.chatbot-lg-star');
             stars.forEach(star => {
                 star.style.pointerEvents = 'none';
+                star.disabled = true;
             });
             
             feedbackRadios.forEach(radio => {
@@ -4426,7 +9589,7 @@
                 } else if (feedbackOptionId) {
                     // User selected a predefined feedback option (not "Other")
                     // Find the option text from the DOM (from the <span> element inside the label)
-                    const radio = document.querySelector(`input[name="feedback-option"][value="${feedbackOptionId}"]`);
+                    const radio = this.root.querySelector(`input[name="feedback-option"][value="${feedbackOptionId}"]`);
                     if (radio) {
                         const labelElement = radio.closest('.chatbot-lg-feedback-option');
                         if (labelElement) {
@@ -4446,6 +9609,12 @@
                     }
                 }
                 
+                this.emit('rating:submit', {
+                    rating: rating,
+                    feedback_option: feedbackOptionId,
+                    feedback_text: feedbackTextValue
+                });
+                
                 // Send rating and feedback to backend with all user input
                 // Include all the same fields that are sent on send_ai_disclaimer step
                 const response = await this.sendRequest({
@@ -4459,14 +9628,18 @@
                     concern_category: this.state.concern_category || '',
                     question: this.state.question || '',
                     locale: this.state.locale || ''
-                });
+                }, this.config.feedbackUrl, { channel: 'feedback', throwOnError: true });
+                if (response) {
+                    // The feedback reply is rendered here rather than by handleResponse()
+                    this.emit('response', { step: response.step || 'send_ai_disclaimer', payload: response });
+                }
 
                 // Keep rating UI visible after submission (don't hide it)
                 // Update submit button to show success state (keep it disabled)
                 if (submitBtn) {
                     submitBtn.disabled = true;
-                    submitBtn.textContent = '✓ Submitted';
-                    submitBtn.style.background = 'linear-gradient(135deg, rgba(0, 183, 176, 0.9), rgba(0, 183, 176, 0.9))';
+                    submitBtn.textContent = this.t('submitted');
+                    submitBtn.style.background = 'linear-gradient(135deg, rgba(var(--chatbot-lg-accent-rgb), 0.9), rgba(var(--chatbot-lg-accent-rgb), 0.9))';
                     submitBtn.style.pointerEvents = 'none';
                     submitBtn.style.cursor = 'not-allowed';
                 }
@@ -4474,6 +9647,7 @@
                 // Disable stars after submission (ensure they stay disabled)
                 stars.forEach(star => {
                     star.style.pointerEvents = 'none';
+                    star.disabled = true;
                     star.style.opacity = '0.6';
                     star.style.cursor = 'not-allowed';
                 });
@@ -4494,7 +9668,7 @@
                 // Show thank you message if backend provides one
                 // Save it with send_ai_disclaimer step since we're in the disclaimer flow
                 if (response && response.message) {
-                    this.state.currentStep = 'send_ai_disclaimer';
+                    this.setStep('send_ai_disclaimer');
                     this.addMessage(response.message, true, true, null);
                 }
                 
@@ -4505,16 +9679,30 @@
 
                 // Always show "Start Over" button after rating submission
                 // Ensure step is set before showing button
-                this.state.currentStep = 'send_ai_disclaimer';
+                this.setStep('send_ai_disclaimer');
                 this.showStartOverButton();
             } catch (error) {
-                // On error, keep button disabled but show error state
+                // Widget destroyed while submitting
+                if (error.type === 'aborted') return;
+                
+                // On error, let the user submit the same rating again
                 console.error('Error submitting rating:', error);
                 if (submitBtn) {
-                    submitBtn.disabled = true;
-                    submitBtn.textContent = 'Error - Try Again';
-                    submitBtn.style.background = 'linear-gradient(135deg, rgba(255, 106, 61, 0.9), rgba(255, 140, 90, 0.9))';
-                    submitBtn.style.pointerEvents = 'none';
+                    submitBtn.disabled = false;
+                    submitBtn.textContent = this.t('submitError');
+                    submitBtn.style.background = 'linear-gradient(135deg, rgba(var(--chatbot-lg-highlight-rgb), 0.9), rgba(var(--chatbot-lg-highlight-soft-rgb), 0.9))';
+                    submitBtn.style.pointerEvents = 'auto';
+                    submitBtn.style.cursor = 'pointer';
+                }
+                stars.forEach(star => {
+                    star.style.pointerEvents = 'auto';
+                    star.disabled = false;
+                });
+                feedbackRadios.forEach(radio => {
+                    radio.disabled = false;
+                });
+                if (feedbackTextInput) {
+                    feedbackTextInput.disabled = false;
                 }
                 
                 // Still show "Start Over" button even on error
@@ -4527,11 +9715,11 @@
          */
         showStartOverButton() {
             this.footerDiv.innerHTML = `
-                <button class="chatbot-lg-start-btn" id="chatbot-lg-start-over">Start Over</button>
+                <button class="chatbot-lg-start-btn" id="chatbot-lg-start-over" data-i18n="startOver">${this.t('startOver')}</button>
             `;
             
             // Attach event listener
-            const startOverBtn = document.getElementById('chatbot-lg-start-over');
+            const startOverBtn = this.root.getElementById('chatbot-lg-start-over');
             if (startOverBtn) {
                 startOverBtn.addEventListener('click', () => this.resetChat());
             }
@@ -4554,7 +9742,8 @@
             
             const avatar = document.createElement('div');
             avatar.className = 'chatbot-lg-message-avatar';
-            avatar.style.background = `rgba(0, 61, 70, 0.85)`;
+            avatar.setAttribute('aria-hidden', 'true');
+            avatar.style.background = 'var(--chatbot-lg-glass-primary)';
             avatar.textContent = '🤖';
             
             const container = document.createElement('div');
@@ -4572,7 +9761,7 @@
             this.messagesDiv.appendChild(messageDiv);
             
             // Update state to reflect that we're at the AI disclaimer step
-            this.state.currentStep = 'send_ai_disclaimer';
+            this.setStep('send_ai_disclaimer');
             
             // Cache the disclaimer message
             this.saveMessageToCache(disclaimerText, true, 'send_ai_disclaimer');
@@ -4586,35 +9775,134 @@
     // ====================================================================
     // Exposes the chatbot initialization function to the global window object
     
+    /**
+     * Builds the API object returned by ChatbotLiquidGlass.init()
+     * 
+     * The widget is only created once the DOM is ready, so actions wait for it and
+     * return promises. Getters return null / [] until then and after destroy().
+     * 
+     * @param {Promise<ChatbotLiquidGlass|null>} ready - Resolves with the widget instance
+     * @returns {Object} Public instance API
+     */
+    function createPublicApi(ready) {
+        let instance = null;
+        ready.then(created => { instance = created; });
+        
+        const live = () => (instance && !instance.destroyed ? instance : null);
+        const whenLive = (action) => ready.then(() => (live() ? action(live()) : undefined));
+        
+        const api = {
+            open: () => whenLive(bot => bot.open()),
+            close: () => whenLive(bot => bot.close()),
+            toggle: () => whenLive(bot => bot.toggle()),
+            expand: () => whenLive(bot => {
+                if (!bot.isOpen) bot.open();
+                bot.expand();
+            }),
+            reset: () => whenLive(bot => bot.reset()),
+            ask: (question, options) => whenLive(bot => bot.ask(question, options)),
+            selectUserType: (id) => whenLive(bot => bot.selectUserType(id)),
+            back: () => whenLive(bot => bot.back()),
+            setColorScheme: (scheme) => whenLive(bot => bot.setColorScheme(scheme)),
+            setLocale: (locale) => whenLive(bot => bot.setLocale(locale)),
+            on: (event, handler) => {
+                ready.then(() => live() && live().on(event, handler));
+                return () => api.off(event, handler);
+            },
+            off: (event, handler) => {
+                ready.then(() => live() && live().off(event, handler));
+            },
+            getState: () => (live() ? live().getState() : null),
+            getTranscript: () => (live() ? live().getTranscript() : []),
+            destroy: () => whenLive(bot => bot.destroy())
+        };
+        return api;
+    }
+    
     /**
      * Global API for initializing the chatbot widget
      * 
      * Provides a simple interface for website integration.
-     * Prevents multiple instances from being created.
+     * Prevents multiple instances from being created; calling init() again
+     * returns an API bound to the existing instance.
      * 
      * @example
      * ChatbotLiquidGlass.init({
-     *   webhookUrl: 'https://example.com/webhook',
+     *   apiBaseUrl: 'https://example.com/api',
+     *   contactPageUrl: 'https://example.com/contact',
      *   position: 'bottom-right'
      * });
+     * 
+     * @example
+     * const chatbot = ChatbotLiquidGlass.init({ apiBaseUrl: 'https://example.com/api' });
+     * chatbot.ask('How much does it cost?', { topic: 'pricing' });
      */
     // Expose global API - WordPress compatible
     window.ChatbotLiquidGlass = {
+        /**
+         * Built-in analytics adapters for the `analytics` option
+         * 
+         * @example
+         * ChatbotLiquidGlass.init({
+         *   apiBaseUrl: 'https://example.com/api',
+         *   analytics: [ChatbotLiquidGlass.analytics.dataLayer(), ChatbotLiquidGlass.analytics.beacon('/collect')]
+         * });
+         */
+        analytics: {
+            dataLayer: createDataLayerAdapter,
+            matomo: createMatomoAdapter,
+            beacon: createBeaconAdapter
+        },
+        
+        /** Error class of failed requests, e.g. for `error instanceof ChatbotLiquidGlass.RequestError` */
+        RequestError: ChatbotRequestError,
+        
+        /** The default afterResponse hook, for custom hooks that still want n8n array unwrapping */
+        unwrapArrayResponse: unwrapArrayResponse,
+        
+        /** Client-side fuzzy search over a knowledge base document, e.g. for a search box on the page */
+        searchKnowledgeBase: function(knowledgeBase, query, options) {
+            return searchKnowledgeBase(flattenKnowledgeBase(knowledgeBase), query, options)
+                .map(match => ({ ...match.question, category: match.category.id, userType: match.userType.id, score: match.score }));
+        },
+        
+        /**
+         * Built-in transports for the `transport` option
+         * 
+         * @example
+         * // Offline demo of the whole flow
+         * ChatbotLiquidGlass.init({ transport: ChatbotLiquidGlass.transports.mock() });
+         * // One WebSocket connection per session
+         * ChatbotLiquidGlass.init({ transport: ChatbotLiquidGlass.transports.websocket('wss://example.com/chat') });
+         */
+        transports: {
+            http: createHttpTransport,
+            websocket: createWebSocketTransport,
+            mock: createMockTransport,
+            knowledgeBase: createKnowledgeBaseTransport
+        },
+        
         init: function(config) {
-            // Wait for DOM to be ready before initializing (WordPress footer script compatibility)
-            domReady(function() {
-            if (window.chatbotLiquidGlassInstance) {
-                console.warn('ChatbotLiquidGlass: Instance already exists');
-                return;
-            }
-                
-                try {
-            window.chatbotLiquidGlassInstance = new ChatbotLiquidGlass(config);
-                } catch (error) {
-                    console.error('ChatbotLiquidGlass: Initialization error:', error);
-                    // Don't throw - fail gracefully for WordPress compatibility
-                }
+            const ready = new Promise(function(resolve) {
+                // Wait for DOM to be ready before initializing (WordPress footer script compatibility)
+                domReady(function() {
+                    if (window.chatbotLiquidGlassInstance) {
+                        console.warn('ChatbotLiquidGlass: Instance already exists');
+                        resolve(window.chatbotLiquidGlassInstance);
+                        return;
+                    }
+                    
+                    try {
+                        window.chatbotLiquidGlassInstance = new ChatbotLiquidGlass(config);
+                    } catch (error) {
+                        console.error('ChatbotLiquidGlass: Initialization error:', error);
+                        // Don't throw - fail gracefully for WordPress compatibility
+                    }
+                    resolve(window.chatbotLiquidGlassInstance || null);
+                });
             });
+            
+            return createPublicApi(ready);
         }
     };
     